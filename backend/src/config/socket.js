@@ -137,7 +137,7 @@ const joinUserGroups = async (socket) => {
             `SELECT g.id, g.name
              FROM groups g
              JOIN group_members gm ON g.id = gm.group_id
-             WHERE gm.user_id = $1 AND gm.is_active = true AND g.status = 'ACTIVE'`,
+             WHERE gm.user_id = $1 AND gm.is_active = true AND g.status != 'CANCELLED'`,
             [socket.user.id]
         );
 
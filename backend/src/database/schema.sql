@@ -114,7 +114,7 @@ CREATE TABLE transactions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id),
     wallet_id UUID NOT NULL REFERENCES wallets(id),
-    transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('DEPOSIT', 'WITHDRAWAL', 'GROUP_PAYMENT', 'GROUP_RECEIVE', 'FEE', 'BONUS', 'TRANSFER')),
+    transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('DEPOSIT', 'WITHDRAWAL', 'GROUP_PAYMENT', 'GROUP_RECEIVE', 'GROUP_REFUND', 'AUCTION_DIVIDEND', 'LATE_FEE', 'LATE_FEE_CREDIT', 'SETTLEMENT_DEBIT', 'SETTLEMENT_CREDIT', 'SAVINGS_CONTRIBUTION', 'SAVINGS_PAYOUT', 'CATCH_UP_PAYMENT', 'CATCH_UP_CREDIT', 'POOL_DISTRIBUTION', 'FEE', 'BONUS', 'TRANSFER')),
     amount DECIMAL(15, 2) NOT NULL,
     fee DECIMAL(15, 2) DEFAULT 0,
     net_amount DECIMAL(15, 2) NOT NULL,
@@ -179,6 +179,19 @@ CREATE TABLE withdrawals (
 CREATE INDEX idx_withdrawals_user ON withdrawals(user_id);
 CREATE INDEX idx_withdrawals_status ON withdrawals(status);
 
+-- Destinos de saque guardados (usados nos pagamentos automáticos dos ciclos)
+CREATE TABLE payout_destinations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    method VARCHAR(20) NOT NULL CHECK (method IN ('MULTICAIXA', 'IBAN', 'KWIK')),
+    label VARCHAR(50) NOT NULL,
+    destination_details JSONB NOT NULL, -- {iban: '', ownerName: ''} ou {phone: ''}
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_payout_destinations_user ON payout_destinations(user_id) WHERE is_active = true;
+
 -- =====================================================
 -- TABELAS DE GRUPOS (KIXIKILAS)
 -- =====================================================
@@ -195,10 +208,29 @@ CREATE TABLE groups (
     longitude DECIMAL(11, 8),
     cycle_value DECIMAL(15, 2) NOT NULL,
     frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('DAILY', 'WEEKLY', 'MONTHLY')),
+    group_type VARCHAR(20) DEFAULT 'ROTATING' CHECK (group_type IN ('ROTATING', 'AUCTION', 'SAVINGS')), -- AUCTION: beneficiário de cada ciclo definido por licitação; SAVINGS: poupança sem rotação
     max_participants INTEGER NOT NULL CHECK (max_participants BETWEEN 3 AND 50),
     current_participants INTEGER DEFAULT 1,
-    status VARCHAR(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'FULL', 'COMPLETED', 'CANCELLED')),
+    status VARCHAR(20) DEFAULT 'RECRUITING' CHECK (status IN ('DRAFT', 'RECRUITING', 'FULL', 'RUNNING', 'COMPLETED', 'CANCELLED')), -- Ciclo de vida do grupo
     payment_day INTEGER, -- Dia do mês para mensal, dia da semana para semanal (0-6)
+    swap_requires_approval BOOLEAN DEFAULT FALSE, -- Trocas de posição exigem aprovação do admin
+    removal_requires_vote BOOLEAN DEFAULT FALSE, -- Remoção de membros exige votação do grupo
+    visibility VARCHAR(20) DEFAULT 'PUBLIC' CHECK (visibility IN ('PUBLIC', 'UNLISTED', 'PRIVATE')), -- UNLISTED: fora da busca; PRIVATE: apenas por convite
+    grace_days INTEGER DEFAULT 3 CHECK (grace_days >= 0), -- Dias de tolerância após o vencimento antes da penalidade
+    late_fee_type VARCHAR(20) DEFAULT 'NONE' CHECK (late_fee_type IN ('NONE', 'FIXED', 'PERCENTAGE')),
+    late_fee_value DECIMAL(15, 2) DEFAULT 0 CHECK (late_fee_value >= 0), -- KZ (FIXED) ou % da contribuição (PERCENTAGE)
+    late_fee_destination VARCHAR(20) DEFAULT 'BENEFICIARY' CHECK (late_fee_destination IN ('BENEFICIARY', 'GROUP_POOL')),
+    suspension_threshold INTEGER DEFAULT 3 CHECK (suspension_threshold >= 0), -- Atrasos até suspensão (0: nunca suspende)
+    pool_balance DECIMAL(15, 2) DEFAULT 0, -- Fundo do grupo (multas destinadas ao grupo), repartido no fim de cada ronda
+    cycle_pot DECIMAL(15, 2), -- Valor a receber por ciclo, fixado na geração dos ciclos
+    business_day_policy VARCHAR(10) DEFAULT 'FORWARD' CHECK (business_day_policy IN ('NONE', 'FORWARD', 'BACKWARD')), -- Vencimento em fim de semana/feriado
+    requires_guarantor BOOLEAN DEFAULT FALSE, -- Novos membros precisam de um fiador aceite
+    current_round INTEGER DEFAULT 1, -- Ronda atual (incrementada a cada renovação)
+    completed_at TIMESTAMP, -- Todos os ciclos da ronda atual pagos
+    target_amount DECIMAL(15, 2), -- Meta da poupança (apenas grupos SAVINGS)
+    end_date DATE, -- Fim da poupança e data da distribuição final
+    savings_balance DECIMAL(15, 2) DEFAULT 0, -- Total poupado pelos membros
+    savings_started_at DATE, -- Início do primeiro período de contribuição
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
@@ -207,6 +239,7 @@ CREATE INDEX idx_groups_admin ON groups(admin_id);
 CREATE INDEX idx_groups_zone ON groups(zone);
 CREATE INDEX idx_groups_status ON groups(status);
 CREATE INDEX idx_groups_location ON groups(latitude, longitude);
+CREATE INDEX idx_groups_visibility ON groups(visibility);
 
 -- Tabela de membros do grupo
 CREATE TABLE group_members (
@@ -217,32 +250,220 @@ CREATE TABLE group_members (
     is_active BOOLEAN DEFAULT TRUE,
     left_at TIMESTAMP,
     penalty_count INTEGER DEFAULT 0,
+    missed_count INTEGER DEFAULT 0, -- Contribuições pagas fora do período de tolerância
+    is_suspended BOOLEAN DEFAULT FALSE,
+    suspended_at TIMESTAMP,
+    role VARCHAR(20) DEFAULT 'MEMBER' CHECK (role IN ('ADMIN', 'TREASURER', 'MODERATOR', 'MEMBER')),
+    auto_pay_enabled BOOLEAN DEFAULT FALSE, -- Mandato de débito automático (confirmado com PIN)
+    auto_pay_authorized_at TIMESTAMP,
     UNIQUE(group_id, user_id)
 );
 
 CREATE INDEX idx_members_group ON group_members(group_id);
 CREATE INDEX idx_members_user ON group_members(user_id);
 
+-- Tabela de fianças (fiador responde pelas contribuições em atraso do membro)
+CREATE TABLE group_guarantees (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    member_id UUID NOT NULL REFERENCES users(id),
+    guarantor_id UUID NOT NULL REFERENCES users(id),
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'ACTIVE', 'DECLINED', 'CANCELLED', 'RELEASED')),
+    liability_limit DECIMAL(15, 2) NOT NULL, -- Responsabilidade máxima do fiador
+    amount_covered DECIMAL(15, 2) DEFAULT 0, -- Total já debitado ao fiador
+    accepted_at TIMESTAMP,
+    responded_at TIMESTAMP,
+    released_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (member_id != guarantor_id)
+);
+
+CREATE INDEX idx_guarantees_group ON group_guarantees(group_id);
+CREATE INDEX idx_guarantees_guarantor ON group_guarantees(guarantor_id);
+CREATE UNIQUE INDEX idx_guarantees_open ON group_guarantees(group_id, member_id) WHERE status IN ('PENDING', 'ACTIVE');
+
+-- Tabela de lista de espera de grupos cheios
+CREATE TABLE group_waitlist (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    status VARCHAR(20) DEFAULT 'WAITING' CHECK (status IN ('WAITING', 'OFFERED', 'ACCEPTED', 'DECLINED', 'EXPIRED', 'CANCELLED')),
+    offered_at TIMESTAMP,
+    offer_expires_at TIMESTAMP, -- Prazo para aceitar a vaga oferecida
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_waitlist_group ON group_waitlist(group_id, created_at);
+CREATE INDEX idx_waitlist_offers ON group_waitlist(offer_expires_at) WHERE status = 'OFFERED';
+CREATE UNIQUE INDEX idx_waitlist_open ON group_waitlist(group_id, user_id) WHERE status IN ('WAITING', 'OFFERED');
+
+-- Tabela de convites do grupo (códigos partilháveis)
+CREATE TABLE group_invites (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    created_by UUID NOT NULL REFERENCES users(id),
+    max_uses INTEGER CHECK (max_uses > 0), -- NULL: sem limite de utilizações
+    uses_count INTEGER DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_invites_group ON group_invites(group_id);
+
+-- Tabela de pedidos de adesão ao grupo
+CREATE TABLE group_join_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    message TEXT,
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED')),
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    rejection_reason TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_join_requests_group ON group_join_requests(group_id);
+CREATE UNIQUE INDEX idx_join_requests_pending ON group_join_requests(group_id, user_id) WHERE status = 'PENDING';
+
 -- Tabela de ciclos de pagamento
 CREATE TABLE payment_cycles (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
-    cycle_number INTEGER NOT NULL,
+    cycle_number INTEGER NOT NULL, -- Numeração contínua entre rondas
+    round_number INTEGER NOT NULL DEFAULT 1, -- Ronda do grupo a que o ciclo pertence
     beneficiary_id UUID NOT NULL REFERENCES users(id),
     amount DECIMAL(15, 2) NOT NULL,
     due_date DATE NOT NULL,
     paid_at TIMESTAMP,
     transaction_id UUID REFERENCES transactions(id),
     status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'PAID', 'MISSED', 'CANCELLED')),
+    bidding_opens_at TIMESTAMP, -- Janela de licitação (apenas grupos AUCTION)
+    bidding_closes_at TIMESTAMP,
+    auction_closed_at TIMESTAMP,
+    discount_amount DECIMAL(15, 2) DEFAULT 0, -- Desconto do lance vencedor, distribuído aos pagadores
     created_at TIMESTAMP DEFAULT NOW(),
     UNIQUE(group_id, cycle_number)
 );
 
 CREATE INDEX idx_cycles_group ON payment_cycles(group_id);
+CREATE INDEX idx_cycles_round ON payment_cycles(group_id, round_number);
 CREATE INDEX idx_cycles_beneficiary ON payment_cycles(beneficiary_id);
 CREATE INDEX idx_cycles_status ON payment_cycles(status);
 CREATE INDEX idx_cycles_due_date ON payment_cycles(due_date);
 
+-- Tabela de contribuições por ciclo (um registro por membro pagador)
+CREATE TABLE cycle_contributions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cycle_id UUID NOT NULL REFERENCES payment_cycles(id) ON DELETE CASCADE,
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    amount DECIMAL(15, 2) NOT NULL,
+    fee DECIMAL(15, 2) DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'PAID', 'REFUNDED', 'CANCELLED', 'FAILED')),
+    transaction_id UUID REFERENCES transactions(id),
+    paid_at TIMESTAMP,
+    escrow_status VARCHAR(20) CHECK (escrow_status IN ('HELD', 'RELEASED', 'REFUNDED')), -- Valor bloqueado até o ciclo completar
+    released_at TIMESTAMP,
+    refunded_at TIMESTAMP,
+    payment_method VARCHAR(20) DEFAULT 'WALLET' CHECK (payment_method IN ('WALLET', 'CASH', 'GUARANTOR')),
+    recorded_by UUID REFERENCES users(id), -- Tesoureiro que registou pagamento em dinheiro
+    paid_by UUID REFERENCES users(id), -- Fiador que pagou em nome do membro (NULL: o próprio membro)
+    is_auto_pay BOOLEAN DEFAULT FALSE,
+    is_catch_up BOOLEAN DEFAULT FALSE, -- Paga em atraso por um membro substituto (o valor vai para o beneficiário do ciclo)
+    auto_pay_attempts INTEGER DEFAULT 0,
+    last_attempt_at TIMESTAMP,
+    next_retry_at TIMESTAMP,
+    failure_reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(cycle_id, user_id)
+);
+
+CREATE INDEX idx_contributions_cycle ON cycle_contributions(cycle_id);
+CREATE INDEX idx_contributions_group ON cycle_contributions(group_id);
+CREATE INDEX idx_contributions_user ON cycle_contributions(user_id);
+CREATE INDEX idx_contributions_status ON cycle_contributions(status);
+
+-- Preferências de recebimento por grupo: percentagem enviada a cada destino (o resto fica na carteira)
+CREATE TABLE group_payout_allocations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    destination_id UUID NOT NULL REFERENCES payout_destinations(id),
+    percent INTEGER NOT NULL CHECK (percent BETWEEN 1 AND 100),
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(group_id, user_id, destination_id)
+);
+
+CREATE INDEX idx_payout_allocations_member ON group_payout_allocations(group_id, user_id);
+
+-- Envios automáticos do recebimento de um ciclo (valor bloqueado na carteira até ao envio)
+CREATE TABLE cycle_payouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cycle_id UUID NOT NULL REFERENCES payment_cycles(id) ON DELETE CASCADE,
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    destination_id UUID REFERENCES payout_destinations(id),
+    method VARCHAR(20) NOT NULL CHECK (method IN ('MULTICAIXA', 'IBAN', 'KWIK')),
+    destination_details JSONB NOT NULL, -- Cópia do destino no momento do recebimento
+    amount DECIMAL(15, 2) NOT NULL, -- Valor bloqueado (inclui a taxa de saque)
+    fee DECIMAL(15, 2) DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED')),
+    transaction_id UUID REFERENCES transactions(id),
+    failure_reason VARCHAR(255), -- Falha no envio: o valor volta a ficar disponível na carteira
+    created_at TIMESTAMP DEFAULT NOW(),
+    processed_at TIMESTAMP
+);
+
+CREATE INDEX idx_cycle_payouts_pending ON cycle_payouts(created_at) WHERE status = 'PENDING';
+CREATE INDEX idx_cycle_payouts_user ON cycle_payouts(user_id);
+
+-- Tabela de penalidades por atraso no pagamento
+CREATE TABLE member_penalties (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    cycle_id UUID NOT NULL REFERENCES payment_cycles(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    beneficiary_id UUID REFERENCES users(id),
+    days_late INTEGER NOT NULL,
+    fee_amount DECIMAL(15, 2) DEFAULT 0,
+    fee_destination VARCHAR(20) CHECK (fee_destination IN ('BENEFICIARY', 'GROUP_POOL')),
+    fee_status VARCHAR(20) DEFAULT 'NONE' CHECK (fee_status IN ('NONE', 'OUTSTANDING', 'PAID', 'WAIVED')),
+    transaction_id UUID REFERENCES transactions(id),
+    paid_at TIMESTAMP,
+    waived_by UUID REFERENCES users(id),
+    waived_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(cycle_id, user_id)
+);
+
+CREATE INDEX idx_penalties_group ON member_penalties(group_id);
+CREATE INDEX idx_penalties_user ON member_penalties(user_id);
+CREATE INDEX idx_penalties_outstanding ON member_penalties(fee_status) WHERE fee_status = 'OUTSTANDING';
+
+-- Tabela de lances (grupos em modo leilão)
+CREATE TABLE cycle_bids (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cycle_id UUID NOT NULL REFERENCES payment_cycles(id) ON DELETE CASCADE,
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    discount_amount DECIMAL(15, 2) NOT NULL CHECK (discount_amount > 0),
+    status VARCHAR(20) DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'WON', 'LOST', 'WITHDRAWN')),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(cycle_id, user_id)
+);
+
+CREATE INDEX idx_bids_cycle ON cycle_bids(cycle_id);
+CREATE INDEX idx_bids_user ON cycle_bids(user_id);
+
 -- Tabela de ordem futura (sorteio)
 CREATE TABLE cycle_order (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -255,6 +476,219 @@ CREATE TABLE cycle_order (
     UNIQUE(group_id, position)
 );
 
+-- Tabela de pedidos de troca de posição na ordem
+CREATE TABLE order_swap_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    requester_id UUID NOT NULL REFERENCES users(id),
+    counterpart_id UUID NOT NULL REFERENCES users(id),
+    requester_position INTEGER NOT NULL,
+    counterpart_position INTEGER NOT NULL,
+    reason VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'AWAITING_ADMIN', 'COMPLETED', 'REJECTED', 'CANCELLED')),
+    requires_admin_approval BOOLEAN DEFAULT FALSE,
+    responded_at TIMESTAMP,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (requester_id != counterpart_id)
+);
+
+CREATE INDEX idx_swaps_group ON order_swap_requests(group_id);
+CREATE INDEX idx_swaps_status ON order_swap_requests(status);
+
+-- Tabela de transferências de administração do grupo
+CREATE TABLE admin_transfers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    from_user_id UUID NOT NULL REFERENCES users(id),
+    to_user_id UUID NOT NULL REFERENCES users(id),
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'CANCELLED', 'EXPIRED')),
+    expires_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CHECK (from_user_id != to_user_id)
+);
+
+CREATE INDEX idx_admin_transfers_group ON admin_transfers(group_id);
+CREATE UNIQUE INDEX idx_admin_transfers_pending ON admin_transfers(group_id) WHERE status = 'PENDING';
+
+-- Tabela de sorteios verificáveis (commit-reveal) da ordem
+CREATE TABLE order_draws (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    algorithm VARCHAR(50) NOT NULL,
+    seed_hash VARCHAR(64) NOT NULL, -- Compromisso público: SHA-256 da semente
+    seed VARCHAR(64), -- Semente secreta, divulgada apenas na revelação
+    participants JSONB NOT NULL, -- IDs dos membros ativos no momento do compromisso
+    result_order JSONB,
+    status VARCHAR(20) DEFAULT 'COMMITTED' CHECK (status IN ('COMMITTED', 'REVEALED', 'CANCELLED')),
+    committed_by UUID NOT NULL REFERENCES users(id),
+    committed_at TIMESTAMP DEFAULT NOW(),
+    revealed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_draws_group ON order_draws(group_id);
+CREATE UNIQUE INDEX idx_draws_group_committed ON order_draws(group_id) WHERE status = 'COMMITTED';
+
+-- Tabela de acertos de contas (cancelamento do grupo)
+CREATE TABLE group_settlements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    initiated_by UUID NOT NULL REFERENCES users(id),
+    reason TEXT,
+    cycles_cancelled INTEGER DEFAULT 0,
+    escrow_refunded DECIMAL(15, 2) DEFAULT 0, -- Custódia devolvida dos ciclos em aberto
+    total_collected DECIMAL(15, 2) DEFAULT 0, -- Cobrado aos membros com posição negativa
+    total_credited DECIMAL(15, 2) DEFAULT 0, -- Pago aos membros com posição positiva
+    pool_distributed DECIMAL(15, 2) DEFAULT 0, -- Fundo do grupo repartido
+    total_shortfall DECIMAL(15, 2) DEFAULT 0, -- Dívida não cobrada por falta de saldo
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_settlements_group ON group_settlements(group_id);
+
+-- Linhas do acerto de contas (uma por membro)
+CREATE TABLE group_settlement_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    settlement_id UUID NOT NULL REFERENCES group_settlements(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    contributed DECIMAL(15, 2) DEFAULT 0, -- Contribuições em ciclos pagos
+    received DECIMAL(15, 2) DEFAULT 0, -- Recebimentos como beneficiário e dividendos de leilão
+    net_position DECIMAL(15, 2) DEFAULT 0, -- contributed - received
+    escrow_refunded DECIMAL(15, 2) DEFAULT 0,
+    cash_to_return DECIMAL(15, 2) DEFAULT 0, -- Dinheiro entregue ao tesoureiro em ciclos cancelados
+    clawed_back DECIMAL(15, 2) DEFAULT 0,
+    credited DECIMAL(15, 2) DEFAULT 0,
+    shortfall DECIMAL(15, 2) DEFAULT 0,
+    debit_transaction_id UUID REFERENCES transactions(id),
+    credit_transaction_id UUID REFERENCES transactions(id),
+    UNIQUE(settlement_id, user_id)
+);
+
+CREATE INDEX idx_settlement_entries_user ON group_settlement_entries(user_id);
+
+-- Remoção de membros pelo admin ou por votação (acerto de contas individual)
+CREATE TABLE member_removals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    removed_by UUID NOT NULL REFERENCES users(id),
+    poll_id UUID, -- Votação que decidiu a remoção (NULL: decisão do admin)
+    reason VARCHAR(255) NOT NULL,
+    contributed DECIMAL(15, 2) DEFAULT 0, -- Inclui contribuições pagas em ciclos em curso
+    received DECIMAL(15, 2) DEFAULT 0,
+    net_position DECIMAL(15, 2) DEFAULT 0, -- contributed - received
+    penalty_amount DECIMAL(15, 2) DEFAULT 0, -- Multa de remoção (descontada ao crédito ou cobrada)
+    clawed_back DECIMAL(15, 2) DEFAULT 0, -- Cobrado ao membro para o fundo do grupo
+    credited DECIMAL(15, 2) DEFAULT 0, -- Pago ao membro a partir do fundo do grupo
+    shortfall DECIMAL(15, 2) DEFAULT 0, -- Dívida não cobrada por falta de saldo
+    unpaid_credit DECIMAL(15, 2) DEFAULT 0, -- Crédito que o fundo do grupo não cobriu
+    debit_transaction_id UUID REFERENCES transactions(id),
+    credit_transaction_id UUID REFERENCES transactions(id),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_member_removals_group ON member_removals(group_id);
+CREATE INDEX idx_member_removals_user ON member_removals(user_id);
+
+-- Substituição de membros que saíram a meio da ronda (o substituto herda a posição e as obrigações)
+CREATE TABLE member_replacements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    departed_user_id UUID NOT NULL REFERENCES users(id),
+    user_id UUID NOT NULL REFERENCES users(id), -- Substituto convidado
+    invited_by UUID NOT NULL REFERENCES users(id),
+    position INTEGER NOT NULL, -- Posição na ordem herdada
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'CANCELLED', 'EXPIRED')),
+    catch_up_amount DECIMAL(15, 2), -- Valor em atraso pago na aceitação
+    catch_up_transaction_id UUID REFERENCES transactions(id),
+    expires_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_replacements_group ON member_replacements(group_id);
+CREATE INDEX idx_replacements_user ON member_replacements(user_id);
+CREATE UNIQUE INDEX idx_replacements_open ON member_replacements(group_id, departed_user_id) WHERE status = 'PENDING';
+
+-- Contribuições para grupos de poupança (SAVINGS)
+CREATE TABLE savings_contributions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    period_number INTEGER NOT NULL, -- Período de contribuição (1 = primeiro)
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+    transaction_id UUID REFERENCES transactions(id),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_savings_contributions_group ON savings_contributions(group_id, user_id);
+
+-- Distribuição final da poupança (uma linha por membro)
+CREATE TABLE savings_distributions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    contributed DECIMAL(15, 2) DEFAULT 0, -- Total contribuído pelo membro
+    amount DECIMAL(15, 2) DEFAULT 0, -- Parte recebida (proporcional ao contribuído)
+    reason VARCHAR(20) CHECK (reason IN ('END_DATE', 'TARGET_REACHED', 'CANCELLED')),
+    transaction_id UUID REFERENCES transactions(id),
+    distributed_by UUID REFERENCES users(id), -- NULL: distribuição automática
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_savings_distributions_group ON savings_distributions(group_id);
+
+-- Votações do grupo (decisões de governação)
+CREATE TABLE group_polls (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    created_by UUID NOT NULL REFERENCES users(id),
+    question VARCHAR(200) NOT NULL,
+    description TEXT,
+    action_type VARCHAR(20) DEFAULT 'NONE' CHECK (action_type IN ('NONE', 'UPDATE_TERMS', 'REMOVE_MEMBER', 'SWAP_ORDER')), -- Ação executada se a votação for aprovada
+    action_payload JSONB,
+    quorum_percent INTEGER DEFAULT 50 CHECK (quorum_percent BETWEEN 0 AND 100), -- % dos membros ativos que tem de votar
+    majority_rule VARCHAR(20) DEFAULT 'SIMPLE' CHECK (majority_rule IN ('SIMPLE', 'TWO_THIRDS', 'UNANIMOUS')),
+    closes_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'PASSED', 'REJECTED', 'NO_QUORUM', 'CANCELLED')),
+    winning_option_id UUID,
+    eligible_count INTEGER, -- Membros ativos no fecho
+    votes_count INTEGER,
+    action_status VARCHAR(20) CHECK (action_status IN ('EXECUTED', 'FAILED')),
+    action_error VARCHAR(255),
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_polls_group ON group_polls(group_id, status);
+CREATE INDEX idx_polls_open ON group_polls(closes_at) WHERE status = 'OPEN';
+
+-- Opções de cada votação
+CREATE TABLE group_poll_options (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    poll_id UUID NOT NULL REFERENCES group_polls(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    UNIQUE(poll_id, position)
+);
+
+-- Votos (um por membro ativo e votação)
+CREATE TABLE group_poll_votes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    poll_id UUID NOT NULL REFERENCES group_polls(id) ON DELETE CASCADE,
+    option_id UUID NOT NULL REFERENCES group_poll_options(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(poll_id, user_id)
+);
+
+CREATE INDEX idx_poll_votes_option ON group_poll_votes(option_id);
+
 CREATE INDEX idx_order_group ON cycle_order(group_id);
 
 -- =====================================================
@@ -346,6 +780,24 @@ CREATE TRIGGER update_wallets_updated_at BEFORE UPDATE ON wallets
 CREATE TRIGGER update_groups_updated_at BEFORE UPDATE ON groups
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_contributions_updated_at BEFORE UPDATE ON cycle_contributions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_bids_updated_at BEFORE UPDATE ON cycle_bids
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_guarantees_updated_at BEFORE UPDATE ON group_guarantees
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_waitlist_updated_at BEFORE UPDATE ON group_waitlist
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_join_requests_updated_at BEFORE UPDATE ON group_join_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_swaps_updated_at BEFORE UPDATE ON order_swap_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Função para criar wallet automaticamente após registro de usuário
 CREATE OR REPLACE FUNCTION create_wallet_for_user()
 RETURNS TRIGGER AS $$
@@ -369,14 +821,17 @@ BEGIN
         UPDATE groups
         SET current_participants = current_participants + 1,
             status = CASE
-                WHEN current_participants + 1 >= max_participants THEN 'FULL'
+                WHEN status = 'RECRUITING' AND current_participants + 1 >= max_participants THEN 'FULL'
                 ELSE status
             END
         WHERE id = NEW.group_id;
     ELSIF TG_OP = 'DELETE' OR (TG_OP = 'UPDATE' AND NEW.is_active = FALSE AND OLD.is_active = TRUE) THEN
         UPDATE groups
         SET current_participants = current_participants - 1,
-            status = 'ACTIVE'
+            status = CASE
+                WHEN status = 'FULL' THEN 'RECRUITING'
+                ELSE status
+            END
         WHERE id = OLD.group_id;
     END IF;
     RETURN NEW;
@@ -420,8 +875,20 @@ COMMENT ON TABLE wallets IS 'Carteiras digitais dos usuários';
 COMMENT ON TABLE daily_limits IS 'Limites diários por usuário';
 COMMENT ON TABLE transactions IS 'Histórico completo de transações';
 COMMENT ON TABLE groups IS 'Grupos de Kixikila';
+COMMENT ON TABLE member_penalties IS 'Penalidades por atraso: multa e contagem para suspensão';
+COMMENT ON TABLE group_guarantees IS 'Fiadores que respondem pelas contribuições em atraso dos membros';
+COMMENT ON TABLE group_waitlist IS 'Lista de espera de grupos cheios com oferta de vaga temporária';
+COMMENT ON TABLE group_invites IS 'Códigos de convite partilháveis dos grupos';
+COMMENT ON TABLE group_join_requests IS 'Pedidos de adesão pendentes de aprovação do admin';
 COMMENT ON TABLE payment_cycles IS 'Ciclos de pagamento dos grupos';
+COMMENT ON TABLE cycle_contributions IS 'Contribuições de cada membro por ciclo';
+COMMENT ON TABLE cycle_bids IS 'Lances de desconto para receber antecipadamente (modo leilão)';
 COMMENT ON TABLE cycle_order IS 'Ordem sorteada dos beneficiários';
+COMMENT ON TABLE order_swap_requests IS 'Pedidos de troca de posição entre membros';
+COMMENT ON TABLE admin_transfers IS 'Transferências de administração de grupos';
+COMMENT ON TABLE group_settlements IS 'Acertos de contas dos grupos cancelados';
+COMMENT ON TABLE group_settlement_entries IS 'Posição líquida e movimentos de cada membro no acerto de contas';
+COMMENT ON TABLE order_draws IS 'Sorteios verificáveis (commit-reveal) da ordem dos beneficiários';
 COMMENT ON TABLE chat_messages IS 'Mensagens do chat dos grupos';
 COMMENT ON TABLE bonuses IS 'Bônus concedidos aos usuários';
 COMMENT ON TABLE audit_logs IS 'Logs de auditoria para compliance';
\ No newline at end of file
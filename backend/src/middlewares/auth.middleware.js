@@ -8,6 +8,7 @@ const database = require('../config/database');
 const config = require('../config/env');
 const logger = require('../utils/logger');
 const { AuthenticationError, AuthorizationError } = require('./error.middleware');
+const { GROUP_ROLES } = require('../utils/constants');
 
 // =====================================================
 // MIDDLEWARE PRINCIPAL DE AUTENTICAÇÃO
@@ -164,6 +165,14 @@ const requirePin = async (req, res, next) => {
     }
 };
 
+/**
+ * Exigir o PIN apenas quando a condição se verifica (ex.: ao aceitar, não ao recusar).
+ * Usar depois do validate, para a condição ver o corpo já normalizado.
+ */
+const requirePinWhen = (condition) => {
+    return (req, res, next) => (condition(req) ? requirePin(req, res, next) : next());
+};
+
 // =====================================================
 // MIDDLEWARE DE VERIFICAÇÃO DE LIMITE DE CONTAS
 // =====================================================
@@ -250,36 +259,56 @@ const checkOwnership = (paramName = 'id', tableName = 'users') => {
 };
 
 // =====================================================
-// MIDDLEWARE DE VERIFICAÇÃO DE ADMIN DE GRUPO
+// MIDDLEWARE DE VERIFICAÇÃO DE PAPEL NO GRUPO
 // =====================================================
-const requireGroupAdmin = async (req, res, next) => {
-    try {
-        const groupId = req.params.groupId || req.body.groupId;
+const requireGroupRole = (...roles) => {
+    return async (req, res, next) => {
+        try {
+            const groupId = req.params.groupId || req.body.groupId;
 
-        if (!groupId) {
-            throw new AuthorizationError('Grupo não especificado');
-        }
+            if (!groupId) {
+                throw new AuthorizationError('Grupo não especificado');
+            }
 
-        const result = await database.query(
-            `SELECT admin_id FROM groups WHERE id = $1`,
-            [groupId]
-        );
+            const result = await database.query(
+                `SELECT g.admin_id, gm.role
+                 FROM groups g
+                 LEFT JOIN group_members gm
+                    ON gm.group_id = g.id AND gm.user_id = $2 AND gm.is_active = true
+                 WHERE g.id = $1`,
+                [groupId, req.user.id]
+            );
 
-        if (result.rows.length === 0) {
-            throw new AuthorizationError('Grupo não encontrado');
-        }
+            if (result.rows.length === 0) {
+                throw new AuthorizationError('Grupo não encontrado');
+            }
 
-        if (result.rows[0].admin_id !== req.user.id) {
-            throw new AuthorizationError('Apenas o administrador do grupo pode realizar esta ação');
-        }
+            const { admin_id: adminId, role: memberRole } = result.rows[0];
 
-        req.group = { id: groupId, adminId: result.rows[0].admin_id };
-        next();
-    } catch (error) {
-        next(error);
-    }
+            // O administrador principal (groups.admin_id) tem sempre papel ADMIN
+            const role = adminId === req.user.id ? GROUP_ROLES.ADMIN : memberRole;
+
+            if (!role || !roles.includes(role)) {
+                throw new AuthorizationError(
+                    roles.length === 1 && roles[0] === GROUP_ROLES.ADMIN
+                        ? 'Apenas o administrador do grupo pode realizar esta ação'
+                        : 'Sem permissão no grupo para realizar esta ação'
+                );
+            }
+
+            req.group = { id: groupId, adminId, role };
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
 };
 
+// =====================================================
+// MIDDLEWARE DE VERIFICAÇÃO DE ADMIN DE GRUPO
+// =====================================================
+const requireGroupAdmin = requireGroupRole(GROUP_ROLES.ADMIN);
+
 // =====================================================
 // MIDDLEWARE DE VERIFICAÇÃO DE MEMBRO DE GRUPO
 // =====================================================
@@ -491,8 +520,10 @@ module.exports = {
     authenticate,
     requireKYC,
     requirePin,
+    requirePinWhen,
     checkAccountLimit,
     checkOwnership,
+    requireGroupRole,
     requireGroupAdmin,
     requireGroupMember,
     checkDailyLimit,
@@ -138,6 +138,21 @@ const walletSchemas = {
             ownerName: Joi.string().when('method', { is: 'IBAN', then: Joi.required() })
         }).required(),
         pin: Joi.string().length(4).pattern(/^[0-9]{4}$/).required()
+    }),
+
+    payoutDestination: Joi.object({
+        method: Joi.string().valid('MULTICAIXA', 'IBAN', 'KWIK').required(),
+        label: Joi.string().trim().min(1).max(50).required(),
+        destination: Joi.object({
+            iban: Joi.string().when(Joi.ref('...method'), { is: 'IBAN', then: Joi.required(), otherwise: Joi.forbidden() }),
+            phone: Joi.string().pattern(/^[0-9]{9}$/).when(Joi.ref('...method'), {
+                is: Joi.valid('MULTICAIXA', 'KWIK'),
+                then: Joi.required(),
+                otherwise: Joi.forbidden()
+            }),
+            ownerName: Joi.string().when(Joi.ref('...method'), { is: 'IBAN', then: Joi.required(), otherwise: Joi.forbidden() })
+        }).required(),
+        pin: Joi.string().length(4).pattern(/^[0-9]{4}$/).required()
     })
 };
 
@@ -152,18 +167,47 @@ const groupSchemas = {
         longitude: Joi.number().min(-180).max(180).optional(),
         cycleValue: Joi.number().positive().min(100).max(100000).required(),
         frequency: Joi.string().valid('DAILY', 'WEEKLY', 'MONTHLY').required(),
+        groupType: Joi.string().valid('ROTATING', 'AUCTION', 'SAVINGS').optional(),
+        targetAmount: Joi.number().positive().max(100000000).optional(),
+        endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+            'string.pattern.base': 'Data de fim deve estar no formato AAAA-MM-DD'
+        }),
+        visibility: Joi.string().valid('PUBLIC', 'UNLISTED', 'PRIVATE').optional(),
+        requiresGuarantor: Joi.boolean().optional(),
+        businessDayPolicy: Joi.string().valid('NONE', 'FORWARD', 'BACKWARD').optional(),
+        draft: Joi.boolean().optional(),
         maxParticipants: Joi.number().integer().min(3).max(50).required(),
         paymentDay: Joi.number().integer().min(0).max(31).when('frequency', {
             is: 'WEEKLY',
             then: Joi.number().integer().min(0).max(6).required(),
             otherwise: Joi.when('frequency', {
                 is: 'MONTHLY',
-                then: Joi.number().integer().min(1).max(28).required(),
+                then: Joi.number().integer().min(1).max(31).required(),
                 otherwise: Joi.optional()
             })
         })
     }),
 
+    simulate: Joi.object({
+        cycleValue: Joi.number().positive().min(100).max(100000).required(),
+        frequency: Joi.string().valid('DAILY', 'WEEKLY', 'MONTHLY').required(),
+        participants: Joi.number().integer().min(3).max(50).required(),
+        paymentDay: Joi.number().integer().min(0).max(31).when('frequency', {
+            is: 'WEEKLY',
+            then: Joi.number().integer().min(0).max(6).optional(),
+            otherwise: Joi.when('frequency', {
+                is: 'MONTHLY',
+                then: Joi.number().integer().min(1).max(31).required(),
+                otherwise: Joi.optional()
+            })
+        }),
+        startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+            'string.pattern.base': 'Data de início deve estar no formato AAAA-MM-DD'
+        }),
+        groupType: Joi.string().valid('ROTATING', 'AUCTION').optional(),
+        businessDayPolicy: Joi.string().valid('NONE', 'FORWARD', 'BACKWARD').optional()
+    }),
+
     update: Joi.object({
         name: Joi.string().min(3).max(100).optional(),
         description: Joi.string().max(500).optional(),
@@ -171,12 +215,57 @@ const groupSchemas = {
         city: Joi.string().optional(),
         latitude: Joi.number().min(-90).max(90).optional(),
         longitude: Joi.number().min(-180).max(180).optional(),
-        maxParticipants: Joi.number().integer().min(3).max(50).optional()
+        maxParticipants: Joi.number().integer().min(3).max(50).optional(),
+        swapRequiresApproval: Joi.boolean().optional(),
+        visibility: Joi.string().valid('PUBLIC', 'UNLISTED', 'PRIVATE').optional(),
+        requiresGuarantor: Joi.boolean().optional(),
+        businessDayPolicy: Joi.string().valid('NONE', 'FORWARD', 'BACKWARD').optional(),
+        cycleValue: Joi.number().positive().min(100).max(100000).optional(),
+        frequency: Joi.string().valid('DAILY', 'WEEKLY', 'MONTHLY').optional(),
+        paymentDay: Joi.number().integer().min(0).max(31).allow(null).optional(),
+        removalRequiresVote: Joi.boolean().optional()
+    }),
+
+    removeMember: Joi.object({
+        reason: Joi.string().min(3).max(255).required(),
+        penaltyAmount: Joi.number().min(0).max(100000).optional(),
+        closesAt: Joi.date().iso().optional()
+    }),
+
+    payoutPreferences: Joi.object({
+        allocations: Joi.array().items(Joi.object({
+            destinationId: Joi.string().uuid().required(),
+            percent: Joi.number().integer().min(1).max(100).required()
+        })).max(5).unique('destinationId').required(),
+        pin: Joi.string().length(4).pattern(/^[0-9]{4}$/).required()
+    }),
+
+    offerReplacement: Joi.object({
+        departedUserId: Joi.string().uuid().required(),
+        userId: Joi.string().uuid().required()
     }),
 
     join: Joi.object({
         groupId: Joi.string().uuid().required(),
-        pin: Joi.string().length(4).pattern(/^[0-9]{4}$/).optional()
+        pin: Joi.string().length(4).pattern(/^[0-9]{4}$/).optional(),
+        inviteCode: Joi.string().alphanum().max(20).optional()
+    }),
+
+    createInvite: Joi.object({
+        expiresInHours: Joi.number().integer().min(1).max(720).optional(),
+        maxUses: Joi.number().integer().min(1).max(50).optional()
+    }),
+
+    joinRequest: Joi.object({
+        message: Joi.string().max(300).optional()
+    }),
+
+    listJoinRequests: Joi.object({
+        status: Joi.string().valid('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED').optional()
+    }),
+
+    rejectJoinRequest: Joi.object({
+        reason: Joi.string().max(200).optional()
     }),
 
     leave: Joi.object({
@@ -200,6 +289,126 @@ const groupSchemas = {
     setFirstBeneficiary: Joi.object({
         groupId: Joi.string().uuid().required(),
         beneficiaryId: Joi.string().uuid().required()
+    }),
+
+    placeBid: Joi.object({
+        discount: Joi.number().positive().precision(2).required()
+    }),
+
+    swapRequest: Joi.object({
+        counterpartId: Joi.string().uuid().required(),
+        reason: Joi.string().max(255).optional()
+    }),
+
+    transferAdmin: Joi.object({
+        newAdminId: Joi.string().uuid().required()
+    }),
+
+    respondAdminTransfer: Joi.object({
+        accept: Joi.boolean().required()
+    }),
+
+    draw: Joi.object({
+        action: Joi.string().valid('COMMIT', 'REVEAL').required()
+    }),
+
+    cancelCycle: Joi.object({
+        reason: Joi.string().max(200).optional()
+    }),
+
+    cancelGroup: Joi.object({
+        reason: Joi.string().max(200).optional()
+    }),
+
+    settlementReport: Joi.object({
+        format: Joi.string().valid('json', 'csv').optional()
+    }),
+
+    treasuryReport: Joi.object({
+        format: Joi.string().valid('pdf', 'csv').optional()
+    }),
+
+    renewGroup: Joi.object({
+        removeMemberIds: Joi.array().items(Joi.string().uuid()).unique().optional(),
+        cycleValue: Joi.number().positive().min(100).max(100000).optional(),
+        frequency: Joi.string().valid('DAILY', 'WEEKLY', 'MONTHLY').optional(),
+        paymentDay: Joi.number().integer().min(0).max(31).allow(null).optional(),
+        maxParticipants: Joi.number().integer().min(3).max(50).optional(),
+        redrawOrder: Joi.boolean().optional()
+    }),
+
+    savingsContribution: Joi.object({
+        amount: Joi.number().positive().min(100).max(100000).required(),
+        pin: Joi.string().length(4).pattern(/^[0-9]{4}$/).required()
+    }),
+
+    createPoll: Joi.object({
+        question: Joi.string().min(5).max(200).required(),
+        description: Joi.string().max(1000).optional(),
+        options: Joi.array().items(Joi.string().trim().min(1).max(100)).min(2).max(10).unique()
+            .when('action', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }),
+        closesAt: Joi.date().iso().required(),
+        quorumPercent: Joi.number().integer().min(0).max(100).optional(),
+        majorityRule: Joi.string().valid('SIMPLE', 'TWO_THIRDS', 'UNANIMOUS').optional(),
+        action: Joi.object({
+            type: Joi.string().valid('UPDATE_TERMS', 'REMOVE_MEMBER', 'SWAP_ORDER').required(),
+            terms: Joi.object({
+                cycleValue: Joi.number().positive().min(100).max(100000).optional(),
+                frequency: Joi.string().valid('DAILY', 'WEEKLY', 'MONTHLY').optional(),
+                paymentDay: Joi.number().integer().min(0).max(31).allow(null).optional(),
+                maxParticipants: Joi.number().integer().min(3).max(50).optional(),
+                removalRequiresVote: Joi.boolean().optional()
+            }).min(1).when('type', { is: 'UPDATE_TERMS', then: Joi.required(), otherwise: Joi.forbidden() }),
+            userId: Joi.string().uuid()
+                .when('type', { is: 'REMOVE_MEMBER', then: Joi.required(), otherwise: Joi.forbidden() }),
+            reason: Joi.string().min(3).max(255)
+                .when('type', { is: 'REMOVE_MEMBER', then: Joi.optional(), otherwise: Joi.forbidden() }),
+            // Multa de remoção apenas em remoções abertas pelo admin (POST /:groupId/members/:userId/remove)
+            penaltyAmount: Joi.forbidden().messages({
+                'any.unknown': 'A multa de remoção só pode ser aplicada pelo administrador'
+            }),
+            requesterId: Joi.string().uuid()
+                .when('type', { is: 'SWAP_ORDER', then: Joi.required(), otherwise: Joi.forbidden() }),
+            counterpartId: Joi.string().uuid()
+                .when('type', { is: 'SWAP_ORDER', then: Joi.required(), otherwise: Joi.forbidden() })
+        }).optional()
+    }),
+
+    listPolls: Joi.object({
+        status: Joi.string().valid('OPEN', 'PASSED', 'REJECTED', 'NO_QUORUM', 'CANCELLED').optional()
+    }),
+
+    votePoll: Joi.object({
+        optionId: Joi.string().uuid().required()
+    }),
+
+    penaltyRules: Joi.object({
+        graceDays: Joi.number().integer().min(0).max(30).optional(),
+        lateFeeType: Joi.string().valid('NONE', 'FIXED', 'PERCENTAGE').optional(),
+        lateFeeValue: Joi.number().min(0).max(100000).optional(),
+        lateFeeDestination: Joi.string().valid('BENEFICIARY', 'GROUP_POOL').optional(),
+        suspensionThreshold: Joi.number().integer().min(0).max(12).optional()
+    }).min(1),
+
+    setMemberRole: Joi.object({
+        role: Joi.string().valid('ADMIN', 'TREASURER', 'MODERATOR', 'MEMBER').required()
+    }),
+
+    cashContribution: Joi.object({
+        note: Joi.string().max(200).optional()
+    }),
+
+    requestGuarantor: Joi.object({
+        guarantorId: Joi.string().uuid().required()
+    }),
+
+    respondGuarantee: Joi.object({
+        accept: Joi.boolean().required(),
+        pin: Joi.when('accept', {
+            is: true,
+            then: Joi.string().length(4).pattern(/^[0-9]{4}$/).required(),
+            otherwise: Joi.optional()
+        })
     })
 };
 
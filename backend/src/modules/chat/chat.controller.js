@@ -7,6 +7,7 @@ const database = require('../../config/database');
 const logger = require('../../utils/logger');
 const { ValidationError, NotFoundError, AuthorizationError } = require('../../middlewares/error.middleware');
 const { emitToGroup } = require('../../config/socket');
+const { GROUP_PERMISSIONS } = require('../../utils/constants');
 
 // =====================================================
 // OBTER MENSAGENS DO GRUPO
@@ -109,25 +110,29 @@ const sendMessage = async (req, res) => {
 const deleteMessage = async (req, res) => {
     const { groupId, messageId } = req.params;
 
-    // Verificar permissão (admin do grupo ou autor da mensagem)
+    // Verificar permissão (autor da mensagem, admin ou moderador do grupo)
     const result = await database.transaction(async (client) => {
         // Buscar mensagem
         const message = await client.query(
-            `SELECT cm.user_id, g.admin_id
+            `SELECT cm.user_id, g.admin_id, gm.role
              FROM chat_messages cm
              JOIN groups g ON cm.group_id = g.id
+             LEFT JOIN group_members gm
+                ON gm.group_id = g.id AND gm.user_id = $3 AND gm.is_active = true
              WHERE cm.id = $1 AND cm.group_id = $2`,
-            [messageId, groupId]
+            [messageId, groupId, req.user.id]
         );
 
         if (message.rows.length === 0) {
             throw new NotFoundError('Mensagem não encontrada');
         }
 
-        const { user_id: authorId, admin_id: adminId } = message.rows[0];
+        const { user_id: authorId, admin_id: adminId, role } = message.rows[0];
 
         // Verificar se usuário pode apagar
-        const canDelete = authorId === req.user.id || adminId === req.user.id;
+        const canDelete = authorId === req.user.id ||
+            adminId === req.user.id ||
+            GROUP_PERMISSIONS.MODERATE_CHAT.includes(role);
 
         if (!canDelete) {
             throw new AuthorizationError('Sem permissão para apagar esta mensagem');
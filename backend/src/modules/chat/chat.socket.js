@@ -6,6 +6,7 @@
 const database = require('../../config/database');
 const logger = require('../../utils/logger');
 const { emitToGroup, emitToGroupExcept } = require('../../config/socket');
+const { GROUP_PERMISSIONS } = require('../../utils/constants');
 
 // Mapa para controle de usuários digitando
 const typingUsers = new Map(); // groupId -> Set de userId
@@ -201,11 +202,13 @@ const setupChatHandlers = (socket, io) => {
 
             // Verificar permissão
             const message = await database.query(
-                `SELECT cm.user_id, g.admin_id
+                `SELECT cm.user_id, g.admin_id, gm.role
                  FROM chat_messages cm
                  JOIN groups g ON cm.group_id = g.id
+                 LEFT JOIN group_members gm
+                    ON gm.group_id = g.id AND gm.user_id = $3 AND gm.is_active = true
                  WHERE cm.id = $1 AND cm.group_id = $2`,
-                [messageId, groupId]
+                [messageId, groupId, socket.user.id]
             );
 
             if (message.rows.length === 0) {
@@ -213,8 +216,10 @@ const setupChatHandlers = (socket, io) => {
                 return;
             }
 
-            const { user_id: authorId, admin_id: adminId } = message.rows[0];
-            const canDelete = authorId === socket.user.id || adminId === socket.user.id;
+            const { user_id: authorId, admin_id: adminId, role } = message.rows[0];
+            const canDelete = authorId === socket.user.id ||
+                adminId === socket.user.id ||
+                GROUP_PERMISSIONS.MODERATE_CHAT.includes(role);
 
             if (!canDelete) {
                 socket.emit('error', { message: 'Sem permissão para apagar esta mensagem' });
@@ -3,6 +3,7 @@
 // Gerenciamento de grupos, membros e ciclos de pagamento
 // =====================================================
 
+const crypto = require('crypto');
 const database = require('../../config/database');
 const config = require('../../config/env');
 const logger = require('../../utils/logger');
@@ -12,7 +13,36 @@ const {
     BusinessError,
     AuthorizationError
 } = require('../../middlewares/error.middleware');
-const { emitToGroup } = require('../../config/socket');
+const { emitToGroup, emitToUser } = require('../../config/socket');
+const cycleService = require('../../services/cycle.service');
+const drawService = require('../../services/draw.service');
+const waitlistService = require('../../services/waitlist.service');
+const reputationService = require('../../services/reputation.service');
+const guaranteeService = require('../../services/guarantee.service');
+const settlementService = require('../../services/settlement.service');
+const scheduleService = require('../../services/schedule.service');
+const lifecycleService = require('../../services/lifecycle.service');
+const calendarService = require('../../services/calendar.service');
+const orderService = require('../../services/order.service');
+const membershipService = require('../../services/membership.service');
+const pollService = require('../../services/poll.service');
+const savingsService = require('../../services/savings.service');
+const replacementService = require('../../services/replacement.service');
+const payoutService = require('../../services/payout.service');
+const reportService = require('../../services/report.service');
+const {
+    SYSTEM_LIMITS,
+    GROUP_ROLES,
+    GROUP_VISIBILITY,
+    GUARANTEE_STATUS,
+    BUSINESS_DAY_POLICIES,
+    GROUP_STATUS,
+    GROUP_TYPES,
+    SAVINGS_DISTRIBUTION_REASONS,
+    POLL_STATUS,
+    POLL_ACTIONS,
+    REPLACEMENT_STATUS
+} = require('../../utils/constants');
 
 // =====================================================
 // LISTAR GRUPOS DO USUÁRIO
@@ -21,7 +51,7 @@ const listUserGroups = async (req, res) => {
     const result = await database.query(
         `SELECT
             g.id, g.name, g.description, g.zone, g.city,
-            g.cycle_value, g.frequency, g.max_participants, g.current_participants,
+            g.cycle_value, g.frequency, g.group_type, g.max_participants, g.current_participants,
             g.status, g.created_at,
             u.full_name as admin_name,
             (SELECT COUNT(*) FROM payment_cycles
@@ -100,7 +130,8 @@ const searchGroups = async (req, res) => {
         FROM groups g
         JOIN users u ON g.admin_id = u.id
         LEFT JOIN group_members gm ON g.id = gm.group_id AND gm.user_id = $1
-        WHERE g.status = 'ACTIVE' AND g.current_participants < g.max_participants
+        WHERE g.status = 'RECRUITING' AND g.current_participants < g.max_participants
+            AND g.visibility = 'PUBLIC'
     `;
 
     const params = [req.user.id];
@@ -159,7 +190,8 @@ const searchGroups = async (req, res) => {
     let countQuery = `
         SELECT COUNT(*) as total
         FROM groups g
-        WHERE g.status = 'ACTIVE' AND g.current_participants < g.max_participants
+        WHERE g.status = 'RECRUITING' AND g.current_participants < g.max_participants
+            AND g.visibility = 'PUBLIC'
     `;
 
     if (zone) countQuery += ` AND g.zone ILIKE '%${zone}%'`;
@@ -218,7 +250,8 @@ const getRecommendedGroups = async (req, res) => {
             END as relevance_score
         FROM groups g
         JOIN users u ON g.admin_id = u.id
-        WHERE g.status = 'ACTIVE'
+        WHERE g.status = 'RECRUITING'
+            AND g.visibility = 'PUBLIC'
             AND g.current_participants < g.max_participants
             AND g.id NOT IN (SELECT group_id FROM group_members WHERE user_id = $1)
         ORDER BY relevance_score DESC, g.created_at DESC
@@ -226,10 +259,47 @@ const getRecommendedGroups = async (req, res) => {
         [req.user.id]
     );
 
+    // Favorecer grupos cujos membros têm fiabilidade semelhante à do usuário
+    const userReliability = await reputationService.getReliability(req.user.id);
+    const groupIds = result.rows.map(group => group.id);
+
+    const members = groupIds.length > 0
+        ? await database.query(
+            `SELECT group_id, user_id FROM group_members
+             WHERE group_id = ANY($1::uuid[]) AND is_active = true`,
+            [groupIds]
+        )
+        : { rows: [] };
+
+    const reliability = await reputationService.getReliabilityMap(
+        [...new Set(members.rows.map(member => member.user_id))]
+    );
+
+    const recommended = result.rows.map(group => {
+        const scores = members.rows
+            .filter(member => member.group_id === group.id)
+            .map(member => reliability.get(member.user_id)?.score)
+            .filter(score => score !== null && score !== undefined);
+
+        const averageReliability = scores.length > 0
+            ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+            : null;
+
+        const similar = userReliability?.score !== null && userReliability?.score !== undefined &&
+            averageReliability !== null &&
+            Math.abs(userReliability.score - averageReliability) <= 15;
+
+        return {
+            ...group,
+            average_reliability: averageReliability,
+            relevance_score: group.relevance_score + (similar ? 1 : 0)
+        };
+    }).sort((a, b) => b.relevance_score - a.relevance_score);
+
     res.json({
         success: true,
         data: {
-            recommended: result.rows
+            recommended
         }
     });
 };
@@ -247,10 +317,32 @@ const createGroup = async (req, res) => {
         longitude,
         cycleValue,
         frequency,
+        groupType = 'ROTATING',
+        visibility = GROUP_VISIBILITY.PUBLIC,
+        requiresGuarantor = false,
+        businessDayPolicy = BUSINESS_DAY_POLICIES.FORWARD,
         maxParticipants,
-        paymentDay
+        paymentDay,
+        targetAmount,
+        endDate,
+        draft = false
     } = req.body;
 
+    // Poupança: meta e prazo obrigatórios, prazo no futuro
+    if (groupType === GROUP_TYPES.SAVINGS) {
+        if (!targetAmount || !endDate) {
+            throw new ValidationError('Grupos de poupança precisam de meta (targetAmount) e data de fim (endDate)');
+        }
+
+        if (calendarService.addDays(endDate, 0) !== endDate) {
+            throw new ValidationError('Data de fim inválida');
+        }
+
+        if (endDate <= calendarService.today()) {
+            throw new ValidationError('A data de fim da poupança deve ser posterior a hoje');
+        }
+    }
+
     // Validar limites
     const userGroupsCount = await database.query(
         'SELECT COUNT(*) as count FROM group_members WHERE user_id = $1 AND is_active = true',
@@ -267,14 +359,18 @@ const createGroup = async (req, res) => {
         const group = await client.query(
             `INSERT INTO groups (
                 name, description, admin_id, zone, city,
-                latitude, longitude, cycle_value, frequency,
-                max_participants, payment_day, current_participants
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 1)
-            RETURNING id, created_at`,
+                latitude, longitude, cycle_value, frequency, group_type,
+                visibility, requires_guarantor, business_day_policy,
+                max_participants, payment_day, status, target_amount, end_date, current_participants
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, 1)
+            RETURNING id, status, created_at`,
             [
                 name, description, req.user.id, zone, city,
-                latitude, longitude, cycleValue, frequency,
-                maxParticipants, paymentDay
+                latitude, longitude, cycleValue, frequency, groupType,
+                visibility, requiresGuarantor, businessDayPolicy, maxParticipants, paymentDay,
+                draft ? GROUP_STATUS.DRAFT : GROUP_STATUS.RECRUITING,
+                groupType === GROUP_TYPES.SAVINGS ? targetAmount : null,
+                groupType === GROUP_TYPES.SAVINGS ? endDate : null
             ]
         );
 
@@ -282,8 +378,8 @@ const createGroup = async (req, res) => {
 
         // Adicionar admin como membro
         await client.query(
-            `INSERT INTO group_members (group_id, user_id)
-             VALUES ($1, $2)`,
+            `INSERT INTO group_members (group_id, user_id, role)
+             VALUES ($1, $2, 'ADMIN')`,
             [groupId, req.user.id]
         );
 
@@ -311,11 +407,89 @@ const createGroup = async (req, res) => {
         message: 'Grupo criado com sucesso',
         data: {
             groupId: result.id,
+            status: result.status,
             createdAt: result.created_at
         }
     });
 };
 
+// =====================================================
+// SIMULAR CALENDÁRIO ANTES DE CRIAR O GRUPO
+// =====================================================
+const simulateSchedule = async (req, res) => {
+    const {
+        cycleValue,
+        frequency,
+        participants,
+        paymentDay,
+        groupType = 'ROTATING',
+        businessDayPolicy = BUSINESS_DAY_POLICIES.FORWARD
+    } = req.body;
+
+    const today = calendarService.today();
+    const startDate = req.body.startDate || today;
+
+    if (calendarService.addDays(startDate, 0) !== startDate) {
+        throw new ValidationError('Data de início inválida');
+    }
+
+    if (startDate < today) {
+        throw new ValidationError('A data de início não pode ser anterior a hoje');
+    }
+
+    const simulation = scheduleService.simulate({
+        cycleValue,
+        frequency,
+        participants,
+        paymentDay,
+        startDate,
+        policy: businessDayPolicy,
+        isAuction: groupType === 'AUCTION'
+    });
+
+    res.json({
+        success: true,
+        data: {
+            parameters: {
+                cycleValue,
+                frequency,
+                participants,
+                paymentDay: paymentDay ?? null,
+                startDate,
+                groupType,
+                businessDayPolicy,
+                feeRate: config.fees.groupPayment
+            },
+            ...simulation
+        }
+    });
+};
+
+// =====================================================
+// PUBLICAR GRUPO EM RASCUNHO
+// =====================================================
+const publishGroup = async (req, res) => {
+    const { groupId } = req.params;
+
+    await database.transaction(async (client) => {
+        await lifecycleService.transition(client, groupId, GROUP_STATUS.RECRUITING);
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [req.user.id, 'GROUP_PUBLISHED', 'groups', groupId, JSON.stringify({ status: GROUP_STATUS.RECRUITING })]
+        );
+    });
+
+    logger.info(`Grupo ${groupId} publicado por admin ${req.user.id}`);
+
+    res.json({
+        success: true,
+        message: 'Grupo publicado. Já pode receber membros',
+        data: { groupId, status: GROUP_STATUS.RECRUITING }
+    });
+};
+
 // =====================================================
 // OBTER DETALHES DO GRUPO
 // =====================================================
@@ -332,7 +506,8 @@ const getGroupDetails = async (req, res) => {
                 'id', u.id,
                 'name', u.full_name,
                 'joined_at', gm.joined_at,
-                'is_admin', (u.id = g.admin_id)
+                'is_admin', (u.id = g.admin_id),
+                'role', CASE WHEN u.id = g.admin_id THEN 'ADMIN' ELSE gm.role END
             )) FROM group_members gm
             JOIN users u ON gm.user_id = u.id
             WHERE gm.group_id = g.id AND gm.is_active = true) as members,
@@ -344,7 +519,9 @@ const getGroupDetails = async (req, res) => {
             CASE
                 WHEN g.admin_id = $2 THEN true
                 ELSE false
-            END as is_admin
+            END as is_admin,
+            (SELECT auto_pay_enabled FROM group_members
+             WHERE group_id = g.id AND user_id = $2 AND is_active = true) as auto_pay_enabled
          FROM groups g
          JOIN users u ON g.admin_id = u.id
          WHERE g.id = $1`,
@@ -357,6 +534,11 @@ const getGroupDetails = async (req, res) => {
 
     const group = result.rows[0];
 
+    // Grupos privados não são visíveis a quem não é membro
+    if (group.visibility === GROUP_VISIBILITY.PRIVATE && !group.is_member) {
+        throw new NotFoundError('Grupo não encontrado');
+    }
+
     // Buscar ciclo atual
     const currentCycle = await database.query(
         `SELECT
@@ -397,9 +579,20 @@ const getGroupDetails = async (req, res) => {
                 longitude: group.longitude,
                 cycleValue: parseFloat(group.cycle_value),
                 frequency: group.frequency,
+                groupType: group.group_type,
+                visibility: group.visibility,
+                requiresGuarantor: group.requires_guarantor,
+                removalRequiresVote: group.removal_requires_vote,
+                paymentDay: group.payment_day,
+                businessDayPolicy: group.business_day_policy,
                 maxParticipants: group.max_participants,
                 currentParticipants: parseInt(group.members_count),
                 status: group.status,
+                currentRound: group.current_round,
+                completedAt: group.completed_at,
+                targetAmount: group.target_amount !== null ? parseFloat(group.target_amount) : null,
+                endDate: group.end_date ? calendarService.toDateString(group.end_date) : null,
+                savingsBalance: group.group_type === GROUP_TYPES.SAVINGS ? parseFloat(group.savings_balance) : null,
                 createdAt: group.created_at,
                 admin: {
                     id: group.admin_id,
@@ -408,6 +601,7 @@ const getGroupDetails = async (req, res) => {
                 },
                 isMember: group.is_member,
                 isAdmin: group.is_admin,
+                autoPay: !!group.auto_pay_enabled,
                 members: group.members || []
             },
             currentCycle: currentCycle.rows[0] || null,
@@ -424,7 +618,10 @@ const updateGroup = async (req, res) => {
     const updates = req.body;
 
     // Construir query dinamicamente
-    const allowedUpdates = ['name', 'description', 'zone', 'city', 'maxParticipants'];
+    const allowedUpdates = [
+        'name', 'description', 'zone', 'city', 'maxParticipants', 'swapRequiresApproval', 'visibility', 'requiresGuarantor',
+        'businessDayPolicy', 'cycleValue', 'frequency', 'paymentDay', 'removalRequiresVote'
+    ];
     const updateFields = [];
     const values = [];
     let paramCount = 1;
@@ -433,6 +630,12 @@ const updateGroup = async (req, res) => {
         if (allowedUpdates.includes(key)) {
             let dbField = key;
             if (key === 'maxParticipants') dbField = 'max_participants';
+            if (key === 'swapRequiresApproval') dbField = 'swap_requires_approval';
+            if (key === 'requiresGuarantor') dbField = 'requires_guarantor';
+            if (key === 'businessDayPolicy') dbField = 'business_day_policy';
+            if (key === 'cycleValue') dbField = 'cycle_value';
+            if (key === 'paymentDay') dbField = 'payment_day';
+            if (key === 'removalRequiresVote') dbField = 'removal_requires_vote';
 
             updateFields.push(`${dbField} = $${paramCount}`);
             values.push(updates[key]);
@@ -447,17 +650,72 @@ const updateGroup = async (req, res) => {
     updateFields.push('updated_at = NOW()');
     values.push(groupId);
 
-    const result = await database.query(
-        `UPDATE groups
-         SET ${updateFields.join(', ')}
-         WHERE id = $${paramCount} AND admin_id = $${paramCount + 1}
-         RETURNING id`,
-        [...values, req.user.id]
-    );
+    const offers = await database.transaction(async (client) => {
+        const group = await client.query(
+            'SELECT status, frequency, payment_day, removal_requires_vote FROM groups WHERE id = $1 FOR UPDATE',
+            [groupId]
+        );
 
-    if (result.rows.length === 0) {
-        throw new NotFoundError('Grupo não encontrado ou você não é admin');
-    }
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        const current = group.rows[0];
+
+        // Valor, frequência e participantes ficam fixos a partir do início dos ciclos
+        lifecycleService.assertCanUpdate(current, Object.keys(updates));
+
+        // Dispensar a votação nas remoções é decidido pelo grupo (votação UPDATE_TERMS)
+        if (updates.removalRequiresVote === false && current.removal_requires_vote) {
+            throw new BusinessError('Dispensar a votação nas remoções exige a aprovação do grupo. Abra uma votação');
+        }
+
+        if (updates.frequency !== undefined || updates.paymentDay !== undefined) {
+            lifecycleService.assertPaymentDay(
+                updates.frequency || current.frequency,
+                updates.paymentDay !== undefined ? updates.paymentDay : current.payment_day
+            );
+        }
+
+        const result = await client.query(
+            `UPDATE groups
+             SET ${updateFields.join(', ')}
+             WHERE id = $${paramCount}
+             RETURNING id, max_participants, current_participants`,
+            values
+        );
+
+        if (updates.removalRequiresVote !== undefined && updates.removalRequiresVote !== current.removal_requires_vote) {
+            await client.query(
+                `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [
+                    req.user.id,
+                    'REMOVAL_VOTE_SETTING_CHANGED',
+                    'groups',
+                    groupId,
+                    JSON.stringify({ removalRequiresVote: updates.removalRequiresVote })
+                ]
+            );
+        }
+
+        if (updates.maxParticipants === undefined) {
+            return [];
+        }
+
+        const groupData = result.rows[0];
+
+        if (groupData.max_participants < groupData.current_participants) {
+            throw new ValidationError('O máximo de participantes não pode ser inferior ao número atual de membros');
+        }
+
+        // Novas vagas reabrem o grupo (RECRUITING) e são oferecidas à lista de espera
+        await lifecycleService.syncCapacity(client, groupId);
+
+        return waitlistService.offerSeats(client, groupId);
+    });
+
+    notifyWaitlistOffers(offers);
 
     logger.info(`Grupo ${groupId} atualizado por admin ${req.user.id}`);
 
@@ -472,13 +730,11 @@ const updateGroup = async (req, res) => {
 // =====================================================
 const joinGroup = async (req, res) => {
     const { groupId } = req.params;
+    const { inviteCode } = req.body;
 
     await database.transaction(async (client) => {
-        // Verificar se grupo existe e tem vaga
         const group = await client.query(
-            `SELECT id, max_participants, current_participants, status
-             FROM groups
-             WHERE id = $1 FOR UPDATE`,
+            'SELECT visibility FROM groups WHERE id = $1',
             [groupId]
         );
 
@@ -486,65 +742,27 @@ const joinGroup = async (req, res) => {
             throw new NotFoundError('Grupo não encontrado');
         }
 
-        const groupData = group.rows[0];
-
-        if (groupData.status !== 'ACTIVE') {
-            throw new BusinessError('Grupo não está ativo');
-        }
-
-        if (groupData.current_participants >= groupData.max_participants) {
-            throw new BusinessError('Grupo já atingiu o número máximo de participantes');
-        }
-
-        // Verificar se já é membro
-        const existing = await client.query(
-            'SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2',
-            [groupId, req.user.id]
-        );
+        const { visibility } = group.rows[0];
 
-        if (existing.rows.length > 0) {
-            throw new BusinessError('Você já é membro deste grupo');
+        // Grupos não públicos só aceitam adesão direta com convite válido
+        if (inviteCode) {
+            await consumeInvite(client, groupId, inviteCode);
+        } else if (visibility === GROUP_VISIBILITY.PRIVATE) {
+            throw new AuthorizationError('Este grupo é privado. A adesão é apenas por convite');
+        } else if (visibility === GROUP_VISIBILITY.UNLISTED) {
+            throw new BusinessError('Este grupo requer aprovação do admin. Envie um pedido de adesão');
         }
 
-        // Verificar limite de grupos do usuário
-        const userGroups = await client.query(
-            'SELECT COUNT(*) as count FROM group_members WHERE user_id = $1 AND is_active = true',
-            [req.user.id]
-        );
-
-        if (parseInt(userGroups.rows[0].count) >= 10) {
-            throw new BusinessError('Você atingiu o limite máximo de 10 grupos');
-        }
+        await addMemberToGroup(client, groupId, req.user.id);
 
-        // Adicionar membro
+        // Um pedido de adesão pendente deixa de fazer sentido
         await client.query(
-            `INSERT INTO group_members (group_id, user_id)
-             VALUES ($1, $2)`,
+            `UPDATE group_join_requests
+             SET status = 'CANCELLED'
+             WHERE group_id = $1 AND user_id = $2 AND status = 'PENDING'`,
             [groupId, req.user.id]
         );
 
-        // Adicionar à ordem (posição será sorteada depois)
-        const orderCount = await client.query(
-            'SELECT COUNT(*) as count FROM cycle_order WHERE group_id = $1',
-            [groupId]
-        );
-
-        const nextPosition = parseInt(orderCount.rows[0].count) + 1;
-
-        await client.query(
-            `INSERT INTO cycle_order (group_id, user_id, position)
-             VALUES ($1, $2, $3)`,
-            [groupId, req.user.id, nextPosition]
-        );
-
-        // Atualizar contagem no grupo
-        await client.query(
-            `UPDATE groups
-             SET current_participants = current_participants + 1
-             WHERE id = $1`,
-            [groupId]
-        );
-
         // Log
         logger.info(`Usuário ${req.user.id} entrou no grupo ${groupId}`);
     });
@@ -562,6 +780,132 @@ const joinGroup = async (req, res) => {
     });
 };
 
+/**
+ * Validar e consumir um código de convite do grupo
+ */
+const consumeInvite = async (client, groupId, inviteCode) => {
+    const invite = await client.query(
+        `SELECT id, max_uses, uses_count, expires_at, revoked_at
+         FROM group_invites
+         WHERE code = $1 AND group_id = $2
+         FOR UPDATE`,
+        [inviteCode.toUpperCase(), groupId]
+    );
+
+    if (invite.rows.length === 0) {
+        throw new NotFoundError('Convite não encontrado');
+    }
+
+    const inviteData = invite.rows[0];
+
+    if (inviteData.revoked_at) {
+        throw new BusinessError('Este convite foi revogado');
+    }
+
+    if (new Date(inviteData.expires_at) <= new Date()) {
+        throw new BusinessError('Este convite expirou');
+    }
+
+    if (inviteData.max_uses !== null && inviteData.uses_count >= inviteData.max_uses) {
+        throw new BusinessError('Este convite atingiu o número máximo de utilizações');
+    }
+
+    await client.query(
+        'UPDATE group_invites SET uses_count = uses_count + 1 WHERE id = $1',
+        [inviteData.id]
+    );
+};
+
+/**
+ * Adicionar membro ao grupo (vaga, limites e posição na ordem)
+ */
+const addMemberToGroup = async (client, groupId, userId) => {
+    // Verificar se grupo existe e tem vaga
+    const group = await client.query(
+        `SELECT id, max_participants, current_participants, status, requires_guarantor
+         FROM groups
+         WHERE id = $1 FOR UPDATE`,
+        [groupId]
+    );
+
+    if (group.rows.length === 0) {
+        throw new NotFoundError('Grupo não encontrado');
+    }
+
+    const groupData = group.rows[0];
+
+    lifecycleService.assertStatus(groupData, [GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL], 'entrar no grupo');
+
+    // Grupos com fiança obrigatória exigem um fiador que já tenha aceitado
+    if (groupData.requires_guarantor) {
+        const guarantee = await client.query(
+            `SELECT id FROM group_guarantees
+             WHERE group_id = $1 AND member_id = $2 AND status = $3`,
+            [groupId, userId, GUARANTEE_STATUS.ACTIVE]
+        );
+
+        if (guarantee.rows.length === 0) {
+            throw new BusinessError('Este grupo exige um fiador. Indique um fiador e aguarde a sua aceitação');
+        }
+    }
+
+    // Vagas oferecidas à lista de espera ficam reservadas até expirarem
+    const reserved = await waitlistService.countReservedSeats(client, groupId, userId);
+
+    if (groupData.current_participants + reserved >= groupData.max_participants) {
+        throw new BusinessError('Grupo já atingiu o número máximo de participantes. Entre na lista de espera');
+    }
+
+    // Verificar se já é membro
+    const existing = await client.query(
+        'SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2',
+        [groupId, userId]
+    );
+
+    if (existing.rows.length > 0) {
+        throw new BusinessError('Você já é membro deste grupo');
+    }
+
+    // Verificar limite de grupos do usuário
+    const userGroups = await client.query(
+        'SELECT COUNT(*) as count FROM group_members WHERE user_id = $1 AND is_active = true',
+        [userId]
+    );
+
+    if (parseInt(userGroups.rows[0].count) >= 10) {
+        throw new BusinessError('Você atingiu o limite máximo de 10 grupos');
+    }
+
+    // Adicionar membro
+    await client.query(
+        `INSERT INTO group_members (group_id, user_id)
+         VALUES ($1, $2)`,
+        [groupId, userId]
+    );
+
+    // Adicionar à ordem (posição será sorteada depois)
+    const orderCount = await client.query(
+        'SELECT COUNT(*) as count FROM cycle_order WHERE group_id = $1',
+        [groupId]
+    );
+
+    const nextPosition = parseInt(orderCount.rows[0].count) + 1;
+
+    await client.query(
+        `INSERT INTO cycle_order (group_id, user_id, position)
+         VALUES ($1, $2, $3)`,
+        [groupId, userId, nextPosition]
+    );
+
+    // Atualizar contagem no grupo
+    await client.query(
+        `UPDATE groups
+         SET current_participants = current_participants + 1
+         WHERE id = $1`,
+        [groupId]
+    );
+};
+
 // =====================================================
 // SAIR DO GRUPO
 // =====================================================
@@ -569,10 +913,10 @@ const leaveGroup = async (req, res) => {
     const { groupId } = req.params;
     const { reason } = req.body;
 
-    await database.transaction(async (client) => {
+    const { offers, schedule, ...settlement } = await database.transaction(async (client) => {
         // Verificar se é admin
         const group = await client.query(
-            'SELECT admin_id FROM groups WHERE id = $1',
+            'SELECT admin_id, status FROM groups WHERE id = $1',
             [groupId]
         );
 
@@ -584,41 +928,17 @@ const leaveGroup = async (req, res) => {
             throw new BusinessError('O administrador não pode sair do grupo. Cancele o grupo ou transfira admin.');
         }
 
-        // Verificar se há pagamentos pendentes
-        const pending = await client.query(
-            `SELECT id FROM payment_cycles
-             WHERE group_id = $1 AND beneficiary_id = $2 AND status = 'PENDING'`,
-            [groupId, req.user.id]
+        lifecycleService.assertStatus(
+            group.rows[0],
+            [GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL, GROUP_STATUS.RUNNING],
+            'sair do grupo'
         );
 
-        if (pending.rows.length > 0) {
+        // Ciclo a receber já em curso impede a saída; ciclos futuros são reprogramados
+        if (await membershipService.hasCycleInProgress(client, groupId, req.user.id)) {
             throw new BusinessError('Você tem um pagamento pendente como beneficiário. Não é possível sair agora.');
         }
 
-        // Remover membro (soft delete)
-        await client.query(
-            `UPDATE group_members
-             SET is_active = false, left_at = NOW()
-             WHERE group_id = $1 AND user_id = $2`,
-            [groupId, req.user.id]
-        );
-
-        // Desativar na ordem
-        await client.query(
-            `UPDATE cycle_order
-             SET is_active = false
-             WHERE group_id = $1 AND user_id = $2`,
-            [groupId, req.user.id]
-        );
-
-        // Atualizar contagem no grupo
-        await client.query(
-            `UPDATE groups
-             SET current_participants = current_participants - 1
-             WHERE id = $1`,
-            [groupId]
-        );
-
         // Registrar penalidade se aplicável
         if (reason) {
             await client.query(
@@ -630,8 +950,18 @@ const leaveGroup = async (req, res) => {
         }
 
         logger.info(`Usuário ${req.user.id} saiu do grupo ${groupId}`);
+
+        // Acerto de contas como na remoção pelo admin, sem multa: o que contribuiu a mais
+        // é pago pelo fundo do grupo e o que recebeu a mais é cobrado da carteira
+        return membershipService.removeWithSettlement(client, groupId, req.user.id, {
+            removedBy: req.user.id,
+            reason
+        });
     });
 
+    notifyWaitlistOffers(offers);
+    notifyScheduleUpdate(groupId, schedule);
+
     // Notificar via WebSocket
     emitToGroup(groupId, 'group:member_left', {
         groupId,
@@ -642,41 +972,160 @@ const leaveGroup = async (req, res) => {
 
     res.json({
         success: true,
-        message: 'Você saiu do grupo com sucesso'
+        message: 'Você saiu do grupo com sucesso',
+        data: settlement
     });
 };
 
 // =====================================================
-// LISTAR MEMBROS DO GRUPO
+// REMOVER MEMBRO (ADMIN)
 // =====================================================
-const listMembers = async (req, res) => {
-    const { groupId } = req.params;
+const removeMember = async (req, res) => {
+    const { groupId, userId } = req.params;
+    const { reason, penaltyAmount = 0, closesAt } = req.body;
 
-    const result = await database.query(
-        `SELECT
-            u.id, u.full_name, u.email,
-            gm.joined_at, gm.is_active, gm.penalty_count,
-            CASE WHEN g.admin_id = u.id THEN true ELSE false END as is_admin,
-            co.position as order_position
-         FROM group_members gm
-         JOIN users u ON gm.user_id = u.id
-         JOIN groups g ON gm.group_id = g.id
-         LEFT JOIN cycle_order co ON gm.group_id = co.group_id AND gm.user_id = co.user_id
-         WHERE gm.group_id = $1 AND gm.is_active = true
-         ORDER BY
-            CASE WHEN g.admin_id = u.id THEN 0 ELSE 1 END,
-            co.position ASC NULLS LAST,
-            gm.joined_at ASC`,
-        [groupId]
-    );
+    if (userId === req.user.id) {
+        throw new ValidationError('O administrador não pode remover-se a si próprio');
+    }
 
-    res.json({
-        success: true,
-        data: {
-            members: result.rows,
-            total: result.rows.length
-        }
-    });
+    const result = await database.transaction(async (client) => {
+        const group = await client.query(
+            'SELECT removal_requires_vote FROM groups WHERE id = $1',
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        if (!group.rows[0].removal_requires_vote) {
+            return {
+                removal: await membershipService.removeWithSettlement(client, groupId, userId, {
+                    removedBy: req.user.id,
+                    reason,
+                    penaltyAmount
+                })
+            };
+        }
+
+        // O grupo decide: a remoção fica pendente de uma votação vinculativa
+        const member = await client.query(
+            'SELECT full_name FROM users WHERE id = $1',
+            [userId]
+        );
+
+        if (member.rows.length === 0) {
+            throw new NotFoundError('Membro não encontrado');
+        }
+
+        return {
+            poll: await pollService.create(client, groupId, req.user.id, {
+                question: `Remover ${member.rows[0].full_name} do grupo?`,
+                description: reason,
+                closesAt: closesAt || new Date(Date.now() + SYSTEM_LIMITS.REMOVAL_VOTE_DEFAULT_HOURS * 60 * 60 * 1000),
+                actionType: POLL_ACTIONS.REMOVE_MEMBER,
+                actionPayload: { userId, reason, penaltyAmount }
+            })
+        };
+    });
+
+    if (result.poll) {
+        emitToGroup(groupId, 'group:poll_created', { groupId, ...result.poll });
+
+        return res.status(202).json({
+            success: true,
+            message: 'A remoção exige a aprovação do grupo. Votação aberta',
+            data: {
+                status: POLL_STATUS.OPEN,
+                ...result.poll
+            }
+        });
+    }
+
+    const { schedule, offers, ...settlement } = result.removal;
+
+    logger.info(`Usuário ${userId} removido do grupo ${groupId} pelo admin ${req.user.id}`);
+
+    notifyWaitlistOffers(offers);
+    notifyScheduleUpdate(groupId, schedule);
+    notifyMemberRemoval(groupId, userId, settlement);
+
+    res.json({
+        success: true,
+        message: 'Membro removido do grupo',
+        data: {
+            userId,
+            reason,
+            ...settlement
+        }
+    });
+};
+
+/**
+ * Notificar o grupo e o membro removido (decisão do admin ou votação) do acerto de contas
+ */
+const notifyMemberRemoval = (groupId, userId, removal, pollId = null) => {
+    emitToGroup(groupId, 'group:member_removed', {
+        groupId,
+        userId,
+        pollId
+    });
+
+    emitToUser(userId, 'group:member_removed', {
+        groupId,
+        pollId,
+        penaltyAmount: removal.penaltyAmount,
+        clawedBack: removal.clawedBack,
+        credited: removal.credited,
+        shortfall: removal.shortfall,
+        unpaidCredit: removal.unpaidCredit
+    });
+};
+
+// =====================================================
+// LISTAR MEMBROS DO GRUPO
+// =====================================================
+const listMembers = async (req, res) => {
+    const { groupId } = req.params;
+
+    const result = await database.query(
+        `SELECT
+            u.id, u.full_name, u.email,
+            gm.joined_at, gm.is_active, gm.penalty_count,
+            gm.missed_count, gm.is_suspended, gm.suspended_at,
+            (SELECT COALESCE(SUM(mp.fee_amount), 0) FROM member_penalties mp
+             WHERE mp.group_id = gm.group_id AND mp.user_id = gm.user_id
+               AND mp.fee_status = 'PAID') as late_fees_paid,
+            (SELECT COALESCE(SUM(mp.fee_amount), 0) FROM member_penalties mp
+             WHERE mp.group_id = gm.group_id AND mp.user_id = gm.user_id
+               AND mp.fee_status = 'OUTSTANDING') as late_fees_outstanding,
+            CASE WHEN g.admin_id = u.id THEN true ELSE false END as is_admin,
+            CASE WHEN g.admin_id = u.id THEN 'ADMIN' ELSE gm.role END as role,
+            co.position as order_position
+         FROM group_members gm
+         JOIN users u ON gm.user_id = u.id
+         JOIN groups g ON gm.group_id = g.id
+         LEFT JOIN cycle_order co ON gm.group_id = co.group_id AND gm.user_id = co.user_id
+         WHERE gm.group_id = $1 AND gm.is_active = true
+         ORDER BY
+            CASE WHEN g.admin_id = u.id THEN 0 ELSE 1 END,
+            co.position ASC NULLS LAST,
+            gm.joined_at ASC`,
+        [groupId]
+    );
+
+    const reliability = await reputationService.getReliabilityMap(result.rows.map(member => member.id));
+
+    res.json({
+        success: true,
+        data: {
+            members: result.rows.map(member => ({
+                ...member,
+                reliability: reliability.get(member.id) || null
+            })),
+            total: result.rows.length
+        }
+    });
 };
 
 // =====================================================
@@ -687,12 +1136,38 @@ const listCycles = async (req, res) => {
 
     const result = await database.query(
         `SELECT
-            pc.id, pc.cycle_number, pc.amount, pc.due_date,
+            pc.id, pc.cycle_number, pc.round_number, pc.amount, pc.due_date,
             pc.paid_at, pc.status,
             u.id as beneficiary_id,
             u.full_name as beneficiary_name,
             t.id as transaction_id,
-            t.reference as transaction_reference
+            t.reference as transaction_reference,
+            t.net_amount as payout_amount,
+            (SELECT COALESCE(json_agg(json_build_object(
+                'userId', cc.user_id,
+                'name', cu.full_name,
+                'amount', cc.amount,
+                'paidAt', cc.paid_at,
+                'transactionId', cc.transaction_id
+            ) ORDER BY cc.paid_at), '[]'::json)
+             FROM cycle_contributions cc
+             JOIN users cu ON cc.user_id = cu.id
+             WHERE cc.cycle_id = pc.id AND cc.status = 'PAID') as paid_contributions,
+            CASE WHEN pc.status = 'PENDING' THEN
+                (SELECT COALESCE(json_agg(json_build_object(
+                    'userId', mu.id,
+                    'name', mu.full_name
+                ) ORDER BY mu.full_name), '[]'::json)
+                 FROM group_members gm
+                 JOIN users mu ON gm.user_id = mu.id
+                 WHERE gm.group_id = pc.group_id
+                   AND gm.is_active = true
+                   AND gm.user_id != pc.beneficiary_id
+                   AND NOT EXISTS (
+                       SELECT 1 FROM cycle_contributions cc
+                       WHERE cc.cycle_id = pc.id AND cc.user_id = gm.user_id AND cc.status = 'PAID'
+                   ))
+            ELSE '[]'::json END as outstanding_members
          FROM payment_cycles pc
          JOIN users u ON pc.beneficiary_id = u.id
          LEFT JOIN transactions t ON pc.transaction_id = t.id
@@ -701,6 +1176,17 @@ const listCycles = async (req, res) => {
         [groupId]
     );
 
+    const cycles = result.rows.map(({ paid_contributions: paid, outstanding_members: outstanding, ...cycle }) => ({
+        ...cycle,
+        payout_amount: cycle.payout_amount !== null ? parseFloat(cycle.payout_amount) : null,
+        contributions: {
+            paid,
+            outstanding,
+            paidCount: paid.length,
+            outstandingCount: outstanding.length
+        }
+    }));
+
     // Calcular totais
     const totals = {
         total: result.rows.length,
@@ -710,13 +1196,15 @@ const listCycles = async (req, res) => {
         totalAmount: result.rows.reduce((sum, c) => sum + parseFloat(c.amount), 0),
         paidAmount: result.rows
             .filter(c => c.status === 'PAID')
-            .reduce((sum, c) => sum + parseFloat(c.amount), 0)
+            .reduce((sum, c) => sum + parseFloat(c.amount), 0),
+        contributionsPaid: cycles.reduce((sum, c) => sum + c.contributions.paidCount, 0),
+        contributionsOutstanding: cycles.reduce((sum, c) => sum + c.contributions.outstandingCount, 0)
     };
 
     res.json({
         success: true,
         data: {
-            cycles: result.rows,
+            cycles,
             summary: totals
         }
     });
@@ -755,15 +1243,13 @@ const getCurrentCycle = async (req, res) => {
     // Verificar se o usuário atual é o beneficiário
     const isBeneficiary = cycle.beneficiary_id === req.user.id;
 
-    // Buscar contribuições já feitas para este ciclo
-    const contributions = await database.query(
-        `SELECT
-            COUNT(*) as paid_count,
-            COALESCE(SUM(t.amount), 0) as total_paid
-         FROM transactions t
-         WHERE t.metadata->>'cycleId' = $1 AND t.status = 'COMPLETED'`,
-        [cycle.id]
-    );
+    // Buscar contribuições já feitas e membros em falta neste ciclo
+    const contributions = await cycleService.getContributionStatus(database, cycle);
+
+    const totalPaid = contributions.paid.reduce((sum, c) => sum + parseFloat(c.amount), 0);
+    const totalFees = contributions.paid.reduce((sum, c) => sum + parseFloat(c.fee), 0);
+    const expected = contributions.paid.length + contributions.outstanding.length;
+    const cycleAmount = parseFloat(cycle.amount);
 
     res.json({
         success: true,
@@ -781,9 +1267,43 @@ const getCurrentCycle = async (req, res) => {
                     isCurrentUser: isBeneficiary
                 },
                 progress: {
-                    paid: parseInt(contributions.rows[0].paid_count),
-                    total: parseInt(cycle.cycle_number), // Apenas exemplo
-                    totalPaid: parseFloat(contributions.rows[0].total_paid)
+                    paid: contributions.paid.length,
+                    total: expected,
+                    outstanding: contributions.outstanding.length,
+                    totalPaid,
+                    totalExpected: cycleAmount * expected
+                },
+                contributions: {
+                    paid: contributions.paid.map(c => ({
+                        userId: c.user_id,
+                        name: c.user_name,
+                        amount: parseFloat(c.amount),
+                        paidAt: c.paid_at,
+                        transactionId: c.transaction_id,
+                        isCurrentUser: c.user_id === req.user.id
+                    })),
+                    outstanding: contributions.outstanding.map(m => ({
+                        userId: m.user_id,
+                        name: m.user_name,
+                        amount: cycleAmount,
+                        isCurrentUser: m.user_id === req.user.id
+                    }))
+                },
+                auction: cycle.bidding_closes_at ? {
+                    biddingOpensAt: cycle.bidding_opens_at,
+                    biddingClosesAt: cycle.bidding_closes_at,
+                    isOpen: !cycle.auction_closed_at,
+                    closedAt: cycle.auction_closed_at,
+                    discount: parseFloat(cycle.discount_amount || 0)
+                } : null,
+                payout: {
+                    // O beneficiário é creditado quando o último membro em falta paga
+                    triggersWhen: 'ALL_CONTRIBUTIONS_PAID',
+                    remainingContributions: contributions.outstanding.length,
+                    willTriggerOnNextPayment: contributions.outstanding.length === 1,
+                    estimatedAmount: (cycleAmount * expected) * (1 - config.fees.groupPayment) -
+                        parseFloat(cycle.discount_amount || 0),
+                    currentPooled: totalPaid - totalFees
                 }
             }
         }
@@ -836,6 +1356,8 @@ const setFirstBeneficiary = async (req, res) => {
     const { beneficiaryId } = req.body;
 
     await database.transaction(async (client) => {
+        await assertCanStart(client, groupId);
+
         // Verificar se beneficiário é membro
         const member = await client.query(
             'SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2',
@@ -846,14 +1368,19 @@ const setFirstBeneficiary = async (req, res) => {
             throw new ValidationError('Beneficiário não é membro do grupo');
         }
 
-        // Verificar se já existem ciclos
-        const cycles = await client.query(
-            'SELECT id FROM payment_cycles WHERE group_id = $1',
+        // Verificar se já existem ciclos na ronda atual
+        if (await cycleService.hasCycles(client, groupId)) {
+            throw new BusinessError('Os ciclos já foram gerados');
+        }
+
+        // Não permitir alterar a ordem com um sorteio em andamento
+        const pendingDraw = await client.query(
+            `SELECT id FROM order_draws WHERE group_id = $1 AND status = 'COMMITTED'`,
             [groupId]
         );
 
-        if (cycles.rows.length > 0) {
-            throw new BusinessError('Os ciclos já foram gerados');
+        if (pendingDraw.rows.length > 0) {
+            throw new BusinessError('Há um sorteio em andamento. Revele o sorteio para definir a ordem');
         }
 
         // Reordenar ordem para colocar beneficiário como primeiro
@@ -884,300 +1411,4155 @@ const setFirstBeneficiary = async (req, res) => {
 };
 
 // =====================================================
-// PAGAR CICLO ATUAL
+// PEDIR TROCA DE POSIÇÃO
 // =====================================================
-const payCycle = async (req, res) => {
+const createSwapRequest = async (req, res) => {
     const { groupId } = req.params;
-    const { pin } = req.body;
+    const { counterpartId, reason } = req.body;
+
+    if (counterpartId === req.user.id) {
+        throw new ValidationError('Não é possível trocar de posição consigo mesmo');
+    }
 
     const result = await database.transaction(async (client) => {
-        // Buscar ciclo atual
-        const cycle = await client.query(
-            `SELECT pc.*, g.cycle_value, g.name as group_name
-             FROM payment_cycles pc
-             JOIN groups g ON pc.group_id = g.id
-             WHERE pc.group_id = $1 AND pc.status = 'PENDING'
-             ORDER BY pc.due_date ASC
-             LIMIT 1
-             FOR UPDATE`,
+        await assertNotSuspended(client, groupId, req.user.id);
+
+        const group = await client.query(
+            'SELECT swap_requires_approval FROM groups WHERE id = $1',
             [groupId]
         );
 
-        if (cycle.rows.length === 0) {
-            throw new NotFoundError('Nenhum ciclo pendente encontrado');
+        const positions = await orderService.getSwappablePositions(client, groupId, req.user.id, counterpartId);
+
+        // Evitar pedidos duplicados entre os mesmos membros
+        const existing = await client.query(
+            `SELECT id FROM order_swap_requests
+             WHERE group_id = $1
+               AND status IN ('PENDING', 'AWAITING_ADMIN')
+               AND ((requester_id = $2 AND counterpart_id = $3) OR (requester_id = $3 AND counterpart_id = $2))`,
+            [groupId, req.user.id, counterpartId]
+        );
+
+        if (existing.rows.length > 0) {
+            throw new BusinessError('Já existe um pedido de troca em aberto entre estes membros');
         }
 
-        const cycleData = cycle.rows[0];
+        const swap = await client.query(
+            `INSERT INTO order_swap_requests (
+                group_id, requester_id, counterpart_id,
+                requester_position, counterpart_position, reason, requires_admin_approval
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id, created_at`,
+            [
+                groupId,
+                req.user.id,
+                counterpartId,
+                positions.requester,
+                positions.counterpart,
+                reason || null,
+                group.rows[0].swap_requires_approval
+            ]
+        );
+
+        return {
+            id: swap.rows[0].id,
+            requesterPosition: positions.requester,
+            counterpartPosition: positions.counterpart,
+            requiresAdminApproval: group.rows[0].swap_requires_approval,
+            createdAt: swap.rows[0].created_at
+        };
+    });
+
+    logger.info(`Pedido de troca ${result.id} no grupo ${groupId}: ${req.user.id} -> ${counterpartId}`);
 
-        // Verificar se o usuário é o beneficiário (não pode pagar para si mesmo)
-        if (cycleData.beneficiary_id === req.user.id) {
-            throw new BusinessError('Você não pode pagar para si mesmo');
+    emitToUser(counterpartId, 'group:swap_requested', {
+        groupId,
+        requestId: result.id,
+        requesterId: req.user.id,
+        requesterName: req.user.name,
+        requesterPosition: result.requesterPosition,
+        counterpartPosition: result.counterpartPosition,
+        reason: reason || null
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Pedido de troca enviado',
+        data: {
+            requestId: result.id,
+            status: 'PENDING',
+            ...result
         }
+    });
+};
 
-        // Calcular taxa do grupo
-        const fee = cycleData.amount * config.fees.groupPayment;
-        const totalToPay = cycleData.amount;
+// =====================================================
+// LISTAR PEDIDOS DE TROCA
+// =====================================================
+const listSwapRequests = async (req, res) => {
+    const { groupId } = req.params;
+    const { status } = req.query;
 
-        // Verificar saldo
-        const wallet = await client.query(
-            'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
-            [req.user.id]
-        );
+    const params = [groupId];
+    let statusFilter = '';
+
+    if (status) {
+        statusFilter = ' AND s.status = $2';
+        params.push(status);
+    }
 
-        const balance = parseFloat(wallet.rows[0].available_balance);
+    const result = await database.query(
+        `SELECT
+            s.id, s.status, s.reason, s.requires_admin_approval,
+            s.requester_position, s.counterpart_position,
+            s.created_at, s.responded_at, s.reviewed_at, s.completed_at,
+            s.requester_id, ru.full_name as requester_name,
+            s.counterpart_id, cu.full_name as counterpart_name
+         FROM order_swap_requests s
+         JOIN users ru ON s.requester_id = ru.id
+         JOIN users cu ON s.counterpart_id = cu.id
+         WHERE s.group_id = $1${statusFilter}
+         ORDER BY s.created_at DESC`,
+        params
+    );
 
-        if (balance < totalToPay) {
-            throw new BusinessError(`Saldo insuficiente. Necessário: ${totalToPay} KZ`);
+    res.json({
+        success: true,
+        data: {
+            requests: result.rows.map(s => ({
+                id: s.id,
+                status: s.status,
+                reason: s.reason,
+                requiresAdminApproval: s.requires_admin_approval,
+                requester: {
+                    id: s.requester_id,
+                    name: s.requester_name,
+                    position: s.requester_position
+                },
+                counterpart: {
+                    id: s.counterpart_id,
+                    name: s.counterpart_name,
+                    position: s.counterpart_position
+                },
+                createdAt: s.created_at,
+                respondedAt: s.responded_at,
+                reviewedAt: s.reviewed_at,
+                completedAt: s.completed_at
+            }))
         }
+    });
+};
 
-        // Registrar transação de pagamento
-        const transaction = await client.query(
-            `INSERT INTO transactions (
-                user_id, wallet_id, transaction_type, amount, fee, net_amount,
-                balance_before, balance_after, status, description, metadata
-            ) VALUES (
-                $1, (SELECT id FROM wallets WHERE user_id = $1),
-                'GROUP_PAYMENT', $2, $3, -$2, $4, $4 - $2, 'COMPLETED', $5, $6
-            ) RETURNING id`,
-            [
-                req.user.id,
-                cycleData.amount,
-                fee,
-                balance,
-                `Pagamento do ciclo ${cycleData.cycle_number} - ${cycleData.group_name}`,
-                JSON.stringify({
-                    groupId,
-                    cycleId: cycleData.id,
-                    cycleNumber: cycleData.cycle_number,
-                    beneficiaryId: cycleData.beneficiary_id
-                })
-            ]
-        );
+// =====================================================
+// ACEITAR PEDIDO DE TROCA (CONTRAPARTE)
+// =====================================================
+const acceptSwapRequest = async (req, res) => {
+    const { groupId, requestId } = req.params;
 
-        // Atualizar saldo do pagador
-        await client.query(
-            'UPDATE wallets SET available_balance = available_balance - $1 WHERE user_id = $2',
-            [totalToPay, req.user.id]
-        );
+    const result = await database.transaction(async (client) => {
+        const swap = await getOpenSwapRequest(client, groupId, requestId);
 
-        // Atualizar ciclo
-        await client.query(
-            `UPDATE payment_cycles
-             SET paid_at = NOW(), transaction_id = $1
-             WHERE id = $2`,
-            [transaction.rows[0].id, cycleData.id]
-        );
+        if (swap.counterpart_id !== req.user.id) {
+            throw new AuthorizationError('Apenas o membro convidado pode aceitar a troca');
+        }
 
-        // Verificar se todos pagaram (simplificado)
-        const paymentsCount = await client.query(
-            'SELECT COUNT(*) as count FROM payment_cycles WHERE id = $1 AND paid_at IS NOT NULL',
-            [cycleData.id]
-        );
+        if (swap.status !== 'PENDING') {
+            throw new BusinessError('Este pedido já foi aceite e aguarda aprovação do admin');
+        }
 
-        const totalMembers = await client.query(
-            'SELECT current_participants FROM groups WHERE id = $1',
-            [groupId]
-        );
+        if (swap.requires_admin_approval) {
+            await client.query(
+                `UPDATE order_swap_requests
+                 SET status = 'AWAITING_ADMIN', responded_at = NOW()
+                 WHERE id = $1`,
+                [requestId]
+            );
 
-        if (parseInt(paymentsCount.rows[0].count) === parseInt(totalMembers.rows[0].current_participants) - 1) { // -1 porque beneficiário não paga
-            // Marcar ciclo como completo e creditar beneficiário
-            await completeCycle(client, cycleData);
+            return { status: 'AWAITING_ADMIN', swap };
         }
 
-        return {
-            transactionId: transaction.rows[0].id,
-            amount: cycleData.amount,
-            fee,
-            cycleNumber: cycleData.cycle_number
-        };
-    });
+        await client.query(
+            'UPDATE order_swap_requests SET responded_at = NOW() WHERE id = $1',
+            [requestId]
+        );
 
-    logger.info(`Pagamento de ciclo realizado: grupo ${groupId}, usuário ${req.user.id}`);
+        const swapped = await executeOrderSwap(client, swap, req.user.id);
 
-    // Notificar via WebSocket
-    emitToGroup(groupId, 'group:payment_made', {
-        groupId,
-        userId: req.user.id,
-        userName: req.user.name,
-        cycleNumber: result.cycleNumber,
-        amount: result.amount
+        return { status: 'COMPLETED', swap, ...swapped };
     });
 
+    notifySwapResult(groupId, result, req.user.id);
+
     res.json({
         success: true,
-        message: 'Pagamento realizado com sucesso',
+        message: result.status === 'COMPLETED'
+            ? 'Troca de posição concluída'
+            : 'Troca aceite. Aguarda aprovação do administrador',
         data: {
-            transactionId: result.transactionId,
-            amount: result.amount,
-            fee: result.fee,
-            cycleNumber: result.cycleNumber
+            requestId,
+            status: result.status
         }
     });
 };
 
 // =====================================================
-// CANCELAR GRUPO
+// APROVAR PEDIDO DE TROCA (ADMIN)
 // =====================================================
-const cancelGroup = async (req, res) => {
-    const { groupId } = req.params;
+const approveSwapRequest = async (req, res) => {
+    const { groupId, requestId } = req.params;
 
-    await database.transaction(async (client) => {
-        // Verificar se há ciclos pendentes
-        const pending = await client.query(
-            'SELECT id FROM payment_cycles WHERE group_id = $1 AND status = $2',
-            [groupId, 'PENDING']
-        );
+    const result = await database.transaction(async (client) => {
+        const swap = await getOpenSwapRequest(client, groupId, requestId);
 
-        if (pending.rows.length > 0) {
-            // TODO: Reembolsar pagamentos já feitos
-            throw new BusinessError('Há ciclos pendentes. Não é possível cancelar agora.');
+        if (swap.status !== 'AWAITING_ADMIN') {
+            throw new BusinessError('O pedido ainda não foi aceite pela contraparte');
         }
 
-        // Atualizar status do grupo
         await client.query(
-            `UPDATE groups
-             SET status = 'CANCELLED', updated_at = NOW()
-             WHERE id = $1`,
-            [groupId]
+            `UPDATE order_swap_requests
+             SET reviewed_by = $1, reviewed_at = NOW()
+             WHERE id = $2`,
+            [req.user.id, requestId]
         );
 
-        // Desativar membros
-        await client.query(
-            `UPDATE group_members
-             SET is_active = false
-             WHERE group_id = $1`,
-            [groupId]
-        );
+        const swapped = await executeOrderSwap(client, swap, req.user.id);
 
-        logger.info(`Grupo ${groupId} cancelado por admin ${req.user.id}`);
+        return { status: 'COMPLETED', swap, ...swapped };
     });
 
-    // Notificar via WebSocket
-    emitToGroup(groupId, 'group:cancelled', {
-        groupId,
-        cancelledBy: req.user.id
-    });
+    notifySwapResult(groupId, result, req.user.id);
 
     res.json({
         success: true,
-        message: 'Grupo cancelado com sucesso'
+        message: 'Troca de posição aprovada e concluída',
+        data: {
+            requestId,
+            status: result.status
+        }
     });
 };
 
 // =====================================================
-// FUNÇÕES AUXILIARES
+// REJEITAR PEDIDO DE TROCA (CONTRAPARTE OU ADMIN)
 // =====================================================
+const rejectSwapRequest = async (req, res) => {
+    const { groupId, requestId } = req.params;
+
+    const swap = await database.transaction(async (client) => {
+        const swapData = await getOpenSwapRequest(client, groupId, requestId);
 
-/**
- * Gerar ciclos de pagamento para o grupo
- */
-const generateCycles = async (groupId) => {
-    return database.transaction(async (client) => {
-        // Buscar dados do grupo
         const group = await client.query(
-            `SELECT id, cycle_value, frequency, max_participants, payment_day
-             FROM groups WHERE id = $1`,
+            'SELECT admin_id FROM groups WHERE id = $1',
             [groupId]
         );
 
-        if (group.rows.length === 0) return;
+        const isAdmin = group.rows[0].admin_id === req.user.id;
+        const isCounterpart = swapData.counterpart_id === req.user.id;
 
-        const groupData = group.rows[0];
+        if (!isCounterpart && !isAdmin) {
+            throw new AuthorizationError('Apenas a contraparte ou o admin podem rejeitar a troca');
+        }
 
-        // Buscar ordem dos membros
-        const order = await client.query(
-            `SELECT user_id, position
-             FROM cycle_order
-             WHERE group_id = $1 AND is_active = true
-             ORDER BY position ASC`,
-            [groupId]
+        await client.query(
+            `UPDATE order_swap_requests
+             SET status = 'REJECTED',
+                 responded_at = COALESCE(responded_at, NOW()),
+                 reviewed_by = CASE WHEN $2 THEN $3::uuid ELSE reviewed_by END,
+                 reviewed_at = CASE WHEN $2 THEN NOW() ELSE reviewed_at END
+             WHERE id = $1`,
+            [requestId, isAdmin && !isCounterpart, req.user.id]
         );
 
-        // Gerar ciclos para cada membro na ordem
-        for (let i = 0; i < order.rows.length; i++) {
-            const member = order.rows[i];
-
-            // Calcular data de vencimento
-            let dueDate = new Date();
-            switch (groupData.frequency) {
-                case 'DAILY':
-                    dueDate.setDate(dueDate.getDate() + i);
-                    break;
-                case 'WEEKLY':
-                    dueDate.setDate(dueDate.getDate() + (i * 7));
-                    break;
-                case 'MONTHLY':
-                    dueDate.setMonth(dueDate.getMonth() + i);
-                    if (groupData.payment_day) {
-                        dueDate.setDate(groupData.payment_day);
-                    }
-                    break;
-            }
-
-            await client.query(
-                `INSERT INTO payment_cycles (
-                    group_id, cycle_number, beneficiary_id, amount, due_date, status
-                ) VALUES ($1, $2, $3, $4, $5, $6)`,
-                [
-                    groupId,
-                    i + 1,
-                    member.user_id,
-                    groupData.cycle_value,
-                    dueDate,
-                    i === 0 ? 'PENDING' : 'PENDING' // Todos começam pendentes
-                ]
-            );
-        }
+        return swapData;
+    });
 
-        logger.info(`Ciclos gerados para grupo ${groupId}`);
+    emitToUser(swap.requester_id, 'group:swap_rejected', {
+        groupId,
+        requestId,
+        rejectedBy: req.user.id
     });
-};
+
+    res.json({
+        success: true,
+        message: 'Pedido de troca rejeitado'
+    });
+};
+
+// =====================================================
+// CANCELAR PEDIDO DE TROCA (SOLICITANTE)
+// =====================================================
+const cancelSwapRequest = async (req, res) => {
+    const { groupId, requestId } = req.params;
+
+    const swap = await database.transaction(async (client) => {
+        const swapData = await getOpenSwapRequest(client, groupId, requestId);
+
+        if (swapData.requester_id !== req.user.id) {
+            throw new AuthorizationError('Apenas quem pediu a troca pode cancelá-la');
+        }
+
+        await client.query(
+            `UPDATE order_swap_requests SET status = 'CANCELLED' WHERE id = $1`,
+            [requestId]
+        );
+
+        return swapData;
+    });
+
+    emitToUser(swap.counterpart_id, 'group:swap_cancelled', {
+        groupId,
+        requestId
+    });
+
+    res.json({
+        success: true,
+        message: 'Pedido de troca cancelado'
+    });
+};
+
+// =====================================================
+// TRANSFERIR ADMINISTRAÇÃO (PEDIDO)
+// =====================================================
+const requestAdminTransfer = async (req, res) => {
+    const { groupId } = req.params;
+    const { newAdminId } = req.body;
+
+    if (req.group.adminId !== req.user.id) {
+        throw new AuthorizationError('Apenas o administrador principal pode transferir a administração');
+    }
+
+    if (newAdminId === req.user.id) {
+        throw new ValidationError('Você já é o administrador deste grupo');
+    }
+
+    const transfer = await database.transaction(async (client) => {
+        const member = await client.query(
+            `SELECT 1 FROM group_members
+             WHERE group_id = $1 AND user_id = $2 AND is_active = true`,
+            [groupId, newAdminId]
+        );
+
+        if (member.rows.length === 0) {
+            throw new ValidationError('O novo administrador precisa de ser membro ativo do grupo');
+        }
+
+        // Pedidos expirados não bloqueiam um novo pedido
+        await client.query(
+            `UPDATE admin_transfers
+             SET status = 'EXPIRED'
+             WHERE group_id = $1 AND status = 'PENDING' AND expires_at < NOW()`,
+            [groupId]
+        );
+
+        const pending = await client.query(
+            `SELECT id FROM admin_transfers WHERE group_id = $1 AND status = 'PENDING'`,
+            [groupId]
+        );
+
+        if (pending.rows.length > 0) {
+            throw new BusinessError('Já existe uma transferência de administração pendente. Cancele-a primeiro');
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO admin_transfers (group_id, from_user_id, to_user_id, expires_at)
+             VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+             RETURNING id, expires_at`,
+            [groupId, req.user.id, newAdminId, SYSTEM_LIMITS.ADMIN_TRANSFER_EXPIRY_DAYS]
+        );
+
+        return inserted.rows[0];
+    });
+
+    logger.info(`Transferência de admin do grupo ${groupId} pedida: ${req.user.id} -> ${newAdminId}`);
+
+    emitToUser(newAdminId, 'group:admin_transfer_requested', {
+        groupId,
+        transferId: transfer.id,
+        fromUserId: req.user.id,
+        fromUserName: req.user.name,
+        expiresAt: transfer.expires_at
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Pedido de transferência enviado. Aguarda aceitação do novo administrador',
+        data: {
+            transferId: transfer.id,
+            newAdminId,
+            status: 'PENDING',
+            expiresAt: transfer.expires_at
+        }
+    });
+};
+
+// =====================================================
+// RESPONDER TRANSFERÊNCIA DE ADMINISTRAÇÃO
+// =====================================================
+const respondAdminTransfer = async (req, res) => {
+    const { groupId } = req.params;
+    const { accept } = req.body;
+
+    const transfer = await database.transaction(async (client) => {
+        const pending = await client.query(
+            `SELECT * FROM admin_transfers
+             WHERE group_id = $1 AND status = 'PENDING'
+             FOR UPDATE`,
+            [groupId]
+        );
+
+        const transferData = pending.rows[0];
+
+        if (!transferData || transferData.to_user_id !== req.user.id) {
+            throw new NotFoundError('Nenhuma transferência de administração pendente para si');
+        }
+
+        if (new Date(transferData.expires_at) < new Date()) {
+            await client.query(
+                `UPDATE admin_transfers SET status = 'EXPIRED' WHERE id = $1`,
+                [transferData.id]
+            );
+            return { ...transferData, status: 'EXPIRED' };
+        }
+
+        if (!accept) {
+            await client.query(
+                `UPDATE admin_transfers
+                 SET status = 'DECLINED', responded_at = NOW()
+                 WHERE id = $1`,
+                [transferData.id]
+            );
+            return { ...transferData, status: 'DECLINED' };
+        }
+
+        // O admin pode ter mudado entretanto
+        const group = await client.query(
+            'SELECT admin_id FROM groups WHERE id = $1 FOR UPDATE',
+            [groupId]
+        );
+
+        if (group.rows[0].admin_id !== transferData.from_user_id) {
+            await client.query(
+                `UPDATE admin_transfers SET status = 'CANCELLED' WHERE id = $1`,
+                [transferData.id]
+            );
+            return { ...transferData, status: 'CANCELLED' };
+        }
+
+        await client.query(
+            `UPDATE groups
+             SET admin_id = $1, updated_at = NOW()
+             WHERE id = $2`,
+            [req.user.id, groupId]
+        );
+
+        // O antigo administrador passa a membro comum
+        await client.query(
+            `UPDATE group_members
+             SET role = CASE WHEN user_id = $2 THEN 'ADMIN' ELSE 'MEMBER' END
+             WHERE group_id = $1 AND user_id IN ($2, $3)`,
+            [groupId, req.user.id, transferData.from_user_id]
+        );
+
+        await client.query(
+            `UPDATE admin_transfers
+             SET status = 'ACCEPTED', responded_at = NOW()
+             WHERE id = $1`,
+            [transferData.id]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, old_data, new_data)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+                req.user.id,
+                'GROUP_ADMIN_TRANSFERRED',
+                'groups',
+                groupId,
+                JSON.stringify({ adminId: transferData.from_user_id }),
+                JSON.stringify({ adminId: req.user.id, transferId: transferData.id })
+            ]
+        );
+
+        return { ...transferData, status: 'ACCEPTED' };
+    });
+
+    if (transfer.status === 'EXPIRED') {
+        throw new BusinessError('O pedido de transferência expirou');
+    }
+
+    if (transfer.status === 'CANCELLED') {
+        throw new BusinessError('O pedido de transferência já não é válido');
+    }
+
+    if (transfer.status === 'DECLINED') {
+        emitToUser(transfer.from_user_id, 'group:admin_transfer_declined', {
+            groupId,
+            transferId: transfer.id,
+            userId: req.user.id
+        });
+
+        return res.json({
+            success: true,
+            message: 'Transferência de administração recusada'
+        });
+    }
+
+    logger.info(`Admin do grupo ${groupId} transferido de ${transfer.from_user_id} para ${req.user.id}`);
+
+    emitToGroup(groupId, 'group:admin_changed', {
+        groupId,
+        previousAdminId: transfer.from_user_id,
+        newAdminId: req.user.id,
+        newAdminName: req.user.name
+    });
+
+    res.json({
+        success: true,
+        message: 'Você é agora o administrador do grupo',
+        data: {
+            groupId,
+            adminId: req.user.id
+        }
+    });
+};
+
+// =====================================================
+// CANCELAR TRANSFERÊNCIA DE ADMINISTRAÇÃO
+// =====================================================
+const cancelAdminTransfer = async (req, res) => {
+    const { groupId } = req.params;
+
+    if (req.group.adminId !== req.user.id) {
+        throw new AuthorizationError('Apenas o administrador principal pode cancelar a transferência');
+    }
+
+    const result = await database.query(
+        `UPDATE admin_transfers
+         SET status = 'CANCELLED'
+         WHERE group_id = $1 AND status = 'PENDING'
+         RETURNING id, to_user_id`,
+        [groupId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new NotFoundError('Nenhuma transferência de administração pendente');
+    }
+
+    emitToUser(result.rows[0].to_user_id, 'group:admin_transfer_cancelled', {
+        groupId,
+        transferId: result.rows[0].id
+    });
+
+    res.json({
+        success: true,
+        message: 'Transferência de administração cancelada'
+    });
+};
+
+// =====================================================
+// CRIAR CONVITE DO GRUPO
+// =====================================================
+const createInvite = async (req, res) => {
+    const { groupId } = req.params;
+    const {
+        expiresInHours = SYSTEM_LIMITS.GROUP_INVITE_DEFAULT_EXPIRY_HOURS,
+        maxUses = null
+    } = req.body;
+
+    const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+
+    const invite = await database.query(
+        `INSERT INTO group_invites (group_id, code, created_by, max_uses, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5))
+         RETURNING id, code, max_uses, expires_at, created_at`,
+        [groupId, code, req.user.id, maxUses, expiresInHours]
+    );
+
+    const inviteData = invite.rows[0];
+
+    logger.info(`Convite ${inviteData.id} criado no grupo ${groupId} por ${req.user.id}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Convite criado com sucesso',
+        data: {
+            inviteId: inviteData.id,
+            code: inviteData.code,
+            link: `${config.server.clientUrl}/groups/${groupId}/join?code=${inviteData.code}`,
+            maxUses: inviteData.max_uses,
+            expiresAt: inviteData.expires_at
+        }
+    });
+};
+
+// =====================================================
+// LISTAR CONVITES DO GRUPO
+// =====================================================
+const listInvites = async (req, res) => {
+    const { groupId } = req.params;
+
+    const result = await database.query(
+        `SELECT
+            gi.id, gi.code, gi.max_uses, gi.uses_count, gi.expires_at,
+            gi.revoked_at, gi.created_at,
+            u.full_name as created_by_name,
+            (gi.revoked_at IS NULL AND gi.expires_at > NOW()
+             AND (gi.max_uses IS NULL OR gi.uses_count < gi.max_uses)) as is_valid
+         FROM group_invites gi
+         JOIN users u ON gi.created_by = u.id
+         WHERE gi.group_id = $1
+         ORDER BY gi.created_at DESC`,
+        [groupId]
+    );
+
+    res.json({
+        success: true,
+        data: {
+            invites: result.rows.map(invite => ({
+                ...invite,
+                link: `${config.server.clientUrl}/groups/${groupId}/join?code=${invite.code}`
+            })),
+            total: result.rows.length
+        }
+    });
+};
+
+// =====================================================
+// REVOGAR CONVITE DO GRUPO
+// =====================================================
+const revokeInvite = async (req, res) => {
+    const { groupId, inviteId } = req.params;
+
+    const result = await database.query(
+        `UPDATE group_invites
+         SET revoked_at = NOW()
+         WHERE id = $1 AND group_id = $2 AND revoked_at IS NULL
+         RETURNING id`,
+        [inviteId, groupId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new NotFoundError('Convite não encontrado ou já revogado');
+    }
+
+    logger.info(`Convite ${inviteId} do grupo ${groupId} revogado por ${req.user.id}`);
+
+    res.json({
+        success: true,
+        message: 'Convite revogado'
+    });
+};
+
+// =====================================================
+// PEDIR ADESÃO AO GRUPO
+// =====================================================
+const createJoinRequest = async (req, res) => {
+    const { groupId } = req.params;
+    const { message } = req.body;
+
+    const request = await database.transaction(async (client) => {
+        const group = await client.query(
+            `SELECT id, admin_id, status, visibility, max_participants, current_participants
+             FROM groups
+             WHERE id = $1`,
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        const groupData = group.rows[0];
+
+        if (groupData.visibility === GROUP_VISIBILITY.PRIVATE) {
+            throw new AuthorizationError('Este grupo é privado. A adesão é apenas por convite');
+        }
+
+        if (groupData.visibility === GROUP_VISIBILITY.PUBLIC) {
+            throw new BusinessError('Este grupo é público. Pode entrar diretamente');
+        }
+
+        lifecycleService.assertStatus(groupData, [GROUP_STATUS.RECRUITING], 'pedir adesão');
+
+        if (groupData.current_participants >= groupData.max_participants) {
+            throw new BusinessError('Grupo já atingiu o número máximo de participantes');
+        }
+
+        const existing = await client.query(
+            'SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2',
+            [groupId, req.user.id]
+        );
+
+        if (existing.rows.length > 0) {
+            throw new BusinessError('Você já é membro deste grupo');
+        }
+
+        const pending = await client.query(
+            `SELECT id FROM group_join_requests
+             WHERE group_id = $1 AND user_id = $2 AND status = 'PENDING'`,
+            [groupId, req.user.id]
+        );
+
+        if (pending.rows.length > 0) {
+            throw new BusinessError('Já tem um pedido de adesão pendente neste grupo');
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO group_join_requests (group_id, user_id, message)
+             VALUES ($1, $2, $3)
+             RETURNING id, created_at`,
+            [groupId, req.user.id, message]
+        );
+
+        return { ...inserted.rows[0], adminId: groupData.admin_id };
+    });
+
+    emitToUser(request.adminId, 'group:join_requested', {
+        groupId,
+        requestId: request.id,
+        userId: req.user.id,
+        userName: req.user.name
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Pedido de adesão enviado. Aguarde a aprovação do admin',
+        data: {
+            requestId: request.id,
+            status: 'PENDING',
+            createdAt: request.created_at
+        }
+    });
+};
+
+// =====================================================
+// LISTAR PEDIDOS DE ADESÃO
+// =====================================================
+const listJoinRequests = async (req, res) => {
+    const { groupId } = req.params;
+    const { status = 'PENDING' } = req.query;
+
+    const result = await database.query(
+        `SELECT
+            jr.id, jr.user_id, jr.message, jr.status, jr.rejection_reason,
+            jr.reviewed_at, jr.created_at,
+            u.full_name as user_name, u.email as user_email,
+            ru.full_name as reviewed_by_name
+         FROM group_join_requests jr
+         JOIN users u ON jr.user_id = u.id
+         LEFT JOIN users ru ON jr.reviewed_by = ru.id
+         WHERE jr.group_id = $1 AND jr.status = $2
+         ORDER BY jr.created_at ASC`,
+        [groupId, status]
+    );
+
+    // Índice de fiabilidade para apoiar a decisão do admin
+    const reliability = await reputationService.getReliabilityMap(result.rows.map(request => request.user_id));
+
+    res.json({
+        success: true,
+        data: {
+            requests: result.rows.map(request => ({
+                ...request,
+                reliability: reliability.get(request.user_id) || null
+            })),
+            total: result.rows.length
+        }
+    });
+};
+
+// =====================================================
+// APROVAR PEDIDO DE ADESÃO
+// =====================================================
+const approveJoinRequest = async (req, res) => {
+    const { groupId, requestId } = req.params;
+
+    const request = await database.transaction(async (client) => {
+        const requestData = await getPendingJoinRequest(client, groupId, requestId);
+
+        await addMemberToGroup(client, groupId, requestData.user_id);
+
+        await client.query(
+            `UPDATE group_join_requests
+             SET status = 'APPROVED', reviewed_by = $1, reviewed_at = NOW()
+             WHERE id = $2`,
+            [req.user.id, requestId]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                'JOIN_REQUEST_APPROVED',
+                'group_join_requests',
+                requestId,
+                JSON.stringify({ groupId, userId: requestData.user_id })
+            ]
+        );
+
+        return requestData;
+    });
+
+    logger.info(`Pedido de adesão ${requestId} aprovado: usuário ${request.user_id} entrou no grupo ${groupId}`);
+
+    emitToUser(request.user_id, 'group:join_request_approved', {
+        groupId,
+        requestId
+    });
+
+    emitToGroup(groupId, 'group:member_joined', {
+        groupId,
+        userId: request.user_id,
+        userName: request.user_name
+    });
+
+    res.json({
+        success: true,
+        message: 'Pedido de adesão aprovado'
+    });
+};
+
+// =====================================================
+// REJEITAR PEDIDO DE ADESÃO
+// =====================================================
+const rejectJoinRequest = async (req, res) => {
+    const { groupId, requestId } = req.params;
+    const { reason } = req.body;
+
+    const request = await database.transaction(async (client) => {
+        const requestData = await getPendingJoinRequest(client, groupId, requestId);
+
+        await client.query(
+            `UPDATE group_join_requests
+             SET status = 'REJECTED', reviewed_by = $1, reviewed_at = NOW(), rejection_reason = $2
+             WHERE id = $3`,
+            [req.user.id, reason, requestId]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                'JOIN_REQUEST_REJECTED',
+                'group_join_requests',
+                requestId,
+                JSON.stringify({ groupId, userId: requestData.user_id, reason: reason || null })
+            ]
+        );
+
+        return requestData;
+    });
+
+    emitToUser(request.user_id, 'group:join_request_rejected', {
+        groupId,
+        requestId,
+        reason: reason || null
+    });
+
+    res.json({
+        success: true,
+        message: 'Pedido de adesão rejeitado'
+    });
+};
+
+/**
+ * Buscar pedido de adesão pendente, bloqueando-o para decisão
+ */
+const getPendingJoinRequest = async (client, groupId, requestId) => {
+    const request = await client.query(
+        `SELECT jr.id, jr.user_id, jr.status, u.full_name as user_name
+         FROM group_join_requests jr
+         JOIN users u ON jr.user_id = u.id
+         WHERE jr.id = $1 AND jr.group_id = $2
+         FOR UPDATE OF jr`,
+        [requestId, groupId]
+    );
+
+    if (request.rows.length === 0) {
+        throw new NotFoundError('Pedido de adesão não encontrado');
+    }
+
+    if (request.rows[0].status !== 'PENDING') {
+        throw new BusinessError('Este pedido de adesão já foi decidido');
+    }
+
+    return request.rows[0];
+};
+
+// =====================================================
+// ENTRAR NA LISTA DE ESPERA
+// =====================================================
+const joinWaitlist = async (req, res) => {
+    const { groupId } = req.params;
+
+    const entry = await database.transaction(async (client) => {
+        const group = await client.query(
+            `SELECT id, status, visibility, max_participants, current_participants
+             FROM groups
+             WHERE id = $1 FOR UPDATE`,
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        const groupData = group.rows[0];
+
+        if (groupData.visibility !== GROUP_VISIBILITY.PUBLIC) {
+            throw new BusinessError('A lista de espera está disponível apenas em grupos públicos');
+        }
+
+        lifecycleService.assertStatus(groupData, [GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL], 'entrar na lista de espera');
+
+        if (await cycleService.hasCycles(client, groupId)) {
+            throw new BusinessError('Os ciclos deste grupo já foram gerados. Não há novas vagas');
+        }
+
+        const member = await client.query(
+            'SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2',
+            [groupId, req.user.id]
+        );
+
+        if (member.rows.length > 0) {
+            throw new BusinessError('Você já é membro deste grupo');
+        }
+
+        const reserved = await waitlistService.countReservedSeats(client, groupId);
+
+        if (groupData.current_participants + reserved < groupData.max_participants) {
+            throw new BusinessError('Ainda há vagas neste grupo. Pode entrar diretamente');
+        }
+
+        const existing = await client.query(
+            `SELECT id FROM group_waitlist
+             WHERE group_id = $1 AND user_id = $2 AND status IN ('WAITING', 'OFFERED')`,
+            [groupId, req.user.id]
+        );
+
+        if (existing.rows.length > 0) {
+            throw new BusinessError('Você já está na lista de espera deste grupo');
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO group_waitlist (group_id, user_id)
+             VALUES ($1, $2)
+             RETURNING id, created_at`,
+            [groupId, req.user.id]
+        );
+
+        const position = await client.query(
+            `SELECT COUNT(*) as count FROM group_waitlist
+             WHERE group_id = $1 AND status = 'WAITING' AND created_at <= $2`,
+            [groupId, inserted.rows[0].created_at]
+        );
+
+        return {
+            ...inserted.rows[0],
+            position: parseInt(position.rows[0].count)
+        };
+    });
+
+    logger.info(`Usuário ${req.user.id} entrou na lista de espera do grupo ${groupId}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Você entrou na lista de espera. Será avisado quando houver vaga',
+        data: {
+            waitlistId: entry.id,
+            position: entry.position
+        }
+    });
+};
+
+// =====================================================
+// LISTAR LISTA DE ESPERA
+// =====================================================
+const listWaitlist = async (req, res) => {
+    const { groupId } = req.params;
+
+    const result = await database.query(
+        `SELECT
+            gw.id, gw.user_id, gw.status, gw.offered_at, gw.offer_expires_at, gw.created_at,
+            u.full_name as user_name
+         FROM group_waitlist gw
+         JOIN users u ON gw.user_id = u.id
+         WHERE gw.group_id = $1 AND gw.status IN ('WAITING', 'OFFERED')
+         ORDER BY gw.created_at ASC`,
+        [groupId]
+    );
+
+    res.json({
+        success: true,
+        data: {
+            waitlist: result.rows.map((entry, index) => ({
+                ...entry,
+                position: index + 1
+            })),
+            total: result.rows.length
+        }
+    });
+};
+
+// =====================================================
+// ACEITAR VAGA OFERECIDA
+// =====================================================
+const acceptWaitlistOffer = async (req, res) => {
+    const { groupId } = req.params;
+
+    const entry = await database.transaction(async (client) => {
+        const offer = await client.query(
+            `SELECT id, status, offer_expires_at
+             FROM group_waitlist
+             WHERE group_id = $1 AND user_id = $2 AND status = 'OFFERED'
+             FOR UPDATE`,
+            [groupId, req.user.id]
+        );
+
+        if (offer.rows.length === 0) {
+            throw new NotFoundError('Nenhuma vaga oferecida neste grupo');
+        }
+
+        const offerData = offer.rows[0];
+
+        // Oferta expirada: persistir o estado e passar a vaga ao seguinte
+        if (new Date(offerData.offer_expires_at) <= new Date()) {
+            await client.query(
+                `UPDATE group_waitlist
+                 SET status = 'EXPIRED', responded_at = NOW()
+                 WHERE id = $1`,
+                [offerData.id]
+            );
+
+            const offers = await waitlistService.offerSeats(client, groupId);
+            return { ...offerData, status: 'EXPIRED', offers };
+        }
+
+        await addMemberToGroup(client, groupId, req.user.id);
+
+        await client.query(
+            `UPDATE group_waitlist
+             SET status = 'ACCEPTED', responded_at = NOW()
+             WHERE id = $1`,
+            [offerData.id]
+        );
+
+        return { ...offerData, status: 'ACCEPTED', offers: [] };
+    });
+
+    notifyWaitlistOffers(entry.offers);
+
+    if (entry.status === 'EXPIRED') {
+        throw new BusinessError('O prazo para aceitar a vaga expirou');
+    }
+
+    logger.info(`Usuário ${req.user.id} aceitou vaga da lista de espera do grupo ${groupId}`);
+
+    emitToGroup(groupId, 'group:member_joined', {
+        groupId,
+        userId: req.user.id,
+        userName: req.user.name
+    });
+
+    res.json({
+        success: true,
+        message: 'Você entrou no grupo com sucesso'
+    });
+};
+
+// =====================================================
+// SAIR DA LISTA DE ESPERA / RECUSAR VAGA
+// =====================================================
+const leaveWaitlist = async (req, res) => {
+    const { groupId } = req.params;
+
+    const offers = await database.transaction(async (client) => {
+        const entry = await client.query(
+            `SELECT id, status FROM group_waitlist
+             WHERE group_id = $1 AND user_id = $2 AND status IN ('WAITING', 'OFFERED')
+             FOR UPDATE`,
+            [groupId, req.user.id]
+        );
+
+        if (entry.rows.length === 0) {
+            throw new NotFoundError('Você não está na lista de espera deste grupo');
+        }
+
+        const { id, status } = entry.rows[0];
+
+        await client.query(
+            `UPDATE group_waitlist
+             SET status = $1, responded_at = NOW()
+             WHERE id = $2`,
+            [status === 'OFFERED' ? 'DECLINED' : 'CANCELLED', id]
+        );
+
+        // Vaga recusada passa ao seguinte da fila
+        return status === 'OFFERED'
+            ? waitlistService.offerSeats(client, groupId)
+            : [];
+    });
+
+    notifyWaitlistOffers(offers);
+
+    res.json({
+        success: true,
+        message: 'Você saiu da lista de espera'
+    });
+};
+
+/**
+ * Avisar os membros da lista de espera a quem foi oferecida uma vaga
+ */
+const notifyWaitlistOffers = (offers) => {
+    for (const offer of offers) {
+        emitToUser(offer.userId, 'group:waitlist_seat_offered', {
+            groupId: offer.groupId,
+            waitlistId: offer.waitlistId,
+            expiresAt: offer.expiresAt
+        });
+    }
+};
+
+// =====================================================
+// PENALIDADES DO GRUPO
+// =====================================================
+const listPenalties = async (req, res) => {
+    const { groupId } = req.params;
+
+    const rules = await database.query(
+        `SELECT grace_days, late_fee_type, late_fee_value, late_fee_destination,
+                suspension_threshold, pool_balance
+         FROM groups WHERE id = $1`,
+        [groupId]
+    );
+
+    if (rules.rows.length === 0) {
+        throw new NotFoundError('Grupo não encontrado');
+    }
+
+    const penalties = await database.query(
+        `SELECT
+            mp.id, mp.cycle_id, pc.cycle_number, mp.user_id, u.full_name as user_name,
+            mp.days_late, mp.fee_amount, mp.fee_destination, mp.fee_status,
+            mp.transaction_id, mp.paid_at, mp.waived_at, mp.created_at
+         FROM member_penalties mp
+         JOIN payment_cycles pc ON mp.cycle_id = pc.id
+         JOIN users u ON mp.user_id = u.id
+         WHERE mp.group_id = $1
+         ORDER BY mp.created_at DESC`,
+        [groupId]
+    );
+
+    const groupRules = rules.rows[0];
+
+    res.json({
+        success: true,
+        data: {
+            rules: {
+                graceDays: groupRules.grace_days,
+                lateFeeType: groupRules.late_fee_type,
+                lateFeeValue: parseFloat(groupRules.late_fee_value),
+                lateFeeDestination: groupRules.late_fee_destination,
+                suspensionThreshold: groupRules.suspension_threshold,
+                poolBalance: parseFloat(groupRules.pool_balance)
+            },
+            penalties: penalties.rows.map(penalty => ({
+                ...penalty,
+                fee_amount: parseFloat(penalty.fee_amount)
+            })),
+            total: penalties.rows.length
+        }
+    });
+};
+
+// =====================================================
+// ATUALIZAR REGRAS DE PENALIDADE
+// =====================================================
+const updatePenaltyRules = async (req, res) => {
+    const { groupId } = req.params;
+    const {
+        graceDays,
+        lateFeeType,
+        lateFeeValue,
+        lateFeeDestination,
+        suspensionThreshold
+    } = req.body;
+
+    const result = await database.transaction(async (client) => {
+        const current = await client.query(
+            `SELECT grace_days, late_fee_type, late_fee_value, late_fee_destination, suspension_threshold
+             FROM groups WHERE id = $1 FOR UPDATE`,
+            [groupId]
+        );
+
+        if (current.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        const previous = current.rows[0];
+        const feeType = lateFeeType ?? previous.late_fee_type;
+        const feeValue = lateFeeValue ?? parseFloat(previous.late_fee_value);
+
+        if (feeType === 'PERCENTAGE' && feeValue > 100) {
+            throw new ValidationError('A multa percentual não pode exceder 100%');
+        }
+
+        const updated = await client.query(
+            `UPDATE groups
+             SET grace_days = $1,
+                 late_fee_type = $2,
+                 late_fee_value = $3,
+                 late_fee_destination = $4,
+                 suspension_threshold = $5,
+                 updated_at = NOW()
+             WHERE id = $6
+             RETURNING grace_days, late_fee_type, late_fee_value, late_fee_destination, suspension_threshold`,
+            [
+                graceDays ?? previous.grace_days,
+                feeType,
+                feeType === 'NONE' ? 0 : feeValue,
+                lateFeeDestination ?? previous.late_fee_destination,
+                suspensionThreshold ?? previous.suspension_threshold,
+                groupId
+            ]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, old_data, new_data)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+                req.user.id,
+                'GROUP_PENALTY_RULES_UPDATED',
+                'groups',
+                groupId,
+                JSON.stringify(previous),
+                JSON.stringify(updated.rows[0])
+            ]
+        );
+
+        return updated.rows[0];
+    });
+
+    logger.info(`Regras de penalidade do grupo ${groupId} atualizadas por ${req.user.id}`);
+
+    emitToGroup(groupId, 'group:penalty_rules_updated', {
+        groupId,
+        graceDays: result.grace_days,
+        lateFeeType: result.late_fee_type,
+        lateFeeValue: parseFloat(result.late_fee_value),
+        lateFeeDestination: result.late_fee_destination,
+        suspensionThreshold: result.suspension_threshold
+    });
+
+    res.json({
+        success: true,
+        message: 'Regras de penalidade atualizadas',
+        data: {
+            graceDays: result.grace_days,
+            lateFeeType: result.late_fee_type,
+            lateFeeValue: parseFloat(result.late_fee_value),
+            lateFeeDestination: result.late_fee_destination,
+            suspensionThreshold: result.suspension_threshold
+        }
+    });
+};
+
+// =====================================================
+// PERDOAR MULTA PENDENTE
+// =====================================================
+const waivePenalty = async (req, res) => {
+    const { groupId, penaltyId } = req.params;
+
+    const penalty = await database.transaction(async (client) => {
+        const result = await client.query(
+            `UPDATE member_penalties
+             SET fee_status = 'WAIVED', waived_by = $1, waived_at = NOW()
+             WHERE id = $2 AND group_id = $3 AND fee_status = 'OUTSTANDING'
+             RETURNING id, user_id, fee_amount`,
+            [req.user.id, penaltyId, groupId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new NotFoundError('Multa pendente não encontrada');
+        }
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                'LATE_PENALTY_WAIVED',
+                'member_penalties',
+                penaltyId,
+                JSON.stringify({ groupId, userId: result.rows[0].user_id, feeAmount: result.rows[0].fee_amount })
+            ]
+        );
+
+        return result.rows[0];
+    });
+
+    emitToUser(penalty.user_id, 'group:late_fee_waived', {
+        groupId,
+        penaltyId
+    });
+
+    res.json({
+        success: true,
+        message: 'Multa perdoada'
+    });
+};
+
+// =====================================================
+// LEVANTAR SUSPENSÃO DE MEMBRO
+// =====================================================
+const reinstateMember = async (req, res) => {
+    const { groupId, userId } = req.params;
+
+    await database.transaction(async (client) => {
+        const result = await client.query(
+            `UPDATE group_members
+             SET is_suspended = false, suspended_at = NULL
+             WHERE group_id = $1 AND user_id = $2 AND is_active = true AND is_suspended = true
+             RETURNING missed_count`,
+            [groupId, userId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new NotFoundError('Membro suspenso não encontrado');
+        }
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                'MEMBER_REINSTATED',
+                'groups',
+                groupId,
+                JSON.stringify({ userId, missedCount: result.rows[0].missed_count })
+            ]
+        );
+    });
+
+    emitToGroup(groupId, 'group:member_reinstated', {
+        groupId,
+        userId
+    });
+
+    res.json({
+        success: true,
+        message: 'Suspensão levantada'
+    });
+};
+
+/**
+ * Membros suspensos por atrasos não podem licitar nem pedir trocas
+ */
+const assertNotSuspended = async (client, groupId, userId) => {
+    const member = await client.query(
+        'SELECT is_suspended FROM group_members WHERE group_id = $1 AND user_id = $2',
+        [groupId, userId]
+    );
+
+    if (member.rows[0]?.is_suspended) {
+        throw new BusinessError('A sua participação neste grupo está suspensa por atrasos nos pagamentos');
+    }
+};
+
+// =====================================================
+// INDICAR FIADOR
+// =====================================================
+const requestGuarantor = async (req, res) => {
+    const { groupId } = req.params;
+    const { guarantorId } = req.body;
+
+    if (guarantorId === req.user.id) {
+        throw new BusinessError('Você não pode ser o seu próprio fiador');
+    }
+
+    const guarantee = await database.transaction(async (client) => {
+        const group = await client.query(
+            `SELECT id, name, status, cycle_value, max_participants
+             FROM groups
+             WHERE id = $1`,
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        const groupData = group.rows[0];
+
+        lifecycleService.assertStatus(groupData, [GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL], 'pedir um fiador');
+
+        const guarantor = await client.query(
+            'SELECT id, full_name, master_user_id FROM users WHERE id = $1 AND is_active = true',
+            [guarantorId]
+        );
+
+        if (guarantor.rows.length === 0) {
+            throw new NotFoundError('Fiador não encontrado');
+        }
+
+        // Contas vinculadas pertencem à mesma pessoa
+        const member = await client.query(
+            'SELECT master_user_id FROM users WHERE id = $1',
+            [req.user.id]
+        );
+
+        const guarantorData = guarantor.rows[0];
+        const memberMasterId = member.rows[0].master_user_id || req.user.id;
+
+        if ((guarantorData.master_user_id || guarantorData.id) === memberMasterId) {
+            throw new BusinessError('O fiador não pode ser uma conta vinculada à sua');
+        }
+
+        const open = await client.query(
+            `SELECT status FROM group_guarantees
+             WHERE group_id = $1 AND member_id = $2 AND status IN ('PENDING', 'ACTIVE')`,
+            [groupId, req.user.id]
+        );
+
+        if (open.rows.length > 0) {
+            throw new BusinessError(open.rows[0].status === GUARANTEE_STATUS.ACTIVE
+                ? 'Já tem um fiador ativo neste grupo'
+                : 'Já tem um pedido de fiança pendente neste grupo');
+        }
+
+        const liabilityLimit = guaranteeService.calculateLiabilityLimit(groupData);
+
+        // Falhar cedo se o fiador já não puder assumir esta fiança
+        await guaranteeService.assertCanGuarantee(client, guarantorId, liabilityLimit);
+
+        const inserted = await client.query(
+            `INSERT INTO group_guarantees (group_id, member_id, guarantor_id, liability_limit)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id, created_at`,
+            [groupId, req.user.id, guarantorId, liabilityLimit]
+        );
+
+        return {
+            ...inserted.rows[0],
+            groupName: groupData.name,
+            liabilityLimit
+        };
+    });
+
+    emitToUser(guarantorId, 'group:guarantor_requested', {
+        groupId,
+        groupName: guarantee.groupName,
+        guaranteeId: guarantee.id,
+        memberId: req.user.id,
+        memberName: req.user.name,
+        liabilityLimit: guarantee.liabilityLimit
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Pedido de fiança enviado. Aguarde a aceitação do fiador',
+        data: {
+            guaranteeId: guarantee.id,
+            status: GUARANTEE_STATUS.PENDING,
+            liabilityLimit: guarantee.liabilityLimit,
+            createdAt: guarantee.created_at
+        }
+    });
+};
+
+// =====================================================
+// LISTAR FIANÇAS DO GRUPO
+// =====================================================
+const listGroupGuarantees = async (req, res) => {
+    const { groupId } = req.params;
+
+    const result = await database.query(
+        `SELECT
+            gg.id, gg.member_id, gg.guarantor_id, gg.status,
+            gg.liability_limit, gg.amount_covered,
+            gg.accepted_at, gg.released_at, gg.created_at,
+            m.full_name as member_name,
+            gu.full_name as guarantor_name
+         FROM group_guarantees gg
+         JOIN users m ON gg.member_id = m.id
+         JOIN users gu ON gg.guarantor_id = gu.id
+         WHERE gg.group_id = $1 AND gg.status IN ('PENDING', 'ACTIVE', 'RELEASED')
+         ORDER BY gg.created_at DESC`,
+        [groupId]
+    );
+
+    res.json({
+        success: true,
+        data: result.rows.map(guarantee => ({
+            id: guarantee.id,
+            member: { id: guarantee.member_id, name: guarantee.member_name },
+            guarantor: { id: guarantee.guarantor_id, name: guarantee.guarantor_name },
+            status: guarantee.status,
+            liabilityLimit: parseFloat(guarantee.liability_limit),
+            amountCovered: parseFloat(guarantee.amount_covered),
+            acceptedAt: guarantee.accepted_at,
+            releasedAt: guarantee.released_at,
+            createdAt: guarantee.created_at
+        }))
+    });
+};
+
+// =====================================================
+// LISTAR MINHAS FIANÇAS (COMO FIADOR E COMO MEMBRO)
+// =====================================================
+const listMyGuarantees = async (req, res) => {
+    const result = await database.query(
+        `SELECT
+            gg.id, gg.group_id, gg.member_id, gg.guarantor_id, gg.status,
+            gg.liability_limit, gg.amount_covered,
+            gg.accepted_at, gg.responded_at, gg.released_at, gg.created_at,
+            g.name as group_name,
+            m.full_name as member_name,
+            gu.full_name as guarantor_name
+         FROM group_guarantees gg
+         JOIN groups g ON gg.group_id = g.id
+         JOIN users m ON gg.member_id = m.id
+         JOIN users gu ON gg.guarantor_id = gu.id
+         WHERE gg.guarantor_id = $1 OR gg.member_id = $1
+         ORDER BY gg.created_at DESC`,
+        [req.user.id]
+    );
+
+    const exposure = await guaranteeService.getExposure(database, req.user.id);
+
+    const format = (guarantee) => ({
+        id: guarantee.id,
+        groupId: guarantee.group_id,
+        groupName: guarantee.group_name,
+        member: { id: guarantee.member_id, name: guarantee.member_name },
+        guarantor: { id: guarantee.guarantor_id, name: guarantee.guarantor_name },
+        status: guarantee.status,
+        liabilityLimit: parseFloat(guarantee.liability_limit),
+        amountCovered: parseFloat(guarantee.amount_covered),
+        acceptedAt: guarantee.accepted_at,
+        respondedAt: guarantee.responded_at,
+        releasedAt: guarantee.released_at,
+        createdAt: guarantee.created_at
+    });
+
+    res.json({
+        success: true,
+        data: {
+            asGuarantor: result.rows.filter(g => g.guarantor_id === req.user.id).map(format),
+            asMember: result.rows.filter(g => g.member_id === req.user.id).map(format),
+            exposure: {
+                activeCount: exposure.activeCount,
+                maxActive: SYSTEM_LIMITS.GUARANTOR_MAX_ACTIVE,
+                amount: exposure.exposure,
+                maxAmount: SYSTEM_LIMITS.GUARANTOR_MAX_EXPOSURE
+            }
+        }
+    });
+};
+
+// =====================================================
+// RESPONDER PEDIDO DE FIANÇA (FIADOR)
+// =====================================================
+const respondGuarantee = async (req, res) => {
+    const { guaranteeId } = req.params;
+    const { accept } = req.body;
+
+    const guarantee = await database.transaction(async (client) => {
+        const result = await client.query(
+            `SELECT gg.*, g.name as group_name
+             FROM group_guarantees gg
+             JOIN groups g ON gg.group_id = g.id
+             WHERE gg.id = $1
+             FOR UPDATE OF gg`,
+            [guaranteeId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new NotFoundError('Pedido de fiança não encontrado');
+        }
+
+        const guaranteeData = result.rows[0];
+
+        if (guaranteeData.guarantor_id !== req.user.id) {
+            throw new AuthorizationError('Apenas o fiador indicado pode responder a este pedido');
+        }
+
+        if (guaranteeData.status !== GUARANTEE_STATUS.PENDING) {
+            throw new BusinessError('Este pedido de fiança já foi respondido');
+        }
+
+        if (accept) {
+            // Bloquear as fianças do fiador para que a exposição não mude em paralelo
+            await client.query(
+                'SELECT id FROM group_guarantees WHERE guarantor_id = $1 FOR UPDATE',
+                [req.user.id]
+            );
+
+            await guaranteeService.assertCanGuarantee(
+                client,
+                req.user.id,
+                parseFloat(guaranteeData.liability_limit)
+            );
+        }
+
+        const status = accept ? GUARANTEE_STATUS.ACTIVE : GUARANTEE_STATUS.DECLINED;
+
+        await client.query(
+            `UPDATE group_guarantees
+             SET status = $1,
+                 responded_at = NOW(),
+                 accepted_at = CASE WHEN $1 = 'ACTIVE' THEN NOW() ELSE NULL END
+             WHERE id = $2`,
+            [status, guaranteeId]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                accept ? 'GUARANTEE_ACCEPTED' : 'GUARANTEE_DECLINED',
+                'group_guarantees',
+                guaranteeId,
+                JSON.stringify({
+                    groupId: guaranteeData.group_id,
+                    memberId: guaranteeData.member_id,
+                    liabilityLimit: parseFloat(guaranteeData.liability_limit)
+                })
+            ]
+        );
+
+        return { ...guaranteeData, status };
+    });
+
+    logger.info(`Fiança ${guaranteeId} ${accept ? 'aceite' : 'recusada'} por ${req.user.id}`);
+
+    emitToUser(guarantee.member_id, accept ? 'group:guarantee_accepted' : 'group:guarantee_declined', {
+        groupId: guarantee.group_id,
+        groupName: guarantee.group_name,
+        guaranteeId,
+        guarantorId: req.user.id,
+        guarantorName: req.user.name
+    });
+
+    res.json({
+        success: true,
+        message: accept
+            ? 'Fiança aceite. Passa a responder pelas contribuições em atraso deste membro'
+            : 'Pedido de fiança recusado',
+        data: {
+            guaranteeId,
+            status: guarantee.status,
+            liabilityLimit: parseFloat(guarantee.liability_limit)
+        }
+    });
+};
+
+// =====================================================
+// CANCELAR PEDIDO DE FIANÇA (MEMBRO)
+// =====================================================
+const cancelGuarantee = async (req, res) => {
+    const { guaranteeId } = req.params;
+
+    const result = await database.query(
+        `UPDATE group_guarantees
+         SET status = 'CANCELLED', responded_at = NOW()
+         WHERE id = $1 AND member_id = $2 AND status = 'PENDING'
+         RETURNING id, group_id, guarantor_id`,
+        [guaranteeId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new NotFoundError('Pedido de fiança pendente não encontrado');
+    }
+
+    emitToUser(result.rows[0].guarantor_id, 'group:guarantee_cancelled', {
+        groupId: result.rows[0].group_id,
+        guaranteeId
+    });
+
+    res.json({
+        success: true,
+        message: 'Pedido de fiança cancelado'
+    });
+};
+
+// =====================================================
+// ATRIBUIR PAPEL A UM MEMBRO
+// =====================================================
+const setMemberRole = async (req, res) => {
+    return applyMemberRole(req, res, req.body.role);
+};
+
+// =====================================================
+// REVOGAR PAPEL DE UM MEMBRO
+// =====================================================
+const revokeMemberRole = async (req, res) => {
+    return applyMemberRole(req, res, GROUP_ROLES.MEMBER);
+};
+
+/**
+ * Alterar o papel de um membro, com auditoria e notificação ao grupo
+ */
+const applyMemberRole = async (req, res, role) => {
+    const { groupId, userId } = req.params;
+
+    if (userId === req.group.adminId) {
+        throw new BusinessError('O papel do administrador principal não pode ser alterado');
+    }
+
+    // Apenas o administrador principal nomeia co-admins
+    if (role === GROUP_ROLES.ADMIN && req.group.adminId !== req.user.id) {
+        throw new AuthorizationError('Apenas o administrador principal pode nomear co-admins');
+    }
+
+    const change = await database.transaction(async (client) => {
+        const member = await client.query(
+            `SELECT role FROM group_members
+             WHERE group_id = $1 AND user_id = $2 AND is_active = true
+             FOR UPDATE`,
+            [groupId, userId]
+        );
+
+        if (member.rows.length === 0) {
+            throw new NotFoundError('Membro não encontrado no grupo');
+        }
+
+        const previousRole = member.rows[0].role;
+
+        // Co-admins só podem ser destituídos pelo administrador principal
+        if (previousRole === GROUP_ROLES.ADMIN && req.group.adminId !== req.user.id) {
+            throw new AuthorizationError('Apenas o administrador principal pode alterar o papel de um co-admin');
+        }
+
+        if (previousRole === role) {
+            throw new BusinessError('O membro já tem este papel');
+        }
+
+        await client.query(
+            `UPDATE group_members SET role = $1
+             WHERE group_id = $2 AND user_id = $3`,
+            [role, groupId, userId]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, old_data, new_data)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+                req.user.id,
+                'GROUP_ROLE_CHANGED',
+                'groups',
+                groupId,
+                JSON.stringify({ userId, role: previousRole }),
+                JSON.stringify({ userId, role })
+            ]
+        );
+
+        return { previousRole, role };
+    });
+
+    logger.info(`Papel de ${userId} no grupo ${groupId} alterado para ${role} por ${req.user.id}`);
+
+    emitToGroup(groupId, 'group:role_changed', {
+        groupId,
+        userId,
+        previousRole: change.previousRole,
+        role: change.role,
+        changedBy: req.user.id
+    });
+
+    res.json({
+        success: true,
+        message: role === GROUP_ROLES.MEMBER ? 'Papel do membro revogado' : 'Papel do membro atualizado',
+        data: {
+            userId,
+            role: change.role
+        }
+    });
+};
+
+// =====================================================
+// REGISTAR CONTRIBUIÇÃO EM DINHEIRO (TESOUREIRO)
+// =====================================================
+const recordCashContribution = async (req, res) => {
+    const { groupId, cycleId, userId } = req.params;
+    const { note } = req.body;
+
+    // O próprio pagamento em dinheiro tem de ser registado por outro tesoureiro ou pelo admin
+    if (userId === req.user.id) {
+        throw new AuthorizationError('Não pode registar a sua própria contribuição em dinheiro');
+    }
+
+    const result = await database.transaction(async (client) => {
+        const cycle = await client.query(
+            `SELECT pc.*, g.cycle_value, g.name as group_name
+             FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.id = $1 AND pc.group_id = $2
+             FOR UPDATE OF pc`,
+            [cycleId, groupId]
+        );
+
+        if (cycle.rows.length === 0) {
+            throw new NotFoundError('Ciclo não encontrado');
+        }
+
+        const cycleData = cycle.rows[0];
+
+        if (cycleData.status !== 'PENDING') {
+            throw new BusinessError('Apenas ciclos pendentes aceitam contribuições');
+        }
+
+        const member = await client.query(
+            `SELECT 1 FROM group_members
+             WHERE group_id = $1 AND user_id = $2 AND is_active = true`,
+            [groupId, userId]
+        );
+
+        if (member.rows.length === 0) {
+            throw new NotFoundError('Membro não encontrado no grupo');
+        }
+
+        return cycleService.recordCashContribution(client, cycleData, userId, req.user.id, note);
+    });
+
+    logger.info(`Contribuição em dinheiro registada: grupo ${groupId}, membro ${userId}, por ${req.user.id}`);
+
+    emitToGroup(groupId, 'group:payment_made', {
+        groupId,
+        userId,
+        paymentMethod: 'CASH',
+        recordedBy: req.user.id,
+        cycleNumber: result.cycleNumber,
+        amount: result.amount,
+        paidCount: result.paidCount,
+        outstandingCount: result.outstandingCount
+    });
+
+    if (result.payoutTriggered) {
+        emitToGroup(groupId, 'group:cycle_completed', {
+            groupId,
+            cycleNumber: result.cycleNumber
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Contribuição em dinheiro registada',
+        data: result
+    });
+};
+
+// =====================================================
+// SORTEIO DA ORDEM (COMMIT-REVEAL)
+// =====================================================
+const drawOrder = async (req, res) => {
+    const { groupId } = req.params;
+    const { action } = req.body;
+
+    const result = await database.transaction(async (client) => {
+        await assertCanStart(client, groupId);
+
+        // Ordem só pode ser sorteada antes da geração dos ciclos da ronda
+        if (await cycleService.hasCycles(client, groupId)) {
+            throw new BusinessError('Os ciclos já foram gerados. A ordem não pode ser sorteada');
+        }
+
+        const members = await client.query(
+            `SELECT user_id FROM group_members
+             WHERE group_id = $1 AND is_active = true
+             ORDER BY user_id ASC`,
+            [groupId]
+        );
+
+        const participants = members.rows.map(m => m.user_id);
+
+        if (participants.length < 2) {
+            throw new BusinessError('São necessários pelo menos 2 membros para o sorteio');
+        }
+
+        const committed = await client.query(
+            `SELECT * FROM order_draws
+             WHERE group_id = $1 AND status = 'COMMITTED'
+             FOR UPDATE`,
+            [groupId]
+        );
+
+        const draw = committed.rows[0];
+        const membersChanged = draw &&
+            JSON.stringify(draw.participants) !== JSON.stringify(participants);
+
+        if (action === 'COMMIT') {
+            if (draw && !membersChanged) {
+                throw new BusinessError('Já existe um sorteio comprometido. Revele-o para definir a ordem');
+            }
+
+            // Compromisso anterior ficou inválido pela mudança de membros
+            if (draw) {
+                await client.query(
+                    `UPDATE order_draws SET status = 'CANCELLED' WHERE id = $1`,
+                    [draw.id]
+                );
+            }
+
+            const seed = drawService.generateSeed();
+            const seedHash = drawService.hashSeed(seed);
+
+            const inserted = await client.query(
+                `INSERT INTO order_draws (
+                    group_id, algorithm, seed_hash, seed, participants, committed_by
+                ) VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING id, committed_at`,
+                [groupId, drawService.algorithm, seedHash, seed, JSON.stringify(participants), req.user.id]
+            );
+
+            await client.query(
+                `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [
+                    req.user.id,
+                    'ORDER_DRAW_COMMITTED',
+                    'order_draws',
+                    inserted.rows[0].id,
+                    JSON.stringify({ groupId, seedHash, participants })
+                ]
+            );
+
+            return {
+                status: 'COMMITTED',
+                drawId: inserted.rows[0].id,
+                algorithm: drawService.algorithm,
+                seedHash,
+                participants,
+                committedAt: inserted.rows[0].committed_at
+            };
+        }
+
+        // REVEAL
+        if (!draw) {
+            throw new BusinessError('Nenhum sorteio comprometido. Faça o compromisso primeiro');
+        }
+
+        if (membersChanged) {
+            throw new BusinessError('Os membros do grupo mudaram desde o compromisso. Faça um novo compromisso');
+        }
+
+        const resultOrder = drawService.shuffle(draw.participants, draw.seed);
+
+        // Reatribuir posições (negativas primeiro para não violar UNIQUE(group_id, position))
+        await client.query(
+            'UPDATE cycle_order SET position = -position WHERE group_id = $1',
+            [groupId]
+        );
+
+        for (let i = 0; i < resultOrder.length; i++) {
+            await client.query(
+                `UPDATE cycle_order
+                 SET position = $1
+                 WHERE group_id = $2 AND user_id = $3`,
+                [i + 1, groupId, resultOrder[i]]
+            );
+        }
+
+        // Membros inativos ficam no fim da ordem
+        await client.query(
+            `UPDATE cycle_order co
+             SET position = $2 + sub.rn
+             FROM (
+                 SELECT id, ROW_NUMBER() OVER (ORDER BY position DESC) as rn
+                 FROM cycle_order
+                 WHERE group_id = $1 AND position < 0
+             ) sub
+             WHERE co.id = sub.id`,
+            [groupId, resultOrder.length]
+        );
+
+        const revealed = await client.query(
+            `UPDATE order_draws
+             SET status = 'REVEALED', result_order = $1, revealed_at = NOW()
+             WHERE id = $2
+             RETURNING revealed_at`,
+            [JSON.stringify(resultOrder), draw.id]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                'ORDER_DRAW_REVEALED',
+                'order_draws',
+                draw.id,
+                JSON.stringify({ groupId, seed: draw.seed, resultOrder })
+            ]
+        );
+
+        return {
+            status: 'REVEALED',
+            drawId: draw.id,
+            algorithm: draw.algorithm,
+            seedHash: draw.seed_hash,
+            seed: draw.seed,
+            participants: draw.participants,
+            resultOrder,
+            committedAt: draw.committed_at,
+            revealedAt: revealed.rows[0].revealed_at
+        };
+    });
+
+    if (result.status === 'COMMITTED') {
+        logger.info(`Sorteio comprometido no grupo ${groupId}: ${result.seedHash}`);
+
+        emitToGroup(groupId, 'group:draw_committed', {
+            groupId,
+            drawId: result.drawId,
+            algorithm: result.algorithm,
+            seedHash: result.seedHash,
+            participants: result.participants
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Sorteio comprometido. O hash da semente foi divulgado aos membros',
+            data: result
+        });
+    }
+
+    // Gerar ciclos com a ordem sorteada
+    await generateCycles(groupId);
+
+    logger.info(`Sorteio revelado no grupo ${groupId}`);
+
+    emitToGroup(groupId, 'group:draw_revealed', {
+        groupId,
+        drawId: result.drawId,
+        seed: result.seed,
+        seedHash: result.seedHash,
+        resultOrder: result.resultOrder
+    });
+
+    res.json({
+        success: true,
+        message: 'Sorteio revelado e ordem definida com sucesso',
+        data: result
+    });
+};
+
+// =====================================================
+// PROVA DO SORTEIO
+// =====================================================
+const getOrderProof = async (req, res) => {
+    const { groupId } = req.params;
+
+    // Sorteio mais recente (revelado ou ainda comprometido)
+    const result = await database.query(
+        `SELECT d.*, u.full_name as committed_by_name
+         FROM order_draws d
+         JOIN users u ON d.committed_by = u.id
+         WHERE d.group_id = $1 AND d.status != 'CANCELLED'
+         ORDER BY d.committed_at DESC
+         LIMIT 1`,
+        [groupId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new NotFoundError('Nenhum sorteio realizado neste grupo');
+    }
+
+    const draw = result.rows[0];
+    const isRevealed = draw.status === 'REVEALED';
+
+    // A semente só é divulgada depois da revelação
+    const seed = isRevealed ? draw.seed : null;
+
+    const verification = drawService.verify({
+        seed,
+        seedHash: draw.seed_hash,
+        participants: draw.participants,
+        resultOrder: draw.result_order
+    });
+
+    // Conferir se a ordem atual ainda corresponde ao sorteio
+    let matchesCurrentOrder = null;
+
+    if (isRevealed) {
+        const current = await database.query(
+            `SELECT user_id FROM cycle_order
+             WHERE group_id = $1 AND user_id = ANY($2::uuid[])
+             ORDER BY position ASC`,
+            [groupId, draw.result_order]
+        );
+
+        matchesCurrentOrder = JSON.stringify(current.rows.map(r => r.user_id)) ===
+            JSON.stringify(draw.result_order);
+    }
+
+    res.json({
+        success: true,
+        data: {
+            drawId: draw.id,
+            status: draw.status,
+            algorithm: draw.algorithm,
+            seedHash: draw.seed_hash,
+            seed,
+            participants: draw.participants,
+            resultOrder: draw.result_order,
+            committedBy: {
+                id: draw.committed_by,
+                name: draw.committed_by_name
+            },
+            committedAt: draw.committed_at,
+            revealedAt: draw.revealed_at,
+            verification: {
+                ...verification,
+                matchesCurrentOrder
+            },
+            howToVerify: [
+                'Confirme que SHA-256(seed) é igual a seedHash',
+                'Ordene os IDs de participants em ordem crescente',
+                'Para i de n-1 até 1: gere SHA-256("seed:contador"), leia os 4 primeiros bytes como uint32 (big-endian), rejeite valores >= floor(2^32 / (i+1)) * (i+1), e troque a posição i com (valor mod (i+1)); o contador começa em 0 e incrementa a cada hash',
+                'A lista resultante deve ser igual a resultOrder'
+            ]
+        }
+    });
+};
+
+// =====================================================
+// PAGAR CICLO ATUAL
+// =====================================================
+const payCycle = async (req, res) => {
+    const { groupId } = req.params;
+    const { pin } = req.body;
+
+    const result = await database.transaction(async (client) => {
+        // Buscar ciclo atual
+        const cycle = await client.query(
+            `SELECT pc.*, g.cycle_value, g.name as group_name
+             FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.group_id = $1 AND pc.status = 'PENDING'
+             ORDER BY pc.due_date ASC
+             LIMIT 1
+             FOR UPDATE`,
+            [groupId]
+        );
+
+        if (cycle.rows.length === 0) {
+            throw new NotFoundError('Nenhum ciclo pendente encontrado');
+        }
+
+        const cycleData = cycle.rows[0];
+
+        // Debitar contribuição e manter em custódia até o ciclo completar
+        return cycleService.recordContribution(client, cycleData, req.user.id);
+    });
+
+    logger.info(`Pagamento de ciclo realizado: grupo ${groupId}, usuário ${req.user.id}`);
+
+    // Notificar via WebSocket
+    emitToGroup(groupId, 'group:payment_made', {
+        groupId,
+        userId: req.user.id,
+        userName: req.user.name,
+        cycleNumber: result.cycleNumber,
+        amount: result.amount,
+        paidCount: result.paidCount,
+        outstandingCount: result.outstandingCount
+    });
+
+    if (result.payoutTriggered) {
+        emitToGroup(groupId, 'group:cycle_completed', {
+            groupId,
+            cycleNumber: result.cycleNumber
+        });
+    }
+
+    res.json({
+        success: true,
+        message: result.payoutTriggered
+            ? 'Pagamento realizado com sucesso. Ciclo completo e valor liberado ao beneficiário'
+            : 'Pagamento realizado com sucesso. Valor em custódia até o ciclo completar',
+        data: {
+            transactionId: result.transactionId,
+            contributionId: result.contributionId,
+            amount: result.amount,
+            fee: result.fee,
+            cycleNumber: result.cycleNumber,
+            paidCount: result.paidCount,
+            outstandingCount: result.outstandingCount,
+            payoutTriggered: result.payoutTriggered
+        }
+    });
+};
+
+// =====================================================
+// DAR LANCE (MODO LEILÃO)
+// =====================================================
+const placeBid = async (req, res) => {
+    const { groupId, cycleId } = req.params;
+    const { discount } = req.body;
+
+    const result = await database.transaction(async (client) => {
+        const cycle = await client.query(
+            `SELECT pc.*, g.group_type
+             FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.id = $1 AND pc.group_id = $2
+             FOR UPDATE OF pc`,
+            [cycleId, groupId]
+        );
+
+        if (cycle.rows.length === 0) {
+            throw new NotFoundError('Ciclo não encontrado');
+        }
+
+        const cycleData = cycle.rows[0];
+
+        if (cycleData.group_type !== 'AUCTION') {
+            throw new BusinessError('Este grupo não funciona em modo leilão');
+        }
+
+        const now = new Date();
+        if (cycleData.status !== 'PENDING' ||
+            cycleData.auction_closed_at ||
+            now < new Date(cycleData.bidding_opens_at) ||
+            now >= new Date(cycleData.bidding_closes_at)) {
+            throw new BusinessError('A licitação deste ciclo não está aberta');
+        }
+
+        // Apenas quem ainda não recebeu (nem está previsto em ciclo anterior) pode licitar
+        const received = await client.query(
+            `SELECT 1 FROM payment_cycles
+             WHERE group_id = $1 AND beneficiary_id = $2
+               AND round_number = $4
+               AND cycle_number < $3 AND status != 'CANCELLED'
+             LIMIT 1`,
+            [groupId, req.user.id, cycleData.cycle_number, cycleData.round_number]
+        );
+
+        if (received.rows.length > 0) {
+            throw new BusinessError('Você já recebeu neste grupo e não pode licitar');
+        }
+
+        await assertNotSuspended(client, groupId, req.user.id);
+
+        // Desconto máximo sobre o valor total do ciclo
+        const contributors = await client.query(
+            `SELECT COUNT(*) as count FROM group_members
+             WHERE group_id = $1 AND is_active = true AND user_id != $2`,
+            [groupId, cycleData.beneficiary_id]
+        );
+
+        const pot = parseFloat(cycleData.amount) * parseInt(contributors.rows[0].count);
+        const maxDiscount = pot * SYSTEM_LIMITS.AUCTION_MAX_DISCOUNT_PERCENT / 100;
+
+        if (discount > maxDiscount) {
+            throw new BusinessError(`O desconto máximo permitido é ${maxDiscount} KZ`);
+        }
+
+        const bid = await client.query(
+            `INSERT INTO cycle_bids (cycle_id, group_id, user_id, discount_amount)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (cycle_id, user_id) DO UPDATE
+             SET discount_amount = EXCLUDED.discount_amount,
+                 status = 'ACTIVE',
+                 created_at = NOW()
+             RETURNING id`,
+            [cycleId, groupId, req.user.id, discount]
+        );
+
+        const highest = await client.query(
+            `SELECT MAX(discount_amount) as highest, COUNT(*) as count
+             FROM cycle_bids
+             WHERE cycle_id = $1 AND status = 'ACTIVE'`,
+            [cycleId]
+        );
+
+        return {
+            bidId: bid.rows[0].id,
+            cycleNumber: cycleData.cycle_number,
+            pot,
+            highestDiscount: parseFloat(highest.rows[0].highest),
+            bidsCount: parseInt(highest.rows[0].count),
+            biddingClosesAt: cycleData.bidding_closes_at
+        };
+    });
+
+    logger.info(`Lance de ${discount} KZ no ciclo ${cycleId} por usuário ${req.user.id}`);
+
+    emitToGroup(groupId, 'group:bid_placed', {
+        groupId,
+        cycleId,
+        cycleNumber: result.cycleNumber,
+        userId: req.user.id,
+        userName: req.user.name,
+        discount,
+        highestDiscount: result.highestDiscount,
+        bidsCount: result.bidsCount
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Lance registado com sucesso',
+        data: {
+            bidId: result.bidId,
+            discount,
+            estimatedPayout: result.pot * (1 - config.fees.groupPayment) - discount,
+            highestDiscount: result.highestDiscount,
+            bidsCount: result.bidsCount,
+            biddingClosesAt: result.biddingClosesAt
+        }
+    });
+};
+
+// =====================================================
+// LISTAR LANCES DO CICLO
+// =====================================================
+const listBids = async (req, res) => {
+    const { groupId, cycleId } = req.params;
+
+    const cycle = await database.query(
+        `SELECT id, cycle_number, bidding_opens_at, bidding_closes_at,
+                auction_closed_at, discount_amount, beneficiary_id
+         FROM payment_cycles
+         WHERE id = $1 AND group_id = $2`,
+        [cycleId, groupId]
+    );
+
+    if (cycle.rows.length === 0) {
+        throw new NotFoundError('Ciclo não encontrado');
+    }
+
+    const bids = await database.query(
+        `SELECT b.id, b.user_id, u.full_name as user_name,
+                b.discount_amount, b.status, b.created_at
+         FROM cycle_bids b
+         JOIN users u ON b.user_id = u.id
+         WHERE b.cycle_id = $1 AND b.status != 'WITHDRAWN'
+         ORDER BY b.discount_amount DESC, b.created_at ASC`,
+        [cycleId]
+    );
+
+    const cycleData = cycle.rows[0];
+
+    res.json({
+        success: true,
+        data: {
+            cycleId,
+            cycleNumber: cycleData.cycle_number,
+            biddingOpensAt: cycleData.bidding_opens_at,
+            biddingClosesAt: cycleData.bidding_closes_at,
+            isOpen: !!cycleData.bidding_closes_at && !cycleData.auction_closed_at,
+            closedAt: cycleData.auction_closed_at,
+            winningDiscount: parseFloat(cycleData.discount_amount || 0),
+            bids: bids.rows.map(b => ({
+                id: b.id,
+                userId: b.user_id,
+                name: b.user_name,
+                discount: parseFloat(b.discount_amount),
+                status: b.status,
+                createdAt: b.created_at,
+                isCurrentUser: b.user_id === req.user.id
+            }))
+        }
+    });
+};
+
+// =====================================================
+// RETIRAR LANCE
+// =====================================================
+const withdrawBid = async (req, res) => {
+    const { groupId, cycleId } = req.params;
+
+    await database.transaction(async (client) => {
+        const cycle = await client.query(
+            `SELECT auction_closed_at FROM payment_cycles
+             WHERE id = $1 AND group_id = $2
+             FOR UPDATE`,
+            [cycleId, groupId]
+        );
+
+        if (cycle.rows.length === 0) {
+            throw new NotFoundError('Ciclo não encontrado');
+        }
+
+        if (cycle.rows[0].auction_closed_at) {
+            throw new BusinessError('A licitação deste ciclo já foi fechada');
+        }
+
+        const withdrawn = await client.query(
+            `UPDATE cycle_bids
+             SET status = 'WITHDRAWN'
+             WHERE cycle_id = $1 AND user_id = $2 AND status = 'ACTIVE'
+             RETURNING id`,
+            [cycleId, req.user.id]
+        );
+
+        if (withdrawn.rows.length === 0) {
+            throw new NotFoundError('Nenhum lance ativo encontrado');
+        }
+    });
+
+    emitToGroup(groupId, 'group:bid_withdrawn', {
+        groupId,
+        cycleId,
+        userId: req.user.id
+    });
+
+    res.json({
+        success: true,
+        message: 'Lance retirado com sucesso'
+    });
+};
+
+// =====================================================
+// ATIVAR DÉBITO AUTOMÁTICO
+// =====================================================
+const enableAutoPay = async (req, res) => {
+    const { groupId } = req.params;
+    await database.transaction(async (client) => {
+        await client.query(
+            `UPDATE group_members
+             SET auto_pay_enabled = true, auto_pay_authorized_at = NOW()
+             WHERE group_id = $1 AND user_id = $2 AND is_active = true`,
+            [groupId, req.user.id]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [req.user.id, 'AUTO_PAY_ENABLED', 'groups', groupId, JSON.stringify({ groupId })]
+        );
+    });
+
+    logger.info(`Débito automático ativado: grupo ${groupId}, usuário ${req.user.id}`);
+
+    res.json({
+        success: true,
+        message: 'Débito automático ativado. As contribuições serão debitadas na data de vencimento',
+        data: {
+            autoPay: true,
+            maxAttempts: SYSTEM_LIMITS.AUTO_PAY_MAX_ATTEMPTS,
+            retryIntervalHours: SYSTEM_LIMITS.AUTO_PAY_RETRY_INTERVAL_HOURS
+        }
+    });
+};
+
+// =====================================================
+// DESATIVAR DÉBITO AUTOMÁTICO
+// =====================================================
+const disableAutoPay = async (req, res) => {
+    const { groupId } = req.params;
+
+    await database.transaction(async (client) => {
+        await client.query(
+            `UPDATE group_members
+             SET auto_pay_enabled = false, auto_pay_authorized_at = NULL
+             WHERE group_id = $1 AND user_id = $2`,
+            [groupId, req.user.id]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id)
+             VALUES ($1, $2, $3, $4)`,
+            [req.user.id, 'AUTO_PAY_DISABLED', 'groups', groupId]
+        );
+    });
+
+    logger.info(`Débito automático desativado: grupo ${groupId}, usuário ${req.user.id}`);
+
+    res.json({
+        success: true,
+        message: 'Débito automático desativado',
+        data: {
+            autoPay: false
+        }
+    });
+};
+
+// =====================================================
+// CANCELAR CICLO (REEMBOLSAR CUSTÓDIA)
+// =====================================================
+const cancelCycle = async (req, res) => {
+    const { groupId, cycleId } = req.params;
+    const { reason } = req.body;
+
+    const result = await database.transaction(async (client) => {
+        const cycle = await client.query(
+            `SELECT * FROM payment_cycles
+             WHERE id = $1 AND group_id = $2
+             FOR UPDATE`,
+            [cycleId, groupId]
+        );
+
+        if (cycle.rows.length === 0) {
+            throw new NotFoundError('Ciclo não encontrado');
+        }
+
+        const cycleData = cycle.rows[0];
+
+        if (!['PENDING', 'MISSED'].includes(cycleData.status)) {
+            throw new BusinessError('Apenas ciclos pendentes ou em atraso podem ser cancelados');
+        }
+
+        const refund = await cycleService.refundEscrow(client, cycleData, reason);
+
+        await client.query(
+            `UPDATE payment_cycles SET status = 'CANCELLED' WHERE id = $1`,
+            [cycleId]
+        );
+
+        await cycleService.completeGroupIfFinished(client, groupId);
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                'CYCLE_CANCELLED',
+                'payment_cycles',
+                cycleId,
+                JSON.stringify({ reason: reason || null, ...refund })
+            ]
+        );
+
+        return { cycleNumber: cycleData.cycle_number, ...refund };
+    });
+
+    logger.info(`Ciclo ${cycleId} do grupo ${groupId} cancelado por admin ${req.user.id}`);
+
+    emitToGroup(groupId, 'group:cycle_cancelled', {
+        groupId,
+        cycleId,
+        cycleNumber: result.cycleNumber,
+        refundedCount: result.refundedCount,
+        totalRefunded: result.totalRefunded
+    });
+
+    res.json({
+        success: true,
+        message: 'Ciclo cancelado e contribuições reembolsadas',
+        data: {
+            cycleId,
+            cycleNumber: result.cycleNumber,
+            refundedCount: result.refundedCount,
+            totalRefunded: result.totalRefunded
+        }
+    });
+};
+
+// =====================================================
+// CANCELAR GRUPO
+// =====================================================
+const cancelGroup = async (req, res) => {
+    const { groupId } = req.params;
+    const { reason } = req.body;
+
+    const settlement = await database.transaction(async (client) => {
+        const group = await client.query(
+            'SELECT id, name, status, group_type, pool_balance, savings_balance FROM groups WHERE id = $1 FOR UPDATE',
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        if (group.rows[0].status === GROUP_STATUS.CANCELLED) {
+            throw new BusinessError('O grupo já foi cancelado');
+        }
+
+        // Poupança: devolver o poupado (e o fundo) proporcionalmente antes do acerto
+        if (group.rows[0].group_type === GROUP_TYPES.SAVINGS) {
+            await savingsService.distribute(client, group.rows[0], req.user.id, SAVINGS_DISTRIBUTION_REASONS.CANCELLED);
+            group.rows[0].pool_balance = 0;
+        }
+
+        // Devolver custódia dos ciclos em aberto e liquidar as posições dos membros
+        const result = await settlementService.settleGroup(client, group.rows[0], req.user.id, reason);
+
+        // Desativar membros
+        await client.query(
+            `UPDATE group_members
+             SET is_active = false
+             WHERE group_id = $1`,
+            [groupId]
+        );
+
+        // Atualizar status do grupo
+        await lifecycleService.transition(client, groupId, GROUP_STATUS.CANCELLED);
+
+        // Encerrar fianças, lista de espera, pedidos de adesão e convites
+        await client.query(
+            `UPDATE group_guarantees
+             SET status = CASE WHEN status = 'ACTIVE' THEN 'RELEASED' ELSE 'CANCELLED' END,
+                 released_at = CASE WHEN status = 'ACTIVE' THEN NOW() ELSE released_at END
+             WHERE group_id = $1 AND status IN ('PENDING', 'ACTIVE')`,
+            [groupId]
+        );
+
+        await client.query(
+            `UPDATE group_waitlist
+             SET status = 'CANCELLED', responded_at = NOW()
+             WHERE group_id = $1 AND status IN ('WAITING', 'OFFERED')`,
+            [groupId]
+        );
+
+        await client.query(
+            `UPDATE group_join_requests
+             SET status = 'CANCELLED'
+             WHERE group_id = $1 AND status = 'PENDING'`,
+            [groupId]
+        );
+
+        await client.query(
+            `UPDATE group_invites
+             SET revoked_at = NOW()
+             WHERE group_id = $1 AND revoked_at IS NULL`,
+            [groupId]
+        );
+
+        await client.query(
+            `UPDATE group_polls
+             SET status = 'CANCELLED', closed_at = NOW()
+             WHERE group_id = $1 AND status = 'OPEN'`,
+            [groupId]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                'GROUP_CANCELLED',
+                'groups',
+                groupId,
+                JSON.stringify({
+                    reason: reason || null,
+                    settlementId: result.settlementId,
+                    cyclesCancelled: result.cyclesCancelled,
+                    escrowRefunded: result.escrowRefunded,
+                    totalCollected: result.totalCollected,
+                    totalCredited: result.totalCredited,
+                    totalShortfall: result.totalShortfall
+                })
+            ]
+        );
+
+        logger.info(`Grupo ${groupId} cancelado por admin ${req.user.id}`);
+
+        return result;
+    });
+
+    // Notificar via WebSocket
+    emitToGroup(groupId, 'group:cancelled', {
+        groupId,
+        cancelledBy: req.user.id,
+        settlementId: settlement.settlementId
+    });
+
+    for (const entry of settlement.entries) {
+        emitToUser(entry.userId, 'group:settlement', {
+            groupId,
+            settlementId: settlement.settlementId,
+            credited: entry.credited,
+            clawedBack: entry.clawedBack,
+            shortfall: entry.shortfall
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Grupo cancelado com sucesso. O acerto de contas está disponível para todos os membros',
+        data: {
+            settlementId: settlement.settlementId,
+            cyclesCancelled: settlement.cyclesCancelled,
+            escrowRefunded: settlement.escrowRefunded,
+            totalCollected: settlement.totalCollected,
+            totalCredited: settlement.totalCredited,
+            poolDistributed: settlement.poolDistributed,
+            totalShortfall: settlement.totalShortfall
+        }
+    });
+};
+
+// =====================================================
+// RELATÓRIO DO ACERTO DE CONTAS
+// =====================================================
+const getSettlementReport = async (req, res) => {
+    const { groupId } = req.params;
+    const { format = 'json' } = req.query;
+
+    // Membros atuais e antigos (no cancelamento todos ficam inativos)
+    const member = await database.query(
+        'SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2',
+        [groupId, req.user.id]
+    );
+
+    if (member.rows.length === 0) {
+        throw new AuthorizationError('Apenas membros do grupo podem ver o acerto de contas');
+    }
+
+    const report = await settlementService.getReport(database, groupId);
+
+    if (!report) {
+        throw new NotFoundError('O grupo não tem acerto de contas');
+    }
+
+    if (format === 'csv') {
+        res.attachment(`acerto-${groupId}.csv`);
+        res.type('text/csv');
+        return res.send(settlementService.buildReportCSV(report));
+    }
+
+    res.json({
+        success: true,
+        data: report
+    });
+};
+
+// =====================================================
+// EXTRATO DE TESOURARIA DO GRUPO
+// =====================================================
+const getTreasuryReport = async (req, res) => {
+    const { groupId } = req.params;
+    const { format = 'pdf' } = req.query;
+
+    const report = await reportService.buildReport(database, groupId);
+
+    if (!report) {
+        throw new NotFoundError('Grupo não encontrado');
+    }
+
+    // Registo da emissão: permite confirmar mais tarde a assinatura apresentada
+    await database.query(
+        `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+            req.user.id,
+            'TREASURY_REPORT_ISSUED',
+            'groups',
+            groupId,
+            JSON.stringify({
+                format,
+                documentNumber: report.documentNumber,
+                contentHash: report.contentHash,
+                digitalSignature: report.digitalSignature
+            })
+        ]
+    );
+
+    logger.info(`Extrato ${report.documentNumber} do grupo ${groupId} emitido por ${req.user.id}`);
+
+    res.set('X-Document-Number', report.documentNumber);
+    res.set('X-Digital-Signature', report.digitalSignature);
+
+    if (format === 'csv') {
+        res.attachment(`${report.documentNumber}.csv`);
+        res.type('text/csv');
+        return res.send(reportService.buildCSV(report));
+    }
+
+    res.attachment(`${report.documentNumber}.pdf`);
+    res.type('application/pdf');
+    res.send(reportService.buildPDF(report));
+};
+
+// =====================================================
+// RENOVAR GRUPO (NOVA RONDA)
+// =====================================================
+const renewGroup = async (req, res) => {
+    const { groupId } = req.params;
+    const { removeMemberIds = [], redrawOrder = false } = req.body;
+
+    const result = await database.transaction(async (client) => {
+        const group = await client.query(
+            `SELECT id, name, status, group_type, admin_id, current_round, cycle_value, frequency,
+                    payment_day, max_participants
+             FROM groups WHERE id = $1 FOR UPDATE`,
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        const groupData = group.rows[0];
+
+        if (groupData.status !== GROUP_STATUS.COMPLETED) {
+            throw new BusinessError('Apenas grupos concluídos podem ser renovados');
+        }
+
+        if (groupData.group_type === GROUP_TYPES.SAVINGS) {
+            throw new BusinessError('Grupos de poupança não são renovados. Crie uma nova poupança');
+        }
+
+        // O que entrou no fundo depois da conclusão (multas cobradas mais tarde) é repartido
+        // pelos membros da ronda que terminou, antes de alguém sair
+        await cycleService.distributePool(client, groupId);
+
+        if (removeMemberIds.includes(groupData.admin_id)) {
+            throw new ValidationError('O administrador não pode ser removido do grupo');
+        }
+
+        // Condições da nova ronda (por defeito, as da ronda anterior)
+        const cycleValue = req.body.cycleValue ?? parseFloat(groupData.cycle_value);
+        const frequency = req.body.frequency || groupData.frequency;
+        const maxParticipants = req.body.maxParticipants ?? groupData.max_participants;
+        let paymentDay = req.body.paymentDay;
+
+        if (paymentDay === undefined) {
+            paymentDay = frequency === groupData.frequency ? groupData.payment_day : null;
+        }
+
+        lifecycleService.assertPaymentDay(frequency, paymentDay);
+
+        // Membros que não continuam na nova ronda
+        const removed = await client.query(
+            `UPDATE group_members
+             SET is_active = false, left_at = NOW()
+             WHERE group_id = $1 AND user_id = ANY($2::uuid[]) AND is_active = true
+             RETURNING user_id`,
+            [groupId, removeMemberIds]
+        );
+
+        if (removed.rows.length !== removeMemberIds.length) {
+            throw new ValidationError('Alguns dos membros indicados não estão ativos no grupo');
+        }
+
+        for (const { user_id: userId } of removed.rows) {
+            await client.query(
+                `UPDATE cycle_order
+                 SET is_active = false
+                 WHERE group_id = $1 AND user_id = $2`,
+                [groupId, userId]
+            );
+
+            await guaranteeService.releaseGuarantee(client, groupId, userId);
+        }
+
+        const members = await client.query(
+            `SELECT co.user_id
+             FROM cycle_order co
+             JOIN group_members gm ON gm.group_id = co.group_id AND gm.user_id = co.user_id
+             WHERE co.group_id = $1 AND co.is_active = true AND gm.is_active = true
+             ORDER BY co.position ASC`,
+            [groupId]
+        );
+
+        const membersCount = members.rows.length;
+
+        if (maxParticipants < membersCount) {
+            throw new ValidationError(`O grupo tem ${membersCount} membros. O máximo de participantes não pode ser inferior`);
+        }
+
+        if (!redrawOrder && membersCount < 2) {
+            throw new BusinessError('São necessários pelo menos 2 membros para iniciar a nova ronda');
+        }
+
+        // Mesma ordem da ronda anterior, sem lacunas (negativas primeiro para não violar UNIQUE(group_id, position))
+        await client.query(
+            'UPDATE cycle_order SET position = -position WHERE group_id = $1',
+            [groupId]
+        );
+
+        for (let i = 0; i < membersCount; i++) {
+            await client.query(
+                `UPDATE cycle_order
+                 SET position = $1
+                 WHERE group_id = $2 AND user_id = $3`,
+                [i + 1, groupId, members.rows[i].user_id]
+            );
+        }
+
+        // Membros inativos ficam no fim da ordem
+        await client.query(
+            `UPDATE cycle_order co
+             SET position = $2 + sub.rn
+             FROM (
+                 SELECT id, ROW_NUMBER() OVER (ORDER BY position DESC) as rn
+                 FROM cycle_order
+                 WHERE group_id = $1 AND position < 0
+             ) sub
+             WHERE co.id = sub.id`,
+            [groupId, membersCount]
+        );
+
+        const renewed = await client.query(
+            `UPDATE groups
+             SET current_round = current_round + 1,
+                 status = CASE WHEN current_participants >= $5 THEN 'FULL' ELSE 'RECRUITING' END,
+                 cycle_value = $2, frequency = $3, payment_day = $4, max_participants = $5,
+                 cycle_pot = NULL, completed_at = NULL, updated_at = NOW()
+             WHERE id = $1
+             RETURNING current_round, status`,
+            [groupId, cycleValue, frequency, paymentDay, maxParticipants]
+        );
+
+        const { current_round: round, status } = renewed.rows[0];
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                'GROUP_RENEWED',
+                'groups',
+                groupId,
+                JSON.stringify({
+                    round,
+                    previousRound: groupData.current_round,
+                    removedMembers: removeMemberIds,
+                    cycleValue,
+                    frequency,
+                    paymentDay,
+                    maxParticipants,
+                    redrawOrder
+                })
+            ]
+        );
+
+        logger.info(`Grupo ${groupId} renovado para a ronda ${round} por admin ${req.user.id}`);
+
+        return {
+            round,
+            status,
+            membersCount,
+            removedMembers: removed.rows.map(row => row.user_id),
+            // Com novo sorteio, o grupo fica aberto a novos membros até à revelação
+            offers: redrawOrder ? await waitlistService.offerSeats(client, groupId) : []
+        };
+    });
+
+    // Sem novo sorteio, a ronda começa já com a ordem anterior
+    if (!redrawOrder) {
+        await generateCycles(groupId);
+    }
+
+    notifyWaitlistOffers(result.offers);
+
+    emitToGroup(groupId, 'group:renewed', {
+        groupId,
+        round: result.round,
+        renewedBy: req.user.id,
+        removedMembers: result.removedMembers,
+        redrawOrder
+    });
+
+    for (const userId of result.removedMembers) {
+        emitToUser(userId, 'group:member_removed', { groupId, round: result.round });
+    }
+
+    res.json({
+        success: true,
+        message: redrawOrder
+            ? 'Grupo renovado. Faça o sorteio da ordem para gerar os ciclos da nova ronda'
+            : 'Grupo renovado. Os ciclos da nova ronda foram gerados',
+        data: {
+            groupId,
+            round: result.round,
+            status: result.status,
+            membersCount: result.membersCount,
+            removedMembers: result.removedMembers,
+            cyclesGenerated: !redrawOrder
+        }
+    });
+};
+
+// =====================================================
+// INICIAR POUPANÇA (ADMIN)
+// =====================================================
+const startSavings = async (req, res) => {
+    const { groupId } = req.params;
+
+    const result = await database.transaction(async (client) => {
+        const groupData = await lockSavingsGroup(client, groupId);
+
+        lifecycleService.assertStatus(groupData, [GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL], 'iniciar a poupança');
+
+        const members = await client.query(
+            'SELECT COUNT(*) as count FROM group_members WHERE group_id = $1 AND is_active = true',
+            [groupId]
+        );
+
+        const membersCount = parseInt(members.rows[0].count);
+
+        if (membersCount < 2) {
+            throw new BusinessError('A poupança precisa de pelo menos 2 membros para começar');
+        }
+
+        const startedAt = calendarService.today();
+        const endDate = calendarService.toDateString(groupData.end_date);
+
+        if (startedAt >= endDate) {
+            throw new BusinessError('A data de fim da poupança já passou. Atualize o prazo ou cancele o grupo');
+        }
+
+        await client.query(
+            'UPDATE groups SET savings_started_at = $1 WHERE id = $2',
+            [startedAt, groupId]
+        );
+
+        await lifecycleService.transition(client, groupId, GROUP_STATUS.RUNNING);
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [req.user.id, 'SAVINGS_STARTED', 'groups', groupId, JSON.stringify({ startedAt, endDate, membersCount })]
+        );
+
+        return { startedAt, endDate, membersCount };
+    });
+
+    logger.info(`Poupança do grupo ${groupId} iniciada por admin ${req.user.id}`);
+
+    emitToGroup(groupId, 'group:savings_started', {
+        groupId,
+        startedAt: result.startedAt,
+        endDate: result.endDate
+    });
+
+    res.json({
+        success: true,
+        message: 'Poupança iniciada. Os membros já podem contribuir',
+        data: {
+            groupId,
+            status: GROUP_STATUS.RUNNING,
+            ...result
+        }
+    });
+};
+
+// =====================================================
+// CONTRIBUIR PARA A POUPANÇA
+// =====================================================
+const contributeSavings = async (req, res) => {
+    const { groupId } = req.params;
+    const result = await database.transaction(async (client) => {
+        const groupData = await lockSavingsGroup(client, groupId);
+
+        lifecycleService.assertStatus(groupData, [GROUP_STATUS.RUNNING], 'contribuir para a poupança');
+
+        await assertNotSuspended(client, groupId, req.user.id);
+
+        const contribution = await savingsService.contribute(client, groupData, req.user.id, req.body.amount);
+
+        return {
+            ...contribution,
+            targetAmount: parseFloat(groupData.target_amount),
+            previousBalance: parseFloat(groupData.savings_balance)
+        };
+    });
+
+    logger.info(`Contribuição de poupança: grupo ${groupId}, usuário ${req.user.id}, ${result.amount} KZ`);
+
+    emitToGroup(groupId, 'group:savings_contribution', {
+        groupId,
+        userId: req.user.id,
+        userName: req.user.name,
+        amount: result.amount,
+        periodNumber: result.periodNumber,
+        savingsBalance: result.savingsBalance
+    });
+
+    const targetReached = result.previousBalance < result.targetAmount && result.savingsBalance >= result.targetAmount;
+
+    if (targetReached) {
+        emitToGroup(groupId, 'group:savings_target_reached', {
+            groupId,
+            targetAmount: result.targetAmount,
+            savingsBalance: result.savingsBalance
+        });
+    }
+
+    res.json({
+        success: true,
+        message: targetReached
+            ? 'Contribuição registada. A meta da poupança foi atingida'
+            : 'Contribuição registada com sucesso',
+        data: {
+            contributionId: result.contributionId,
+            transactionId: result.transactionId,
+            amount: result.amount,
+            periodNumber: result.periodNumber,
+            savingsBalance: result.savingsBalance,
+            targetAmount: result.targetAmount,
+            createdAt: result.createdAt
+        }
+    });
+};
+
+// =====================================================
+// PROGRESSO DA POUPANÇA
+// =====================================================
+const getSavingsProgress = async (req, res) => {
+    const { groupId } = req.params;
+
+    const group = await database.query(
+        'SELECT group_type FROM groups WHERE id = $1',
+        [groupId]
+    );
+
+    if (group.rows.length === 0) {
+        throw new NotFoundError('Grupo não encontrado');
+    }
+
+    if (group.rows[0].group_type !== GROUP_TYPES.SAVINGS) {
+        throw new BusinessError('Este grupo não é um grupo de poupança');
+    }
+
+    const progress = await savingsService.getProgress(database, groupId);
+
+    res.json({
+        success: true,
+        data: progress
+    });
+};
+
+// =====================================================
+// DISTRIBUIR POUPANÇA (ADMIN)
+// =====================================================
+const distributeSavings = async (req, res) => {
+    const { groupId } = req.params;
+
+    const result = await database.transaction(async (client) => {
+        const groupData = await lockSavingsGroup(client, groupId);
+
+        lifecycleService.assertStatus(groupData, [GROUP_STATUS.RUNNING], 'distribuir a poupança');
+
+        // Antes do prazo, só com a meta atingida
+        let reason;
+
+        if (calendarService.today() >= calendarService.toDateString(groupData.end_date)) {
+            reason = SAVINGS_DISTRIBUTION_REASONS.END_DATE;
+        } else if (parseFloat(groupData.savings_balance) >= parseFloat(groupData.target_amount)) {
+            reason = SAVINGS_DISTRIBUTION_REASONS.TARGET_REACHED;
+        } else {
+            throw new BusinessError('A poupança só pode ser distribuída no fim do prazo ou depois de atingida a meta');
+        }
+
+        const distribution = await savingsService.close(client, groupData, req.user.id, reason);
+
+        return { reason, ...distribution };
+    });
+
+    logger.info(`Poupança do grupo ${groupId} distribuída por admin ${req.user.id}`);
+
+    notifySavingsDistribution(groupId, result);
+
+    res.json({
+        success: true,
+        message: 'Poupança distribuída pelos membros. O grupo está concluído',
+        data: {
+            groupId,
+            reason: result.reason,
+            total: result.total,
+            entries: result.entries
+        }
+    });
+};
+
+/**
+ * Buscar grupo de poupança (bloqueado para atualização)
+ */
+const lockSavingsGroup = async (client, groupId) => {
+    const group = await client.query(
+        `SELECT id, name, status, group_type, cycle_value, frequency, target_amount, end_date,
+                savings_balance, savings_started_at, pool_balance
+         FROM groups WHERE id = $1 FOR UPDATE`,
+        [groupId]
+    );
+
+    if (group.rows.length === 0) {
+        throw new NotFoundError('Grupo não encontrado');
+    }
+
+    if (group.rows[0].group_type !== GROUP_TYPES.SAVINGS) {
+        throw new BusinessError('Este grupo não é um grupo de poupança');
+    }
+
+    return group.rows[0];
+};
+
+/**
+ * Notificar o grupo e cada membro da distribuição final da poupança
+ */
+const notifySavingsDistribution = (groupId, result) => {
+    emitToGroup(groupId, 'group:savings_distributed', {
+        groupId,
+        reason: result.reason,
+        total: result.total
+    });
+
+    for (const entry of result.entries) {
+        emitToUser(entry.userId, 'group:savings_payout', {
+            groupId,
+            contributed: entry.contributed,
+            amount: entry.amount
+        });
+    }
+};
+
+// =====================================================
+// CRIAR VOTAÇÃO
+// =====================================================
+const createPoll = async (req, res) => {
+    const { groupId } = req.params;
+    const {
+        question,
+        description,
+        options,
+        closesAt,
+        quorumPercent = 50,
+        majorityRule = 'SIMPLE',
+        action
+    } = req.body;
+
+    const { type: actionType = POLL_ACTIONS.NONE, ...actionPayload } = action || {};
+
+    if (actionType === POLL_ACTIONS.SWAP_ORDER && actionPayload.requesterId === actionPayload.counterpartId) {
+        throw new ValidationError('A troca tem de envolver dois membros diferentes');
+    }
+
+    const poll = await database.transaction(async (client) => {
+        await assertNotSuspended(client, groupId, req.user.id);
+
+        return pollService.create(client, groupId, req.user.id, {
+            question,
+            description,
+            options,
+            closesAt,
+            quorumPercent,
+            majorityRule,
+            actionType,
+            actionPayload
+        });
+    });
+
+    emitToGroup(groupId, 'group:poll_created', { groupId, ...poll });
+
+    res.status(201).json({
+        success: true,
+        message: 'Votação aberta',
+        data: {
+            status: POLL_STATUS.OPEN,
+            ...poll
+        }
+    });
+};
+
+// =====================================================
+// LISTAR VOTAÇÕES
+// =====================================================
+const listPolls = async (req, res) => {
+    const { groupId } = req.params;
+    const { status } = req.query;
+
+    const result = await database.query(
+        `SELECT p.id, p.question, p.action_type, p.status, p.quorum_percent, p.majority_rule,
+                p.closes_at, p.closed_at, p.created_at, p.action_status,
+                p.created_by, u.full_name as created_by_name,
+                (SELECT COUNT(*) FROM group_poll_votes v WHERE v.poll_id = p.id) as votes_count,
+                (SELECT v.option_id FROM group_poll_votes v
+                 WHERE v.poll_id = p.id AND v.user_id = $2) as my_option_id
+         FROM group_polls p
+         JOIN users u ON p.created_by = u.id
+         WHERE p.group_id = $1 AND ($3::varchar IS NULL OR p.status = $3)
+         ORDER BY p.created_at DESC
+         LIMIT 50`,
+        [groupId, req.user.id, status || null]
+    );
+
+    res.json({
+        success: true,
+        data: {
+            polls: result.rows.map(p => ({
+                pollId: p.id,
+                question: p.question,
+                actionType: p.action_type,
+                status: p.status,
+                quorumPercent: p.quorum_percent,
+                majorityRule: p.majority_rule,
+                votesCount: parseInt(p.votes_count),
+                myOptionId: p.my_option_id,
+                actionStatus: p.action_status,
+                createdBy: { id: p.created_by, name: p.created_by_name },
+                closesAt: p.closes_at,
+                closedAt: p.closed_at,
+                createdAt: p.created_at
+            }))
+        }
+    });
+};
+
+// =====================================================
+// OBTER VOTAÇÃO (COM RESULTADOS)
+// =====================================================
+const getPoll = async (req, res) => {
+    const { groupId, pollId } = req.params;
+
+    const poll = await database.query(
+        `SELECT p.*, u.full_name as created_by_name,
+                (SELECT v.option_id FROM group_poll_votes v
+                 WHERE v.poll_id = p.id AND v.user_id = $3) as my_option_id
+         FROM group_polls p
+         JOIN users u ON p.created_by = u.id
+         WHERE p.id = $1 AND p.group_id = $2`,
+        [pollId, groupId, req.user.id]
+    );
+
+    if (poll.rows.length === 0) {
+        throw new NotFoundError('Votação não encontrada');
+    }
+
+    const pollData = poll.rows[0];
+    const results = await pollService.getResults(database, pollId);
+
+    // Enquanto aberta, o quórum é medido sobre os membros atuais
+    const eligibleCount = pollData.status === POLL_STATUS.OPEN
+        ? await pollService.countEligible(database, groupId)
+        : pollData.eligible_count;
+
+    res.json({
+        success: true,
+        data: {
+            pollId: pollData.id,
+            question: pollData.question,
+            description: pollData.description,
+            actionType: pollData.action_type,
+            actionPayload: pollData.action_payload,
+            quorumPercent: pollData.quorum_percent,
+            majorityRule: pollData.majority_rule,
+            status: pollData.status,
+            eligibleCount,
+            votesCount: results.votesCount,
+            options: results.options,
+            myOptionId: pollData.my_option_id,
+            winningOptionId: pollData.winning_option_id,
+            actionStatus: pollData.action_status,
+            actionError: pollData.action_error,
+            createdBy: { id: pollData.created_by, name: pollData.created_by_name },
+            closesAt: pollData.closes_at,
+            closedAt: pollData.closed_at,
+            createdAt: pollData.created_at
+        }
+    });
+};
+
+// =====================================================
+// VOTAR
+// =====================================================
+const votePoll = async (req, res) => {
+    const { groupId, pollId } = req.params;
+    const { optionId } = req.body;
+
+    const result = await database.transaction(async (client) => {
+        const poll = await client.query(
+            'SELECT id, status, closes_at FROM group_polls WHERE id = $1 AND group_id = $2 FOR UPDATE',
+            [pollId, groupId]
+        );
+
+        if (poll.rows.length === 0) {
+            throw new NotFoundError('Votação não encontrada');
+        }
+
+        if (poll.rows[0].status !== POLL_STATUS.OPEN || new Date(poll.rows[0].closes_at) <= new Date()) {
+            throw new BusinessError('Esta votação já está fechada');
+        }
+
+        await assertNotSuspended(client, groupId, req.user.id);
+
+        const option = await client.query(
+            'SELECT id FROM group_poll_options WHERE id = $1 AND poll_id = $2',
+            [optionId, pollId]
+        );
+
+        if (option.rows.length === 0) {
+            throw new ValidationError('Opção inválida para esta votação');
+        }
+
+        // Um voto por membro, sem alteração posterior
+        const vote = await client.query(
+            `INSERT INTO group_poll_votes (poll_id, option_id, user_id)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (poll_id, user_id) DO NOTHING
+             RETURNING id`,
+            [pollId, optionId, req.user.id]
+        );
+
+        if (vote.rows.length === 0) {
+            throw new BusinessError('Você já votou nesta votação');
+        }
+
+        const results = await pollService.getResults(client, pollId);
+        const eligibleCount = await pollService.countEligible(client, groupId);
+
+        // Todos votaram: fechar sem esperar pelo prazo
+        const closed = results.votesCount >= eligibleCount
+            ? await pollService.close(client, pollId)
+            : null;
+
+        return { results, eligibleCount, closed };
+    });
+
+    emitToGroup(groupId, 'group:poll_vote', {
+        groupId,
+        pollId,
+        votesCount: result.results.votesCount,
+        eligibleCount: result.eligibleCount,
+        options: result.results.options
+    });
+
+    notifyPollClosed(result.closed);
+
+    res.json({
+        success: true,
+        message: result.closed ? 'Voto registado. Todos votaram e a votação foi fechada' : 'Voto registado',
+        data: {
+            pollId,
+            optionId,
+            status: result.closed ? result.closed.status : POLL_STATUS.OPEN,
+            votesCount: result.results.votesCount,
+            eligibleCount: result.eligibleCount,
+            options: result.results.options,
+            actionStatus: result.closed?.action?.status || null,
+            actionError: result.closed?.action?.error || null
+        }
+    });
+};
+
+// =====================================================
+// CANCELAR VOTAÇÃO (AUTOR OU ADMIN)
+// =====================================================
+const cancelPoll = async (req, res) => {
+    const { groupId, pollId } = req.params;
+
+    await database.transaction(async (client) => {
+        const poll = await client.query(
+            `SELECT p.status, p.created_by, g.admin_id
+             FROM group_polls p
+             JOIN groups g ON p.group_id = g.id
+             WHERE p.id = $1 AND p.group_id = $2
+             FOR UPDATE OF p`,
+            [pollId, groupId]
+        );
+
+        if (poll.rows.length === 0) {
+            throw new NotFoundError('Votação não encontrada');
+        }
+
+        const pollData = poll.rows[0];
+
+        if (pollData.created_by !== req.user.id && pollData.admin_id !== req.user.id) {
+            throw new AuthorizationError('Apenas o autor da votação ou o administrador podem cancelá-la');
+        }
+
+        if (pollData.status !== POLL_STATUS.OPEN) {
+            throw new BusinessError('Esta votação já está fechada');
+        }
+
+        await client.query(
+            `UPDATE group_polls SET status = 'CANCELLED', closed_at = NOW() WHERE id = $1`,
+            [pollId]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [req.user.id, 'POLL_CANCELLED', 'group_polls', pollId, JSON.stringify({ groupId })]
+        );
+    });
+
+    emitToGroup(groupId, 'group:poll_cancelled', {
+        groupId,
+        pollId,
+        cancelledBy: req.user.id
+    });
+
+    res.json({
+        success: true,
+        message: 'Votação cancelada'
+    });
+};
+
+/**
+ * Notificar o resultado de uma votação fechada e os efeitos da ação executada
+ */
+const notifyPollClosed = (closed) => {
+    if (!closed) return;
+
+    const { groupId, action } = closed;
+
+    emitToGroup(groupId, 'group:poll_closed', {
+        groupId,
+        pollId: closed.pollId,
+        status: closed.status,
+        winningOptionId: closed.winningOptionId,
+        eligibleCount: closed.eligibleCount,
+        votesCount: closed.results.votesCount,
+        options: closed.results.options,
+        actionType: closed.actionType,
+        actionStatus: action ? action.status : null,
+        actionError: action ? action.error : null
+    });
+
+    if (!action || action.status !== 'EXECUTED') return;
+
+    notifyWaitlistOffers(action.offers || []);
+    notifyScheduleUpdate(groupId, action.schedule);
+
+    if (closed.actionType === POLL_ACTIONS.REMOVE_MEMBER) {
+        notifyMemberRemoval(groupId, closed.actionPayload.userId, action, closed.pollId);
+    }
+
+    if (closed.actionType === POLL_ACTIONS.SWAP_ORDER) {
+        emitToGroup(groupId, 'group:order_swapped', {
+            groupId,
+            pollId: closed.pollId,
+            members: action.members
+        });
+    }
+
+    if (closed.actionType === POLL_ACTIONS.UPDATE_TERMS) {
+        emitToGroup(groupId, 'group:terms_updated', {
+            groupId,
+            pollId: closed.pollId,
+            terms: closed.actionPayload.terms
+        });
+    }
+};
+
+// =====================================================
+// OFERECER SUBSTITUIÇÃO DE UM MEMBRO QUE SAIU (ADMIN)
+// =====================================================
+const offerReplacement = async (req, res) => {
+    const { groupId } = req.params;
+    const { departedUserId, userId } = req.body;
+
+    if (departedUserId === userId) {
+        throw new ValidationError('O substituto tem de ser outro usuário');
+    }
+
+    const offer = await database.transaction(async (client) => {
+        const group = await client.query(
+            'SELECT id, name, status FROM groups WHERE id = $1 FOR UPDATE',
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        lifecycleService.assertStatus(group.rows[0], [GROUP_STATUS.RUNNING], 'substituir membros');
+
+        const candidate = await client.query(
+            'SELECT id, full_name FROM users WHERE id = $1 AND is_active = true',
+            [userId]
+        );
+
+        if (candidate.rows.length === 0) {
+            throw new NotFoundError('Substituto não encontrado');
+        }
+
+        const { position } = await replacementService.findVacantSlot(client, groupId, departedUserId);
+
+        // O fiador (se o grupo o exigir) só é verificado na aceitação
+        await replacementService.assertCandidate(client, groupId, userId, false);
+
+        // Ofertas expiradas deixam de reservar a posição
+        await client.query(
+            `UPDATE member_replacements
+             SET status = 'EXPIRED', responded_at = NOW()
+             WHERE group_id = $1 AND departed_user_id = $2
+               AND status = 'PENDING' AND expires_at <= NOW()`,
+            [groupId, departedUserId]
+        );
+
+        const open = await client.query(
+            `SELECT id FROM member_replacements
+             WHERE group_id = $1 AND departed_user_id = $2 AND status = 'PENDING'`,
+            [groupId, departedUserId]
+        );
+
+        if (open.rows.length > 0) {
+            throw new BusinessError('Já existe uma oferta de substituição pendente para esta posição');
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO member_replacements (
+                group_id, departed_user_id, user_id, invited_by, position, expires_at
+            ) VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))
+            RETURNING id, expires_at, created_at`,
+            [groupId, departedUserId, userId, req.user.id, position, SYSTEM_LIMITS.REPLACEMENT_OFFER_EXPIRY_HOURS]
+        );
+
+        return {
+            replacementId: inserted.rows[0].id,
+            groupName: group.rows[0].name,
+            position,
+            catchUp: await replacementService.computeCatchUp(client, groupId, departedUserId),
+            expiresAt: inserted.rows[0].expires_at,
+            createdAt: inserted.rows[0].created_at
+        };
+    });
+
+    logger.info(`Substituição oferecida a ${userId} no grupo ${groupId} (posição ${offer.position})`);
+
+    emitToUser(userId, 'group:replacement_offered', {
+        groupId,
+        groupName: offer.groupName,
+        replacementId: offer.replacementId,
+        position: offer.position,
+        catchUpTotal: offer.catchUp.total,
+        expiresAt: offer.expiresAt
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Oferta de substituição enviada',
+        data: {
+            replacementId: offer.replacementId,
+            departedUserId,
+            userId,
+            position: offer.position,
+            status: REPLACEMENT_STATUS.PENDING,
+            catchUp: offer.catchUp,
+            expiresAt: offer.expiresAt,
+            createdAt: offer.createdAt
+        }
+    });
+};
+
+// =====================================================
+// LISTAR SUBSTITUIÇÕES DO GRUPO (ADMIN)
+// =====================================================
+const listReplacements = async (req, res) => {
+    const { groupId } = req.params;
+
+    const result = await database.query(
+        `SELECT mr.id, mr.departed_user_id, du.full_name as departed_name,
+                mr.user_id, u.full_name as user_name, mr.position,
+                CASE WHEN mr.status = 'PENDING' AND mr.expires_at <= NOW() THEN 'EXPIRED' ELSE mr.status END as status,
+                mr.catch_up_amount, mr.expires_at, mr.responded_at, mr.created_at
+         FROM member_replacements mr
+         JOIN users du ON mr.departed_user_id = du.id
+         JOIN users u ON mr.user_id = u.id
+         WHERE mr.group_id = $1
+         ORDER BY mr.created_at DESC`,
+        [groupId]
+    );
+
+    res.json({
+        success: true,
+        data: {
+            replacements: result.rows.map(row => ({
+                replacementId: row.id,
+                departed: { id: row.departed_user_id, name: row.departed_name },
+                user: { id: row.user_id, name: row.user_name },
+                position: row.position,
+                status: row.status,
+                catchUpAmount: row.catch_up_amount !== null ? parseFloat(row.catch_up_amount) : null,
+                expiresAt: row.expires_at,
+                respondedAt: row.responded_at,
+                createdAt: row.created_at
+            }))
+        }
+    });
+};
+
+// =====================================================
+// OBTER OFERTA DE SUBSTITUIÇÃO (CONVIDADO OU ADMIN)
+// =====================================================
+const getReplacement = async (req, res) => {
+    const { groupId, replacementId } = req.params;
+
+    const result = await database.query(
+        `SELECT mr.*, g.name as group_name, g.admin_id, g.cycle_value, g.frequency,
+                du.full_name as departed_name
+         FROM member_replacements mr
+         JOIN groups g ON mr.group_id = g.id
+         JOIN users du ON mr.departed_user_id = du.id
+         WHERE mr.id = $1 AND mr.group_id = $2`,
+        [replacementId, groupId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new NotFoundError('Oferta de substituição não encontrada');
+    }
+
+    const offer = result.rows[0];
+
+    if (offer.user_id !== req.user.id && offer.admin_id !== req.user.id) {
+        throw new AuthorizationError('Apenas o convidado ou o admin podem ver esta oferta');
+    }
+
+    const status = offer.status === REPLACEMENT_STATUS.PENDING && new Date(offer.expires_at) <= new Date()
+        ? REPLACEMENT_STATUS.EXPIRED
+        : offer.status;
+
+    // Enquanto pendente, o atraso é recalculado (os ciclos continuam a avançar)
+    const catchUp = status === REPLACEMENT_STATUS.PENDING
+        ? await replacementService.computeCatchUp(database, groupId, offer.departed_user_id)
+        : null;
+
+    res.json({
+        success: true,
+        data: {
+            replacementId: offer.id,
+            group: {
+                id: groupId,
+                name: offer.group_name,
+                cycleValue: parseFloat(offer.cycle_value),
+                frequency: offer.frequency
+            },
+            departed: { id: offer.departed_user_id, name: offer.departed_name },
+            userId: offer.user_id,
+            position: offer.position,
+            status,
+            catchUp,
+            catchUpAmount: offer.catch_up_amount !== null ? parseFloat(offer.catch_up_amount) : null,
+            expiresAt: offer.expires_at,
+            respondedAt: offer.responded_at,
+            createdAt: offer.created_at
+        }
+    });
+};
+
+// =====================================================
+// ACEITAR SUBSTITUIÇÃO (CONVIDADO)
+// =====================================================
+const acceptReplacement = async (req, res) => {
+    const { groupId, replacementId } = req.params;
+    const result = await database.transaction(async (client) => {
+        const group = await client.query(
+            'SELECT id, name, status, requires_guarantor FROM groups WHERE id = $1 FOR UPDATE',
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        const offer = await client.query(
+            `SELECT * FROM member_replacements
+             WHERE id = $1 AND group_id = $2 AND user_id = $3
+             FOR UPDATE`,
+            [replacementId, groupId, req.user.id]
+        );
+
+        if (offer.rows.length === 0) {
+            throw new NotFoundError('Oferta de substituição não encontrada');
+        }
+
+        const offerData = offer.rows[0];
+
+        if (offerData.status !== REPLACEMENT_STATUS.PENDING) {
+            throw new BusinessError('Esta oferta de substituição já não está pendente');
+        }
+
+        // Oferta expirada: persistir o estado antes de recusar
+        if (new Date(offerData.expires_at) <= new Date()) {
+            await client.query(
+                `UPDATE member_replacements
+                 SET status = 'EXPIRED', responded_at = NOW()
+                 WHERE id = $1`,
+                [offerData.id]
+            );
+
+            return { status: REPLACEMENT_STATUS.EXPIRED };
+        }
+
+        lifecycleService.assertStatus(group.rows[0], [GROUP_STATUS.RUNNING], 'entrar no grupo');
+
+        const accepted = await replacementService.accept(client, group.rows[0], offerData);
+
+        return {
+            status: REPLACEMENT_STATUS.ACCEPTED,
+            departedUserId: offerData.departed_user_id,
+            position: offerData.position,
+            ...accepted
+        };
+    });
+
+    if (result.status === REPLACEMENT_STATUS.EXPIRED) {
+        throw new BusinessError('O prazo para aceitar a substituição expirou');
+    }
+
+    notifyScheduleUpdate(groupId, result.schedule);
+
+    emitToGroup(groupId, 'group:member_replaced', {
+        groupId,
+        userId: req.user.id,
+        userName: req.user.name,
+        departedUserId: result.departedUserId,
+        position: result.position
+    });
+
+    // Beneficiários dos ciclos já pagos recebem a contribuição que lhes faltou
+    for (const cycle of result.catchUp.missedCycles) {
+        emitToUser(cycle.beneficiaryId, 'group:catch_up_received', {
+            groupId,
+            cycleNumber: cycle.cycleNumber,
+            amount: cycle.amount,
+            payerId: req.user.id
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Você entrou no grupo como substituto',
+        data: {
+            position: result.position,
+            catchUp: result.catchUp,
+            schedule: result.schedule ? result.schedule.schedule : []
+        }
+    });
+};
+
+// =====================================================
+// RECUSAR (CONVIDADO) OU CANCELAR (ADMIN) SUBSTITUIÇÃO
+// =====================================================
+const declineReplacement = async (req, res) => {
+    const { groupId, replacementId } = req.params;
+
+    const offer = await database.query(
+        `SELECT mr.id, mr.user_id, mr.status, g.admin_id
+         FROM member_replacements mr
+         JOIN groups g ON mr.group_id = g.id
+         WHERE mr.id = $1 AND mr.group_id = $2`,
+        [replacementId, groupId]
+    );
+
+    if (offer.rows.length === 0) {
+        throw new NotFoundError('Oferta de substituição não encontrada');
+    }
+
+    const offerData = offer.rows[0];
+    const isInvitee = offerData.user_id === req.user.id;
+    const isAdmin = offerData.admin_id === req.user.id;
+
+    if (!isInvitee && !isAdmin) {
+        throw new AuthorizationError('Apenas o convidado ou o admin podem recusar a substituição');
+    }
+
+    const status = isInvitee ? REPLACEMENT_STATUS.DECLINED : REPLACEMENT_STATUS.CANCELLED;
+
+    const updated = await database.query(
+        `UPDATE member_replacements
+         SET status = $1, responded_at = NOW()
+         WHERE id = $2 AND status = 'PENDING'
+         RETURNING id`,
+        [status, replacementId]
+    );
+
+    if (updated.rows.length === 0) {
+        throw new BusinessError('Esta oferta de substituição já não está pendente');
+    }
+
+    emitToUser(isInvitee ? offerData.admin_id : offerData.user_id, 'group:replacement_declined', {
+        groupId,
+        replacementId,
+        status
+    });
+
+    res.json({
+        success: true,
+        message: isInvitee ? 'Substituição recusada' : 'Oferta de substituição cancelada',
+        data: { replacementId, status }
+    });
+};
+
+// =====================================================
+// PREFERÊNCIAS DE RECEBIMENTO NO GRUPO
+// =====================================================
+const getPayoutPreferences = async (req, res) => {
+    const { groupId } = req.params;
+
+    const allocations = await payoutService.getAllocations(database, groupId, req.user.id);
+
+    const payouts = await database.query(
+        `SELECT cp.id, cp.method, cp.amount, cp.fee, cp.status, cp.failure_reason,
+                cp.created_at, cp.processed_at, pc.cycle_number
+         FROM cycle_payouts cp
+         JOIN payment_cycles pc ON cp.cycle_id = pc.id
+         WHERE cp.group_id = $1 AND cp.user_id = $2
+         ORDER BY cp.created_at DESC
+         LIMIT 20`,
+        [groupId, req.user.id]
+    );
+
+    res.json({
+        success: true,
+        data: formatPayoutPreferences(allocations, payouts.rows)
+    });
+};
+
+const updatePayoutPreferences = async (req, res) => {
+    const { groupId } = req.params;
+    const { allocations } = req.body;
+
+    const saved = await database.transaction(
+        (client) => payoutService.setAllocations(client, groupId, req.user.id, allocations)
+    );
+
+    logger.info(`Preferências de recebimento atualizadas: grupo ${groupId}, usuário ${req.user.id}`);
+
+    res.json({
+        success: true,
+        message: saved.length > 0
+            ? 'Preferências de recebimento atualizadas'
+            : 'Os recebimentos neste grupo ficam na carteira',
+        data: formatPayoutPreferences(saved)
+    });
+};
+
+/**
+ * Repartição do recebimento: destinos de saque e o resto na carteira
+ */
+const formatPayoutPreferences = (allocations, payouts = null) => {
+    const allocated = allocations.reduce((sum, a) => sum + a.percent, 0);
+
+    return {
+        walletPercent: 100 - allocated,
+        allocations: allocations.map(a => ({
+            destinationId: a.destination_id,
+            method: a.method,
+            label: a.label,
+            percent: a.percent
+        })),
+        recentPayouts: payouts && payouts.map(p => ({
+            payoutId: p.id,
+            cycleNumber: p.cycle_number,
+            method: p.method,
+            amount: parseFloat(p.amount),
+            fee: parseFloat(p.fee),
+            status: p.status,
+            failureReason: p.failure_reason,
+            createdAt: p.created_at,
+            processedAt: p.processed_at
+        }))
+    };
+};
+
+// =====================================================
+// FUNÇÕES AUXILIARES
+// =====================================================
 
 /**
- * Completar ciclo (creditando beneficiário)
+ * A ordem só pode ser definida (e os ciclos gerados) com o grupo a recrutar ou completo
  */
-const completeCycle = async (client, cycleData) => {
-    // Buscar saldo do beneficiário
-    const beneficiaryWallet = await client.query(
-        'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
-        [cycleData.beneficiary_id]
+const assertCanStart = async (client, groupId) => {
+    const group = await client.query(
+        'SELECT status, group_type FROM groups WHERE id = $1 FOR UPDATE',
+        [groupId]
     );
 
-    const beneficiaryBalance = parseFloat(beneficiaryWallet.rows[0].available_balance);
+    if (group.rows.length === 0) {
+        throw new NotFoundError('Grupo não encontrado');
+    }
 
-    // Criar transação de recebimento
-    await client.query(
-        `INSERT INTO transactions (
-            user_id, wallet_id, transaction_type, amount, fee, net_amount,
-            balance_before, balance_after, status, description, metadata
-        ) VALUES (
-            $1, (SELECT id FROM wallets WHERE user_id = $1),
-            'GROUP_RECEIVE', $2, 0, $2, $3, $3 + $2, 'COMPLETED', $4, $5
-        )`,
-        [
-            cycleData.beneficiary_id,
-            cycleData.amount,
-            beneficiaryBalance,
-            `Recebimento do ciclo ${cycleData.cycle_number}`,
-            JSON.stringify({ groupId: cycleData.group_id, cycleId: cycleData.id })
-        ]
+    if (group.rows[0].group_type === GROUP_TYPES.SAVINGS) {
+        throw new BusinessError('Grupos de poupança não têm ordem de beneficiários');
+    }
+
+    lifecycleService.assertStatus(
+        group.rows[0],
+        [GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL],
+        'definir a ordem dos beneficiários'
     );
+};
 
-    // Atualizar saldo do beneficiário
-    await client.query(
-        'UPDATE wallets SET available_balance = available_balance + $1 WHERE user_id = $2',
-        [cycleData.amount, cycleData.beneficiary_id]
+/**
+ * Notificar o grupo do novo calendário após reprogramação
+ */
+const notifyScheduleUpdate = (groupId, result) => {
+    if (!result) return;
+
+    emitToGroup(groupId, 'group:schedule_updated', {
+        groupId,
+        amount: result.amount,
+        potAmount: result.potAmount,
+        payersCount: result.payersCount,
+        schedule: result.schedule,
+        addedCycles: result.addedCycles,
+        droppedCycles: result.droppedCycles
+    });
+
+    for (const cycleNumber of result.completedCycles) {
+        emitToGroup(groupId, 'group:cycle_completed', { groupId, cycleNumber });
+    }
+};
+
+/**
+ * Gerar ciclos de pagamento para o grupo
+ */
+const generateCycles = async (groupId) => {
+    return database.transaction(async (client) => {
+        // Buscar dados do grupo
+        const group = await client.query(
+            `SELECT g.id, g.cycle_value, g.frequency, g.group_type, g.max_participants, g.payment_day,
+                    g.business_day_policy, g.current_round,
+                    (SELECT COALESCE(MAX(cycle_number), 0) FROM payment_cycles
+                     WHERE group_id = g.id) as last_cycle_number
+             FROM groups g WHERE g.id = $1`,
+            [groupId]
+        );
+
+        if (group.rows.length === 0) return;
+
+        const groupData = group.rows[0];
+
+        // Buscar ordem dos membros
+        const order = await client.query(
+            `SELECT user_id, position
+             FROM cycle_order
+             WHERE group_id = $1 AND is_active = true
+             ORDER BY position ASC`,
+            [groupId]
+        );
+
+        // Mesmo calendário que a simulação (POST /groups/simulate)
+        // Leilão: licitação abre no vencimento anterior (a do primeiro ciclo abre já e dura
+        // um período) e fecha no início do dia de vencimento
+        // (o beneficiário pela ordem é apenas o padrão caso não haja lances)
+        const { amount, potAmount, cycles } = scheduleService.buildSchedule({
+            cycleValue: groupData.cycle_value,
+            frequency: groupData.frequency,
+            participants: order.rows.length,
+            paymentDay: groupData.payment_day,
+            startDate: calendarService.today(),
+            policy: groupData.business_day_policy,
+            isAuction: groupData.group_type === 'AUCTION'
+        });
+
+        // Gerar ciclos para cada membro na ordem
+        for (let i = 0; i < order.rows.length; i++) {
+            const member = order.rows[i];
+            const cycle = cycles[i];
+
+            // A numeração continua a das rondas anteriores
+            await client.query(
+                `INSERT INTO payment_cycles (
+                    group_id, cycle_number, round_number, beneficiary_id, amount, due_date, status,
+                    bidding_opens_at, bidding_closes_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                [
+                    groupId,
+                    groupData.last_cycle_number + cycle.cycleNumber,
+                    groupData.current_round,
+                    member.user_id,
+                    amount,
+                    cycle.dueDate,
+                    'PENDING', // Todos começam pendentes
+                    cycle.biddingOpensAt,
+                    cycle.biddingClosesAt
+                ]
+            );
+        }
+
+        // Valor a receber por ciclo (mantido se a composição do grupo mudar)
+        await client.query(
+            'UPDATE groups SET cycle_pot = $1 WHERE id = $2',
+            [potAmount, groupId]
+        );
+
+        await lifecycleService.transition(client, groupId, GROUP_STATUS.RUNNING);
+
+        logger.info(`Ciclos gerados para grupo ${groupId}`);
+    });
+};
+
+/**
+ * Buscar pedido de troca em aberto (bloqueado para atualização)
+ */
+const getOpenSwapRequest = async (client, groupId, requestId) => {
+    const swap = await client.query(
+        `SELECT * FROM order_swap_requests
+         WHERE id = $1 AND group_id = $2
+         FOR UPDATE`,
+        [requestId, groupId]
     );
 
-    // Marcar ciclo como pago
+    if (swap.rows.length === 0) {
+        throw new NotFoundError('Pedido de troca não encontrado');
+    }
+
+    if (!['PENDING', 'AWAITING_ADMIN'].includes(swap.rows[0].status)) {
+        throw new BusinessError('Este pedido de troca já foi encerrado');
+    }
+
+    return swap.rows[0];
+};
+
+/**
+ * Executar a troca: posições em cycle_order e beneficiários dos ciclos futuros
+ */
+const executeOrderSwap = async (client, swap, actorId) => {
+    // Revalidar no momento da execução (a ordem pode ter mudado desde o pedido)
+    const positions = await orderService.swapPositions(client, swap.group_id, swap.requester_id, swap.counterpart_id);
+
     await client.query(
-        `UPDATE payment_cycles
-         SET status = 'PAID'
+        `UPDATE order_swap_requests
+         SET status = 'COMPLETED', completed_at = NOW()
          WHERE id = $1`,
-        [cycleData.id]
+        [swap.id]
+    );
+
+    await client.query(
+        `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, old_data, new_data)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+            actorId,
+            'ORDER_SWAP_COMPLETED',
+            'order_swap_requests',
+            swap.id,
+            JSON.stringify({
+                [swap.requester_id]: positions.requester,
+                [swap.counterpart_id]: positions.counterpart
+            }),
+            JSON.stringify({
+                [swap.requester_id]: positions.counterpart,
+                [swap.counterpart_id]: positions.requester
+            })
+        ]
     );
 
-    logger.info(`Ciclo ${cycleData.id} completado, beneficiário ${cycleData.beneficiary_id} creditado`);
+    logger.info(`Troca de posição ${swap.id} concluída no grupo ${swap.group_id}`);
+
+    return {
+        requesterPosition: positions.counterpart,
+        counterpartPosition: positions.requester
+    };
+};
+
+/**
+ * Notificar resultado de uma troca aceite/aprovada
+ */
+const notifySwapResult = (groupId, result, actorId) => {
+    const { swap } = result;
+
+    if (result.status === 'AWAITING_ADMIN') {
+        emitToGroup(groupId, 'group:swap_awaiting_approval', {
+            groupId,
+            requestId: swap.id,
+            requesterId: swap.requester_id,
+            counterpartId: swap.counterpart_id
+        });
+        return;
+    }
+
+    emitToGroup(groupId, 'group:order_swapped', {
+        groupId,
+        requestId: swap.id,
+        approvedBy: actorId,
+        members: [
+            { userId: swap.requester_id, position: result.requesterPosition },
+            { userId: swap.counterpart_id, position: result.counterpartPosition }
+        ]
+    });
 };
 
 // =====================================================
@@ -1188,15 +5570,77 @@ module.exports = {
     searchGroups,
     getRecommendedGroups,
     createGroup,
+    simulateSchedule,
+    publishGroup,
     getGroupDetails,
     updateGroup,
     joinGroup,
     leaveGroup,
+    removeMember,
+    createInvite,
+    listInvites,
+    revokeInvite,
+    createJoinRequest,
+    listJoinRequests,
+    approveJoinRequest,
+    rejectJoinRequest,
+    joinWaitlist,
+    listWaitlist,
+    acceptWaitlistOffer,
+    leaveWaitlist,
+    listPenalties,
+    updatePenaltyRules,
+    waivePenalty,
+    reinstateMember,
     listMembers,
     listCycles,
     getCurrentCycle,
     getOrder,
     setFirstBeneficiary,
+    drawOrder,
+    getOrderProof,
+    requestAdminTransfer,
+    respondAdminTransfer,
+    cancelAdminTransfer,
+    setMemberRole,
+    revokeMemberRole,
+    recordCashContribution,
+    requestGuarantor,
+    listGroupGuarantees,
+    listMyGuarantees,
+    respondGuarantee,
+    cancelGuarantee,
+    createSwapRequest,
+    listSwapRequests,
+    acceptSwapRequest,
+    approveSwapRequest,
+    rejectSwapRequest,
+    cancelSwapRequest,
     payCycle,
-    cancelGroup
+    placeBid,
+    listBids,
+    withdrawBid,
+    enableAutoPay,
+    disableAutoPay,
+    cancelCycle,
+    cancelGroup,
+    getSettlementReport,
+    getTreasuryReport,
+    renewGroup,
+    startSavings,
+    contributeSavings,
+    getSavingsProgress,
+    distributeSavings,
+    createPoll,
+    listPolls,
+    getPoll,
+    votePoll,
+    cancelPoll,
+    offerReplacement,
+    listReplacements,
+    getReplacement,
+    acceptReplacement,
+    declineReplacement,
+    getPayoutPreferences,
+    updatePayoutPreferences
 };
\ No newline at end of file
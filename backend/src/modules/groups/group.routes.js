@@ -15,10 +15,14 @@ const { groupSchemas, walletSchemas } = require('../../middlewares/validation.mi
 const {
     authenticate,
     requireKYC,
+    requireGroupRole,
     requireGroupAdmin,
     requireGroupMember,
+    requirePin,
+    requirePinWhen,
     checkDailyLimit
 } = require('../../middlewares/auth.middleware');
+const { GROUP_PERMISSIONS } = require('../../utils/constants');
 const { createGroupLimiter, searchLimiter } = require('../../middlewares/rateLimit.middleware');
 const { catchAsync } = require('../../middlewares/error.middleware');
 
@@ -127,6 +131,99 @@ router.get(
     catchAsync(groupController.getRecommendedGroups)
 );
 
+/**
+ * @swagger
+ * /groups/guarantees:
+ *   get:
+ *     summary: Fianças do usuário (como fiador e como membro) e exposição atual
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Fianças e limites de exposição
+ */
+router.get(
+    '/guarantees',
+    authenticate,
+    catchAsync(groupController.listMyGuarantees)
+);
+
+/**
+ * @swagger
+ * /groups/guarantees/{guaranteeId}/respond:
+ *   post:
+ *     summary: Aceitar ou recusar um pedido de fiança (fiador)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: guaranteeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accept
+ *             properties:
+ *               accept:
+ *                 type: boolean
+ *               pin:
+ *                 type: string
+ *                 description: PIN da carteira (obrigatório ao aceitar)
+ *     responses:
+ *       200:
+ *         description: Pedido respondido
+ *       400:
+ *         description: Pedido já respondido ou limite de exposição excedido
+ *       401:
+ *         description: PIN inválido
+ *       403:
+ *         description: Não é o fiador indicado
+ */
+router.post(
+    '/guarantees/:guaranteeId/respond',
+    authenticate,
+    requireKYC,
+    validate(groupSchemas.respondGuarantee),
+    requirePinWhen((req) => req.body.accept === true),
+    catchAsync(groupController.respondGuarantee)
+);
+
+/**
+ * @swagger
+ * /groups/guarantees/{guaranteeId}/cancel:
+ *   post:
+ *     summary: Cancelar um pedido de fiança pendente (membro)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: guaranteeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Pedido cancelado
+ *       404:
+ *         description: Pedido pendente não encontrado
+ */
+router.post(
+    '/guarantees/:guaranteeId/cancel',
+    authenticate,
+    catchAsync(groupController.cancelGuarantee)
+);
+
 /**
  * @swagger
  * /groups:
@@ -165,12 +262,41 @@ router.get(
  *               frequency:
  *                 type: string
  *                 enum: [DAILY, WEEKLY, MONTHLY]
+ *               groupType:
+ *                 type: string
+ *                 enum: [ROTATING, AUCTION, SAVINGS]
+ *                 default: ROTATING
+ *                 description: SAVINGS é uma poupança coletiva sem rotação, repartida no fim do prazo
+ *               targetAmount:
+ *                 type: number
+ *                 description: Meta da poupança (obrigatória nos grupos SAVINGS)
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Fim da poupança (obrigatório nos grupos SAVINGS)
+ *               visibility:
+ *                 type: string
+ *                 enum: [PUBLIC, UNLISTED, PRIVATE]
+ *                 default: PUBLIC
+ *               requiresGuarantor:
+ *                 type: boolean
+ *                 default: false
+ *               businessDayPolicy:
+ *                 type: string
+ *                 enum: [NONE, FORWARD, BACKWARD]
+ *                 default: FORWARD
+ *                 description: Ajuste dos vencimentos que calham em fins de semana ou feriados
+ *               draft:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Criar em rascunho (DRAFT), sem aceitar membros até ser publicado
  *               maxParticipants:
  *                 type: integer
  *                 minimum: 3
  *                 maximum: 50
  *               paymentDay:
  *                 type: integer
+ *                 description: Dia do mês (1-31) nos grupos mensais; meses mais curtos usam o último dia
  *     responses:
  *       201:
  *         description: Grupo criado
@@ -186,6 +312,62 @@ router.post(
     catchAsync(groupController.createGroup)
 );
 
+/**
+ * @swagger
+ * /groups/simulate:
+ *   post:
+ *     summary: Simular o calendário de pagamentos antes de criar um grupo
+ *     description: |
+ *       Devolve as datas de cada ciclo, o total contribuído por membro, a taxa da plataforma
+ *       e o valor líquido de cada beneficiário. Usa o mesmo cálculo da geração dos ciclos.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cycleValue
+ *               - frequency
+ *               - participants
+ *             properties:
+ *               cycleValue:
+ *                 type: number
+ *               frequency:
+ *                 type: string
+ *                 enum: [DAILY, WEEKLY, MONTHLY]
+ *               participants:
+ *                 type: integer
+ *                 minimum: 3
+ *                 maximum: 50
+ *               paymentDay:
+ *                 type: integer
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Por defeito, hoje (Africa/Luanda)
+ *               groupType:
+ *                 type: string
+ *                 enum: [ROTATING, AUCTION]
+ *               businessDayPolicy:
+ *                 type: string
+ *                 enum: [NONE, FORWARD, BACKWARD]
+ *     responses:
+ *       200:
+ *         description: Calendário simulado
+ *       400:
+ *         description: Erro de validação
+ */
+router.post(
+    '/simulate',
+    authenticate,
+    validate(groupSchemas.simulate),
+    catchAsync(groupController.simulateSchedule)
+);
+
 /**
  * @swagger
  * /groups/{groupId}:
@@ -242,6 +424,31 @@ router.get(
  *                 type: string
  *               maxParticipants:
  *                 type: integer
+ *               swapRequiresApproval:
+ *                 type: boolean
+ *               removalRequiresVote:
+ *                 type: boolean
+ *                 description: |
+ *                   A remoção de membros pelo admin passa a exigir uma votação do grupo.
+ *                   Depois de ativa, só uma votação UPDATE_TERMS a pode dispensar
+ *               visibility:
+ *                 type: string
+ *                 enum: [PUBLIC, UNLISTED, PRIVATE]
+ *               requiresGuarantor:
+ *                 type: boolean
+ *               businessDayPolicy:
+ *                 type: string
+ *                 enum: [NONE, FORWARD, BACKWARD]
+ *               cycleValue:
+ *                 type: number
+ *                 description: Apenas antes do início dos ciclos (DRAFT, RECRUITING ou FULL)
+ *               frequency:
+ *                 type: string
+ *                 enum: [DAILY, WEEKLY, MONTHLY]
+ *                 description: Apenas antes do início dos ciclos
+ *               paymentDay:
+ *                 type: integer
+ *                 description: Apenas antes do início dos ciclos
  *     responses:
  *       200:
  *         description: Grupo atualizado
@@ -280,6 +487,9 @@ router.put(
  *             properties:
  *               pin:
  *                 type: string
+ *               inviteCode:
+ *                 type: string
+ *                 description: Necessário para entrar diretamente em grupos privados ou não listados
  *     responses:
  *       200:
  *         description: Entrou no grupo
@@ -296,9 +506,26 @@ router.post(
 
 /**
  * @swagger
- * /groups/{groupId}/leave:
+ * /groups/{groupId}/invites:
+ *   get:
+ *     summary: Listar convites do grupo (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lista de convites
+ *       403:
+ *         description: Não é admin
  *   post:
- *     summary: Sair de um grupo
+ *     summary: Criar código de convite partilhável (apenas admin)
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -315,26 +542,37 @@ router.post(
  *           schema:
  *             type: object
  *             properties:
- *               reason:
- *                 type: string
+ *               expiresInHours:
+ *                 type: integer
+ *                 default: 72
+ *               maxUses:
+ *                 type: integer
  *     responses:
- *       200:
- *         description: Saiu do grupo
- *       400:
- *         description: Erro ao sair
+ *       201:
+ *         description: Convite criado
+ *       403:
+ *         description: Não é admin
  */
+router.get(
+    '/:groupId/invites',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.listInvites)
+);
+
 router.post(
-    '/:groupId/leave',
+    '/:groupId/invites',
     authenticate,
-    validate(groupSchemas.leave),
-    catchAsync(groupController.leaveGroup)
+    requireGroupAdmin,
+    validate(groupSchemas.createInvite),
+    catchAsync(groupController.createInvite)
 );
 
 /**
  * @swagger
- * /groups/{groupId}/members:
- *   get:
- *     summary: Listar membros do grupo
+ * /groups/{groupId}/invites/{inviteId}:
+ *   delete:
+ *     summary: Revogar convite (apenas admin)
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -345,22 +583,30 @@ router.post(
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Lista de membros
+ *         description: Convite revogado
+ *       404:
+ *         description: Convite não encontrado
  */
-router.get(
-    '/:groupId/members',
+router.delete(
+    '/:groupId/invites/:inviteId',
     authenticate,
-    requireGroupMember,
-    catchAsync(groupController.listMembers)
+    requireGroupAdmin,
+    catchAsync(groupController.revokeInvite)
 );
 
 /**
  * @swagger
- * /groups/{groupId}/cycles:
+ * /groups/{groupId}/join-requests:
  *   get:
- *     summary: Listar ciclos do grupo
+ *     summary: Listar pedidos de adesão (apenas admin)
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -371,22 +617,19 @@ router.get(
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED, CANCELLED]
+ *           default: PENDING
  *     responses:
  *       200:
- *         description: Ciclos do grupo
- */
-router.get(
-    '/:groupId/cycles',
-    authenticate,
-    requireGroupMember,
-    catchAsync(groupController.listCycles)
-);
-
-/**
- * @swagger
- * /groups/{groupId}/current-cycle:
- *   get:
- *     summary: Obter ciclo atual
+ *         description: Lista de pedidos de adesão
+ *       403:
+ *         description: Não é admin
+ *   post:
+ *     summary: Pedir adesão a um grupo não listado
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -397,22 +640,41 @@ router.get(
  *         schema:
  *           type: string
  *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
  *     responses:
- *       200:
- *         description: Ciclo atual
+ *       201:
+ *         description: Pedido enviado
+ *       400:
+ *         description: Pedido não permitido
  */
 router.get(
-    '/:groupId/current-cycle',
+    '/:groupId/join-requests',
     authenticate,
-    requireGroupMember,
-    catchAsync(groupController.getCurrentCycle)
+    requireGroupAdmin,
+    validateQuery(groupSchemas.listJoinRequests),
+    catchAsync(groupController.listJoinRequests)
+);
+
+router.post(
+    '/:groupId/join-requests',
+    authenticate,
+    requireKYC,
+    validate(groupSchemas.joinRequest),
+    catchAsync(groupController.createJoinRequest)
 );
 
 /**
  * @swagger
- * /groups/{groupId}/order:
- *   get:
- *     summary: Obter ordem dos beneficiários
+ * /groups/{groupId}/join-requests/{requestId}/approve:
+ *   post:
+ *     summary: Aprovar pedido de adesão (apenas admin)
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -423,22 +685,30 @@ router.get(
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Ordem dos beneficiários
+ *         description: Pedido aprovado e membro adicionado
+ *       400:
+ *         description: Pedido já decidido ou grupo cheio
  */
-router.get(
-    '/:groupId/order',
+router.post(
+    '/:groupId/join-requests/:requestId/approve',
     authenticate,
-    requireGroupMember,
-    catchAsync(groupController.getOrder)
+    requireGroupAdmin,
+    catchAsync(groupController.approveJoinRequest)
 );
 
 /**
  * @swagger
- * /groups/{groupId}/set-first-beneficiary:
+ * /groups/{groupId}/join-requests/{requestId}/reject:
  *   post:
- *     summary: Definir primeiro beneficiário (apenas admin)
+ *     summary: Rejeitar pedido de adesão (apenas admin)
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -449,37 +719,37 @@ router.get(
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - beneficiaryId
  *             properties:
- *               beneficiaryId:
+ *               reason:
  *                 type: string
- *                 format: uuid
  *     responses:
  *       200:
- *         description: Primeiro beneficiário definido
- *       403:
- *         description: Não é admin
+ *         description: Pedido rejeitado
  */
 router.post(
-    '/:groupId/set-first-beneficiary',
+    '/:groupId/join-requests/:requestId/reject',
     authenticate,
     requireGroupAdmin,
-    validate(groupSchemas.setFirstBeneficiary),
-    catchAsync(groupController.setFirstBeneficiary)
+    validate(groupSchemas.rejectJoinRequest),
+    catchAsync(groupController.rejectJoinRequest)
 );
 
 /**
  * @swagger
- * /groups/{groupId}/pay:
- *   post:
- *     summary: Pagar ciclo atual
+ * /groups/{groupId}/guarantors:
+ *   get:
+ *     summary: Listar fianças dos membros do grupo
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -490,11 +760,2042 @@ router.post(
  *         schema:
  *           type: string
  *           format: uuid
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
+ *     responses:
+ *       200:
+ *         description: Fianças do grupo
+ *       403:
+ *         description: Não é membro
+ *   post:
+ *     summary: Indicar um fiador para entrar (ou permanecer) no grupo
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - guarantorId
+ *             properties:
+ *               guarantorId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Pedido de fiança enviado ao fiador
+ *       400:
+ *         description: Fiança já pendente/ativa ou fiador sem capacidade
+ */
+router.get(
+    '/:groupId/guarantors',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.listGroupGuarantees)
+);
+
+router.post(
+    '/:groupId/guarantors',
+    authenticate,
+    requireKYC,
+    validate(groupSchemas.requestGuarantor),
+    catchAsync(groupController.requestGuarantor)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/waitlist:
+ *   get:
+ *     summary: Listar lista de espera do grupo (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lista de espera por ordem de chegada
+ *       403:
+ *         description: Não é admin
+ *   post:
+ *     summary: Entrar na lista de espera de um grupo cheio
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: Entrou na lista de espera
+ *       400:
+ *         description: Grupo com vagas, ciclos já gerados ou já na lista
+ *   delete:
+ *     summary: Sair da lista de espera ou recusar a vaga oferecida
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Saiu da lista de espera
+ */
+router.get(
+    '/:groupId/waitlist',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.listWaitlist)
+);
+
+router.post(
+    '/:groupId/waitlist',
+    authenticate,
+    requireKYC,
+    catchAsync(groupController.joinWaitlist)
+);
+
+router.delete(
+    '/:groupId/waitlist',
+    authenticate,
+    catchAsync(groupController.leaveWaitlist)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/waitlist/accept:
+ *   post:
+ *     summary: Aceitar a vaga oferecida pela lista de espera
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Entrou no grupo
+ *       400:
+ *         description: Prazo da oferta expirado
+ *       404:
+ *         description: Nenhuma vaga oferecida
+ */
+router.post(
+    '/:groupId/waitlist/accept',
+    authenticate,
+    requireKYC,
+    catchAsync(groupController.acceptWaitlistOffer)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/penalties:
+ *   get:
+ *     summary: Regras de penalidade e histórico de atrasos do grupo
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Regras e penalidades aplicadas
+ */
+router.get(
+    '/:groupId/penalties',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.listPenalties)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/penalty-rules:
+ *   put:
+ *     summary: Configurar tolerância, multa por atraso e suspensão (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               graceDays:
+ *                 type: integer
+ *               lateFeeType:
+ *                 type: string
+ *                 enum: [NONE, FIXED, PERCENTAGE]
+ *               lateFeeValue:
+ *                 type: number
+ *               lateFeeDestination:
+ *                 type: string
+ *                 enum: [BENEFICIARY, GROUP_POOL]
+ *               suspensionThreshold:
+ *                 type: integer
+ *                 description: Atrasos até suspensão (0 desativa)
+ *     responses:
+ *       200:
+ *         description: Regras atualizadas
+ *       403:
+ *         description: Não é admin
+ */
+router.put(
+    '/:groupId/penalty-rules',
+    authenticate,
+    requireGroupAdmin,
+    validate(groupSchemas.penaltyRules),
+    catchAsync(groupController.updatePenaltyRules)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/penalties/{penaltyId}/waive:
+ *   post:
+ *     summary: Perdoar multa por atraso ainda por cobrar (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: penaltyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Multa perdoada
+ *       404:
+ *         description: Multa pendente não encontrada
+ */
+router.post(
+    '/:groupId/penalties/:penaltyId/waive',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.waivePenalty)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/members/{userId}/reinstate:
+ *   post:
+ *     summary: Levantar a suspensão de um membro (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Suspensão levantada
+ *       404:
+ *         description: Membro suspenso não encontrado
+ */
+router.post(
+    '/:groupId/members/:userId/reinstate',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.reinstateMember)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/leave:
+ *   post:
+ *     summary: Sair de um grupo
+ *     description: |
+ *       A posição do membro na ronda é acertada como numa remoção pelo admin (sem multa):
+ *       o que contribuiu a mais é pago pelo fundo do grupo e o que recebeu a mais é cobrado
+ *       da carteira.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Saiu do grupo (com o acerto de contas)
+ *       400:
+ *         description: Erro ao sair
+ */
+router.post(
+    '/:groupId/leave',
+    authenticate,
+    validate(groupSchemas.leave),
+    catchAsync(groupController.leaveGroup)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/members/{userId}/remove:
+ *   post:
+ *     summary: Remover um membro com acerto de contas (admin)
+ *     description: |
+ *       Calcula o que o membro deve ou tem a receber (contribuições pagas menos recebimentos),
+ *       aplica a multa, cobra a dívida da carteira ou paga o crédito a partir do fundo do grupo,
+ *       e reprograma os ciclos futuros. Se o grupo exigir votação para remoções, abre uma
+ *       votação vinculativa em vez de remover de imediato.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               penaltyAmount:
+ *                 type: number
+ *                 description: Multa de remoção (descontada ao crédito do membro ou cobrada)
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fim da votação, se o grupo exigir votação (por omissão 72 horas)
+ *     responses:
+ *       200:
+ *         description: Membro removido, com o acerto de contas
+ *       202:
+ *         description: Votação de remoção aberta
+ *       400:
+ *         description: Membro não removível (admin, inativo ou com recebimento em curso)
+ */
+router.post(
+    '/:groupId/members/:userId/remove',
+    authenticate,
+    requireGroupAdmin,
+    validate(groupSchemas.removeMember),
+    catchAsync(groupController.removeMember)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/members:
+ *   get:
+ *     summary: Listar membros do grupo
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lista de membros
+ */
+router.get(
+    '/:groupId/members',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.listMembers)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/cycles:
+ *   get:
+ *     summary: Listar ciclos do grupo
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Ciclos do grupo
+ */
+router.get(
+    '/:groupId/cycles',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.listCycles)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/current-cycle:
+ *   get:
+ *     summary: Obter ciclo atual
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Ciclo atual
+ */
+router.get(
+    '/:groupId/current-cycle',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.getCurrentCycle)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/order:
+ *   get:
+ *     summary: Obter ordem dos beneficiários
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Ordem dos beneficiários
+ */
+router.get(
+    '/:groupId/order',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.getOrder)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/order/proof:
+ *   get:
+ *     summary: Obter prova verificável do sorteio da ordem
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Compromisso, semente revelada e verificação da ordem
+ *       404:
+ *         description: Nenhum sorteio realizado
+ */
+router.get(
+    '/:groupId/order/proof',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.getOrderProof)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/order/swap-requests:
+ *   get:
+ *     summary: Listar pedidos de troca de posição
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, AWAITING_ADMIN, COMPLETED, REJECTED, CANCELLED]
+ *     responses:
+ *       200:
+ *         description: Pedidos de troca
+ */
+router.get(
+    '/:groupId/order/swap-requests',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.listSwapRequests)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/order/swap-requests:
+ *   post:
+ *     summary: Propor troca de posição com outro membro
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - counterpartId
+ *             properties:
+ *               counterpartId:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Pedido de troca enviado
+ */
+router.post(
+    '/:groupId/order/swap-requests',
+    authenticate,
+    requireGroupMember,
+    validate(groupSchemas.swapRequest),
+    catchAsync(groupController.createSwapRequest)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/order/swap-requests/{requestId}/accept:
+ *   post:
+ *     summary: Aceitar pedido de troca (contraparte)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Troca concluída ou a aguardar aprovação
+ */
+router.post(
+    '/:groupId/order/swap-requests/:requestId/accept',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.acceptSwapRequest)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/order/swap-requests/{requestId}/approve:
+ *   post:
+ *     summary: Aprovar pedido de troca (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Troca aprovada e concluída
+ */
+router.post(
+    '/:groupId/order/swap-requests/:requestId/approve',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.approveSwapRequest)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/order/swap-requests/{requestId}/reject:
+ *   post:
+ *     summary: Rejeitar pedido de troca (contraparte ou admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Pedido rejeitado
+ */
+router.post(
+    '/:groupId/order/swap-requests/:requestId/reject',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.rejectSwapRequest)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/order/swap-requests/{requestId}/cancel:
+ *   post:
+ *     summary: Cancelar pedido de troca (solicitante)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Pedido cancelado
+ */
+router.post(
+    '/:groupId/order/swap-requests/:requestId/cancel',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.cancelSwapRequest)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/draw:
+ *   post:
+ *     summary: Sortear ordem dos beneficiários com commit-reveal (apenas admin)
+ *     description: |
+ *       COMMIT gera uma semente secreta e divulga apenas o seu hash SHA-256.
+ *       REVEAL divulga a semente, embaralha os membros comprometidos e gera os ciclos.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [COMMIT, REVEAL]
+ *     responses:
+ *       200:
+ *         description: Sorteio revelado e ordem definida
+ *       201:
+ *         description: Sorteio comprometido
+ *       403:
+ *         description: Não é admin
+ */
+router.post(
+    '/:groupId/draw',
+    authenticate,
+    requireGroupAdmin,
+    validate(groupSchemas.draw),
+    catchAsync(groupController.drawOrder)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/set-first-beneficiary:
+ *   post:
+ *     summary: Definir primeiro beneficiário (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - beneficiaryId
+ *             properties:
+ *               beneficiaryId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Primeiro beneficiário definido
+ *       403:
+ *         description: Não é admin
+ */
+router.post(
+    '/:groupId/set-first-beneficiary',
+    authenticate,
+    requireGroupAdmin,
+    validate(groupSchemas.setFirstBeneficiary),
+    catchAsync(groupController.setFirstBeneficiary)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/pay:
+ *   post:
+ *     summary: Pagar ciclo atual
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pin
+ *             properties:
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Pagamento realizado
+ *       400:
+ *         description: Erro no pagamento
+ */
+router.post(
+    '/:groupId/pay',
+    authenticate,
+    requireKYC,
+    requireGroupMember,
+    checkDailyLimit('withdrawal'),
+    validate(walletSchemas.verifyPin),
+    catchAsync(groupController.payCycle)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/cycles/{cycleId}/bids:
+ *   get:
+ *     summary: Listar lances do ciclo (modo leilão)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: cycleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Janela de licitação e lances
+ */
+router.get(
+    '/:groupId/cycles/:cycleId/bids',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.listBids)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/cycles/{cycleId}/bids:
+ *   post:
+ *     summary: Dar lance de desconto para receber o ciclo antecipadamente (modo leilão)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: cycleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - discount
+ *             properties:
+ *               discount:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Lance registado
+ *       422:
+ *         description: Licitação fechada ou lance inválido
+ */
+router.post(
+    '/:groupId/cycles/:cycleId/bids',
+    authenticate,
+    requireGroupMember,
+    validate(groupSchemas.placeBid),
+    catchAsync(groupController.placeBid)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/cycles/{cycleId}/bids:
+ *   delete:
+ *     summary: Retirar o próprio lance (modo leilão)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: cycleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lance retirado
+ */
+router.delete(
+    '/:groupId/cycles/:cycleId/bids',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.withdrawBid)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/auto-pay:
+ *   post:
+ *     summary: Ativar débito automático das contribuições (mandato confirmado com PIN)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pin
+ *             properties:
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Débito automático ativado
+ *       401:
+ *         description: PIN inválido
+ */
+router.post(
+    '/:groupId/auto-pay',
+    authenticate,
+    requireKYC,
+    requireGroupMember,
+    requirePin,
+    validate(walletSchemas.verifyPin),
+    catchAsync(groupController.enableAutoPay)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/auto-pay:
+ *   delete:
+ *     summary: Desativar débito automático das contribuições
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Débito automático desativado
+ */
+router.delete(
+    '/:groupId/auto-pay',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.disableAutoPay)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/cycles/{cycleId}/cancel:
+ *   post:
+ *     summary: Cancelar ciclo e reembolsar contribuições em custódia (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: cycleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ciclo cancelado e contribuições reembolsadas
+ *       400:
+ *         description: Ciclo não pode ser cancelado
+ *       403:
+ *         description: Não é admin
+ */
+router.post(
+    '/:groupId/cycles/:cycleId/cancel',
+    authenticate,
+    requireGroupAdmin,
+    validate(groupSchemas.cancelCycle),
+    catchAsync(groupController.cancelCycle)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/cycles/{cycleId}/contributions/{userId}/cash:
+ *   post:
+ *     summary: Registar contribuição paga em dinheiro (admin ou tesoureiro)
+ *     description: Ninguém regista a sua própria contribuição; tem de ser outro admin ou tesoureiro.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: cycleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contribuição registada
+ *       400:
+ *         description: Contribuição já paga ou ciclo não aceita pagamentos
+ *       403:
+ *         description: Sem permissão de tesoureiro ou contribuição do próprio
+ */
+router.post(
+    '/:groupId/cycles/:cycleId/contributions/:userId/cash',
+    authenticate,
+    requireGroupRole(...GROUP_PERMISSIONS.RECORD_CASH_CONTRIBUTION),
+    validate(groupSchemas.cashContribution),
+    catchAsync(groupController.recordCashContribution)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/members/{userId}/role:
+ *   put:
+ *     summary: Atribuir papel a um membro (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [ADMIN, TREASURER, MODERATOR, MEMBER]
+ *     responses:
+ *       200:
+ *         description: Papel atualizado
+ *       403:
+ *         description: Não é admin
+ *   delete:
+ *     summary: Revogar papel de um membro (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Papel revogado
+ *       403:
+ *         description: Não é admin
+ */
+router.put(
+    '/:groupId/members/:userId/role',
+    authenticate,
+    requireGroupRole(...GROUP_PERMISSIONS.MANAGE_ROLES),
+    validate(groupSchemas.setMemberRole),
+    catchAsync(groupController.setMemberRole)
+);
+
+router.delete(
+    '/:groupId/members/:userId/role',
+    authenticate,
+    requireGroupRole(...GROUP_PERMISSIONS.MANAGE_ROLES),
+    catchAsync(groupController.revokeMemberRole)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/admin/transfer:
+ *   post:
+ *     summary: Pedir transferência da administração para outro membro (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newAdminId
+ *             properties:
+ *               newAdminId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Pedido de transferência enviado
+ *       403:
+ *         description: Não é admin
+ */
+router.post(
+    '/:groupId/admin/transfer',
+    authenticate,
+    requireGroupAdmin,
+    validate(groupSchemas.transferAdmin),
+    catchAsync(groupController.requestAdminTransfer)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/admin/transfer/respond:
+ *   post:
+ *     summary: Aceitar ou recusar a administração do grupo (novo admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accept
+ *             properties:
+ *               accept:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Transferência aceite ou recusada
+ *       404:
+ *         description: Nenhuma transferência pendente
+ */
+router.post(
+    '/:groupId/admin/transfer/respond',
+    authenticate,
+    requireGroupMember,
+    validate(groupSchemas.respondAdminTransfer),
+    catchAsync(groupController.respondAdminTransfer)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/admin/transfer/cancel:
+ *   post:
+ *     summary: Cancelar transferência de administração pendente (apenas admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Transferência cancelada
+ */
+router.post(
+    '/:groupId/admin/transfer/cancel',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.cancelAdminTransfer)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/publish:
+ *   post:
+ *     summary: Publicar um grupo em rascunho (DRAFT -> RECRUITING)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Grupo aberto a novos membros
+ *       400:
+ *         description: O grupo não está em rascunho
+ *       403:
+ *         description: Não é admin
+ */
+router.post(
+    '/:groupId/publish',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.publishGroup)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/cancel:
+ *   post:
+ *     summary: Cancelar grupo com acerto de contas (apenas admin)
+ *     description: >
+ *       Cancela os ciclos em aberto devolvendo a custódia, cobra a quem recebeu mais
+ *       do que contribuiu e paga a quem contribuiu mais do que recebeu.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Grupo cancelado e contas liquidadas
+ *       400:
+ *         description: Grupo já cancelado
+ *       403:
+ *         description: Não é admin
+ */
+router.post(
+    '/:groupId/cancel',
+    authenticate,
+    requireGroupAdmin,
+    validate(groupSchemas.cancelGroup),
+    catchAsync(groupController.cancelGroup)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/settlement:
+ *   get:
+ *     summary: Relatório do acerto de contas do grupo cancelado (membros atuais e antigos)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Posição líquida e movimentos de cada membro
+ *       403:
+ *         description: Não é membro do grupo
+ *       404:
+ *         description: O grupo não tem acerto de contas
+ */
+router.get(
+    '/:groupId/settlement',
+    authenticate,
+    validateQuery(groupSchemas.settlementReport),
+    catchAsync(groupController.getSettlementReport)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/report:
+ *   get:
+ *     summary: Extrato de tesouraria do grupo, assinado como os recibos (admin)
+ *     description: |
+ *       Ciclos, contribuições com pagador e data, recebimentos, envios para destinos de saque,
+ *       taxas, multas, movimentos e posição de cada membro. O documento traz a impressão digital
+ *       do conteúdo e a assinatura digital, também devolvidas nos cabeçalhos X-Document-Number
+ *       e X-Digital-Signature.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Ficheiro do extrato
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Não é admin
+ */
+router.get(
+    '/:groupId/report',
+    authenticate,
+    requireGroupAdmin,
+    validateQuery(groupSchemas.treasuryReport),
+    catchAsync(groupController.getTreasuryReport)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/renew:
+ *   post:
+ *     summary: Renovar um grupo concluído para uma nova ronda (admin)
+ *     description: |
+ *       Mantém o grupo, o chat e o histórico das rondas anteriores. Sem novo sorteio, os ciclos
+ *       da nova ronda são gerados de imediato com a ordem anterior; com redrawOrder, o grupo
+ *       fica aberto a novos membros até o sorteio ser revelado.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               removeMemberIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Membros que não continuam na nova ronda
+ *               cycleValue:
+ *                 type: number
+ *               frequency:
+ *                 type: string
+ *                 enum: [DAILY, WEEKLY, MONTHLY]
+ *               paymentDay:
+ *                 type: integer
+ *               maxParticipants:
+ *                 type: integer
+ *               redrawOrder:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Grupo renovado
+ *       400:
+ *         description: Grupo não concluído ou dados inválidos
+ *       403:
+ *         description: Não é admin
+ */
+router.post(
+    '/:groupId/renew',
+    authenticate,
+    requireGroupAdmin,
+    validate(groupSchemas.renewGroup),
+    catchAsync(groupController.renewGroup)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/savings/start:
+ *   post:
+ *     summary: Iniciar a poupança de um grupo SAVINGS (admin)
+ *     description: Fecha a adesão e abre o primeiro período de contribuição. Exige pelo menos 2 membros.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Poupança iniciada
+ *       400:
+ *         description: Grupo não é de poupança, não está a recrutar ou tem menos de 2 membros
+ *       403:
+ *         description: Não é admin
+ */
+router.post(
+    '/:groupId/savings/start',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.startSavings)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/savings/contributions:
+ *   post:
+ *     summary: Contribuir para a poupança do grupo
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - pin
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Valor a contribuir
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contribuição registada
+ *       400:
+ *         description: Saldo insuficiente, poupança não iniciada ou prazo terminado
+ */
+router.post(
+    '/:groupId/savings/contributions',
+    authenticate,
+    requireKYC,
+    requireGroupMember,
+    requirePin,
+    checkDailyLimit('withdrawal'),
+    validate(groupSchemas.savingsContribution),
+    catchAsync(groupController.contributeSavings)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/savings:
+ *   get:
+ *     summary: Progresso da poupança (meta, períodos e contribuições por membro)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Progresso da poupança
+ *       400:
+ *         description: O grupo não é de poupança
+ */
+router.get(
+    '/:groupId/savings',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.getSavingsProgress)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/savings/distribute:
+ *   post:
+ *     summary: Distribuir a poupança pelos membros e concluir o grupo (admin)
+ *     description: |
+ *       Reparte o poupado e o fundo do grupo proporcionalmente ao que cada membro contribuiu.
+ *       Possível a partir da data de fim ou, antes dela, quando a meta é atingida.
+ *       Sem intervenção do admin, a distribuição é feita automaticamente no dia seguinte ao fim.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Poupança distribuída
+ *       400:
+ *         description: Prazo por terminar e meta por atingir
+ *       403:
+ *         description: Não é admin
+ */
+router.post(
+    '/:groupId/savings/distribute',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.distributeSavings)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/polls:
+ *   post:
+ *     summary: Abrir uma votação no grupo
+ *     description: |
+ *       Votação consultiva (opções livres) ou vinculativa (Sim/Não) com uma ação executada
+ *       automaticamente se for aprovada: alterar condições do grupo, remover um membro ou
+ *       trocar a posição de dois membros. Fecha no prazo ou quando todos os membros votam.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - question
+ *               - closesAt
+ *             properties:
+ *               question:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 2 a 10 opções (apenas em votações sem ação)
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *               quorumPercent:
+ *                 type: integer
+ *                 default: 50
+ *                 description: |
+ *                   Percentagem dos membros com direito de voto que tem de votar. Ignorado nas
+ *                   votações com ação: quórum de 50%
+ *               majorityRule:
+ *                 type: string
+ *                 enum: [SIMPLE, TWO_THIRDS, UNANIMOUS]
+ *                 default: SIMPLE
+ *                 description: |
+ *                   Ignorado nas votações com ação: dois terços para alterar condições ou
+ *                   remover um membro, maioria simples para trocar posições
+ *               action:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [UPDATE_TERMS, REMOVE_MEMBER, SWAP_ORDER]
+ *                   terms:
+ *                     type: object
+ *                     description: cycleValue, frequency, paymentDay, maxParticipants e/ou removalRequiresVote (UPDATE_TERMS)
+ *                   userId:
+ *                     type: string
+ *                     format: uuid
+ *                     description: Membro a remover (REMOVE_MEMBER)
+ *                   reason:
+ *                     type: string
+ *                     description: Motivo da remoção (REMOVE_MEMBER)
+ *                   requesterId:
+ *                     type: string
+ *                     format: uuid
+ *                   counterpartId:
+ *                     type: string
+ *                     format: uuid
+ *     responses:
+ *       201:
+ *         description: Votação aberta
+ *       400:
+ *         description: Ação impossível no estado atual do grupo
+ *   get:
+ *     summary: Listar votações do grupo
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, PASSED, REJECTED, NO_QUORUM, CANCELLED]
+ *     responses:
+ *       200:
+ *         description: Votações do grupo
+ */
+router.post(
+    '/:groupId/polls',
+    authenticate,
+    requireGroupMember,
+    validate(groupSchemas.createPoll),
+    catchAsync(groupController.createPoll)
+);
+
+router.get(
+    '/:groupId/polls',
+    authenticate,
+    requireGroupMember,
+    validateQuery(groupSchemas.listPolls),
+    catchAsync(groupController.listPolls)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/polls/{pollId}:
+ *   get:
+ *     summary: Detalhes e resultados de uma votação
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: pollId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Votação com a contagem por opção
+ *       404:
+ *         description: Votação não encontrada
+ */
+router.get(
+    '/:groupId/polls/:pollId',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.getPoll)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/polls/{pollId}/votes:
+ *   post:
+ *     summary: Votar (um voto por membro, sem alteração)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: pollId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - optionId
+ *             properties:
+ *               optionId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Voto registado
+ *       400:
+ *         description: Votação fechada ou voto repetido
+ */
+router.post(
+    '/:groupId/polls/:pollId/votes',
+    authenticate,
+    requireGroupMember,
+    validate(groupSchemas.votePoll),
+    catchAsync(groupController.votePoll)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/polls/{pollId}/cancel:
+ *   post:
+ *     summary: Cancelar uma votação aberta (autor ou admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: pollId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Votação cancelada
+ *       403:
+ *         description: Não é o autor nem o admin
+ */
+router.post(
+    '/:groupId/polls/:pollId/cancel',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.cancelPoll)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/replacements:
+ *   post:
+ *     summary: Oferecer a posição de um membro que saiu a um substituto (admin)
+ *     description: |
+ *       O substituto herda a posição na ordem e as obrigações de quem saiu, incluindo
+ *       as contribuições em atraso da ronda. Só posições de membros que ainda não
+ *       receberam nesta ronda podem ser herdadas.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - departedUserId
+ *               - userId
+ *             properties:
+ *               departedUserId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Membro que saiu
+ *               userId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Substituto convidado
+ *     responses:
+ *       201:
+ *         description: Oferta enviada, com o valor em atraso estimado
+ *       400:
+ *         description: Posição já ocupada ou não herdável
+ *   get:
+ *     summary: Listar ofertas de substituição do grupo (admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Ofertas de substituição
+ */
+router.post(
+    '/:groupId/replacements',
+    authenticate,
+    requireGroupAdmin,
+    validate(groupSchemas.offerReplacement),
+    catchAsync(groupController.offerReplacement)
+);
+
+router.get(
+    '/:groupId/replacements',
+    authenticate,
+    requireGroupAdmin,
+    catchAsync(groupController.listReplacements)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/replacements/{replacementId}:
+ *   get:
+ *     summary: Obter uma oferta de substituição com o valor em atraso atual (convidado ou admin)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: replacementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Oferta de substituição
+ *       403:
+ *         description: Não é o convidado nem o admin
+ */
+router.get(
+    '/:groupId/replacements/:replacementId',
+    authenticate,
+    catchAsync(groupController.getReplacement)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/replacements/{replacementId}/accept:
+ *   post:
+ *     summary: Aceitar a substituição e pagar as contribuições em atraso (convidado)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: replacementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
  *             type: object
  *             required:
  *               - pin
@@ -503,25 +2804,26 @@ router.post(
  *                 type: string
  *     responses:
  *       200:
- *         description: Pagamento realizado
+ *         description: Entrou no grupo na posição de quem saiu
  *       400:
- *         description: Erro no pagamento
+ *         description: Oferta expirada ou saldo insuficiente para o atraso
+ *       403:
+ *         description: O atraso excede o limite diário de saque
  */
 router.post(
-    '/:groupId/pay',
+    '/:groupId/replacements/:replacementId/accept',
     authenticate,
     requireKYC,
-    requireGroupMember,
-    checkDailyLimit('withdrawal'),
+    requirePin,
     validate(walletSchemas.verifyPin),
-    catchAsync(groupController.payCycle)
+    catchAsync(groupController.acceptReplacement)
 );
 
 /**
  * @swagger
- * /groups/{groupId}/cancel:
+ * /groups/{groupId}/replacements/{replacementId}/decline:
  *   post:
- *     summary: Cancelar grupo (apenas admin)
+ *     summary: Recusar (convidado) ou cancelar (admin) uma oferta de substituição
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -532,17 +2834,102 @@ router.post(
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: path
+ *         name: replacementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Grupo cancelado
+ *         description: Oferta recusada ou cancelada
  *       403:
- *         description: Não é admin
+ *         description: Não é o convidado nem o admin
  */
 router.post(
-    '/:groupId/cancel',
+    '/:groupId/replacements/:replacementId/decline',
     authenticate,
-    requireGroupAdmin,
-    catchAsync(groupController.cancelGroup)
+    catchAsync(groupController.declineReplacement)
+);
+
+/**
+ * @swagger
+ * /groups/{groupId}/payout-preferences:
+ *   get:
+ *     summary: Obter as preferências de recebimento no grupo e os últimos envios
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Repartição do recebimento (destinos e carteira)
+ *   put:
+ *     summary: Definir para onde vai o recebimento dos ciclos neste grupo
+ *     description: |
+ *       Percentagem do recebimento enviada automaticamente a cada destino de saque guardado;
+ *       o resto fica na carteira. Uma lista vazia mantém tudo na carteira. Se um envio falhar,
+ *       o valor fica na carteira e o membro é notificado.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - allocations
+ *               - pin
+ *             properties:
+ *               allocations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     destinationId:
+ *                       type: string
+ *                       format: uuid
+ *                     percent:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 100
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Preferências atualizadas
+ *       400:
+ *         description: Percentagens acima de 100% ou destino inválido
+ */
+router.get(
+    '/:groupId/payout-preferences',
+    authenticate,
+    requireGroupMember,
+    catchAsync(groupController.getPayoutPreferences)
+);
+
+router.put(
+    '/:groupId/payout-preferences',
+    authenticate,
+    requireGroupMember,
+    requirePin,
+    validate(groupSchemas.payoutPreferences),
+    catchAsync(groupController.updatePayoutPreferences)
 );
 
 // =====================================================
@@ -9,6 +9,7 @@ const config = require('../../config/env');
 const logger = require('../../utils/logger');
 const { ValidationError, BusinessError } = require('../../middlewares/error.middleware');
 const { validateAngolanPhone, validateAngolanIBAN } = require('../../utils/validators');
+const { generateReceiptSignature } = require('../../utils/signature');
 
 // Armazenamento temporário para transações simuladas
 const mockTransactions = new Map();
@@ -513,20 +514,6 @@ const getPaymentReceipt = async (req, res) => {
     });
 };
 
-// =====================================================
-// FUNÇÕES AUXILIARES
-// =====================================================
-
-/**
- * Gerar assinatura digital para recibo
- */
-const generateReceiptSignature = (data) => {
-    const crypto = require('crypto');
-    const hash = crypto.createHash('sha256');
-    hash.update(data + process.env.JWT_SECRET);
-    return hash.digest('hex').substring(0, 16).toUpperCase();
-};
-
 // =====================================================
 // EXPORTS
 // =====================================================
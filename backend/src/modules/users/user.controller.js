@@ -8,6 +8,7 @@ const database = require('../../config/database');
 const config = require('../../config/env');
 const logger = require('../../utils/logger');
 const { NotFoundError, ValidationError } = require('../../middlewares/error.middleware');
+const reputationService = require('../../services/reputation.service');
 
 // =====================================================
 // OBTER PERFIL DO USUÁRIO LOGADO
@@ -416,7 +417,8 @@ const deactivateAccount = async (req, res) => {
             `SELECT COUNT(*) as count
              FROM group_members gm
              JOIN groups g ON gm.group_id = g.id
-             WHERE gm.user_id = $1 AND gm.is_active = true AND g.status = 'ACTIVE'`,
+             WHERE gm.user_id = $1 AND gm.is_active = true
+               AND g.status NOT IN ('COMPLETED', 'CANCELLED')`,
             [req.user.id]
         );
 
@@ -482,7 +484,10 @@ const getPublicProfile = async (req, res) => {
         throw new NotFoundError('Usuário não encontrado');
     }
 
-    const profile = result.rows[0];
+    const profile = {
+        ...result.rows[0],
+        reliability: await reputationService.getReliability(userId)
+    };
 
     res.json({
         success: true,
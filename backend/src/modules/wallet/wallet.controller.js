@@ -16,6 +16,7 @@ const {
 } = require('../../middlewares/error.middleware');
 const { validatePin } = require('../../utils/validators');
 const paymentService = require('../payments/payment.service');
+const { SYSTEM_LIMITS } = require('../../utils/constants');
 
 // =====================================================
 // OBTER SALDO DA CARTEIRA
@@ -724,6 +725,104 @@ const getFees = async (req, res) => {
     });
 };
 
+// =====================================================
+// LISTAR DESTINOS DE SAQUE GUARDADOS
+// =====================================================
+const listPayoutDestinations = async (req, res) => {
+    const result = await database.query(
+        `SELECT id, method, label, destination_details, created_at
+         FROM payout_destinations
+         WHERE user_id = $1 AND is_active = true
+         ORDER BY created_at ASC`,
+        [req.user.id]
+    );
+
+    res.json({
+        success: true,
+        data: {
+            destinations: result.rows.map(row => ({
+                destinationId: row.id,
+                method: row.method,
+                label: row.label,
+                destination: row.destination_details,
+                createdAt: row.created_at
+            }))
+        }
+    });
+};
+
+// =====================================================
+// GUARDAR DESTINO DE SAQUE
+// =====================================================
+const addPayoutDestination = async (req, res) => {
+    const { method, label, destination } = req.body;
+
+    const destinationId = await database.transaction(async (client) => {
+        const count = await client.query(
+            'SELECT COUNT(*) as count FROM payout_destinations WHERE user_id = $1 AND is_active = true',
+            [req.user.id]
+        );
+
+        if (parseInt(count.rows[0].count) >= SYSTEM_LIMITS.MAX_PAYOUT_DESTINATIONS) {
+            throw new BusinessError(`Máximo de ${SYSTEM_LIMITS.MAX_PAYOUT_DESTINATIONS} destinos de saque guardados`);
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO payout_destinations (user_id, method, label, destination_details)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id`,
+            [req.user.id, method, label, JSON.stringify(destination)]
+        );
+
+        return inserted.rows[0].id;
+    });
+
+    logger.info(`Destino de saque ${method} guardado para usuário ${req.user.id}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Destino de saque guardado',
+        data: {
+            destinationId,
+            method,
+            label,
+            destination
+        }
+    });
+};
+
+// =====================================================
+// REMOVER DESTINO DE SAQUE
+// =====================================================
+const removePayoutDestination = async (req, res) => {
+    const { destinationId } = req.params;
+
+    await database.transaction(async (client) => {
+        const removed = await client.query(
+            `UPDATE payout_destinations
+             SET is_active = false
+             WHERE id = $1 AND user_id = $2 AND is_active = true
+             RETURNING id`,
+            [destinationId, req.user.id]
+        );
+
+        if (removed.rows.length === 0) {
+            throw new NotFoundError('Destino de saque não encontrado');
+        }
+
+        // A parte que ia para este destino passa a ficar na carteira
+        await client.query(
+            'DELETE FROM group_payout_allocations WHERE destination_id = $1',
+            [destinationId]
+        );
+    });
+
+    res.json({
+        success: true,
+        message: 'Destino de saque removido'
+    });
+};
+
 // =====================================================
 // FUNÇÕES AUXILIARES
 // =====================================================
@@ -820,5 +919,8 @@ module.exports = {
     withdraw,
     transfer,
     getBonuses,
-    getFees
+    getFees,
+    listPayoutDestinations,
+    addPayoutDestination,
+    removePayoutDestination
 };
\ No newline at end of file
@@ -391,6 +391,114 @@ router.get(
     catchAsync(walletController.getFees)
 );
 
+/**
+ * @swagger
+ * /wallet/payout-destinations:
+ *   get:
+ *     summary: Listar destinos de saque guardados
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Destinos de saque
+ *   post:
+ *     summary: Guardar um destino de saque (usado nos recebimentos automáticos dos grupos)
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *               - label
+ *               - destination
+ *               - pin
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [MULTICAIXA, IBAN, KWIK]
+ *               label:
+ *                 type: string
+ *               destination:
+ *                 type: object
+ *                 properties:
+ *                   iban:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *                   ownerName:
+ *                     type: string
+ *               pin:
+ *                 type: string
+ *                 pattern: '^[0-9]{4}$'
+ *     responses:
+ *       201:
+ *         description: Destino guardado
+ *       400:
+ *         description: Erro de validação ou limite de destinos atingido
+ */
+router.get(
+    '/payout-destinations',
+    authenticate,
+    catchAsync(walletController.listPayoutDestinations)
+);
+
+router.post(
+    '/payout-destinations',
+    authenticate,
+    requireKYC,
+    requirePin,
+    validate(walletSchemas.payoutDestination),
+    catchAsync(walletController.addPayoutDestination)
+);
+
+/**
+ * @swagger
+ * /wallet/payout-destinations/{destinationId}:
+ *   delete:
+ *     summary: Remover um destino de saque (a parte dos recebimentos volta para a carteira)
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pin
+ *             properties:
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Destino removido
+ *       401:
+ *         description: PIN inválido
+ *       404:
+ *         description: Destino não encontrado
+ */
+router.delete(
+    '/payout-destinations/:destinationId',
+    authenticate,
+    requirePin,
+    validate(walletSchemas.verifyPin),
+    catchAsync(walletController.removePayoutDestination)
+);
+
 // =====================================================
 // EXPORTS
 // =====================================================
@@ -0,0 +1,286 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE CALENDÁRIO
+// Dias úteis, feriados de Angola e fuso horário de Luanda
+// =====================================================
+
+const { CALENDAR, ANGOLA_HOLIDAYS, BUSINESS_DAY_POLICIES } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Datas de calendário são tratadas como 'YYYY-MM-DD' e calculadas em UTC,
+ * para não dependerem do fuso horário do servidor
+ */
+const parse = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+const format = (date) => date.toISOString().slice(0, 10);
+
+class CalendarService {
+
+    constructor() {
+        this.holidaysByYear = new Map();
+        this.dateFormatter = new Intl.DateTimeFormat('en-CA', {
+            timeZone: CALENDAR.TIMEZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+        this.timeFormatter = new Intl.DateTimeFormat('en-GB', {
+            timeZone: CALENDAR.TIMEZONE,
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    // =====================================================
+    // DATAS EM LUANDA
+    // =====================================================
+
+    /**
+     * Data atual em Luanda ('YYYY-MM-DD')
+     */
+    today() {
+        return this.dateFormatter.format(new Date());
+    }
+
+    /**
+     * Normalizar uma data vinda do banco (DATE é lido como meia-noite local) ou de texto
+     */
+    toDateString(value) {
+        if (typeof value === 'string') {
+            return value.slice(0, 10);
+        }
+
+        const date = new Date(value);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Instante da meia-noite de uma data em Luanda
+     */
+    startOfDay(dateString) {
+        const utcMidnight = new Date(parse(dateString).getTime());
+        const [hours, minutes] = this.timeFormatter.format(utcMidnight).split(':').map(Number);
+
+        // Diferença entre a hora de Luanda e UTC no mesmo instante
+        const wallClock = parse(this.dateFormatter.format(utcMidnight)).getTime() + (hours * 60 + minutes) * 60000;
+        const offsetMs = wallClock - utcMidnight.getTime();
+
+        return new Date(utcMidnight.getTime() - offsetMs);
+    }
+
+    // =====================================================
+    // ARITMÉTICA DE DATAS
+    // =====================================================
+
+    addDays(dateString, days) {
+        return format(new Date(parse(dateString).getTime() + days * DAY_MS));
+    }
+
+    /**
+     * Somar meses fixando o dia (limitado ao último dia do mês: 31 → 28/29/30)
+     */
+    addMonths(dateString, months, day = null) {
+        const date = parse(dateString);
+        const targetDay = day || date.getUTCDate();
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + months;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+        return format(new Date(Date.UTC(year, month, Math.min(targetDay, lastDay))));
+    }
+
+    daysBetween(fromDate, toDate) {
+        return Math.round((parse(toDate) - parse(fromDate)) / DAY_MS);
+    }
+
+    weekday(dateString) {
+        return parse(dateString).getUTCDay();
+    }
+
+    // =====================================================
+    // FERIADOS
+    // =====================================================
+
+    /**
+     * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+     */
+    easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return format(new Date(Date.UTC(year, month - 1, day)));
+    }
+
+    /**
+     * Feriados de um ano e os dias gozados e de ponte que deles derivam, mesmo que
+     * caiam noutro ano (1 de janeiro a uma terça dá ponte a 31 de dezembro).
+     * Feriado ao domingo é gozado na segunda-feira; feriado à terça ou quinta
+     * dá ponte na segunda ou sexta-feira.
+     */
+    computeHolidays(year) {
+        const easter = this.easterSunday(year);
+        const holidays = new Map();
+
+        for (const holiday of ANGOLA_HOLIDAYS) {
+            const month = String(holiday.month).padStart(2, '0');
+            const day = String(holiday.day).padStart(2, '0');
+            holidays.set(`${year}-${month}-${day}`, holiday.name);
+        }
+
+        holidays.set(this.addDays(easter, -47), 'Carnaval');
+        holidays.set(this.addDays(easter, -2), 'Sexta-feira Santa');
+
+        for (const [date, name] of [...holidays]) {
+            const weekday = this.weekday(date);
+
+            if (weekday === 0) {
+                holidays.set(this.addDays(date, 1), `${name} (gozado)`);
+            } else if (weekday === 2) {
+                holidays.set(this.addDays(date, -1), `Ponte - ${name}`);
+            } else if (weekday === 4) {
+                holidays.set(this.addDays(date, 1), `Ponte - ${name}`);
+            }
+        }
+
+        return holidays;
+    }
+
+    /**
+     * Feriados e dias de ponte que caem num ano: Map 'YYYY-MM-DD' -> nome.
+     * Inclui os derivados dos feriados dos anos vizinhos.
+     */
+    getHolidays(year) {
+        if (this.holidaysByYear.has(year)) {
+            return this.holidaysByYear.get(year);
+        }
+
+        const holidays = new Map();
+
+        // O próprio ano por último, para prevalecer sobre os dias derivados dos vizinhos
+        for (const source of [year - 1, year + 1, year]) {
+            for (const [date, name] of this.computeHolidays(source)) {
+                if (date.startsWith(`${year}-`)) {
+                    holidays.set(date, name);
+                }
+            }
+        }
+
+        this.holidaysByYear.set(year, holidays);
+
+        return holidays;
+    }
+
+    getHoliday(dateString) {
+        return this.getHolidays(parseInt(dateString.slice(0, 4))).get(dateString) || null;
+    }
+
+    // =====================================================
+    // DIAS ÚTEIS
+    // =====================================================
+
+    isBusinessDay(dateString) {
+        return !CALENDAR.WEEKEND_DAYS.includes(this.weekday(dateString)) && !this.getHoliday(dateString);
+    }
+
+    /**
+     * Mover a data para um dia útil segundo a política do grupo
+     */
+    adjustToBusinessDay(dateString, policy = BUSINESS_DAY_POLICIES.FORWARD) {
+        if (policy === BUSINESS_DAY_POLICIES.NONE) {
+            return dateString;
+        }
+
+        const step = policy === BUSINESS_DAY_POLICIES.BACKWARD ? -1 : 1;
+        let date = dateString;
+
+        while (!this.isBusinessDay(date)) {
+            date = this.addDays(date, step);
+        }
+
+        return date;
+    }
+
+    /**
+     * Somar dias úteis (0 devolve o próprio dia, ajustado para a frente)
+     */
+    addBusinessDays(dateString, days) {
+        let date = this.adjustToBusinessDay(dateString, BUSINESS_DAY_POLICIES.FORWARD);
+
+        for (let i = 0; i < days; i++) {
+            date = this.adjustToBusinessDay(this.addDays(date, 1), BUSINESS_DAY_POLICIES.FORWARD);
+        }
+
+        return date;
+    }
+
+    // =====================================================
+    // VENCIMENTOS DOS CICLOS
+    // =====================================================
+
+    /**
+     * Início de um calendário novo: nos grupos mensais, o próximo dia de pagamento
+     * a partir de `start` (nunca um dia já passado do mês corrente)
+     */
+    firstPaymentDate(start, frequency, paymentDay) {
+        const startDate = this.toDateString(start);
+
+        if (frequency !== 'MONTHLY' || !paymentDay) {
+            return startDate;
+        }
+
+        const candidate = this.addMonths(startDate, 0, paymentDay);
+
+        return candidate < startDate ? this.addMonths(startDate, 1, paymentDay) : candidate;
+    }
+
+    /**
+     * Vencimento do ciclo de índice `index` (0 = primeiro) a partir de `start`.
+     * Grupos diários avançam de dia útil em dia útil (salvo política NONE).
+     */
+    computeDueDate(start, frequency, index, paymentDay, policy = BUSINESS_DAY_POLICIES.FORWARD) {
+        const startDate = this.toDateString(start);
+        let nominal;
+
+        switch (frequency) {
+            case 'DAILY':
+                if (policy !== BUSINESS_DAY_POLICIES.NONE) {
+                    return this.addBusinessDays(startDate, index);
+                }
+                nominal = this.addDays(startDate, index);
+                break;
+            case 'WEEKLY':
+                nominal = this.addDays(startDate, index * 7);
+                break;
+            case 'MONTHLY':
+                nominal = this.addMonths(startDate, index, paymentDay);
+                break;
+            default:
+                nominal = startDate;
+        }
+
+        return this.adjustToBusinessDay(nominal, policy);
+    }
+}
+
+// Exportar instância única
+module.exports = new CalendarService();
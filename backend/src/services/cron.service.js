@@ -7,7 +7,18 @@ const cron = require('node-cron');
 const database = require('../config/database');
 const logger = require('../utils/logger');
 const config = require('../config/env');
-const { emitToGroup } = require('../config/socket');
+const { emitToGroup, emitToUser } = require('../config/socket');
+const { BusinessError } = require('../middlewares/error.middleware');
+const { sendGroupNotification } = require('./email.service');
+const cycleService = require('./cycle.service');
+const waitlistService = require('./waitlist.service');
+const penaltyService = require('./penalty.service');
+const guaranteeService = require('./guarantee.service');
+const calendarService = require('./calendar.service');
+const savingsService = require('./savings.service');
+const pollService = require('./poll.service');
+const payoutService = require('./payout.service');
+const { CALENDAR, SAVINGS_DISTRIBUTION_REASONS, POLL_ACTIONS } = require('../utils/constants');
 
 class CronService {
 
@@ -57,6 +68,34 @@ class CronService {
             this.processGroupCycles.bind(this)
         );
 
+        // Expirar ofertas da lista de espera (a cada 15 minutos)
+        this.scheduleJob(
+            'process-waitlist',
+            '*/15 * * * *',
+            this.processWaitlistOffers.bind(this)
+        );
+
+        // Distribuir poupanças com o prazo terminado (todos os dias às 6h)
+        this.scheduleJob(
+            'process-savings',
+            '0 6 * * *',
+            this.processSavingsPools.bind(this)
+        );
+
+        // Fechar votações com o prazo terminado (a cada 5 minutos)
+        this.scheduleJob(
+            'process-polls',
+            '*/5 * * * *',
+            this.processExpiredPolls.bind(this)
+        );
+
+        // Enviar recebimentos para os destinos de saque (a cada 5 minutos)
+        this.scheduleJob(
+            'process-payouts',
+            '*/5 * * * *',
+            this.processPayouts.bind(this)
+        );
+
         // Backup do banco de dados (se configurado)
         if (config.backup.enabled) {
             this.scheduleJob(
@@ -97,7 +136,7 @@ class CronService {
             } catch (error) {
                 logger.error(`❌ Erro no cron job ${name}:`, error);
             }
-        });
+        }, { timezone: CALENDAR.TIMEZONE });
 
         this.jobs.set(name, job);
         logger.info(`📅 Cron job ${name} agendado: ${schedule}`);
@@ -110,41 +149,132 @@ class CronService {
     async checkPendingPayments() {
         logger.info('Verificando pagamentos pendentes...');
 
-        // Buscar ciclos vencidos
-        const result = await database.query(
-            `SELECT pc.*, g.name as group_name, g.admin_id,
-                    u.email, u.full_name
-             FROM payment_cycles pc
-             JOIN groups g ON pc.group_id = g.id
-             JOIN users u ON pc.beneficiary_id = u.id
-             WHERE pc.status = 'PENDING'
-               AND pc.due_date < CURRENT_DATE
-               AND pc.due_date > CURRENT_DATE - INTERVAL '7 days'`,
-            []
-        );
+        // Contribuições em falta após o período de tolerância de cada grupo.
+        // O ciclo continua pendente: o membro ainda pode pagar, com penalidade.
+        const latePayments = await penaltyService.findLatePayments();
+        let penalized = 0;
 
-        for (const cycle of result.rows) {
-            // Marcar como atrasado
-            await database.query(
-                `UPDATE payment_cycles
-                 SET status = 'MISSED'
-                 WHERE id = $1`,
-                [cycle.id]
-            );
+        for (const row of latePayments) {
+            try {
+                const penalty = await penaltyService.applyLatePenalty(row);
+
+                if (!penalty) continue;
+
+                penalized++;
+
+                logger.warn(`Pagamento em atraso: ciclo ${row.cycle_id}, usuário ${row.user_id} (${row.days_late} dias)`);
+
+                emitToGroup(row.group_id, 'group:payment_late', {
+                    groupId: row.group_id,
+                    cycleId: row.cycle_id,
+                    cycleNumber: row.cycle_number,
+                    userId: row.user_id,
+                    userName: row.full_name,
+                    daysLate: row.days_late
+                });
+
+                emitToUser(row.user_id, 'group:late_penalty', {
+                    groupId: row.group_id,
+                    cycleNumber: row.cycle_number,
+                    penaltyId: penalty.penaltyId,
+                    feeAmount: penalty.feeAmount,
+                    feeStatus: penalty.feeStatus,
+                    missedCount: penalty.missedCount,
+                    suspended: penalty.suspended
+                });
+
+                if (penalty.suspended) {
+                    emitToGroup(row.group_id, 'group:member_suspended', {
+                        groupId: row.group_id,
+                        userId: row.user_id,
+                        missedCount: penalty.missedCount
+                    });
+                }
+
+                await sendGroupNotification(row.email, row.full_name, {
+                    groupName: row.group_name,
+                    message: penalty.suspended
+                        ? `A sua contribuição do ciclo ${row.cycle_number} está em atraso e a sua participação foi suspensa após ${penalty.missedCount} atrasos.`
+                        : `A sua contribuição do ciclo ${row.cycle_number} está em atraso há ${row.days_late} dias.`,
+                    highlight: penalty.feeAmount > 0
+                        ? `Multa de ${penalty.feeAmount.toLocaleString()} KZ${penalty.feeStatus === 'OUTSTANDING' ? ' (por cobrar)' : ''}`
+                        : `${parseFloat(row.amount).toLocaleString()} KZ em falta`,
+                    nextPayment: row.due_date
+                });
+            } catch (error) {
+                logger.error(`Erro ao aplicar penalidade do ciclo ${row.cycle_id}, usuário ${row.user_id}:`, error);
+            }
+        }
 
-            // Notificar admin do grupo
-            logger.warn(`Ciclo atrasado: ${cycle.id} - Grupo: ${cycle.group_name}`);
+        // Contribuições em atraso de membros com fiador: debitar ao fiador
+        const guaranteed = await guaranteeService.findGuaranteedLatePayments();
+        let covered = 0;
 
-            // Emitir notificação via socket
-            emitToGroup(cycle.group_id, 'group:cycle_missed', {
-                groupId: cycle.group_id,
-                cycleId: cycle.id,
-                beneficiaryId: cycle.beneficiary_id,
-                beneficiaryName: cycle.full_name
+        for (const row of guaranteed) {
+            if (await this.coverWithGuarantee(row)) covered++;
+        }
+
+        // Multas que ficaram por cobrar por falta de saldo
+        const charged = await penaltyService.chargeOutstandingPenalties();
+
+        for (const penalty of charged) {
+            emitToUser(penalty.userId, 'group:late_fee_charged', {
+                groupId: penalty.groupId,
+                penaltyId: penalty.penaltyId
             });
         }
 
-        logger.info(`${result.rows.length} ciclos atrasados processados`);
+        logger.info(`${penalized} atrasos penalizados, ${covered} cobertos por fiadores, ${charged.length} multas pendentes cobradas`);
+    }
+
+    /**
+     * Acionar a fiança do membro em atraso (devolve true se o fiador pagou)
+     */
+    async coverWithGuarantee(row) {
+        let payment;
+
+        try {
+            payment = await guaranteeService.callGuarantee(row);
+        } catch (error) {
+            // Sem saldo do fiador: nova tentativa na próxima execução
+            logger.warn(`Fiança não acionada: ciclo ${row.cycle_id}, usuário ${row.user_id}`, { reason: error.message });
+            return false;
+        }
+
+        if (!payment) return false;
+
+        logger.info(`Fiança acionada: ciclo ${row.cycle_id}, membro ${row.user_id}, fiador ${payment.guarantorId}`);
+
+        emitToUser(payment.guarantorId, 'group:guarantee_called', {
+            groupId: row.group_id,
+            guaranteeId: payment.guaranteeId,
+            memberId: row.user_id,
+            memberName: row.full_name,
+            cycleNumber: payment.cycleNumber,
+            amount: payment.amount,
+            amountCovered: payment.amountCovered,
+            liabilityLimit: payment.liabilityLimit
+        });
+
+        emitToGroup(row.group_id, 'group:payment_made', {
+            groupId: row.group_id,
+            userId: row.user_id,
+            userName: row.full_name,
+            paymentMethod: 'GUARANTOR',
+            cycleNumber: payment.cycleNumber,
+            amount: payment.amount,
+            paidCount: payment.paidCount,
+            outstandingCount: payment.outstandingCount
+        });
+
+        if (payment.payoutTriggered) {
+            emitToGroup(row.group_id, 'group:cycle_completed', {
+                groupId: row.group_id,
+                cycleNumber: payment.cycleNumber
+            });
+        }
+
+        return true;
     }
 
     // =====================================================
@@ -220,14 +350,15 @@ class CronService {
              FROM payment_cycles pc
              JOIN groups g ON pc.group_id = g.id
              WHERE pc.status = 'PENDING'
-               AND pc.due_date = CURRENT_DATE
+               AND pc.due_date = $1
                AND NOT EXISTS (
                    SELECT 1 FROM payment_cycles
                    WHERE group_id = pc.group_id
+                     AND round_number = pc.round_number
                      AND cycle_number = pc.cycle_number - 1
                      AND status != 'PAID'
                )`,
-            []
+            [calendarService.today()]
         );
 
         for (const cycle of result.rows) {
@@ -245,6 +376,333 @@ class CronService {
         }
 
         logger.info(`${result.rows.length} novos ciclos processados`);
+
+        // Fechar licitações antes dos débitos automáticos (define o beneficiário)
+        const auctions = await cycleService.closeExpiredAuctions();
+
+        for (const auction of auctions) {
+            emitToGroup(auction.groupId, 'group:auction_closed', {
+                groupId: auction.groupId,
+                cycleId: auction.cycleId,
+                cycleNumber: auction.cycleNumber,
+                winnerId: auction.winnerId,
+                beneficiaryId: auction.beneficiaryId,
+                discount: auction.discount,
+                bidsCount: auction.bidsCount
+            });
+        }
+
+        logger.info(`${auctions.length} licitações fechadas`);
+
+        await this.processAutoPayments();
+    }
+
+    // =====================================================
+    // PROCESSAR OFERTAS DA LISTA DE ESPERA
+    // =====================================================
+
+    async processWaitlistOffers() {
+        const { expired, offers } = await waitlistService.expireOffers();
+
+        for (const entry of expired) {
+            emitToUser(entry.userId, 'group:waitlist_offer_expired', {
+                groupId: entry.groupId,
+                waitlistId: entry.waitlistId
+            });
+        }
+
+        for (const offer of offers) {
+            emitToUser(offer.userId, 'group:waitlist_seat_offered', {
+                groupId: offer.groupId,
+                waitlistId: offer.waitlistId,
+                expiresAt: offer.expiresAt
+            });
+        }
+
+        if (expired.length > 0) {
+            logger.info(`${expired.length} ofertas da lista de espera expiradas, ${offers.length} novas ofertas`);
+        }
+    }
+
+    // =====================================================
+    // DISTRIBUIR POUPANÇAS NO FIM DO PRAZO
+    // =====================================================
+
+    async processSavingsPools() {
+        const pools = await savingsService.findDuePools();
+
+        for (const pool of pools) {
+            try {
+                const distribution = await database.transaction(async (client) => {
+                    const group = await client.query(
+                        `SELECT id, name, status, savings_balance, pool_balance
+                         FROM groups WHERE id = $1 FOR UPDATE`,
+                        [pool.id]
+                    );
+
+                    // Distribuída entretanto pelo admin
+                    if (group.rows[0].status !== 'RUNNING') {
+                        return null;
+                    }
+
+                    return savingsService.close(client, group.rows[0], null, SAVINGS_DISTRIBUTION_REASONS.END_DATE);
+                });
+
+                if (!distribution) continue;
+
+                emitToGroup(pool.id, 'group:savings_distributed', {
+                    groupId: pool.id,
+                    reason: SAVINGS_DISTRIBUTION_REASONS.END_DATE,
+                    total: distribution.total
+                });
+
+                for (const entry of distribution.entries) {
+                    emitToUser(entry.userId, 'group:savings_payout', {
+                        groupId: pool.id,
+                        contributed: entry.contributed,
+                        amount: entry.amount
+                    });
+                }
+            } catch (error) {
+                logger.error(`Erro ao distribuir poupança do grupo ${pool.id}:`, error);
+            }
+        }
+
+        if (pools.length > 0) {
+            logger.info(`${pools.length} poupanças com prazo terminado processadas`);
+        }
+    }
+
+    // =====================================================
+    // FECHAR VOTAÇÕES NO FIM DO PRAZO
+    // =====================================================
+
+    async processExpiredPolls() {
+        const polls = await pollService.findExpiredPolls();
+
+        for (const poll of polls) {
+            try {
+                const closed = await database.transaction(
+                    (client) => pollService.close(client, poll.id)
+                );
+
+                if (!closed) continue;
+
+                const { action } = closed;
+
+                emitToGroup(closed.groupId, 'group:poll_closed', {
+                    groupId: closed.groupId,
+                    pollId: closed.pollId,
+                    status: closed.status,
+                    winningOptionId: closed.winningOptionId,
+                    eligibleCount: closed.eligibleCount,
+                    votesCount: closed.results.votesCount,
+                    options: closed.results.options,
+                    actionType: closed.actionType,
+                    actionStatus: action ? action.status : null,
+                    actionError: action ? action.error : null
+                });
+
+                if (!action || action.status !== 'EXECUTED') continue;
+
+                for (const offer of action.offers || []) {
+                    emitToUser(offer.userId, 'group:waitlist_seat_offered', {
+                        groupId: offer.groupId,
+                        waitlistId: offer.waitlistId,
+                        expiresAt: offer.expiresAt
+                    });
+                }
+
+                if (action.schedule) {
+                    emitToGroup(closed.groupId, 'group:schedule_updated', {
+                        groupId: closed.groupId,
+                        schedule: action.schedule.schedule,
+                        addedCycles: action.schedule.addedCycles,
+                        droppedCycles: action.schedule.droppedCycles
+                    });
+                }
+
+                if (closed.actionType === POLL_ACTIONS.REMOVE_MEMBER) {
+                    emitToGroup(closed.groupId, 'group:member_removed', {
+                        groupId: closed.groupId,
+                        userId: closed.actionPayload.userId,
+                        pollId: closed.pollId
+                    });
+
+                    emitToUser(closed.actionPayload.userId, 'group:member_removed', {
+                        groupId: closed.groupId,
+                        pollId: closed.pollId,
+                        penaltyAmount: action.penaltyAmount,
+                        clawedBack: action.clawedBack,
+                        credited: action.credited,
+                        shortfall: action.shortfall,
+                        unpaidCredit: action.unpaidCredit
+                    });
+                }
+            } catch (error) {
+                logger.error(`Erro ao fechar votação ${poll.id}:`, error);
+            }
+        }
+
+        if (polls.length > 0) {
+            logger.info(`${polls.length} votações com prazo terminado processadas`);
+        }
+    }
+
+    // =====================================================
+    // ENVIAR RECEBIMENTOS PARA DESTINOS DE SAQUE
+    // =====================================================
+
+    async processPayouts() {
+        const { completed, failed } = await payoutService.processPendingPayouts();
+
+        for (const payout of completed) {
+            emitToUser(payout.userId, 'group:payout_sent', {
+                groupId: payout.groupId,
+                cycleId: payout.cycleId,
+                method: payout.method,
+                amount: payout.netAmount,
+                fee: payout.fee
+            });
+        }
+
+        // Falhas: o valor ficou na carteira
+        for (const payout of failed) {
+            emitToUser(payout.userId, 'group:payout_failed', {
+                groupId: payout.groupId,
+                cycleId: payout.cycleId,
+                method: payout.method,
+                amount: payout.amount,
+                reason: payout.reason
+            });
+        }
+
+        if (completed.length + failed.length > 0) {
+            logger.info(`Recebimentos enviados: ${completed.length}, falhados (mantidos na carteira): ${failed.length}`);
+        }
+    }
+
+    // =====================================================
+    // PROCESSAR DÉBITOS AUTOMÁTICOS
+    // =====================================================
+
+    async processAutoPayments() {
+        logger.info('Processando débitos automáticos...');
+
+        // Membros com mandato ativo e contribuição em falta no ciclo atual
+        // (primeiro ciclo pendente de cada grupo, já vencido)
+        const result = await database.query(
+            `SELECT pc.id as cycle_id, pc.group_id, pc.cycle_number, pc.amount,
+                    pc.beneficiary_id, pc.due_date, g.name as group_name,
+                    u.id as user_id, u.email, u.full_name
+             FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             JOIN group_members gm ON gm.group_id = pc.group_id
+             JOIN users u ON gm.user_id = u.id
+             LEFT JOIN cycle_contributions cc ON cc.cycle_id = pc.id AND cc.user_id = gm.user_id
+             WHERE pc.status = 'PENDING'
+               AND pc.due_date <= $1
+               AND NOT EXISTS (
+                   SELECT 1 FROM payment_cycles
+                   WHERE group_id = pc.group_id
+                     AND status = 'PENDING'
+                     AND due_date < pc.due_date
+               )
+               AND (pc.bidding_closes_at IS NULL OR pc.auction_closed_at IS NOT NULL)
+               AND gm.is_active = true
+               AND gm.auto_pay_enabled = true
+               AND gm.user_id != pc.beneficiary_id
+               AND (
+                   cc.id IS NULL
+                   OR (cc.status = 'PENDING' AND (cc.next_retry_at IS NULL OR cc.next_retry_at <= NOW()))
+               )
+             ORDER BY pc.due_date ASC`,
+            [calendarService.today()]
+        );
+
+        let succeeded = 0;
+        let failed = 0;
+
+        for (const row of result.rows) {
+            const cycleData = {
+                id: row.cycle_id,
+                group_id: row.group_id,
+                cycle_number: row.cycle_number,
+                amount: row.amount,
+                beneficiary_id: row.beneficiary_id
+            };
+
+            try {
+                const payment = await cycleService.attemptAutoPayment(row.cycle_id, row.user_id);
+
+                // Ciclo deixou de estar pendente
+                if (!payment) continue;
+
+                succeeded++;
+
+                emitToUser(row.user_id, 'group:auto_pay_succeeded', {
+                    groupId: row.group_id,
+                    cycleNumber: payment.cycleNumber,
+                    amount: payment.amount,
+                    transactionId: payment.transactionId
+                });
+
+                emitToGroup(row.group_id, 'group:payment_made', {
+                    groupId: row.group_id,
+                    userId: row.user_id,
+                    userName: row.full_name,
+                    cycleNumber: payment.cycleNumber,
+                    amount: payment.amount,
+                    paidCount: payment.paidCount,
+                    outstandingCount: payment.outstandingCount,
+                    autoPay: true
+                });
+
+                if (payment.payoutTriggered) {
+                    emitToGroup(row.group_id, 'group:cycle_completed', {
+                        groupId: row.group_id,
+                        cycleNumber: payment.cycleNumber
+                    });
+                }
+
+                await sendGroupNotification(row.email, row.full_name, {
+                    groupName: row.group_name,
+                    message: `A sua contribuição do ciclo ${payment.cycleNumber} foi debitada automaticamente.`,
+                    highlight: `${parseFloat(payment.amount).toLocaleString()} KZ em custódia até o ciclo completar`
+                });
+
+            } catch (error) {
+                if (!(error instanceof BusinessError)) {
+                    logger.error(`Erro no débito automático do ciclo ${row.cycle_id}, usuário ${row.user_id}:`, error);
+                    continue;
+                }
+
+                failed++;
+
+                const failure = await cycleService.registerAutoPayFailure(cycleData, row.user_id, error.message);
+
+                emitToUser(row.user_id, 'group:auto_pay_failed', {
+                    groupId: row.group_id,
+                    cycleNumber: row.cycle_number,
+                    amount: parseFloat(row.amount),
+                    reason: error.message,
+                    attempts: failure.attempts,
+                    maxAttempts: failure.maxAttempts,
+                    willRetry: !failure.exhausted
+                });
+
+                await sendGroupNotification(row.email, row.full_name, {
+                    groupName: row.group_name,
+                    message: failure.exhausted
+                        ? `Não foi possível debitar a sua contribuição do ciclo ${row.cycle_number} após ${failure.attempts} tentativas. Efetue o pagamento manualmente.`
+                        : `Não foi possível debitar a sua contribuição do ciclo ${row.cycle_number}: ${error.message}. Nova tentativa em breve.`,
+                    highlight: `Tentativa ${failure.attempts} de ${failure.maxAttempts}`,
+                    nextPayment: row.due_date
+                });
+            }
+        }
+
+        logger.info(`Débitos automáticos: ${succeeded} realizados, ${failed} falhados`);
     }
 
     // =====================================================
@@ -325,7 +783,7 @@ class CronService {
                 COUNT(*) as total_groups,
                 SUM(current_participants) as total_participants
              FROM groups
-             WHERE status = 'ACTIVE'`
+             WHERE status IN ('RECRUITING', 'FULL', 'RUNNING')`
         );
 
         logger.info('📊 Relatório diário:', {
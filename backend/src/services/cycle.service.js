@@ -0,0 +1,869 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE CICLOS
+// Contribuições, custódia e pagamento dos ciclos de grupos
+// =====================================================
+
+const database = require('../config/database');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const payoutService = require('./payout.service');
+const { SYSTEM_LIMITS } = require('../utils/constants');
+const { BusinessError, InsufficientBalanceError } = require('../middlewares/error.middleware');
+
+class CycleService {
+
+    // =====================================================
+    // TAXA DA PLATAFORMA
+    // =====================================================
+
+    /**
+     * Taxa cobrada sobre cada contribuição, descontada ao beneficiário no pagamento
+     */
+    calculateFee(amount) {
+        return parseFloat(amount) * config.fees.groupPayment;
+    }
+
+    // =====================================================
+    // REGISTRAR CONTRIBUIÇÃO DE UM MEMBRO
+    // =====================================================
+
+    /**
+     * Debita a contribuição do membro, mantendo o valor em custódia até o
+     * ciclo completar. Deve ser chamado dentro de uma transação com o ciclo
+     * bloqueado (FOR UPDATE). Com guarantorId, o débito é feito ao fiador.
+     */
+    async recordContribution(client, cycleData, userId, { autoPay = false, guarantorId = null } = {}) {
+        // Em grupos de leilão o beneficiário só é conhecido após o fecho da licitação
+        if (cycleData.bidding_closes_at && !cycleData.auction_closed_at) {
+            throw new BusinessError('Licitação em andamento. Os pagamentos abrem após o fecho da licitação');
+        }
+
+        // Verificar se o usuário é o beneficiário (não pode pagar para si mesmo)
+        if (cycleData.beneficiary_id === userId) {
+            throw new BusinessError('Você não pode pagar para si mesmo');
+        }
+
+        // Verificar se o membro já contribuiu neste ciclo
+        const existingContribution = await client.query(
+            `SELECT id FROM cycle_contributions
+             WHERE cycle_id = $1 AND user_id = $2 AND status = 'PAID'`,
+            [cycleData.id, userId]
+        );
+
+        if (existingContribution.rows.length > 0) {
+            throw new BusinessError('Você já pagou a sua contribuição neste ciclo');
+        }
+
+        // Calcular taxa do grupo
+        const fee = this.calculateFee(cycleData.amount);
+        const totalToPay = cycleData.amount;
+        const payerId = guarantorId || userId;
+
+        // Verificar saldo
+        const wallet = await client.query(
+            'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+            [payerId]
+        );
+
+        const balance = parseFloat(wallet.rows[0].available_balance);
+
+        if (balance < totalToPay) {
+            throw new InsufficientBalanceError(`Saldo insuficiente. Necessário: ${totalToPay} KZ`);
+        }
+
+        // Registrar transação de pagamento
+        const transaction = await client.query(
+            `INSERT INTO transactions (
+                user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                balance_before, balance_after, status, description, metadata
+            ) VALUES (
+                $1, (SELECT id FROM wallets WHERE user_id = $1),
+                'GROUP_PAYMENT', $2, $3, -$2, $4, $4 - $2, 'PENDING', $5, $6
+            ) RETURNING id`,
+            [
+                payerId,
+                cycleData.amount,
+                fee,
+                balance,
+                guarantorId
+                    ? `Fiança: pagamento do ciclo ${cycleData.cycle_number} - ${cycleData.group_name}`
+                    : `Pagamento do ciclo ${cycleData.cycle_number} - ${cycleData.group_name}`,
+                JSON.stringify({
+                    groupId: cycleData.group_id,
+                    cycleId: cycleData.id,
+                    cycleNumber: cycleData.cycle_number,
+                    beneficiaryId: cycleData.beneficiary_id,
+                    escrow: true,
+                    autoPay,
+                    onBehalfOf: guarantorId ? userId : undefined
+                })
+            ]
+        );
+
+        // Bloquear valor do pagador em custódia até o ciclo completar
+        await client.query(
+            `UPDATE wallets
+             SET available_balance = available_balance - $1,
+                 locked_balance = locked_balance + $1
+             WHERE user_id = $2`,
+            [totalToPay, payerId]
+        );
+
+        // Registrar contribuição do membro no ciclo
+        const contribution = await client.query(
+            `INSERT INTO cycle_contributions (
+                cycle_id, group_id, user_id, amount, fee, status, transaction_id, paid_at,
+                escrow_status, is_auto_pay, payment_method, paid_by
+            ) VALUES ($1, $2, $3, $4, $5, 'PAID', $6, NOW(), 'HELD', $7, $8, $9)
+            ON CONFLICT (cycle_id, user_id) DO UPDATE
+            SET amount = EXCLUDED.amount,
+                fee = EXCLUDED.fee,
+                status = 'PAID',
+                transaction_id = EXCLUDED.transaction_id,
+                paid_at = NOW(),
+                escrow_status = 'HELD',
+                released_at = NULL,
+                refunded_at = NULL,
+                is_auto_pay = EXCLUDED.is_auto_pay,
+                payment_method = EXCLUDED.payment_method,
+                paid_by = EXCLUDED.paid_by,
+                recorded_by = NULL,
+                next_retry_at = NULL,
+                failure_reason = NULL
+            RETURNING id`,
+            [
+                cycleData.id,
+                cycleData.group_id,
+                userId,
+                cycleData.amount,
+                fee,
+                transaction.rows[0].id,
+                autoPay,
+                guarantorId ? 'GUARANTOR' : 'WALLET',
+                guarantorId
+            ]
+        );
+
+        // Verificar se todos os membros ativos (exceto beneficiário) já pagaram
+        const status = await this.getContributionStatus(client, cycleData);
+        const payoutTriggered = status.outstanding.length === 0;
+
+        if (payoutTriggered) {
+            // Marcar ciclo como completo e creditar beneficiário
+            await this.completeCycle(client, cycleData);
+        }
+
+        return {
+            transactionId: transaction.rows[0].id,
+            contributionId: contribution.rows[0].id,
+            amount: cycleData.amount,
+            fee,
+            cycleNumber: cycleData.cycle_number,
+            paidCount: status.paid.length,
+            outstandingCount: status.outstanding.length,
+            payoutTriggered
+        };
+    }
+
+    /**
+     * Registar contribuição paga em dinheiro ao tesoureiro (sem débito na carteira)
+     */
+    async recordCashContribution(client, cycleData, userId, recordedBy, note) {
+        if (cycleData.bidding_closes_at && !cycleData.auction_closed_at) {
+            throw new BusinessError('Licitação em andamento. Os pagamentos abrem após o fecho da licitação');
+        }
+
+        if (cycleData.beneficiary_id === userId) {
+            throw new BusinessError('O beneficiário não contribui no próprio ciclo');
+        }
+
+        const existingContribution = await client.query(
+            `SELECT id FROM cycle_contributions
+             WHERE cycle_id = $1 AND user_id = $2 AND status = 'PAID'`,
+            [cycleData.id, userId]
+        );
+
+        if (existingContribution.rows.length > 0) {
+            throw new BusinessError('Este membro já pagou a contribuição neste ciclo');
+        }
+
+        const contribution = await client.query(
+            `INSERT INTO cycle_contributions (
+                cycle_id, group_id, user_id, amount, fee, status, paid_at,
+                payment_method, recorded_by
+            ) VALUES ($1, $2, $3, $4, 0, 'PAID', NOW(), 'CASH', $5)
+            ON CONFLICT (cycle_id, user_id) DO UPDATE
+            SET amount = EXCLUDED.amount,
+                fee = 0,
+                status = 'PAID',
+                transaction_id = NULL,
+                paid_at = NOW(),
+                payment_method = 'CASH',
+                recorded_by = EXCLUDED.recorded_by,
+                paid_by = NULL,
+                escrow_status = NULL,
+                next_retry_at = NULL,
+                failure_reason = NULL
+            RETURNING id`,
+            [cycleData.id, cycleData.group_id, userId, cycleData.amount, recordedBy]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                recordedBy,
+                'CASH_CONTRIBUTION_RECORDED',
+                'cycle_contributions',
+                contribution.rows[0].id,
+                JSON.stringify({ cycleId: cycleData.id, userId, amount: cycleData.amount, note: note || null })
+            ]
+        );
+
+        const status = await this.getContributionStatus(client, cycleData);
+        const payoutTriggered = status.outstanding.length === 0;
+
+        if (payoutTriggered) {
+            await this.completeCycle(client, cycleData);
+        }
+
+        return {
+            contributionId: contribution.rows[0].id,
+            amount: cycleData.amount,
+            cycleNumber: cycleData.cycle_number,
+            paidCount: status.paid.length,
+            outstandingCount: status.outstanding.length,
+            payoutTriggered
+        };
+    }
+
+    // =====================================================
+    // STATUS DAS CONTRIBUIÇÕES DO CICLO
+    // =====================================================
+
+    /**
+     * Obter contribuições pagas e membros em falta de um ciclo
+     * (aceita tanto o pool `database` quanto um client de transação)
+     */
+    async getContributionStatus(db, cycleData) {
+        const paid = await db.query(
+            `SELECT
+                cc.id, cc.user_id, u.full_name as user_name,
+                cc.amount, cc.fee, cc.paid_at, cc.transaction_id
+             FROM cycle_contributions cc
+             JOIN users u ON cc.user_id = u.id
+             WHERE cc.cycle_id = $1 AND cc.status = 'PAID'
+             ORDER BY cc.paid_at ASC`,
+            [cycleData.id]
+        );
+
+        // Membros ativos, exceto o beneficiário, sem contribuição paga
+        const outstanding = await db.query(
+            `SELECT u.id as user_id, u.full_name as user_name
+             FROM group_members gm
+             JOIN users u ON gm.user_id = u.id
+             WHERE gm.group_id = $1
+               AND gm.is_active = true
+               AND gm.user_id != $2
+               AND NOT EXISTS (
+                   SELECT 1 FROM cycle_contributions cc
+                   WHERE cc.cycle_id = $3 AND cc.user_id = gm.user_id AND cc.status = 'PAID'
+               )
+             ORDER BY u.full_name ASC`,
+            [cycleData.group_id, cycleData.beneficiary_id, cycleData.id]
+        );
+
+        return {
+            paid: paid.rows,
+            outstanding: outstanding.rows
+        };
+    }
+
+    // =====================================================
+    // COMPLETAR CICLO
+    // =====================================================
+
+    /**
+     * Libera a custódia e credita o beneficiário com o total das contribuições
+     */
+    async completeCycle(client, cycleData) {
+        // Somar contribuições pagas no ciclo (em dinheiro são entregues pelo tesoureiro, fora da carteira)
+        const pool = await client.query(
+            `SELECT
+                COALESCE(SUM(amount) FILTER (WHERE payment_method != 'CASH'), 0) as total,
+                COALESCE(SUM(fee) FILTER (WHERE payment_method != 'CASH'), 0) as fees,
+                COALESCE(SUM(amount) FILTER (WHERE payment_method = 'CASH'), 0) as cash_total
+             FROM cycle_contributions
+             WHERE cycle_id = $1 AND status = 'PAID'`,
+            [cycleData.id]
+        );
+
+        const totalContributed = parseFloat(pool.rows[0].total);
+        const totalFees = parseFloat(pool.rows[0].fees);
+        const cashTotal = parseFloat(pool.rows[0].cash_total);
+
+        // Desconto do lance vencedor (modo leilão), limitado ao valor disponível
+        const cycleRow = await client.query(
+            'SELECT discount_amount FROM payment_cycles WHERE id = $1',
+            [cycleData.id]
+        );
+
+        const discount = Math.min(
+            parseFloat(cycleRow.rows[0].discount_amount || 0),
+            totalContributed - totalFees
+        );
+        const payoutAmount = totalContributed - totalFees - discount;
+
+        // Liberar valores bloqueados dos pagadores (membro ou fiador)
+        await client.query(
+            `UPDATE wallets w
+             SET locked_balance = w.locked_balance - cc.amount
+             FROM cycle_contributions cc
+             WHERE cc.cycle_id = $1
+               AND cc.status = 'PAID'
+               AND cc.escrow_status = 'HELD'
+               AND w.user_id = COALESCE(cc.paid_by, cc.user_id)`,
+            [cycleData.id]
+        );
+
+        await client.query(
+            `UPDATE transactions t
+             SET status = 'COMPLETED', completed_at = NOW()
+             FROM cycle_contributions cc
+             WHERE cc.cycle_id = $1
+               AND cc.escrow_status = 'HELD'
+               AND t.id = cc.transaction_id`,
+            [cycleData.id]
+        );
+
+        await client.query(
+            `UPDATE cycle_contributions
+             SET escrow_status = 'RELEASED', released_at = NOW()
+             WHERE cycle_id = $1 AND status = 'PAID' AND escrow_status = 'HELD'`,
+            [cycleData.id]
+        );
+
+        // Buscar saldo do beneficiário
+        const beneficiaryWallet = await client.query(
+            'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+            [cycleData.beneficiary_id]
+        );
+
+        const beneficiaryBalance = parseFloat(beneficiaryWallet.rows[0].available_balance);
+
+        // Criar transação de recebimento
+        const transaction = await client.query(
+            `INSERT INTO transactions (
+                user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                balance_before, balance_after, status, description, metadata
+            ) VALUES (
+                $1, (SELECT id FROM wallets WHERE user_id = $1),
+                'GROUP_RECEIVE', $2, $3, $4, $5, $5 + $4, 'COMPLETED', $6, $7
+            ) RETURNING id`,
+            [
+                cycleData.beneficiary_id,
+                totalContributed,
+                totalFees,
+                payoutAmount,
+                beneficiaryBalance,
+                `Recebimento do ciclo ${cycleData.cycle_number}`,
+                JSON.stringify({ groupId: cycleData.group_id, cycleId: cycleData.id, discount, cashTotal })
+            ]
+        );
+
+        // Atualizar saldo do beneficiário
+        await client.query(
+            'UPDATE wallets SET available_balance = available_balance + $1 WHERE user_id = $2',
+            [payoutAmount, cycleData.beneficiary_id]
+        );
+
+        // Parte do recebimento encaminhada para destinos de saque (preferências do beneficiário)
+        await payoutService.routePayout(client, cycleData, payoutAmount);
+
+        if (discount > 0) {
+            await this.distributeDiscount(client, cycleData, discount);
+        }
+
+        // Marcar ciclo como pago
+        await client.query(
+            `UPDATE payment_cycles
+             SET status = 'PAID', paid_at = NOW(), transaction_id = $1
+             WHERE id = $2`,
+            [transaction.rows[0].id, cycleData.id]
+        );
+
+        logger.info(`Ciclo ${cycleData.id} completado, beneficiário ${cycleData.beneficiary_id} creditado com ${payoutAmount} KZ`);
+
+        await this.completeGroupIfFinished(client, cycleData.group_id);
+    }
+
+    // =====================================================
+    // RONDAS DO GRUPO
+    // =====================================================
+
+    /**
+     * Os ciclos da ronda atual do grupo já foram gerados?
+     */
+    async hasCycles(client, groupId) {
+        const result = await client.query(
+            `SELECT 1 FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.group_id = $1 AND pc.round_number = g.current_round
+             LIMIT 1`,
+            [groupId]
+        );
+
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Marcar o grupo como concluído quando todos os ciclos da ronda atual
+     * estão pagos (ou cancelados). Devolve true se o grupo foi concluído.
+     */
+    async completeGroupIfFinished(client, groupId) {
+        const result = await client.query(
+            `UPDATE groups g
+             SET status = 'COMPLETED', completed_at = NOW(), updated_at = NOW()
+             WHERE g.id = $1 AND g.status = 'RUNNING'
+               AND EXISTS (
+                   SELECT 1 FROM payment_cycles pc
+                   WHERE pc.group_id = g.id AND pc.round_number = g.current_round
+                     AND pc.status = 'PAID'
+               )
+               AND NOT EXISTS (
+                   SELECT 1 FROM payment_cycles pc
+                   WHERE pc.group_id = g.id AND pc.round_number = g.current_round
+                     AND pc.status NOT IN ('PAID', 'CANCELLED')
+               )
+             RETURNING current_round`,
+            [groupId]
+        );
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        logger.info(`Grupo ${groupId} concluído (ronda ${result.rows[0].current_round})`);
+
+        await this.distributePool(client, groupId);
+
+        return true;
+    }
+
+    /**
+     * Repartir o fundo do grupo (multas e cobranças destinadas ao grupo) em partes iguais
+     * pelos membros ativos. Chamado no fim de cada ronda e antes de uma renovação.
+     */
+    async distributePool(client, groupId) {
+        const group = await client.query(
+            'SELECT pool_balance, current_round FROM groups WHERE id = $1 FOR UPDATE',
+            [groupId]
+        );
+
+        const totalCents = Math.round(parseFloat(group.rows[0].pool_balance || 0) * 100);
+
+        if (totalCents <= 0) return [];
+
+        const members = await client.query(
+            `SELECT w.user_id, w.available_balance
+             FROM group_members gm
+             JOIN wallets w ON w.user_id = gm.user_id
+             WHERE gm.group_id = $1 AND gm.is_active = true
+             ORDER BY gm.joined_at ASC
+             FOR UPDATE OF w`,
+            [groupId]
+        );
+
+        if (members.rows.length === 0) return [];
+
+        const roundNumber = group.rows[0].current_round;
+        const shares = [];
+
+        // Divisão em cêntimos; o resto fica com os membros mais antigos
+        const baseCents = Math.floor(totalCents / members.rows.length);
+        let remainder = totalCents - baseCents * members.rows.length;
+
+        for (const member of members.rows) {
+            const share = (baseCents + (remainder > 0 ? 1 : 0)) / 100;
+            if (remainder > 0) remainder--;
+            if (share <= 0) continue;
+
+            const balance = parseFloat(member.available_balance);
+
+            await client.query(
+                `INSERT INTO transactions (
+                    user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                    balance_before, balance_after, status, description, metadata, completed_at
+                ) VALUES (
+                    $1, (SELECT id FROM wallets WHERE user_id = $1),
+                    'POOL_DISTRIBUTION', $2, 0, $2, $3, $3 + $2, 'COMPLETED', $4, $5, NOW()
+                )`,
+                [
+                    member.user_id,
+                    share,
+                    balance,
+                    `Parte do fundo do grupo na ronda ${roundNumber}`,
+                    JSON.stringify({ groupId, roundNumber })
+                ]
+            );
+
+            await client.query(
+                'UPDATE wallets SET available_balance = available_balance + $1 WHERE user_id = $2',
+                [share, member.user_id]
+            );
+
+            shares.push({ userId: member.user_id, amount: share });
+        }
+
+        await client.query(
+            'UPDATE groups SET pool_balance = pool_balance - $1 WHERE id = $2',
+            [totalCents / 100, groupId]
+        );
+
+        logger.info(`Fundo de ${totalCents / 100} KZ do grupo ${groupId} repartido por ${shares.length} membros`);
+
+        return shares;
+    }
+
+    /**
+     * Distribuir o desconto do lance vencedor entre os membros que pagaram o ciclo
+     */
+    async distributeDiscount(client, cycleData, discount) {
+        const payers = await client.query(
+            `SELECT w.user_id, w.available_balance
+             FROM cycle_contributions cc
+             JOIN wallets w ON w.user_id = COALESCE(cc.paid_by, cc.user_id)
+             WHERE cc.cycle_id = $1 AND cc.status = 'PAID'
+             ORDER BY cc.paid_at ASC
+             FOR UPDATE OF w`,
+            [cycleData.id]
+        );
+
+        if (payers.rows.length === 0) return;
+
+        // Divisão em cêntimos; o resto fica com os primeiros pagadores
+        const totalCents = Math.round(discount * 100);
+        const baseCents = Math.floor(totalCents / payers.rows.length);
+        let remainder = totalCents - baseCents * payers.rows.length;
+
+        for (const payer of payers.rows) {
+            const share = (baseCents + (remainder > 0 ? 1 : 0)) / 100;
+            if (remainder > 0) remainder--;
+            if (share <= 0) continue;
+
+            const balance = parseFloat(payer.available_balance);
+
+            await client.query(
+                `INSERT INTO transactions (
+                    user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                    balance_before, balance_after, status, description, metadata, completed_at
+                ) VALUES (
+                    $1, (SELECT id FROM wallets WHERE user_id = $1),
+                    'AUCTION_DIVIDEND', $2, 0, $2, $3, $3 + $2, 'COMPLETED', $4, $5, NOW()
+                )`,
+                [
+                    payer.user_id,
+                    share,
+                    balance,
+                    `Dividendo do leilão do ciclo ${cycleData.cycle_number}`,
+                    JSON.stringify({ groupId: cycleData.group_id, cycleId: cycleData.id, discount })
+                ]
+            );
+
+            await client.query(
+                'UPDATE wallets SET available_balance = available_balance + $1 WHERE user_id = $2',
+                [share, payer.user_id]
+            );
+        }
+
+        logger.info(`Desconto de ${discount} KZ do ciclo ${cycleData.id} distribuído a ${payers.rows.length} membros`);
+    }
+
+    // =====================================================
+    // LEILÃO
+    // =====================================================
+
+    /**
+     * Fechar a licitação de um ciclo: o maior desconto vence (empate: lance mais antigo)
+     * e troca de ciclo com o beneficiário previsto pela ordem
+     */
+    async closeAuction(client, cycleData) {
+        const bids = await client.query(
+            `SELECT id, user_id, discount_amount
+             FROM cycle_bids
+             WHERE cycle_id = $1 AND status = 'ACTIVE'
+             ORDER BY discount_amount DESC, created_at ASC`,
+            [cycleData.id]
+        );
+
+        const winner = bids.rows[0];
+        const previousBeneficiaryId = cycleData.beneficiary_id;
+
+        if (winner && winner.user_id !== previousBeneficiaryId) {
+            // O beneficiário previsto herda o ciclo futuro do vencedor
+            await client.query(
+                `UPDATE payment_cycles
+                 SET beneficiary_id = $1
+                 WHERE group_id = $2 AND beneficiary_id = $3
+                   AND cycle_number > $4 AND status = 'PENDING'`,
+                [previousBeneficiaryId, cycleData.group_id, winner.user_id, cycleData.cycle_number]
+            );
+
+            await client.query(
+                'UPDATE payment_cycles SET beneficiary_id = $1 WHERE id = $2',
+                [winner.user_id, cycleData.id]
+            );
+
+            // Manter a ordem coerente com os ciclos (posição temporária evita conflito de UNIQUE)
+            const positions = await client.query(
+                `SELECT user_id, position FROM cycle_order
+                 WHERE group_id = $1 AND user_id IN ($2, $3)`,
+                [cycleData.group_id, winner.user_id, previousBeneficiaryId]
+            );
+
+            if (positions.rows.length === 2) {
+                const [a, b] = positions.rows;
+                await client.query(
+                    'UPDATE cycle_order SET position = -1 WHERE group_id = $1 AND user_id = $2',
+                    [cycleData.group_id, a.user_id]
+                );
+                await client.query(
+                    'UPDATE cycle_order SET position = $1 WHERE group_id = $2 AND user_id = $3',
+                    [a.position, cycleData.group_id, b.user_id]
+                );
+                await client.query(
+                    'UPDATE cycle_order SET position = $1 WHERE group_id = $2 AND user_id = $3',
+                    [b.position, cycleData.group_id, a.user_id]
+                );
+            }
+        }
+
+        await client.query(
+            `UPDATE cycle_bids
+             SET status = CASE WHEN id = $2 THEN 'WON' ELSE 'LOST' END
+             WHERE cycle_id = $1 AND status = 'ACTIVE'`,
+            [cycleData.id, winner ? winner.id : null]
+        );
+
+        await client.query(
+            `UPDATE payment_cycles
+             SET auction_closed_at = NOW(), discount_amount = $1
+             WHERE id = $2`,
+            [winner ? parseFloat(winner.discount_amount) : 0, cycleData.id]
+        );
+
+        logger.info(`Licitação do ciclo ${cycleData.id} fechada: ${winner ? `vencedor ${winner.user_id}` : 'sem lances'}`);
+
+        return {
+            winnerId: winner ? winner.user_id : null,
+            beneficiaryId: winner ? winner.user_id : previousBeneficiaryId,
+            previousBeneficiaryId,
+            discount: winner ? parseFloat(winner.discount_amount) : 0,
+            bidsCount: bids.rows.length
+        };
+    }
+
+    /**
+     * Fechar licitações com janela expirada (executado pelo cron de ciclos)
+     */
+    async closeExpiredAuctions() {
+        const expired = await database.query(
+            `SELECT id FROM payment_cycles
+             WHERE status = 'PENDING'
+               AND bidding_closes_at IS NOT NULL
+               AND bidding_closes_at <= NOW()
+               AND auction_closed_at IS NULL
+             ORDER BY bidding_closes_at ASC`,
+            []
+        );
+
+        const closed = [];
+
+        for (const row of expired.rows) {
+            const result = await database.transaction(async (client) => {
+                const cycle = await client.query(
+                    `SELECT * FROM payment_cycles
+                     WHERE id = $1 AND auction_closed_at IS NULL
+                     FOR UPDATE`,
+                    [row.id]
+                );
+
+                if (cycle.rows.length === 0) return null;
+
+                const cycleData = cycle.rows[0];
+                const auction = await this.closeAuction(client, cycleData);
+
+                return {
+                    ...auction,
+                    cycleId: cycleData.id,
+                    groupId: cycleData.group_id,
+                    cycleNumber: cycleData.cycle_number
+                };
+            });
+
+            if (result) closed.push(result);
+        }
+
+        return closed;
+    }
+
+    // =====================================================
+    // REEMBOLSAR CUSTÓDIA
+    // =====================================================
+
+    /**
+     * Devolver aos pagadores os valores em custódia de um ciclo
+     */
+    async refundEscrow(client, cycleData, reason) {
+        const held = await client.query(
+            `SELECT cc.id, w.user_id, cc.amount, cc.transaction_id, w.available_balance
+             FROM cycle_contributions cc
+             JOIN wallets w ON w.user_id = COALESCE(cc.paid_by, cc.user_id)
+             WHERE cc.cycle_id = $1 AND cc.status = 'PAID' AND cc.escrow_status = 'HELD'
+             FOR UPDATE OF cc, w`,
+            [cycleData.id]
+        );
+
+        let totalRefunded = 0;
+
+        for (const contribution of held.rows) {
+            const amount = parseFloat(contribution.amount);
+            const balance = parseFloat(contribution.available_balance);
+
+            // Devolver valor bloqueado ao saldo disponível
+            await client.query(
+                `UPDATE wallets
+                 SET available_balance = available_balance + $1,
+                     locked_balance = locked_balance - $1
+                 WHERE user_id = $2`,
+                [amount, contribution.user_id]
+            );
+
+            await client.query(
+                `INSERT INTO transactions (
+                    user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                    balance_before, balance_after, status, description, metadata, completed_at
+                ) VALUES (
+                    $1, (SELECT id FROM wallets WHERE user_id = $1),
+                    'GROUP_REFUND', $2, 0, $2, $3, $3 + $2, 'COMPLETED', $4, $5, NOW()
+                )`,
+                [
+                    contribution.user_id,
+                    amount,
+                    balance,
+                    `Reembolso do ciclo ${cycleData.cycle_number}`,
+                    JSON.stringify({
+                        groupId: cycleData.group_id,
+                        cycleId: cycleData.id,
+                        originalTransactionId: contribution.transaction_id,
+                        reason: reason || null
+                    })
+                ]
+            );
+
+            // Cancelar transação de pagamento original
+            await client.query(
+                `UPDATE transactions SET status = 'CANCELLED' WHERE id = $1`,
+                [contribution.transaction_id]
+            );
+
+            await client.query(
+                `UPDATE cycle_contributions
+                 SET status = 'REFUNDED', escrow_status = 'REFUNDED', refunded_at = NOW()
+                 WHERE id = $1`,
+                [contribution.id]
+            );
+
+            totalRefunded += amount;
+        }
+
+        logger.info(`Custódia do ciclo ${cycleData.id} reembolsada: ${held.rows.length} contribuições, ${totalRefunded} KZ`);
+
+        return {
+            refundedCount: held.rows.length,
+            totalRefunded,
+            refundedUserIds: held.rows.map(c => c.user_id)
+        };
+    }
+
+    // =====================================================
+    // DÉBITO AUTOMÁTICO
+    // =====================================================
+
+    /**
+     * Tentar debitar automaticamente a contribuição de um membro com mandato ativo
+     */
+    async attemptAutoPayment(cycleId, userId) {
+        return database.transaction(async (client) => {
+            const cycle = await client.query(
+                `SELECT pc.*, g.cycle_value, g.name as group_name
+                 FROM payment_cycles pc
+                 JOIN groups g ON pc.group_id = g.id
+                 WHERE pc.id = $1 AND pc.status = 'PENDING'
+                 FOR UPDATE`,
+                [cycleId]
+            );
+
+            // Ciclo já pago ou cancelado entretanto
+            if (cycle.rows.length === 0) return null;
+
+            const cycleData = cycle.rows[0];
+            const result = await this.recordContribution(client, cycleData, userId, { autoPay: true });
+
+            return { ...result, groupId: cycleData.group_id, groupName: cycleData.group_name };
+        });
+    }
+
+    /**
+     * Registrar falha do débito automático e agendar nova tentativa
+     * (após o limite de tentativas a contribuição fica FAILED e o membro paga manualmente)
+     */
+    async registerAutoPayFailure(cycleData, userId, reason) {
+        const result = await database.query(
+            `INSERT INTO cycle_contributions (
+                cycle_id, group_id, user_id, amount, fee, status, is_auto_pay,
+                auto_pay_attempts, last_attempt_at, next_retry_at, failure_reason
+            ) VALUES (
+                $1, $2, $3, $4, 0, 'PENDING', true,
+                1, NOW(), NOW() + make_interval(hours => $5), $6
+            )
+            ON CONFLICT (cycle_id, user_id) DO UPDATE
+            SET auto_pay_attempts = cycle_contributions.auto_pay_attempts + 1,
+                last_attempt_at = NOW(),
+                next_retry_at = NOW() + make_interval(hours => $5),
+                failure_reason = EXCLUDED.failure_reason
+            RETURNING id, auto_pay_attempts`,
+            [
+                cycleData.id,
+                cycleData.group_id,
+                userId,
+                cycleData.amount,
+                SYSTEM_LIMITS.AUTO_PAY_RETRY_INTERVAL_HOURS,
+                reason.substring(0, 255)
+            ]
+        );
+
+        const attempts = result.rows[0].auto_pay_attempts;
+        const exhausted = attempts >= SYSTEM_LIMITS.AUTO_PAY_MAX_ATTEMPTS;
+
+        if (exhausted) {
+            await database.query(
+                `UPDATE cycle_contributions
+                 SET status = 'FAILED', next_retry_at = NULL
+                 WHERE id = $1`,
+                [result.rows[0].id]
+            );
+        }
+
+        logger.warn(`Débito automático falhou: ciclo ${cycleData.id}, usuário ${userId}, tentativa ${attempts}`, { reason });
+
+        return {
+            attempts,
+            exhausted,
+            maxAttempts: SYSTEM_LIMITS.AUTO_PAY_MAX_ATTEMPTS
+        };
+    }
+}
+
+// Exportar instância única
+module.exports = new CycleService();
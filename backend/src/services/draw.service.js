@@ -0,0 +1,96 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE SORTEIO
+// Sorteio verificável (commit–reveal) da ordem de recebimento
+// =====================================================
+
+const crypto = require('crypto');
+const { DRAW_ALGORITHMS } = require('../utils/constants');
+
+class DrawService {
+
+    constructor() {
+        this.algorithm = DRAW_ALGORITHMS.SHA256_FISHER_YATES_V1;
+    }
+
+    // =====================================================
+    // COMPROMISSO (COMMIT)
+    // =====================================================
+
+    /**
+     * Gerar semente aleatória secreta (revelada apenas após o compromisso)
+     */
+    generateSeed() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Hash público da semente, divulgado aos membros antes da revelação
+     */
+    hashSeed(seed) {
+        return crypto.createHash('sha256').update(seed).digest('hex');
+    }
+
+    // =====================================================
+    // EMBARALHAMENTO DETERMINÍSTICO
+    // =====================================================
+
+    /**
+     * Embaralhar participantes com Fisher–Yates alimentado por SHA-256(seed:contador).
+     * Os participantes são ordenados por ID antes do embaralhamento, para que
+     * qualquer membro consiga reproduzir o resultado a partir da semente.
+     */
+    shuffle(participantIds, seed) {
+        const order = [...participantIds].sort();
+        const state = { counter: 0 };
+
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = this.randomIndex(seed, state, i + 1);
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        return order;
+    }
+
+    /**
+     * Inteiro uniforme em [0, range) com rejeição para evitar viés de módulo
+     */
+    randomIndex(seed, state, range) {
+        const limit = Math.floor(0x100000000 / range) * range;
+
+        for (;;) {
+            const digest = crypto.createHash('sha256')
+                .update(`${seed}:${state.counter}`)
+                .digest();
+            state.counter++;
+
+            const value = digest.readUInt32BE(0);
+            if (value < limit) {
+                return value % range;
+            }
+        }
+    }
+
+    // =====================================================
+    // VERIFICAÇÃO
+    // =====================================================
+
+    /**
+     * Verificar um sorteio revelado: semente confere com o compromisso e
+     * a ordem publicada é a reproduzida a partir da semente
+     */
+    verify({ seed, seedHash, participants, resultOrder }) {
+        if (!seed) {
+            return { seedMatchesCommitment: null, orderMatchesSeed: null };
+        }
+
+        const expectedOrder = this.shuffle(participants, seed);
+
+        return {
+            seedMatchesCommitment: this.hashSeed(seed) === seedHash,
+            orderMatchesSeed: JSON.stringify(expectedOrder) === JSON.stringify(resultOrder)
+        };
+    }
+}
+
+// Exportar instância única
+module.exports = new DrawService();
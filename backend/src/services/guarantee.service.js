@@ -0,0 +1,188 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE FIANÇAS
+// Fiadores que cobrem as contribuições em atraso dos membros
+// =====================================================
+
+const database = require('../config/database');
+const cycleService = require('./cycle.service');
+const { SYSTEM_LIMITS, GUARANTEE_STATUS } = require('../utils/constants');
+const { BusinessError } = require('../middlewares/error.middleware');
+
+class GuaranteeService {
+
+    // =====================================================
+    // LIMITES DE EXPOSIÇÃO
+    // =====================================================
+
+    /**
+     * Responsabilidade máxima de uma fiança: todas as contribuições do membro no grupo
+     */
+    calculateLiabilityLimit(group) {
+        return parseFloat(group.cycle_value) * Math.max(group.max_participants - 1, 1);
+    }
+
+    /**
+     * Exposição atual de um fiador (responsabilidade ainda não utilizada nas fianças ativas)
+     */
+    async getExposure(client, guarantorId) {
+        const result = await client.query(
+            `SELECT COUNT(*) as active_count,
+                    COALESCE(SUM(liability_limit - amount_covered), 0) as exposure
+             FROM group_guarantees
+             WHERE guarantor_id = $1 AND status = $2`,
+            [guarantorId, GUARANTEE_STATUS.ACTIVE]
+        );
+
+        return {
+            activeCount: parseInt(result.rows[0].active_count),
+            exposure: parseFloat(result.rows[0].exposure)
+        };
+    }
+
+    /**
+     * Verificar se o fiador pode assumir mais uma fiança
+     */
+    async assertCanGuarantee(client, guarantorId, liabilityLimit) {
+        const { activeCount, exposure } = await this.getExposure(client, guarantorId);
+
+        if (activeCount >= SYSTEM_LIMITS.GUARANTOR_MAX_ACTIVE) {
+            throw new BusinessError(`O fiador já tem o máximo de ${SYSTEM_LIMITS.GUARANTOR_MAX_ACTIVE} fianças ativas`);
+        }
+
+        if (exposure + liabilityLimit > SYSTEM_LIMITS.GUARANTOR_MAX_EXPOSURE) {
+            throw new BusinessError(`A fiança excede a exposição máxima de ${SYSTEM_LIMITS.GUARANTOR_MAX_EXPOSURE} KZ por fiador`);
+        }
+    }
+
+    // =====================================================
+    // LIBERAÇÃO
+    // =====================================================
+
+    /**
+     * Liberar a fiança ativa (ou cancelar a pendente) de um membro que saiu do grupo
+     */
+    async releaseGuarantee(client, groupId, memberId) {
+        const result = await client.query(
+            `UPDATE group_guarantees
+             SET status = CASE WHEN status = 'ACTIVE' THEN 'RELEASED' ELSE 'CANCELLED' END,
+                 released_at = CASE WHEN status = 'ACTIVE' THEN NOW() ELSE released_at END
+             WHERE group_id = $1 AND member_id = $2 AND status IN ('PENDING', 'ACTIVE')
+             RETURNING id, guarantor_id, status`,
+            [groupId, memberId]
+        );
+
+        return result.rows;
+    }
+
+    // =====================================================
+    // ACIONAR FIANÇA
+    // =====================================================
+
+    /**
+     * Contribuições já penalizadas e ainda em falta de membros com fiança ativa.
+     * Inclui as que falharam antes por falta de saldo do fiador.
+     */
+    async findGuaranteedLatePayments() {
+        const result = await database.query(
+            `SELECT mp.cycle_id, mp.group_id, mp.user_id, pc.cycle_number,
+                    u.full_name
+             FROM member_penalties mp
+             JOIN payment_cycles pc ON mp.cycle_id = pc.id
+             JOIN group_guarantees gg ON gg.group_id = mp.group_id
+                  AND gg.member_id = mp.user_id AND gg.status = 'ACTIVE'
+             JOIN users u ON mp.user_id = u.id
+             WHERE pc.status = 'PENDING'
+               AND gg.amount_covered + pc.amount <= gg.liability_limit
+               AND NOT EXISTS (
+                   SELECT 1 FROM cycle_contributions cc
+                   WHERE cc.cycle_id = mp.cycle_id AND cc.user_id = mp.user_id AND cc.status = 'PAID'
+               )
+             ORDER BY pc.due_date ASC`,
+            []
+        );
+
+        return result.rows;
+    }
+
+    /**
+     * Debitar ao fiador a contribuição em atraso do membro.
+     * Devolve null se o membro não tiver fiança ativa ou o ciclo já não estiver pendente.
+     */
+    async callGuarantee(row) {
+        return database.transaction(async (client) => {
+            const guarantee = await client.query(
+                `SELECT * FROM group_guarantees
+                 WHERE group_id = $1 AND member_id = $2 AND status = $3
+                 FOR UPDATE`,
+                [row.group_id, row.user_id, GUARANTEE_STATUS.ACTIVE]
+            );
+
+            if (guarantee.rows.length === 0) {
+                return null;
+            }
+
+            const guaranteeData = guarantee.rows[0];
+
+            const cycle = await client.query(
+                `SELECT pc.*, g.cycle_value, g.name as group_name
+                 FROM payment_cycles pc
+                 JOIN groups g ON pc.group_id = g.id
+                 WHERE pc.id = $1 AND pc.status = 'PENDING'
+                 FOR UPDATE`,
+                [row.cycle_id]
+            );
+
+            if (cycle.rows.length === 0) {
+                return null;
+            }
+
+            const cycleData = cycle.rows[0];
+            const amount = parseFloat(cycleData.amount);
+            const remaining = parseFloat(guaranteeData.liability_limit) - parseFloat(guaranteeData.amount_covered);
+
+            if (amount > remaining) {
+                throw new BusinessError('Limite de responsabilidade da fiança esgotado');
+            }
+
+            const result = await cycleService.recordContribution(client, cycleData, row.user_id, {
+                guarantorId: guaranteeData.guarantor_id
+            });
+
+            await client.query(
+                `UPDATE group_guarantees
+                 SET amount_covered = amount_covered + $1
+                 WHERE id = $2`,
+                [amount, guaranteeData.id]
+            );
+
+            await client.query(
+                `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [
+                    guaranteeData.guarantor_id,
+                    'GUARANTEE_CALLED',
+                    'group_guarantees',
+                    guaranteeData.id,
+                    JSON.stringify({
+                        groupId: row.group_id,
+                        cycleId: row.cycle_id,
+                        memberId: row.user_id,
+                        amount,
+                        transactionId: result.transactionId
+                    })
+                ]
+            );
+
+            return {
+                ...result,
+                guaranteeId: guaranteeData.id,
+                guarantorId: guaranteeData.guarantor_id,
+                amountCovered: parseFloat(guaranteeData.amount_covered) + amount,
+                liabilityLimit: parseFloat(guaranteeData.liability_limit)
+            };
+        });
+    }
+}
+
+// Exportar instância única
+module.exports = new GuaranteeService();
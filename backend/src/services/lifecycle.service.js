@@ -0,0 +1,189 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE CICLO DE VIDA DOS GRUPOS
+// Status do grupo e transições permitidas
+// =====================================================
+
+const logger = require('../utils/logger');
+const { BusinessError, NotFoundError, ValidationError } = require('../middlewares/error.middleware');
+const { GROUP_STATUS, GROUP_STATUS_TRANSITIONS, GROUP_TERMS_FIELDS } = require('../utils/constants');
+
+const STATUS_LABELS = {
+    [GROUP_STATUS.DRAFT]: 'em rascunho',
+    [GROUP_STATUS.RECRUITING]: 'a recrutar membros',
+    [GROUP_STATUS.FULL]: 'completo',
+    [GROUP_STATUS.RUNNING]: 'em curso',
+    [GROUP_STATUS.COMPLETED]: 'concluído',
+    [GROUP_STATUS.CANCELLED]: 'cancelado'
+};
+
+class GroupLifecycleService {
+
+    // =====================================================
+    // TRANSIÇÕES
+    // =====================================================
+
+    canTransition(from, to) {
+        return (GROUP_STATUS_TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Mudar o status do grupo, rejeitando transições não permitidas.
+     * Deve ser chamado dentro de uma transação.
+     */
+    async transition(client, groupId, to) {
+        const group = await client.query(
+            'SELECT status FROM groups WHERE id = $1 FOR UPDATE',
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        const from = group.rows[0].status;
+
+        if (from === to) {
+            return { from, to, changed: false };
+        }
+
+        if (!this.canTransition(from, to)) {
+            throw new BusinessError(`O grupo está ${this.label(from)} e não pode passar a ${this.label(to)}`);
+        }
+
+        await client.query(
+            `UPDATE groups
+             SET status = $1,
+                 completed_at = CASE WHEN $1 = 'COMPLETED' THEN NOW() ELSE completed_at END,
+                 updated_at = NOW()
+             WHERE id = $2`,
+            [to, groupId]
+        );
+
+        logger.info(`Grupo ${groupId}: ${from} -> ${to}`);
+
+        return { from, to, changed: true };
+    }
+
+    /**
+     * Acertar RECRUITING/FULL com o número de participantes
+     * (após alterar o máximo de participantes)
+     */
+    async syncCapacity(client, groupId) {
+        const result = await client.query(
+            `UPDATE groups
+             SET status = CASE
+                     WHEN current_participants >= max_participants THEN 'FULL'
+                     ELSE 'RECRUITING'
+                 END
+             WHERE id = $1 AND status IN ('RECRUITING', 'FULL')
+             RETURNING status`,
+            [groupId]
+        );
+
+        return result.rows.length > 0 ? result.rows[0].status : null;
+    }
+
+    /**
+     * Alterar as condições do grupo (valor, frequência, dia de pagamento, participantes)
+     * antes do início. Deve ser chamado dentro de uma transação.
+     */
+    async updateTerms(client, groupId, terms) {
+        const group = await client.query(
+            `SELECT status, frequency, payment_day, current_participants
+             FROM groups WHERE id = $1 FOR UPDATE`,
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        const current = group.rows[0];
+
+        this.assertCanUpdate(current, Object.keys(terms));
+
+        const frequency = terms.frequency || current.frequency;
+        const paymentDay = terms.paymentDay !== undefined ? terms.paymentDay : current.payment_day;
+
+        if (terms.frequency !== undefined || terms.paymentDay !== undefined) {
+            this.assertPaymentDay(frequency, paymentDay);
+        }
+
+        if (terms.maxParticipants !== undefined && terms.maxParticipants < current.current_participants) {
+            throw new ValidationError('O máximo de participantes não pode ser inferior ao número atual de membros');
+        }
+
+        await client.query(
+            `UPDATE groups
+             SET cycle_value = COALESCE($1, cycle_value),
+                 frequency = $2,
+                 payment_day = $3,
+                 max_participants = COALESCE($4, max_participants),
+                 removal_requires_vote = COALESCE($5, removal_requires_vote),
+                 updated_at = NOW()
+             WHERE id = $6`,
+            [
+                terms.cycleValue ?? null,
+                frequency,
+                paymentDay,
+                terms.maxParticipants ?? null,
+                terms.removalRequiresVote ?? null,
+                groupId
+            ]
+        );
+
+        await this.syncCapacity(client, groupId);
+    }
+
+    // =====================================================
+    // VALIDAÇÕES
+    // =====================================================
+
+    /**
+     * Garantir que o grupo está num dos status indicados
+     */
+    assertStatus(groupData, allowed, action) {
+        if (!allowed.includes(groupData.status)) {
+            throw new BusinessError(`Não é possível ${action}: o grupo está ${this.label(groupData.status)}`);
+        }
+    }
+
+    /**
+     * Dia de pagamento coerente com a frequência: dia do mês (1-31) nos grupos mensais,
+     * dia da semana (0-6) nos semanais
+     */
+    assertPaymentDay(frequency, paymentDay) {
+        if (frequency === 'MONTHLY' && !(paymentDay >= 1 && paymentDay <= 31)) {
+            throw new ValidationError('Grupos mensais precisam de um dia de pagamento entre 1 e 31');
+        }
+
+        if (frequency === 'WEEKLY' && paymentDay !== null && paymentDay > 6) {
+            throw new ValidationError('Nos grupos semanais o dia de pagamento é o dia da semana (0-6)');
+        }
+    }
+
+    /**
+     * As condições do grupo (valor, frequência, participantes) só mudam antes do início
+     */
+    assertCanUpdate(groupData, fields) {
+        if (groupData.status === GROUP_STATUS.CANCELLED) {
+            throw new BusinessError('Não é possível alterar um grupo cancelado');
+        }
+
+        const locked = fields.filter(field => GROUP_TERMS_FIELDS.includes(field));
+        const editable = [GROUP_STATUS.DRAFT, GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL];
+
+        if (locked.length > 0 && !editable.includes(groupData.status)) {
+            throw new BusinessError(
+                `Não é possível alterar ${locked.join(', ')}: o grupo está ${this.label(groupData.status)}`
+            );
+        }
+    }
+
+    label(status) {
+        return STATUS_LABELS[status] || status;
+    }
+}
+
+// Exportar instância única
+module.exports = new GroupLifecycleService();
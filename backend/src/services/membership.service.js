@@ -0,0 +1,167 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE MEMBROS
+// Saída e remoção de membros com reprogramação do calendário
+// =====================================================
+
+const logger = require('../utils/logger');
+const guaranteeService = require('./guarantee.service');
+const lifecycleService = require('./lifecycle.service');
+const scheduleService = require('./schedule.service');
+const settlementService = require('./settlement.service');
+const waitlistService = require('./waitlist.service');
+const { BusinessError, NotFoundError, ValidationError } = require('../middlewares/error.middleware');
+const { GROUP_STATUS } = require('../utils/constants');
+
+class MembershipService {
+
+    // =====================================================
+    // VERIFICAÇÕES
+    // =====================================================
+
+    /**
+     * Ciclo a receber já em curso (com contribuições ou licitação fechada).
+     * Enquanto existir, o membro não pode sair nem ser removido.
+     */
+    async hasCycleInProgress(client, groupId, userId) {
+        const pending = await client.query(
+            `SELECT pc.id FROM payment_cycles pc
+             WHERE pc.group_id = $1 AND pc.beneficiary_id = $2 AND pc.status = 'PENDING'
+               AND (pc.auction_closed_at IS NOT NULL OR EXISTS (
+                   SELECT 1 FROM cycle_contributions cc
+                   WHERE cc.cycle_id = pc.id AND cc.status = 'PAID'
+               ))`,
+            [groupId, userId]
+        );
+
+        return pending.rows.length > 0;
+    }
+
+    /**
+     * O membro a remover tem de estar ativo, não ser o admin e não ter um recebimento em curso
+     */
+    async assertRemovable(client, groupId, userId) {
+        const member = await client.query(
+            `SELECT gm.is_active, g.admin_id
+             FROM group_members gm
+             JOIN groups g ON gm.group_id = g.id
+             WHERE gm.group_id = $1 AND gm.user_id = $2`,
+            [groupId, userId]
+        );
+
+        if (!member.rows[0]?.is_active) {
+            throw new ValidationError('O membro a remover não está ativo no grupo');
+        }
+
+        if (member.rows[0].admin_id === userId) {
+            throw new BusinessError('O administrador não pode ser removido do grupo');
+        }
+
+        if (await this.hasCycleInProgress(client, groupId, userId)) {
+            throw new BusinessError('O membro tem um recebimento em curso e não pode ser removido agora');
+        }
+    }
+
+    // =====================================================
+    // REMOVER MEMBRO
+    // =====================================================
+
+    /**
+     * Desativar o membro, reprogramar os ciclos futuros e oferecer a vaga à lista de espera.
+     * Deve ser chamado dentro de uma transação.
+     */
+    async removeMember(client, groupId, userId) {
+        // Remover membro (soft delete)
+        await client.query(
+            `UPDATE group_members
+             SET is_active = false, left_at = NOW()
+             WHERE group_id = $1 AND user_id = $2`,
+            [groupId, userId]
+        );
+
+        // Desativar na ordem
+        await client.query(
+            `UPDATE cycle_order
+             SET is_active = false
+             WHERE group_id = $1 AND user_id = $2`,
+            [groupId, userId]
+        );
+
+        // Atualizar contagem no grupo
+        await client.query(
+            `UPDATE groups
+             SET current_participants = current_participants - 1
+             WHERE id = $1`,
+            [groupId]
+        );
+
+        // O fiador deixa de responder por este membro
+        await guaranteeService.releaseGuarantee(client, groupId, userId);
+
+        logger.info(`Usuário ${userId} removido do grupo ${groupId}`);
+
+        return {
+            // Reatribuir ou cancelar os ciclos futuros
+            schedule: await scheduleService.rescheduleGroup(client, groupId),
+            // Oferecer a vaga ao primeiro da lista de espera
+            offers: await waitlistService.offerSeats(client, groupId)
+        };
+    }
+
+    /**
+     * Remoção decidida pelo admin ou por votação: acerto de contas da posição do membro
+     * (com multa opcional) e só depois a remoção. Deve ser chamado dentro de uma transação.
+     */
+    async removeWithSettlement(client, groupId, userId, { removedBy, reason, penaltyAmount = 0, pollId = null }) {
+        const group = await client.query(
+            'SELECT id, name, status FROM groups WHERE id = $1 FOR UPDATE',
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        lifecycleService.assertStatus(
+            group.rows[0],
+            [GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL, GROUP_STATUS.RUNNING],
+            'remover membros'
+        );
+
+        await this.assertRemovable(client, groupId, userId);
+
+        const settlement = await settlementService.settleMemberRemoval(client, group.rows[0], userId, {
+            removedBy,
+            reason,
+            penaltyAmount,
+            pollId
+        });
+
+        if (settlement.penaltyAmount > 0) {
+            await client.query(
+                `UPDATE group_members
+                 SET penalty_count = penalty_count + 1
+                 WHERE group_id = $1 AND user_id = $2`,
+                [groupId, userId]
+            );
+        }
+
+        const outcome = await this.removeMember(client, groupId, userId);
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                removedBy,
+                'MEMBER_REMOVED',
+                'member_removals',
+                settlement.removalId,
+                JSON.stringify({ groupId, userId, reason, pollId, ...settlement })
+            ]
+        );
+
+        return { ...settlement, ...outcome };
+    }
+}
+
+// Exportar instância única
+module.exports = new MembershipService();
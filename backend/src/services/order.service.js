@@ -0,0 +1,108 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DA ORDEM DOS BENEFICIÁRIOS
+// Troca de posições entre membros que ainda não receberam
+// =====================================================
+
+const cycleService = require('./cycle.service');
+const { ValidationError, BusinessError } = require('../middlewares/error.middleware');
+
+class OrderService {
+
+    // =====================================================
+    // POSIÇÕES TROCÁVEIS
+    // =====================================================
+
+    /**
+     * Obter posições de dois membros que ainda não receberam
+     * (se os ciclos já existem, ambos precisam de um ciclo futuro ainda sem contribuições)
+     */
+    async getSwappablePositions(client, groupId, requesterId, counterpartId) {
+        const members = await client.query(
+            `SELECT co.user_id, co.position
+             FROM cycle_order co
+             JOIN group_members gm ON gm.group_id = co.group_id AND gm.user_id = co.user_id
+             WHERE co.group_id = $1 AND co.user_id IN ($2, $3)
+               AND co.is_active = true AND gm.is_active = true`,
+            [groupId, requesterId, counterpartId]
+        );
+
+        if (members.rows.length !== 2) {
+            throw new ValidationError('Ambos os membros precisam de estar ativos no grupo');
+        }
+
+        const cycles = await client.query(
+            `SELECT pc.id, pc.beneficiary_id, pc.status,
+                    EXISTS (
+                        SELECT 1 FROM cycle_contributions cc
+                        WHERE cc.cycle_id = pc.id AND cc.status = 'PAID'
+                    ) as has_contributions
+             FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.group_id = $1 AND pc.beneficiary_id IN ($2, $3)
+               AND pc.round_number = g.current_round
+               AND pc.status != 'CANCELLED'`,
+            [groupId, requesterId, counterpartId]
+        );
+
+        if (await cycleService.hasCycles(client, groupId)) {
+            for (const userId of [requesterId, counterpartId]) {
+                const cycle = cycles.rows.find(c => c.beneficiary_id === userId);
+
+                if (!cycle || cycle.status !== 'PENDING' || cycle.has_contributions) {
+                    throw new BusinessError('Só é possível trocar posições de membros que ainda não receberam e cujo ciclo ainda não começou');
+                }
+            }
+        }
+
+        const positionOf = (userId) => members.rows.find(m => m.user_id === userId).position;
+
+        return {
+            requester: positionOf(requesterId),
+            counterpart: positionOf(counterpartId),
+            cycles: cycles.rows
+        };
+    }
+
+    // =====================================================
+    // TROCAR POSIÇÕES
+    // =====================================================
+
+    /**
+     * Trocar as posições em cycle_order e os beneficiários dos ciclos futuros.
+     * Devolve as posições anteriores à troca.
+     */
+    async swapPositions(client, groupId, requesterId, counterpartId) {
+        const positions = await this.getSwappablePositions(client, groupId, requesterId, counterpartId);
+
+        // Posição temporária evita conflito com UNIQUE(group_id, position)
+        await client.query(
+            'UPDATE cycle_order SET position = -1 WHERE group_id = $1 AND user_id = $2',
+            [groupId, requesterId]
+        );
+        await client.query(
+            'UPDATE cycle_order SET position = $1 WHERE group_id = $2 AND user_id = $3',
+            [positions.requester, groupId, counterpartId]
+        );
+        await client.query(
+            'UPDATE cycle_order SET position = $1 WHERE group_id = $2 AND user_id = $3',
+            [positions.counterpart, groupId, requesterId]
+        );
+
+        // Reescrever beneficiários dos ciclos futuros
+        for (const cycle of positions.cycles) {
+            const newBeneficiary = cycle.beneficiary_id === requesterId
+                ? counterpartId
+                : requesterId;
+
+            await client.query(
+                'UPDATE payment_cycles SET beneficiary_id = $1 WHERE id = $2',
+                [newBeneficiary, cycle.id]
+            );
+        }
+
+        return positions;
+    }
+}
+
+// Exportar instância única
+module.exports = new OrderService();
@@ -0,0 +1,347 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE RECEBIMENTOS
+// Preferências de recebimento e envio automático para destinos de saque
+// =====================================================
+
+const database = require('../config/database');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const paymentService = require('../modules/payments/payment.service');
+const { ValidationError, NotFoundError } = require('../middlewares/error.middleware');
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+
+class PayoutService {
+
+    // =====================================================
+    // PREFERÊNCIAS DE RECEBIMENTO
+    // =====================================================
+
+    /**
+     * Repartição do recebimento do membro no grupo (destinos ativos).
+     * Sem repartição, tudo fica na carteira.
+     */
+    async getAllocations(db, groupId, userId) {
+        const result = await db.query(
+            `SELECT gpa.destination_id, gpa.percent, pd.method, pd.label, pd.destination_details
+             FROM group_payout_allocations gpa
+             JOIN payout_destinations pd ON gpa.destination_id = pd.id
+             WHERE gpa.group_id = $1 AND gpa.user_id = $2 AND pd.is_active = true
+             ORDER BY gpa.created_at ASC`,
+            [groupId, userId]
+        );
+
+        return result.rows;
+    }
+
+    /**
+     * Substituir a repartição do membro no grupo. A soma das percentagens não pode
+     * passar de 100; o que sobra fica na carteira. Deve ser chamado dentro de uma transação.
+     */
+    async setAllocations(client, groupId, userId, allocations) {
+        const total = allocations.reduce((sum, a) => sum + a.percent, 0);
+
+        if (total > 100) {
+            throw new ValidationError('A soma das percentagens não pode passar de 100%');
+        }
+
+        const destinationIds = allocations.map(a => a.destinationId);
+
+        if (destinationIds.length > 0) {
+            const destinations = await client.query(
+                `SELECT id FROM payout_destinations
+                 WHERE id = ANY($1::uuid[]) AND user_id = $2 AND is_active = true`,
+                [destinationIds, userId]
+            );
+
+            if (destinations.rows.length !== destinationIds.length) {
+                throw new NotFoundError('Destino de saque não encontrado');
+            }
+        }
+
+        await client.query(
+            'DELETE FROM group_payout_allocations WHERE group_id = $1 AND user_id = $2',
+            [groupId, userId]
+        );
+
+        for (const allocation of allocations) {
+            await client.query(
+                `INSERT INTO group_payout_allocations (group_id, user_id, destination_id, percent)
+                 VALUES ($1, $2, $3, $4)`,
+                [groupId, userId, allocation.destinationId, allocation.percent]
+            );
+        }
+
+        return this.getAllocations(client, groupId, userId);
+    }
+
+    // =====================================================
+    // ENCAMINHAR RECEBIMENTO
+    // =====================================================
+
+    /**
+     * Após creditar o beneficiário, bloquear na carteira a parte destinada a cada destino
+     * de saque e registar o envio como pendente. Deve ser chamado dentro da transação que
+     * completa o ciclo. O resto (e os cêntimos do arredondamento) fica disponível na carteira.
+     */
+    async routePayout(client, cycleData, payoutAmount) {
+        const allocations = await this.getAllocations(client, cycleData.group_id, cycleData.beneficiary_id);
+        const payoutCents = toCents(payoutAmount);
+
+        if (allocations.length === 0 || payoutCents <= 0) {
+            return [];
+        }
+
+        const payouts = [];
+
+        for (const allocation of allocations) {
+            const amountCents = Math.floor(payoutCents * allocation.percent / 100);
+
+            if (amountCents <= 0) continue;
+
+            const feeCents = Math.round(amountCents * config.fees.withdrawal);
+
+            await client.query(
+                `UPDATE wallets
+                 SET available_balance = available_balance - $1,
+                     locked_balance = locked_balance + $1
+                 WHERE user_id = $2`,
+                [amountCents / 100, cycleData.beneficiary_id]
+            );
+
+            const payout = await client.query(
+                `INSERT INTO cycle_payouts (
+                    cycle_id, group_id, user_id, destination_id, method, destination_details, amount, fee
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING id`,
+                [
+                    cycleData.id,
+                    cycleData.group_id,
+                    cycleData.beneficiary_id,
+                    allocation.destination_id,
+                    allocation.method,
+                    JSON.stringify(allocation.destination_details),
+                    amountCents / 100,
+                    feeCents / 100
+                ]
+            );
+
+            payouts.push({ payoutId: payout.rows[0].id, method: allocation.method, amount: amountCents / 100 });
+        }
+
+        logger.info(`Recebimento do ciclo ${cycleData.id}: ${payouts.length} envio(s) automático(s) pendente(s)`);
+
+        return payouts;
+    }
+
+    // =====================================================
+    // PROCESSAR ENVIOS PENDENTES
+    // =====================================================
+
+    /**
+     * Enviar os recebimentos pendentes para os destinos de saque. Se o envio falhar,
+     * o valor volta a ficar disponível na carteira (o membro deve ser notificado).
+     */
+    async processPendingPayouts() {
+        const pending = await database.query(
+            `SELECT id FROM cycle_payouts
+             WHERE status = 'PENDING'
+             ORDER BY created_at ASC
+             LIMIT 100`,
+            []
+        );
+
+        const completed = [];
+        const failed = [];
+
+        for (const row of pending.rows) {
+            try {
+                const outcome = await this.sendPayout(row.id);
+
+                if (!outcome) continue;
+
+                (outcome.status === 'COMPLETED' ? completed : failed).push(outcome);
+            } catch (error) {
+                logger.error(`Erro ao processar envio ${row.id}:`, error);
+            }
+        }
+
+        return { completed, failed };
+    }
+
+    /**
+     * Enviar um recebimento sem risco de o enviar duas vezes:
+     * 1. marcá-lo como PROCESSING (só os PENDING são processados)
+     * 2. chamar o provedor fora de qualquer transação (um erro conta como falha)
+     * 3. registar o saque ou, na falha, desbloquear o valor na carteira
+     * Se o passo 3 não for registado, o envio fica PROCESSING para reconciliação manual.
+     */
+    async sendPayout(payoutId) {
+        const payout = await database.transaction(async (client) => {
+            const result = await client.query(
+                `SELECT cp.*, pc.cycle_number, g.name as group_name
+                 FROM cycle_payouts cp
+                 JOIN payment_cycles pc ON cp.cycle_id = pc.id
+                 JOIN groups g ON cp.group_id = g.id
+                 WHERE cp.id = $1 AND cp.status = 'PENDING'
+                 FOR UPDATE OF cp`,
+                [payoutId]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            await client.query(
+                `UPDATE cycle_payouts SET status = 'PROCESSING' WHERE id = $1`,
+                [payoutId]
+            );
+
+            return result.rows[0];
+        });
+
+        if (!payout) {
+            return null;
+        }
+
+        const amount = parseFloat(payout.amount);
+        const fee = parseFloat(payout.fee);
+        const netAmount = Math.round((amount - fee) * 100) / 100;
+
+        let paymentResult;
+
+        try {
+            paymentResult = await paymentService.processWithdrawal({
+                amount: netAmount,
+                method: payout.method,
+                destination: payout.destination_details,
+                userId: payout.user_id
+            });
+        } catch (error) {
+            logger.error(`Erro do provedor no envio ${payout.id}:`, error);
+            paymentResult = { success: false, error: error.message };
+        }
+
+        const result = {
+            payoutId: payout.id,
+            groupId: payout.group_id,
+            cycleId: payout.cycle_id,
+            cycleNumber: payout.cycle_number,
+            userId: payout.user_id,
+            method: payout.method,
+            amount,
+            fee
+        };
+
+        try {
+            return await database.transaction((client) => (paymentResult.success
+                ? this.recordPayoutSent(client, payout, paymentResult, result)
+                : this.recordPayoutFailed(client, payout, paymentResult, result)));
+        } catch (error) {
+            logger.error(
+                `Envio ${payout.id} ${paymentResult.success ? 'concluído no provedor' : 'falhado'} mas não registado: reconciliação manual necessária`,
+                error
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Envio aceite pelo provedor: registar o saque e libertar o valor bloqueado
+     */
+    async recordPayoutSent(client, payout, paymentResult, result) {
+        const { amount, fee } = result;
+        const netAmount = Math.round((amount - fee) * 100) / 100;
+
+        const wallet = await client.query(
+            'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+            [payout.user_id]
+        );
+
+        const balance = parseFloat(wallet.rows[0].available_balance);
+
+        const transaction = await client.query(
+            `INSERT INTO transactions (
+                user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                balance_before, balance_after, status, description, metadata, completed_at
+            ) VALUES (
+                $1, (SELECT id FROM wallets WHERE user_id = $1),
+                'WITHDRAWAL', $2, $3, -$2, $4, $4, 'COMPLETED', $5, $6, NOW()
+            ) RETURNING id`,
+            [
+                payout.user_id,
+                netAmount,
+                fee,
+                balance,
+                `Recebimento do ciclo ${payout.cycle_number} enviado via ${payout.method} - ${payout.group_name}`,
+                JSON.stringify({
+                    groupId: payout.group_id,
+                    cycleId: payout.cycle_id,
+                    payoutId: payout.id,
+                    destination: payout.destination_details,
+                    providerData: paymentResult.providerData
+                })
+            ]
+        );
+
+        await client.query(
+            `UPDATE wallets
+             SET locked_balance = locked_balance - $1,
+                 total_withdrawn = total_withdrawn + $2,
+                 total_fees_paid = total_fees_paid + $3,
+                 updated_at = NOW()
+             WHERE user_id = $4`,
+            [amount, netAmount, fee, payout.user_id]
+        );
+
+        await client.query(
+            `INSERT INTO withdrawals (
+                transaction_id, user_id, method, amount, fee,
+                destination_details, reference, provider_reference, provider_data, status
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'COMPLETED')`,
+            [
+                transaction.rows[0].id, payout.user_id, payout.method, netAmount, fee,
+                JSON.stringify(payout.destination_details), paymentResult.reference,
+                paymentResult.providerReference, paymentResult.providerData
+            ]
+        );
+
+        await client.query(
+            `UPDATE cycle_payouts
+             SET status = 'COMPLETED', transaction_id = $1, processed_at = NOW()
+             WHERE id = $2`,
+            [transaction.rows[0].id, payout.id]
+        );
+
+        return { ...result, status: 'COMPLETED', netAmount, transactionId: transaction.rows[0].id };
+    }
+
+    /**
+     * Envio recusado ou com erro: o valor volta a ficar disponível na carteira
+     */
+    async recordPayoutFailed(client, payout, paymentResult, result) {
+        await client.query(
+            `UPDATE wallets
+             SET locked_balance = locked_balance - $1,
+                 available_balance = available_balance + $1
+             WHERE user_id = $2`,
+            [result.amount, payout.user_id]
+        );
+
+        const reason = (paymentResult.error || 'Falha no processamento').substring(0, 255);
+
+        await client.query(
+            `UPDATE cycle_payouts
+             SET status = 'FAILED', failure_reason = $1, processed_at = NOW()
+             WHERE id = $2`,
+            [reason, payout.id]
+        );
+
+        logger.warn(`Envio ${payout.id} falhou (${reason}); ${result.amount} KZ mantidos na carteira de ${payout.user_id}`);
+
+        return { ...result, status: 'FAILED', reason };
+    }
+}
+
+// Exportar instância única
+module.exports = new PayoutService();
@@ -0,0 +1,333 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE PENALIDADES
+// Período de tolerância, multas por atraso e suspensão de membros
+// =====================================================
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const calendarService = require('./calendar.service');
+const { LATE_FEE_TYPES, LATE_FEE_DESTINATIONS, BUSINESS_DAY_POLICIES } = require('../utils/constants');
+
+class PenaltyService {
+
+    // =====================================================
+    // CÁLCULO DA MULTA
+    // =====================================================
+
+    /**
+     * Valor da multa segundo as regras do grupo (arredondado ao cêntimo)
+     */
+    calculateLateFee(rules, cycleAmount) {
+        const value = parseFloat(rules.late_fee_value || 0);
+
+        if (rules.late_fee_type === LATE_FEE_TYPES.FIXED) {
+            return Math.round(value * 100) / 100;
+        }
+
+        if (rules.late_fee_type === LATE_FEE_TYPES.PERCENTAGE) {
+            return Math.round(parseFloat(cycleAmount) * value) / 100;
+        }
+
+        return 0;
+    }
+
+    // =====================================================
+    // DETEÇÃO DE ATRASOS
+    // =====================================================
+
+    /**
+     * Contribuições em falta além do período de tolerância, ainda sem penalidade.
+     * A tolerância conta dias úteis, exceto nos grupos com política NONE.
+     */
+    async findLatePayments() {
+        const today = calendarService.today();
+
+        const result = await database.query(
+            `SELECT pc.id as cycle_id, pc.group_id, pc.cycle_number, pc.amount,
+                    pc.beneficiary_id, pc.due_date,
+                    g.name as group_name, g.grace_days, g.business_day_policy,
+                    u.id as user_id, u.email, u.full_name
+             FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             JOIN group_members gm ON gm.group_id = pc.group_id
+             JOIN users u ON gm.user_id = u.id
+             WHERE pc.status = 'PENDING'
+               AND pc.due_date + g.grace_days < $1
+               AND (pc.bidding_closes_at IS NULL OR pc.auction_closed_at IS NOT NULL)
+               AND gm.is_active = true
+               AND gm.user_id != pc.beneficiary_id
+               AND NOT EXISTS (
+                   SELECT 1 FROM cycle_contributions cc
+                   WHERE cc.cycle_id = pc.id AND cc.user_id = gm.user_id AND cc.status = 'PAID'
+               )
+               AND NOT EXISTS (
+                   SELECT 1 FROM member_penalties mp
+                   WHERE mp.cycle_id = pc.id AND mp.user_id = gm.user_id
+               )
+             ORDER BY pc.due_date ASC`,
+            [today]
+        );
+
+        return result.rows
+            .filter(row => {
+                const dueDate = calendarService.toDateString(row.due_date);
+                const graceEnd = row.business_day_policy === BUSINESS_DAY_POLICIES.NONE
+                    ? calendarService.addDays(dueDate, row.grace_days)
+                    : calendarService.addBusinessDays(dueDate, row.grace_days);
+
+                return graceEnd < today;
+            })
+            .map(row => ({
+                ...row,
+                days_late: calendarService.daysBetween(calendarService.toDateString(row.due_date), today)
+            }));
+    }
+
+    // =====================================================
+    // APLICAR PENALIDADE
+    // =====================================================
+
+    /**
+     * Registar o atraso de um membro num ciclo: conta para suspensão e,
+     * se o grupo tiver multa, tenta cobrá-la de imediato
+     */
+    async applyLatePenalty(row) {
+        return database.transaction(async (client) => {
+            const group = await client.query(
+                `SELECT late_fee_type, late_fee_value, late_fee_destination, suspension_threshold
+                 FROM groups WHERE id = $1`,
+                [row.group_id]
+            );
+
+            const rules = group.rows[0];
+            const feeAmount = this.calculateLateFee(rules, row.amount);
+
+            // Idempotente: uma penalidade por membro e ciclo
+            const inserted = await client.query(
+                `INSERT INTO member_penalties (
+                    group_id, cycle_id, user_id, beneficiary_id, days_late,
+                    fee_amount, fee_destination, fee_status
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (cycle_id, user_id) DO NOTHING
+                RETURNING *`,
+                [
+                    row.group_id,
+                    row.cycle_id,
+                    row.user_id,
+                    row.beneficiary_id,
+                    row.days_late,
+                    feeAmount,
+                    feeAmount > 0 ? rules.late_fee_destination : null,
+                    feeAmount > 0 ? 'OUTSTANDING' : 'NONE'
+                ]
+            );
+
+            if (inserted.rows.length === 0) {
+                return null;
+            }
+
+            const penalty = inserted.rows[0];
+
+            const member = await client.query(
+                `UPDATE group_members
+                 SET missed_count = missed_count + 1,
+                     penalty_count = penalty_count + 1
+                 WHERE group_id = $1 AND user_id = $2
+                 RETURNING missed_count, is_suspended`,
+                [row.group_id, row.user_id]
+            );
+
+            const { missed_count: missedCount, is_suspended: wasSuspended } = member.rows[0];
+            const threshold = rules.suspension_threshold;
+            const suspended = !wasSuspended && threshold > 0 && missedCount >= threshold;
+
+            if (suspended) {
+                await client.query(
+                    `UPDATE group_members
+                     SET is_suspended = true, suspended_at = NOW()
+                     WHERE group_id = $1 AND user_id = $2`,
+                    [row.group_id, row.user_id]
+                );
+            }
+
+            const feePaid = feeAmount > 0
+                ? await this.chargeFee(client, penalty, row.cycle_number)
+                : false;
+
+            await client.query(
+                `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [
+                    row.user_id,
+                    'LATE_PENALTY_APPLIED',
+                    'member_penalties',
+                    penalty.id,
+                    JSON.stringify({
+                        groupId: row.group_id,
+                        cycleId: row.cycle_id,
+                        daysLate: row.days_late,
+                        feeAmount,
+                        feePaid,
+                        missedCount,
+                        suspended
+                    })
+                ]
+            );
+
+            return {
+                penaltyId: penalty.id,
+                feeAmount,
+                feeStatus: feeAmount > 0 ? (feePaid ? 'PAID' : 'OUTSTANDING') : 'NONE',
+                missedCount,
+                suspended
+            };
+        });
+    }
+
+    // =====================================================
+    // COBRANÇA DA MULTA
+    // =====================================================
+
+    /**
+     * Debitar a multa do membro e entregá-la ao destino (beneficiário ou fundo do grupo).
+     * Devolve false, sem alterar nada, se o saldo disponível não chegar.
+     */
+    async chargeFee(client, penalty, cycleNumber) {
+        const amount = parseFloat(penalty.fee_amount);
+
+        const wallet = await client.query(
+            'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+            [penalty.user_id]
+        );
+
+        const balance = parseFloat(wallet.rows[0].available_balance);
+
+        if (balance < amount) {
+            return false;
+        }
+
+        const transaction = await client.query(
+            `INSERT INTO transactions (
+                user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                balance_before, balance_after, status, description, metadata, completed_at
+            ) VALUES (
+                $1, (SELECT id FROM wallets WHERE user_id = $1),
+                'LATE_FEE', $2, 0, -$2, $3, $3 - $2, 'COMPLETED', $4, $5, NOW()
+            ) RETURNING id`,
+            [
+                penalty.user_id,
+                amount,
+                balance,
+                `Multa por atraso no ciclo ${cycleNumber}`,
+                JSON.stringify({
+                    groupId: penalty.group_id,
+                    cycleId: penalty.cycle_id,
+                    penaltyId: penalty.id,
+                    destination: penalty.fee_destination
+                })
+            ]
+        );
+
+        await client.query(
+            'UPDATE wallets SET available_balance = available_balance - $1 WHERE user_id = $2',
+            [amount, penalty.user_id]
+        );
+
+        if (penalty.fee_destination === LATE_FEE_DESTINATIONS.BENEFICIARY && penalty.beneficiary_id) {
+            const beneficiaryWallet = await client.query(
+                'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+                [penalty.beneficiary_id]
+            );
+
+            const beneficiaryBalance = parseFloat(beneficiaryWallet.rows[0].available_balance);
+
+            await client.query(
+                `INSERT INTO transactions (
+                    user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                    balance_before, balance_after, status, description, metadata, completed_at
+                ) VALUES (
+                    $1, (SELECT id FROM wallets WHERE user_id = $1),
+                    'LATE_FEE_CREDIT', $2, 0, $2, $3, $3 + $2, 'COMPLETED', $4, $5, NOW()
+                )`,
+                [
+                    penalty.beneficiary_id,
+                    amount,
+                    beneficiaryBalance,
+                    `Multa por atraso recebida no ciclo ${cycleNumber}`,
+                    JSON.stringify({
+                        groupId: penalty.group_id,
+                        cycleId: penalty.cycle_id,
+                        penaltyId: penalty.id,
+                        payerId: penalty.user_id
+                    })
+                ]
+            );
+
+            await client.query(
+                'UPDATE wallets SET available_balance = available_balance + $1 WHERE user_id = $2',
+                [amount, penalty.beneficiary_id]
+            );
+        } else {
+            await client.query(
+                'UPDATE groups SET pool_balance = pool_balance + $1 WHERE id = $2',
+                [amount, penalty.group_id]
+            );
+        }
+
+        await client.query(
+            `UPDATE member_penalties
+             SET fee_status = 'PAID', transaction_id = $1, paid_at = NOW()
+             WHERE id = $2`,
+            [transaction.rows[0].id, penalty.id]
+        );
+
+        return true;
+    }
+
+    /**
+     * Tentar novamente a cobrança das multas pendentes por falta de saldo
+     */
+    async chargeOutstandingPenalties() {
+        const outstanding = await database.query(
+            `SELECT mp.id, mp.group_id, mp.user_id
+             FROM member_penalties mp
+             WHERE mp.fee_status = 'OUTSTANDING'
+             ORDER BY mp.created_at ASC`,
+            []
+        );
+
+        const charged = [];
+
+        for (const row of outstanding.rows) {
+            try {
+                const paid = await database.transaction(async (client) => {
+                    const penalty = await client.query(
+                        `SELECT mp.*, pc.cycle_number
+                         FROM member_penalties mp
+                         JOIN payment_cycles pc ON mp.cycle_id = pc.id
+                         WHERE mp.id = $1 AND mp.fee_status = 'OUTSTANDING'
+                         FOR UPDATE OF mp`,
+                        [row.id]
+                    );
+
+                    if (penalty.rows.length === 0) {
+                        return false;
+                    }
+
+                    return this.chargeFee(client, penalty.rows[0], penalty.rows[0].cycle_number);
+                });
+
+                if (paid) {
+                    charged.push({ penaltyId: row.id, groupId: row.group_id, userId: row.user_id });
+                }
+            } catch (error) {
+                logger.error(`Erro ao cobrar multa ${row.id}:`, error);
+            }
+        }
+
+        return charged;
+    }
+}
+
+// Exportar instância única
+module.exports = new PenaltyService();
@@ -0,0 +1,437 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE VOTAÇÕES DO GRUPO
+// Quórum, maioria, apuramento e ações vinculativas
+// =====================================================
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const lifecycleService = require('./lifecycle.service');
+const membershipService = require('./membership.service');
+const orderService = require('./order.service');
+const waitlistService = require('./waitlist.service');
+const { BusinessError, NotFoundError, ValidationError } = require('../middlewares/error.middleware');
+const {
+    SYSTEM_LIMITS,
+    GROUP_STATUS,
+    POLL_STATUS,
+    POLL_ACTIONS,
+    POLL_MAJORITY_RULES,
+    BINDING_POLL_RULES
+} = require('../utils/constants');
+
+// Votações vinculativas têm sempre estas opções; a primeira aprova a ação
+const BINDING_OPTIONS = ['Sim', 'Não'];
+
+class PollService {
+
+    // =====================================================
+    // OPÇÕES
+    // =====================================================
+
+    /**
+     * Opções da votação: livres nas consultivas, Sim/Não nas vinculativas
+     */
+    optionsFor(actionType, options = []) {
+        return actionType === POLL_ACTIONS.NONE ? options : BINDING_OPTIONS;
+    }
+
+    /**
+     * Quórum e maioria: escolhidos por quem abre nas consultivas, fixos nas vinculativas
+     */
+    rulesFor(actionType, quorumPercent, majorityRule) {
+        return BINDING_POLL_RULES[actionType] || { quorumPercent, majorityRule };
+    }
+
+    // =====================================================
+    // ABRIR VOTAÇÃO
+    // =====================================================
+
+    /**
+     * Abrir uma votação no grupo (com a sua ação vinculativa, se houver).
+     * Deve ser chamado dentro de uma transação.
+     */
+    async create(client, groupId, createdBy, params) {
+        const {
+            question,
+            description = null,
+            options,
+            closesAt,
+            quorumPercent = 50,
+            majorityRule = 'SIMPLE',
+            actionType = POLL_ACTIONS.NONE,
+            actionPayload = {}
+        } = params;
+
+        const now = Date.now();
+        const minClose = now + SYSTEM_LIMITS.POLL_MIN_DURATION_HOURS * 60 * 60 * 1000;
+        const maxClose = now + SYSTEM_LIMITS.POLL_MAX_DURATION_DAYS * 24 * 60 * 60 * 1000;
+
+        if (closesAt.getTime() < minClose || closesAt.getTime() > maxClose) {
+            throw new ValidationError(
+                `A votação deve durar entre ${SYSTEM_LIMITS.POLL_MIN_DURATION_HOURS} hora e ${SYSTEM_LIMITS.POLL_MAX_DURATION_DAYS} dias`
+            );
+        }
+
+        const group = await client.query(
+            'SELECT status FROM groups WHERE id = $1 FOR UPDATE',
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            throw new NotFoundError('Grupo não encontrado');
+        }
+
+        lifecycleService.assertStatus(
+            group.rows[0],
+            [GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL, GROUP_STATUS.RUNNING],
+            'abrir uma votação'
+        );
+
+        const open = await client.query(
+            `SELECT COUNT(*) as count FROM group_polls WHERE group_id = $1 AND status = 'OPEN'`,
+            [groupId]
+        );
+
+        if (parseInt(open.rows[0].count) >= SYSTEM_LIMITS.POLL_MAX_OPEN_PER_GROUP) {
+            throw new BusinessError(`O grupo já tem ${SYSTEM_LIMITS.POLL_MAX_OPEN_PER_GROUP} votações abertas`);
+        }
+
+        // A ação tem de ser possível já na abertura (volta a ser validada no fecho)
+        await this.validateAction(client, groupId, actionType, actionPayload);
+
+        const rules = this.rulesFor(actionType, quorumPercent, majorityRule);
+
+        const poll = await client.query(
+            `INSERT INTO group_polls (
+                group_id, created_by, question, description, action_type, action_payload,
+                quorum_percent, majority_rule, closes_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id, created_at`,
+            [
+                groupId,
+                createdBy,
+                question,
+                description,
+                actionType,
+                actionType === POLL_ACTIONS.NONE ? null : JSON.stringify(actionPayload),
+                rules.quorumPercent,
+                rules.majorityRule,
+                closesAt
+            ]
+        );
+
+        const pollId = poll.rows[0].id;
+        const labels = this.optionsFor(actionType, options);
+        const createdOptions = [];
+
+        for (let i = 0; i < labels.length; i++) {
+            const option = await client.query(
+                `INSERT INTO group_poll_options (poll_id, position, label)
+                 VALUES ($1, $2, $3)
+                 RETURNING id`,
+                [pollId, i + 1, labels[i]]
+            );
+
+            createdOptions.push({ optionId: option.rows[0].id, position: i + 1, label: labels[i] });
+        }
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                createdBy,
+                'POLL_CREATED',
+                'group_polls',
+                pollId,
+                JSON.stringify({ groupId, question, actionType, actionPayload, ...rules, closesAt })
+            ]
+        );
+
+        logger.info(`Votação ${pollId} aberta no grupo ${groupId} por ${createdBy}`);
+
+        return {
+            pollId,
+            question,
+            description,
+            actionType,
+            actionPayload: actionType === POLL_ACTIONS.NONE ? null : actionPayload,
+            quorumPercent: rules.quorumPercent,
+            majorityRule: rules.majorityRule,
+            closesAt,
+            options: createdOptions,
+            eligibleCount: await this.countEligible(client, groupId),
+            createdBy,
+            createdAt: poll.rows[0].created_at
+        };
+    }
+
+    // =====================================================
+    // RESULTADOS
+    // =====================================================
+
+    /**
+     * Contagem de votos por opção
+     */
+    async getResults(db, pollId) {
+        const result = await db.query(
+            `SELECT o.id, o.position, o.label, COUNT(v.id) as votes
+             FROM group_poll_options o
+             LEFT JOIN group_poll_votes v ON v.option_id = o.id
+             WHERE o.poll_id = $1
+             GROUP BY o.id, o.position, o.label
+             ORDER BY o.position ASC`,
+            [pollId]
+        );
+
+        const votesCount = result.rows.reduce((sum, o) => sum + parseInt(o.votes), 0);
+
+        return {
+            votesCount,
+            options: result.rows.map(o => ({
+                optionId: o.id,
+                position: o.position,
+                label: o.label,
+                votes: parseInt(o.votes),
+                percent: votesCount > 0 ? Math.round(parseInt(o.votes) / votesCount * 1000) / 10 : 0
+            }))
+        };
+    }
+
+    /**
+     * Membros com direito de voto (ativos e não suspensos)
+     */
+    async countEligible(db, groupId) {
+        const result = await db.query(
+            `SELECT COUNT(*) as count FROM group_members
+             WHERE group_id = $1 AND is_active = true AND is_suspended = false`,
+            [groupId]
+        );
+
+        return parseInt(result.rows[0].count);
+    }
+
+    /**
+     * Apurar o resultado: quórum sobre os membros com direito de voto,
+     * maioria sobre os votos expressos. Empates não aprovam nenhuma opção.
+     */
+    tally(poll, results, eligibleCount) {
+        const { votesCount, options } = results;
+        const { quorumPercent, majorityRule } = this.rulesFor(poll.action_type, poll.quorum_percent, poll.majority_rule);
+
+        if (votesCount === 0 || votesCount * 100 < eligibleCount * quorumPercent) {
+            return { status: POLL_STATUS.NO_QUORUM, winningOptionId: null };
+        }
+
+        const [top, second] = [...options].sort((a, b) => b.votes - a.votes);
+
+        if (second && second.votes === top.votes) {
+            return { status: POLL_STATUS.REJECTED, winningOptionId: null };
+        }
+
+        const rule = POLL_MAJORITY_RULES[majorityRule];
+        const share = top.votes * rule.denominator;
+        const required = votesCount * rule.numerator;
+        const hasMajority = rule.strict ? share > required : share >= required;
+
+        if (!hasMajority) {
+            return { status: POLL_STATUS.REJECTED, winningOptionId: null };
+        }
+
+        // Vinculativa: só aprova se vencer o "Sim"
+        const approved = poll.action_type === POLL_ACTIONS.NONE || top.position === 1;
+
+        return {
+            status: approved ? POLL_STATUS.PASSED : POLL_STATUS.REJECTED,
+            winningOptionId: top.optionId
+        };
+    }
+
+    // =====================================================
+    // AÇÕES VINCULATIVAS
+    // =====================================================
+
+    /**
+     * Validar a ação ao abrir a votação (volta a ser validada na execução)
+     */
+    async validateAction(client, groupId, actionType, payload) {
+        switch (actionType) {
+            case POLL_ACTIONS.UPDATE_TERMS: {
+                const group = await client.query(
+                    'SELECT status FROM groups WHERE id = $1',
+                    [groupId]
+                );
+
+                lifecycleService.assertCanUpdate(group.rows[0], Object.keys(payload.terms));
+                break;
+            }
+            case POLL_ACTIONS.REMOVE_MEMBER:
+                await membershipService.assertRemovable(client, groupId, payload.userId);
+                break;
+            case POLL_ACTIONS.SWAP_ORDER:
+                await orderService.getSwappablePositions(client, groupId, payload.requesterId, payload.counterpartId);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Executar a ação de uma votação aprovada num savepoint: se falhar (o grupo mudou
+     * desde a abertura), a votação fica aprovada e a ação é registada como FAILED
+     */
+    async executeAction(client, poll) {
+        await client.query('SAVEPOINT poll_action');
+
+        try {
+            const outcome = await this.runAction(client, poll);
+            await client.query('RELEASE SAVEPOINT poll_action');
+
+            return { status: 'EXECUTED', error: null, ...outcome };
+        } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT poll_action');
+
+            if (!error.isOperational) {
+                logger.error(`Erro ao executar a ação da votação ${poll.id}:`, error);
+            }
+
+            return { status: 'FAILED', error: error.message.substring(0, 255) };
+        }
+    }
+
+    async runAction(client, poll) {
+        const payload = poll.action_payload;
+
+        switch (poll.action_type) {
+            case POLL_ACTIONS.UPDATE_TERMS:
+                await lifecycleService.updateTerms(client, poll.group_id, payload.terms);
+
+                // Novas vagas são oferecidas à lista de espera
+                return { offers: await waitlistService.offerSeats(client, poll.group_id) };
+
+            case POLL_ACTIONS.REMOVE_MEMBER:
+                // Acerto de contas em nome de quem abriu a votação
+                return membershipService.removeWithSettlement(client, poll.group_id, payload.userId, {
+                    removedBy: poll.created_by,
+                    reason: payload.reason || poll.question,
+                    penaltyAmount: payload.penaltyAmount || 0,
+                    pollId: poll.id
+                });
+
+            case POLL_ACTIONS.SWAP_ORDER: {
+                const positions = await orderService.swapPositions(
+                    client, poll.group_id, payload.requesterId, payload.counterpartId
+                );
+
+                return {
+                    members: [
+                        { userId: payload.requesterId, position: positions.counterpart },
+                        { userId: payload.counterpartId, position: positions.requester }
+                    ]
+                };
+            }
+
+            default:
+                return {};
+        }
+    }
+
+    // =====================================================
+    // FECHAR VOTAÇÃO
+    // =====================================================
+
+    /**
+     * Apurar e fechar a votação, executando a ação se aprovada.
+     * Deve ser chamado dentro de uma transação. Devolve null se já estava fechada.
+     */
+    async close(client, pollId) {
+        const poll = await client.query(
+            'SELECT * FROM group_polls WHERE id = $1 FOR UPDATE',
+            [pollId]
+        );
+
+        if (poll.rows.length === 0) {
+            throw new NotFoundError('Votação não encontrada');
+        }
+
+        const pollData = poll.rows[0];
+
+        if (pollData.status !== POLL_STATUS.OPEN) {
+            return null;
+        }
+
+        const results = await this.getResults(client, pollId);
+        const eligibleCount = await this.countEligible(client, pollData.group_id);
+        const { status, winningOptionId } = this.tally(pollData, results, eligibleCount);
+
+        const action = status === POLL_STATUS.PASSED && pollData.action_type !== POLL_ACTIONS.NONE
+            ? await this.executeAction(client, pollData)
+            : null;
+
+        await client.query(
+            `UPDATE group_polls
+             SET status = $1, winning_option_id = $2, eligible_count = $3, votes_count = $4,
+                 action_status = $5, action_error = $6, closed_at = NOW()
+             WHERE id = $7`,
+            [
+                status,
+                winningOptionId,
+                eligibleCount,
+                results.votesCount,
+                action ? action.status : null,
+                action ? action.error : null,
+                pollId
+            ]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                null,
+                'POLL_CLOSED',
+                'group_polls',
+                pollId,
+                JSON.stringify({
+                    groupId: pollData.group_id,
+                    status,
+                    winningOptionId,
+                    eligibleCount,
+                    votesCount: results.votesCount,
+                    actionType: pollData.action_type,
+                    actionStatus: action ? action.status : null,
+                    actionError: action ? action.error : null
+                })
+            ]
+        );
+
+        logger.info(`Votação ${pollId} do grupo ${pollData.group_id} fechada: ${status}`);
+
+        return {
+            pollId,
+            groupId: pollData.group_id,
+            actionType: pollData.action_type,
+            actionPayload: pollData.action_payload,
+            status,
+            winningOptionId,
+            eligibleCount,
+            results,
+            action
+        };
+    }
+
+    /**
+     * Votações abertas cujo prazo terminou (fechadas pelo cron)
+     */
+    async findExpiredPolls() {
+        const result = await database.query(
+            `SELECT id, group_id FROM group_polls
+             WHERE status = 'OPEN' AND closes_at <= NOW()
+             ORDER BY closes_at ASC`
+        );
+
+        return result.rows;
+    }
+}
+
+// Exportar instância única
+module.exports = new PollService();
@@ -0,0 +1,353 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE SUBSTITUIÇÃO DE MEMBROS
+// Novo membro herda a posição de quem saiu a meio da ronda
+// =====================================================
+
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const cycleService = require('./cycle.service');
+const scheduleService = require('./schedule.service');
+const {
+    BusinessError,
+    NotFoundError,
+    AuthorizationError,
+    InsufficientBalanceError
+} = require('../middlewares/error.middleware');
+const { SYSTEM_LIMITS, GUARANTEE_STATUS } = require('../utils/constants');
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+
+class ReplacementService {
+
+    // =====================================================
+    // POSIÇÃO VAGA
+    // =====================================================
+
+    /**
+     * Posição na ordem deixada por um membro que saiu e que ainda pode ser herdada:
+     * o membro saiu, a posição não foi ocupada e ele não recebeu nesta ronda
+     */
+    async findVacantSlot(client, groupId, departedUserId) {
+        const slot = await client.query(
+            `SELECT co.position, gm.is_active
+             FROM cycle_order co
+             JOIN group_members gm ON gm.group_id = co.group_id AND gm.user_id = co.user_id
+             WHERE co.group_id = $1 AND co.user_id = $2`,
+            [groupId, departedUserId]
+        );
+
+        if (slot.rows.length === 0) {
+            throw new NotFoundError('Posição do membro não encontrada (já foi ocupada ou o membro não pertencia à ordem)');
+        }
+
+        if (slot.rows[0].is_active) {
+            throw new BusinessError('O membro ainda está ativo no grupo');
+        }
+
+        const served = await client.query(
+            `SELECT pc.id FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.group_id = $1 AND pc.round_number = g.current_round
+               AND pc.beneficiary_id = $2 AND pc.status != 'CANCELLED'`,
+            [groupId, departedUserId]
+        );
+
+        if (served.rows.length > 0) {
+            throw new BusinessError('O membro que saiu já recebeu nesta ronda. A posição não pode ser herdada');
+        }
+
+        return { position: slot.rows[0].position };
+    }
+
+    // =====================================================
+    // SUBSTITUTO
+    // =====================================================
+
+    /**
+     * O substituto nunca pertenceu ao grupo, está abaixo do limite de grupos
+     * e, se o grupo o exigir, tem um fiador que já aceitou
+     */
+    async assertCandidate(client, groupId, userId, requiresGuarantor) {
+        const existing = await client.query(
+            'SELECT id FROM group_members WHERE group_id = $1 AND user_id = $2',
+            [groupId, userId]
+        );
+
+        if (existing.rows.length > 0) {
+            throw new BusinessError('O substituto já é ou já foi membro deste grupo');
+        }
+
+        const userGroups = await client.query(
+            'SELECT COUNT(*) as count FROM group_members WHERE user_id = $1 AND is_active = true',
+            [userId]
+        );
+
+        if (parseInt(userGroups.rows[0].count) >= SYSTEM_LIMITS.MAX_GROUPS_PER_USER) {
+            throw new BusinessError(`O substituto atingiu o limite máximo de ${SYSTEM_LIMITS.MAX_GROUPS_PER_USER} grupos`);
+        }
+
+        if (requiresGuarantor) {
+            const guarantee = await client.query(
+                `SELECT id FROM group_guarantees
+                 WHERE group_id = $1 AND member_id = $2 AND status = $3`,
+                [groupId, userId, GUARANTEE_STATUS.ACTIVE]
+            );
+
+            if (guarantee.rows.length === 0) {
+                throw new BusinessError('Este grupo exige um fiador. O substituto tem de indicar um fiador e aguardar a sua aceitação');
+            }
+        }
+    }
+
+    // =====================================================
+    // CÁLCULO DO ATRASO
+    // =====================================================
+
+    /**
+     * Contribuições que a posição deixou de pagar nesta ronda:
+     * - ciclos já pagos sem contribuição de quem saiu (o valor vai para o beneficiário,
+     *   que recebeu menos)
+     * - ciclos em curso (com pagamentos ou licitação fechada), em que o substituto
+     *   passa a ser pagador como os restantes
+     */
+    async computeCatchUp(db, groupId, departedUserId) {
+        const cycles = await db.query(
+            `SELECT pc.id, pc.cycle_number, pc.amount, pc.status, pc.beneficiary_id
+             FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.group_id = $1 AND pc.round_number = g.current_round
+               AND pc.beneficiary_id != $2
+               AND (
+                   (pc.status = 'PAID' AND NOT EXISTS (
+                       SELECT 1 FROM cycle_contributions cc
+                       WHERE cc.cycle_id = pc.id AND cc.user_id = $2 AND cc.status = 'PAID'
+                   ))
+                   OR (pc.status = 'PENDING' AND (pc.auction_closed_at IS NOT NULL OR EXISTS (
+                       SELECT 1 FROM cycle_contributions cc
+                       WHERE cc.cycle_id = pc.id AND cc.status = 'PAID'
+                   )))
+               )
+             ORDER BY pc.cycle_number ASC`,
+            [groupId, departedUserId]
+        );
+
+        const missed = cycles.rows.filter(c => c.status === 'PAID');
+        const inProgress = cycles.rows.filter(c => c.status === 'PENDING');
+        const missedCents = missed.reduce((sum, c) => sum + toCents(c.amount), 0);
+        const inProgressCents = inProgress.reduce((sum, c) => sum + toCents(c.amount), 0);
+
+        const format = (c) => ({
+            cycleId: c.id,
+            cycleNumber: c.cycle_number,
+            beneficiaryId: c.beneficiary_id,
+            amount: parseFloat(c.amount)
+        });
+
+        return {
+            missedCycles: missed.map(format),
+            inProgressCycles: inProgress.map(format),
+            missedTotal: missedCents / 100,
+            inProgressTotal: inProgressCents / 100,
+            total: (missedCents + inProgressCents) / 100
+        };
+    }
+
+    /**
+     * O atraso é debitado de uma vez e está sujeito ao limite diário de saque,
+     * verificado sobre o valor calculado no servidor
+     */
+    async assertWithinDailyLimit(client, userId, amount) {
+        const result = await client.query(
+            `SELECT withdrawal_limit,
+                    CASE WHEN last_reset_date < CURRENT_DATE THEN 0 ELSE withdrawal_used_today END as used_today
+             FROM daily_limits
+             WHERE user_id = $1`,
+            [userId]
+        );
+
+        const limit = result.rows[0] || { withdrawal_limit: config.financial.defaultWithdrawalLimit, used_today: 0 };
+        const availableCents = toCents(limit.withdrawal_limit) - toCents(limit.used_today);
+
+        if (toCents(amount) > availableCents) {
+            throw new AuthorizationError(`Limite diário de saque excedido. Disponível: ${availableCents / 100} KZ`);
+        }
+    }
+
+    // =====================================================
+    // ACEITAR SUBSTITUIÇÃO
+    // =====================================================
+
+    /**
+     * Entrada do substituto na posição de quem saiu: paga o atraso, herda a posição
+     * em cycle_order e os ciclos futuros são reatribuídos. Deve ser chamado dentro de
+     * uma transação com o grupo e a oferta bloqueados (FOR UPDATE).
+     */
+    async accept(client, groupData, offer) {
+        const groupId = groupData.id;
+        const userId = offer.user_id;
+
+        await this.findVacantSlot(client, groupId, offer.departed_user_id);
+        await this.assertCandidate(client, groupId, userId, groupData.requires_guarantor);
+
+        const catchUp = await this.computeCatchUp(client, groupId, offer.departed_user_id);
+
+        const wallet = await client.query(
+            'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+            [userId]
+        );
+
+        const balance = parseFloat(wallet.rows[0].available_balance);
+
+        if (toCents(balance) < toCents(catchUp.total)) {
+            throw new InsufficientBalanceError(`Saldo insuficiente para as contribuições em atraso. Necessário: ${catchUp.total} KZ`);
+        }
+
+        await this.assertWithinDailyLimit(client, userId, catchUp.total);
+
+        // Entrar no grupo e herdar a posição de quem saiu
+        await client.query(
+            `INSERT INTO group_members (group_id, user_id)
+             VALUES ($1, $2)`,
+            [groupId, userId]
+        );
+
+        await client.query(
+            `UPDATE cycle_order
+             SET user_id = $1, is_active = true
+             WHERE group_id = $2 AND user_id = $3`,
+            [userId, groupId, offer.departed_user_id]
+        );
+
+        // Ciclos já pagos: um único débito ao substituto, creditado a cada beneficiário
+        let transactionId = null;
+
+        if (catchUp.missedCycles.length > 0) {
+            const transaction = await client.query(
+                `INSERT INTO transactions (
+                    user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                    balance_before, balance_after, status, description, metadata, completed_at
+                ) VALUES (
+                    $1, (SELECT id FROM wallets WHERE user_id = $1),
+                    'CATCH_UP_PAYMENT', $2, 0, -$2, $3, $3 - $2, 'COMPLETED', $4, $5, NOW()
+                ) RETURNING id`,
+                [
+                    userId,
+                    catchUp.missedTotal,
+                    balance,
+                    `Contribuições em atraso (substituição) - ${groupData.name}`,
+                    JSON.stringify({
+                        groupId,
+                        replacementId: offer.id,
+                        cycles: catchUp.missedCycles.map(c => c.cycleNumber)
+                    })
+                ]
+            );
+
+            transactionId = transaction.rows[0].id;
+
+            await client.query(
+                'UPDATE wallets SET available_balance = available_balance - $1 WHERE user_id = $2',
+                [catchUp.missedTotal, userId]
+            );
+
+            for (const cycle of catchUp.missedCycles) {
+                await client.query(
+                    `INSERT INTO cycle_contributions (
+                        cycle_id, group_id, user_id, amount, fee, status, transaction_id, paid_at,
+                        escrow_status, released_at, is_catch_up
+                    ) VALUES ($1, $2, $3, $4, 0, 'PAID', $5, NOW(), 'RELEASED', NOW(), true)`,
+                    [cycle.cycleId, groupId, userId, cycle.amount, transactionId]
+                );
+
+                await this.creditBeneficiary(client, groupData, cycle, userId, offer.id);
+            }
+        }
+
+        // Ciclos em curso: contribuição normal, em custódia até o ciclo completar
+        for (const { cycleId } of catchUp.inProgressCycles) {
+            const cycle = await client.query(
+                `SELECT pc.*, g.name as group_name
+                 FROM payment_cycles pc
+                 JOIN groups g ON pc.group_id = g.id
+                 WHERE pc.id = $1 FOR UPDATE OF pc`,
+                [cycleId]
+            );
+
+            await cycleService.recordContribution(client, cycle.rows[0], userId);
+        }
+
+        // Reatribuir os ciclos futuros com a nova ordem (e pagar os ciclos em curso já completos)
+        const schedule = await scheduleService.rescheduleGroup(client, groupId);
+
+        await client.query(
+            `UPDATE member_replacements
+             SET status = 'ACCEPTED', responded_at = NOW(),
+                 catch_up_amount = $1, catch_up_transaction_id = $2
+             WHERE id = $3`,
+            [catchUp.total, transactionId, offer.id]
+        );
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                userId,
+                'MEMBER_REPLACED',
+                'member_replacements',
+                offer.id,
+                JSON.stringify({
+                    groupId,
+                    departedUserId: offer.departed_user_id,
+                    position: offer.position,
+                    catchUp
+                })
+            ]
+        );
+
+        logger.info(`Usuário ${userId} substituiu ${offer.departed_user_id} no grupo ${groupId} (atraso pago: ${catchUp.total} KZ)`);
+
+        return { catchUp, schedule };
+    }
+
+    /**
+     * Entregar ao beneficiário de um ciclo já pago a contribuição que lhe faltou
+     */
+    async creditBeneficiary(client, groupData, cycle, payerId, replacementId) {
+        const wallet = await client.query(
+            'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+            [cycle.beneficiaryId]
+        );
+
+        const balance = parseFloat(wallet.rows[0].available_balance);
+
+        await client.query(
+            `INSERT INTO transactions (
+                user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                balance_before, balance_after, status, description, metadata, completed_at
+            ) VALUES (
+                $1, (SELECT id FROM wallets WHERE user_id = $1),
+                'CATCH_UP_CREDIT', $2, 0, $2, $3, $3 + $2, 'COMPLETED', $4, $5, NOW()
+            )`,
+            [
+                cycle.beneficiaryId,
+                cycle.amount,
+                balance,
+                `Contribuição em atraso do ciclo ${cycle.cycleNumber} - ${groupData.name}`,
+                JSON.stringify({
+                    groupId: groupData.id,
+                    cycleId: cycle.cycleId,
+                    replacementId,
+                    payerId
+                })
+            ]
+        );
+
+        await client.query(
+            'UPDATE wallets SET available_balance = available_balance + $1 WHERE user_id = $2',
+            [cycle.amount, cycle.beneficiaryId]
+        );
+    }
+}
+
+// Exportar instância única
+module.exports = new ReplacementService();
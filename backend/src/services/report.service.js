@@ -0,0 +1,429 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE EXTRATOS
+// Extrato de tesouraria do grupo (PDF e CSV), assinado como os recibos
+// =====================================================
+
+const settlementService = require('./settlement.service');
+const calendarService = require('./calendar.service');
+const { buildTextPDF } = require('../utils/pdf');
+const { toRow } = require('../utils/csv');
+const { generateReceiptSignature, hashDocument } = require('../utils/signature');
+
+/**
+ * Arredondar ao cêntimo
+ */
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+
+const money = (value) => (toCents(value) / 100).toFixed(2);
+const timestamp = (value) => (value ? new Date(value).toISOString().replace('T', ' ').substring(0, 16) : '');
+const day = (value) => (value ? calendarService.toDateString(value) : '');
+const sum = (rows, pick) => rows.reduce((total, row) => total + toCents(pick(row)), 0) / 100;
+
+class ReportService {
+
+    // =====================================================
+    // DADOS DO EXTRATO
+    // =====================================================
+
+    /**
+     * Extrato de tesouraria: ciclos, contribuições (pagador e data), recebimentos, taxas,
+     * multas, movimentos e posição de cada membro. Devolve null se o grupo não existir.
+     */
+    async buildReport(db, groupId) {
+        const group = await db.query(
+            `SELECT g.id, g.name, g.group_type, g.status, g.frequency, g.cycle_value,
+                    g.current_round, g.pool_balance, g.created_at, u.full_name as admin_name
+             FROM groups g
+             JOIN users u ON g.admin_id = u.id
+             WHERE g.id = $1`,
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            return null;
+        }
+
+        const groupData = group.rows[0];
+
+        const cycles = await db.query(
+            `SELECT pc.cycle_number, pc.round_number, pc.due_date, pc.status, pc.paid_at,
+                    u.full_name as beneficiary_name,
+                    t.amount as collected, t.fee as payout_fee, t.net_amount as payout_amount
+             FROM payment_cycles pc
+             JOIN users u ON pc.beneficiary_id = u.id
+             LEFT JOIN transactions t ON pc.transaction_id = t.id
+             WHERE pc.group_id = $1
+             ORDER BY pc.cycle_number ASC`,
+            [groupId]
+        );
+
+        const contributions = await db.query(
+            `SELECT pc.cycle_number, u.full_name as payer_name, pb.full_name as paid_by_name,
+                    cc.amount, cc.fee, cc.status, cc.payment_method, cc.is_catch_up, cc.paid_at
+             FROM cycle_contributions cc
+             JOIN payment_cycles pc ON cc.cycle_id = pc.id
+             JOIN users u ON cc.user_id = u.id
+             LEFT JOIN users pb ON cc.paid_by = pb.id
+             WHERE cc.group_id = $1
+             ORDER BY pc.cycle_number ASC, cc.paid_at ASC NULLS LAST, cc.created_at ASC`,
+            [groupId]
+        );
+
+        const payouts = await db.query(
+            `SELECT pc.cycle_number, u.full_name, cp.method, cp.amount, cp.fee, cp.status, cp.processed_at
+             FROM cycle_payouts cp
+             JOIN payment_cycles pc ON cp.cycle_id = pc.id
+             JOIN users u ON cp.user_id = u.id
+             WHERE cp.group_id = $1
+             ORDER BY pc.cycle_number ASC, cp.created_at ASC`,
+            [groupId]
+        );
+
+        const penalties = await db.query(
+            `SELECT pc.cycle_number, u.full_name, mp.days_late, mp.fee_amount,
+                    mp.fee_destination, mp.fee_status, mp.created_at
+             FROM member_penalties mp
+             JOIN payment_cycles pc ON mp.cycle_id = pc.id
+             JOIN users u ON mp.user_id = u.id
+             WHERE mp.group_id = $1
+             ORDER BY pc.cycle_number ASC, mp.created_at ASC`,
+            [groupId]
+        );
+
+        const movements = await db.query(
+            `SELECT t.id, t.transaction_type, u.full_name, t.amount, t.fee, t.net_amount,
+                    t.status, t.created_at
+             FROM transactions t
+             JOIN users u ON t.user_id = u.id
+             WHERE t.metadata->>'groupId' = $1::text
+             ORDER BY t.created_at ASC`,
+            [groupId]
+        );
+
+        const members = await db.query(
+            `SELECT gm.user_id, gm.is_active, gm.is_suspended, gm.missed_count,
+                    COALESCE((
+                        SELECT SUM(mp.fee_amount) FROM member_penalties mp
+                        WHERE mp.group_id = gm.group_id AND mp.user_id = gm.user_id
+                          AND mp.fee_status = 'OUTSTANDING'
+                    ), 0) as outstanding_fees
+             FROM group_members gm
+             WHERE gm.group_id = $1`,
+            [groupId]
+        );
+
+        const memberInfo = new Map(members.rows.map(row => [row.user_id, row]));
+        const positions = await settlementService.computeNetPositions(db, groupId);
+        const paidContributions = contributions.rows.filter(row => row.status === 'PAID');
+        const paidCycles = cycles.rows.filter(row => row.status === 'PAID');
+
+        const report = {
+            group: {
+                id: groupData.id,
+                name: groupData.name,
+                type: groupData.group_type,
+                status: groupData.status,
+                frequency: groupData.frequency,
+                cycleValue: parseFloat(groupData.cycle_value),
+                currentRound: groupData.current_round,
+                poolBalance: parseFloat(groupData.pool_balance),
+                admin: groupData.admin_name,
+                createdAt: groupData.created_at
+            },
+            totals: {
+                contributed: sum(paidContributions, row => row.amount),
+                contributionFees: sum(paidContributions, row => row.fee),
+                paidOut: sum(paidCycles, row => row.payout_amount),
+                payoutFees: sum(paidCycles, row => row.payout_fee),
+                penaltiesPaid: sum(penalties.rows.filter(row => row.fee_status === 'PAID'), row => row.fee_amount),
+                penaltiesOutstanding: sum(penalties.rows.filter(row => row.fee_status === 'OUTSTANDING'), row => row.fee_amount)
+            },
+            cycles: cycles.rows.map(row => ({
+                cycleNumber: row.cycle_number,
+                roundNumber: row.round_number,
+                dueDate: day(row.due_date),
+                status: row.status,
+                beneficiary: row.beneficiary_name,
+                collected: row.collected !== null ? parseFloat(row.collected) : null,
+                payoutFee: row.payout_fee !== null ? parseFloat(row.payout_fee) : null,
+                payoutAmount: row.payout_amount !== null ? parseFloat(row.payout_amount) : null,
+                paidAt: row.paid_at
+            })),
+            contributions: contributions.rows.map(row => ({
+                cycleNumber: row.cycle_number,
+                payer: row.payer_name,
+                paidBy: row.paid_by_name,
+                amount: parseFloat(row.amount),
+                fee: parseFloat(row.fee),
+                status: row.status,
+                method: row.payment_method,
+                isCatchUp: row.is_catch_up,
+                paidAt: row.paid_at
+            })),
+            payouts: payouts.rows.map(row => ({
+                cycleNumber: row.cycle_number,
+                member: row.full_name,
+                method: row.method,
+                amount: parseFloat(row.amount),
+                fee: parseFloat(row.fee),
+                status: row.status,
+                processedAt: row.processed_at
+            })),
+            penalties: penalties.rows.map(row => ({
+                cycleNumber: row.cycle_number,
+                member: row.full_name,
+                daysLate: row.days_late,
+                feeAmount: parseFloat(row.fee_amount),
+                destination: row.fee_destination,
+                status: row.fee_status,
+                createdAt: row.created_at
+            })),
+            movements: movements.rows.map(row => ({
+                transactionId: row.id,
+                type: row.transaction_type,
+                member: row.full_name,
+                amount: parseFloat(row.amount),
+                fee: parseFloat(row.fee),
+                netAmount: parseFloat(row.net_amount),
+                status: row.status,
+                createdAt: row.created_at
+            })),
+            standing: positions.map(position => {
+                // Fiadores que pagaram pelo membro sem pertencerem ao grupo
+                const info = memberInfo.get(position.userId) || { missed_count: 0, outstanding_fees: 0 };
+
+                return {
+                    userId: position.userId,
+                    name: position.fullName,
+                    status: !position.isMember ? 'FIADOR' : (!info.is_active ? 'SAIU' : (info.is_suspended ? 'SUSPENSO' : 'ATIVO')),
+                    contributed: position.contributedCents / 100,
+                    received: position.receivedCents / 100,
+                    netPosition: position.netCents / 100,
+                    missedCount: info.missed_count,
+                    outstandingFees: parseFloat(info.outstanding_fees)
+                };
+            }),
+            generatedAt: new Date().toISOString()
+        };
+
+        return this.sign(report);
+    }
+
+    // =====================================================
+    // ASSINATURA
+    // =====================================================
+
+    /**
+     * Numerar o extrato e assiná-lo com o mecanismo dos recibos,
+     * sobre a impressão digital do conteúdo
+     */
+    sign(report) {
+        const stamp = report.generatedAt.replace(/[-:T]/g, '').substring(0, 14);
+        const documentNumber = `REL-${report.group.id.substring(0, 8)}-${stamp}`;
+        const contentHash = hashDocument(JSON.stringify(report));
+
+        return {
+            ...report,
+            documentNumber,
+            contentHash,
+            digitalSignature: generateReceiptSignature(`${documentNumber}:${contentHash}`)
+        };
+    }
+
+    // =====================================================
+    // TABELAS
+    // =====================================================
+
+    /**
+     * Secções do extrato, comuns ao PDF e ao CSV.
+     * Cada coluna: [título, largura no PDF, alinhada à direita]
+     */
+    buildSections(report) {
+        return [
+            {
+                title: 'RESUMO',
+                columns: [['Indicador', 40], ['Valor (Kz)', 16, true]],
+                rows: [
+                    ['Total contribuído', money(report.totals.contributed)],
+                    ['Taxas de contribuição', money(report.totals.contributionFees)],
+                    ['Total recebido pelos beneficiários', money(report.totals.paidOut)],
+                    ['Taxas de recebimento', money(report.totals.payoutFees)],
+                    ['Multas pagas', money(report.totals.penaltiesPaid)],
+                    ['Multas em falta', money(report.totals.penaltiesOutstanding)],
+                    ['Fundo do grupo', money(report.group.poolBalance)]
+                ]
+            },
+            {
+                title: 'CICLOS',
+                columns: [
+                    ['Ciclo', 5, true], ['Ronda', 5, true], ['Vencimento', 10], ['Estado', 9],
+                    ['Beneficiário', 20], ['Arrecadado', 13, true], ['Taxas', 10, true],
+                    ['Recebido', 13, true], ['Pago em', 10]
+                ],
+                rows: report.cycles.map(cycle => [
+                    cycle.cycleNumber,
+                    cycle.roundNumber,
+                    cycle.dueDate,
+                    cycle.status,
+                    cycle.beneficiary,
+                    cycle.collected !== null ? money(cycle.collected) : '',
+                    cycle.payoutFee !== null ? money(cycle.payoutFee) : '',
+                    cycle.payoutAmount !== null ? money(cycle.payoutAmount) : '',
+                    day(cycle.paidAt)
+                ])
+            },
+            {
+                title: 'CONTRIBUIÇÕES',
+                columns: [
+                    ['Ciclo', 5, true], ['Pagador', 22], ['Valor', 13, true], ['Taxa', 10, true],
+                    ['Estado', 9], ['Método', 9], ['Pago em', 16], ['Notas', 15]
+                ],
+                rows: report.contributions.map(contribution => [
+                    contribution.cycleNumber,
+                    contribution.payer,
+                    money(contribution.amount),
+                    money(contribution.fee),
+                    contribution.status,
+                    contribution.method,
+                    timestamp(contribution.paidAt),
+                    [
+                        contribution.paidBy ? `Fiador: ${contribution.paidBy}` : null,
+                        contribution.isCatchUp ? 'Recuperação' : null
+                    ].filter(Boolean).join('; ')
+                ])
+            },
+            {
+                title: 'ENVIOS PARA DESTINOS DE SAQUE',
+                columns: [
+                    ['Ciclo', 5, true], ['Membro', 24], ['Método', 10], ['Valor', 13, true],
+                    ['Taxa', 10, true], ['Estado', 9], ['Processado em', 16]
+                ],
+                rows: report.payouts.map(payout => [
+                    payout.cycleNumber,
+                    payout.member,
+                    payout.method,
+                    money(payout.amount),
+                    money(payout.fee),
+                    payout.status,
+                    timestamp(payout.processedAt)
+                ])
+            },
+            {
+                title: 'MULTAS',
+                columns: [
+                    ['Ciclo', 5, true], ['Membro', 24], ['Dias', 5, true], ['Multa', 13, true],
+                    ['Destino', 11], ['Estado', 11], ['Registada em', 16]
+                ],
+                rows: report.penalties.map(penalty => [
+                    penalty.cycleNumber,
+                    penalty.member,
+                    penalty.daysLate,
+                    money(penalty.feeAmount),
+                    penalty.destination || '',
+                    penalty.status,
+                    timestamp(penalty.createdAt)
+                ])
+            },
+            {
+                title: 'MOVIMENTOS',
+                columns: [
+                    ['Data', 16], ['Tipo', 18], ['Membro', 20], ['Valor', 13, true],
+                    ['Taxa', 10, true], ['Líquido', 14, true], ['Estado', 9]
+                ],
+                rows: report.movements.map(movement => [
+                    timestamp(movement.createdAt),
+                    movement.type,
+                    movement.member,
+                    money(movement.amount),
+                    money(movement.fee),
+                    money(movement.netAmount),
+                    movement.status
+                ])
+            },
+            {
+                title: `POSIÇÃO DOS MEMBROS (RONDA ${report.group.currentRound})`,
+                columns: [
+                    ['Membro', 24], ['Estado', 10], ['Contribuído', 13, true], ['Recebido', 13, true],
+                    ['Posição', 14, true], ['Atrasos', 7, true], ['Multas em falta', 15, true]
+                ],
+                rows: report.standing.map(entry => [
+                    entry.name,
+                    entry.status,
+                    money(entry.contributed),
+                    money(entry.received),
+                    money(entry.netPosition),
+                    entry.missedCount,
+                    money(entry.outstandingFees)
+                ])
+            }
+        ];
+    }
+
+    /**
+     * Cabeçalho de identificação do extrato e da assinatura
+     */
+    buildHeader(report) {
+        return [
+            ['Documento', report.documentNumber],
+            ['Grupo', `${report.group.name} (${report.group.id})`],
+            ['Administrador', report.group.admin],
+            ['Tipo', `${report.group.type} / ${report.group.frequency}`],
+            ['Valor do ciclo (Kz)', money(report.group.cycleValue)],
+            ['Estado', `${report.group.status} (ronda ${report.group.currentRound})`],
+            ['Emitido em', timestamp(report.generatedAt)],
+            ['Impressão digital (SHA-256)', report.contentHash],
+            ['Assinatura digital', report.digitalSignature]
+        ];
+    }
+
+    // =====================================================
+    // FORMATOS
+    // =====================================================
+
+    buildCSV(report) {
+        const csvRows = this.buildHeader(report).map(toRow);
+
+        for (const section of this.buildSections(report)) {
+            csvRows.push('', toRow([section.title]), toRow(section.columns.map(([label]) => label)));
+            csvRows.push(...section.rows.map(toRow));
+        }
+
+        return csvRows.join('\n');
+    }
+
+    buildPDF(report) {
+        const cell = (value, width, alignRight) => {
+            const text = String(value ?? '').substring(0, width);
+            return alignRight ? text.padStart(width) : text.padEnd(width);
+        };
+        const tableRow = (columns, values) => columns
+            .map(([, width, alignRight], index) => cell(values[index], width, alignRight))
+            .join(' ')
+            .trimEnd();
+
+        const lines = [{ text: 'KIXIKILAHUB - EXTRATO DE TESOURARIA DO GRUPO', bold: true }, ''];
+
+        for (const [label, value] of this.buildHeader(report)) {
+            lines.push(`${cell(label, 28)} ${value}`);
+        }
+
+        for (const section of this.buildSections(report)) {
+            lines.push('', { text: section.title, bold: true });
+            lines.push({ text: tableRow(section.columns, section.columns.map(([label]) => label)), bold: true });
+
+            if (section.rows.length === 0) {
+                lines.push('Sem registos');
+            }
+
+            lines.push(...section.rows.map(values => tableRow(section.columns, values)));
+        }
+
+        return buildTextPDF(lines, {
+            title: `Extrato ${report.documentNumber}`,
+            footer: `${report.documentNumber} | Assinatura ${report.digitalSignature}`
+        });
+    }
+}
+
+// Exportar instância única
+module.exports = new ReportService();
@@ -0,0 +1,138 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE REPUTAÇÃO
+// Índice de fiabilidade dos membros entre grupos
+// =====================================================
+
+const database = require('../config/database');
+const { RELIABILITY_LEVELS } = require('../utils/constants');
+
+class ReputationService {
+
+    // =====================================================
+    // MÉTRICAS DE FIABILIDADE
+    // =====================================================
+
+    /**
+     * Calcular a fiabilidade de vários usuários numa única consulta.
+     * Devolve um Map userId -> métricas.
+     *
+     * Saída antecipada: saiu com a ronda por terminar (algum ciclo já criado e ainda
+     * não pago nessa altura). Quem sai na renovação, após concluir a ronda, não conta.
+     */
+    async getReliabilityMap(userIds, db = database) {
+        const reliability = new Map();
+
+        if (userIds.length === 0) {
+            return reliability;
+        }
+
+        const result = await db.query(
+            `SELECT
+                u.id as user_id,
+                (SELECT COUNT(*) FROM cycle_contributions cc
+                 WHERE cc.user_id = u.id AND cc.status = 'PAID'
+                   AND cc.is_catch_up = false) as paid_contributions,
+                (SELECT COUNT(*) FROM cycle_contributions cc
+                 JOIN payment_cycles pc ON cc.cycle_id = pc.id
+                 JOIN groups g ON pc.group_id = g.id
+                 WHERE cc.user_id = u.id AND cc.status = 'PAID'
+                   AND cc.is_catch_up = false
+                   AND cc.paid_at::date <= pc.due_date + g.grace_days) as on_time_contributions,
+                (SELECT COUNT(*) FROM member_penalties mp
+                 WHERE mp.user_id = u.id) as late_payments,
+                (SELECT COUNT(*) FROM member_penalties mp
+                 WHERE mp.user_id = u.id
+                   AND NOT EXISTS (
+                       SELECT 1 FROM cycle_contributions cc
+                       WHERE cc.cycle_id = mp.cycle_id AND cc.user_id = mp.user_id AND cc.status = 'PAID'
+                   )) as missed_cycles,
+                (SELECT COUNT(*) FROM group_members gm
+                 JOIN groups g ON gm.group_id = g.id
+                 WHERE gm.user_id = u.id AND gm.is_active = true
+                   AND g.status = 'COMPLETED') as groups_completed,
+                (SELECT COUNT(*) FROM group_members gm
+                 JOIN groups g ON gm.group_id = g.id
+                 WHERE gm.user_id = u.id AND gm.is_active = false
+                   AND g.status != 'CANCELLED'
+                   AND EXISTS (
+                       SELECT 1 FROM payment_cycles pc
+                       WHERE pc.group_id = gm.group_id AND pc.created_at < gm.left_at
+                         AND (pc.status NOT IN ('PAID', 'CANCELLED') OR pc.paid_at > gm.left_at)
+                   )) as early_exits
+             FROM users u
+             WHERE u.id = ANY($1::uuid[])`,
+            [userIds]
+        );
+
+        for (const row of result.rows) {
+            reliability.set(row.user_id, this.buildScore(row));
+        }
+
+        return reliability;
+    }
+
+    /**
+     * Fiabilidade de um único usuário
+     */
+    async getReliability(userId, db = database) {
+        const reliability = await this.getReliabilityMap([userId], db);
+        return reliability.get(userId) || null;
+    }
+
+    // =====================================================
+    // PONTUAÇÃO
+    // =====================================================
+
+    /**
+     * Pontuação 0-100: 70% pontualidade das contribuições, 30% conclusão de grupos.
+     * Sem histórico, o usuário é classificado como NEW (sem pontuação).
+     */
+    buildScore(row) {
+        const paid = parseInt(row.paid_contributions);
+        const onTime = parseInt(row.on_time_contributions);
+        const late = parseInt(row.late_payments);
+        const missed = parseInt(row.missed_cycles);
+        const completed = parseInt(row.groups_completed);
+        const exits = parseInt(row.early_exits);
+
+        const contributionsDue = paid + missed;
+        const finishedGroups = completed + exits;
+
+        const onTimeRate = contributionsDue > 0 ? onTime / contributionsDue : null;
+        const completionRate = finishedGroups > 0 ? completed / finishedGroups : null;
+
+        let score = null;
+
+        if (onTimeRate !== null || completionRate !== null) {
+            score = Math.round(100 * (
+                0.7 * (onTimeRate ?? 1) +
+                0.3 * (completionRate ?? 1)
+            ));
+        }
+
+        return {
+            score,
+            level: this.getLevel(score),
+            onTimeRate: onTimeRate !== null ? Math.round(onTimeRate * 1000) / 10 : null,
+            paidContributions: paid,
+            onTimeContributions: onTime,
+            latePayments: late,
+            missedCycles: missed,
+            groupsCompleted: completed,
+            earlyExits: exits
+        };
+    }
+
+    /**
+     * Nível de fiabilidade correspondente à pontuação
+     */
+    getLevel(score) {
+        if (score === null) return 'NEW';
+
+        const level = RELIABILITY_LEVELS.find(({ minScore }) => score >= minScore);
+        return level.name;
+    }
+}
+
+// Exportar instância única
+module.exports = new ReputationService();
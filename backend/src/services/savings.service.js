@@ -0,0 +1,363 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE POUPANÇA COLETIVA
+// Grupos SAVINGS: contribuições periódicas, meta e distribuição final
+// =====================================================
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const calendarService = require('./calendar.service');
+const lifecycleService = require('./lifecycle.service');
+const { GROUP_STATUS } = require('../utils/constants');
+const { BusinessError, InsufficientBalanceError } = require('../middlewares/error.middleware');
+
+/**
+ * Arredondar ao cêntimo
+ */
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+class SavingsService {
+
+    // =====================================================
+    // PERÍODOS
+    // =====================================================
+
+    /**
+     * Período (1 = primeiro) em que cai `date`, contado a partir do início da poupança.
+     * Devolve 0 antes do início.
+     */
+    periodNumber(startDate, frequency, date) {
+        const days = calendarService.daysBetween(startDate, date);
+
+        if (days < 0) return 0;
+
+        switch (frequency) {
+            case 'DAILY':
+                return days + 1;
+            case 'WEEKLY':
+                return Math.floor(days / 7) + 1;
+            case 'MONTHLY': {
+                const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+                const [year, month, day] = date.split('-').map(Number);
+                const months = (year - startYear) * 12 + (month - startMonth) - (day < startDay ? 1 : 0);
+                return months + 1;
+            }
+            default:
+                return 1;
+        }
+    }
+
+    // =====================================================
+    // CONTRIBUIR
+    // =====================================================
+
+    /**
+     * Debitar a contribuição do membro e somá-la à poupança do grupo.
+     * Deve ser chamado dentro de uma transação com o grupo bloqueado (FOR UPDATE).
+     */
+    async contribute(client, groupData, userId, amount) {
+        const today = calendarService.today();
+        const startDate = calendarService.toDateString(groupData.savings_started_at);
+
+        if (today > calendarService.toDateString(groupData.end_date)) {
+            throw new BusinessError('O prazo da poupança terminou. Aguarde a distribuição');
+        }
+
+        const periodNumber = this.periodNumber(startDate, groupData.frequency, today);
+
+        const wallet = await client.query(
+            'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+            [userId]
+        );
+
+        const balance = parseFloat(wallet.rows[0].available_balance);
+
+        if (balance < amount) {
+            throw new InsufficientBalanceError(`Saldo insuficiente. Necessário: ${amount} KZ`);
+        }
+
+        const transaction = await client.query(
+            `INSERT INTO transactions (
+                user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                balance_before, balance_after, status, description, metadata, completed_at
+            ) VALUES (
+                $1, (SELECT id FROM wallets WHERE user_id = $1),
+                'SAVINGS_CONTRIBUTION', $2, 0, -$2, $3, $3 - $2, 'COMPLETED', $4, $5, NOW()
+            ) RETURNING id`,
+            [
+                userId,
+                amount,
+                balance,
+                `Poupança ${groupData.name} - período ${periodNumber}`,
+                JSON.stringify({ groupId: groupData.id, periodNumber })
+            ]
+        );
+
+        await client.query(
+            'UPDATE wallets SET available_balance = available_balance - $1 WHERE user_id = $2',
+            [amount, userId]
+        );
+
+        const contribution = await client.query(
+            `INSERT INTO savings_contributions (group_id, user_id, period_number, amount, transaction_id)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id, created_at`,
+            [groupData.id, userId, periodNumber, amount, transaction.rows[0].id]
+        );
+
+        const group = await client.query(
+            `UPDATE groups
+             SET savings_balance = savings_balance + $1, updated_at = NOW()
+             WHERE id = $2
+             RETURNING savings_balance`,
+            [amount, groupData.id]
+        );
+
+        return {
+            contributionId: contribution.rows[0].id,
+            transactionId: transaction.rows[0].id,
+            periodNumber,
+            amount,
+            savingsBalance: parseFloat(group.rows[0].savings_balance),
+            createdAt: contribution.rows[0].created_at
+        };
+    }
+
+    // =====================================================
+    // PROGRESSO
+    // =====================================================
+
+    /**
+     * Progresso da poupança: total face à meta, períodos decorridos e
+     * situação de cada membro (atual ou que já contribuiu)
+     */
+    async getProgress(db, groupId) {
+        const group = await db.query(
+            `SELECT id, name, status, cycle_value, frequency, target_amount, end_date,
+                    savings_balance, savings_started_at
+             FROM groups WHERE id = $1`,
+            [groupId]
+        );
+
+        const groupData = group.rows[0];
+
+        const members = await db.query(
+            `SELECT u.id as user_id, u.full_name, gm.is_active,
+                    COALESCE(SUM(sc.amount), 0) as contributed,
+                    COUNT(DISTINCT sc.period_number) as periods_paid,
+                    MAX(sc.created_at) as last_contribution_at
+             FROM group_members gm
+             JOIN users u ON gm.user_id = u.id
+             LEFT JOIN savings_contributions sc ON sc.group_id = gm.group_id AND sc.user_id = gm.user_id
+             WHERE gm.group_id = $1
+             GROUP BY u.id, u.full_name, gm.is_active
+             HAVING gm.is_active = true OR COUNT(sc.id) > 0
+             ORDER BY contributed DESC, u.full_name ASC`,
+            [groupId]
+        );
+
+        const today = calendarService.today();
+        const endDate = calendarService.toDateString(groupData.end_date);
+        const startDate = groupData.savings_started_at
+            ? calendarService.toDateString(groupData.savings_started_at)
+            : null;
+
+        const totalPeriods = startDate ? this.periodNumber(startDate, groupData.frequency, endDate) : null;
+        const periodsElapsed = startDate
+            ? Math.min(this.periodNumber(startDate, groupData.frequency, today), totalPeriods)
+            : 0;
+
+        const contributionAmount = parseFloat(groupData.cycle_value);
+        const target = parseFloat(groupData.target_amount);
+        const balance = parseFloat(groupData.savings_balance);
+        const totalContributed = members.rows.reduce((sum, m) => sum + parseFloat(m.contributed), 0);
+        const expected = contributionAmount * periodsElapsed;
+
+        return {
+            groupId: groupData.id,
+            name: groupData.name,
+            status: groupData.status,
+            targetAmount: target,
+            savingsBalance: balance,
+            progressPercent: target > 0 ? Math.round(balance / target * 1000) / 10 : null,
+            targetReached: balance >= target,
+            contributionAmount,
+            frequency: groupData.frequency,
+            startedAt: startDate,
+            endDate,
+            daysLeft: Math.max(calendarService.daysBetween(today, endDate), 0),
+            totalPeriods,
+            periodsElapsed,
+            members: members.rows.map(m => {
+                const contributed = parseFloat(m.contributed);
+
+                return {
+                    userId: m.user_id,
+                    name: m.full_name,
+                    isActive: m.is_active,
+                    contributed,
+                    sharePercent: totalContributed > 0 ? Math.round(contributed / totalContributed * 1000) / 10 : 0,
+                    periodsPaid: parseInt(m.periods_paid),
+                    expected: m.is_active ? expected : null,
+                    arrears: m.is_active ? Math.max(Math.round((expected - contributed) * 100) / 100, 0) : 0,
+                    lastContributionAt: m.last_contribution_at
+                };
+            })
+        };
+    }
+
+    // =====================================================
+    // DISTRIBUIÇÃO
+    // =====================================================
+
+    /**
+     * Repartir a poupança (e o fundo de multas do grupo) pelos membros,
+     * proporcionalmente ao que cada um contribuiu. Deve ser chamado dentro de
+     * uma transação com o grupo bloqueado (FOR UPDATE).
+     */
+    async distribute(client, groupData, initiatedBy, reason) {
+        const contributors = await client.query(
+            `SELECT user_id, SUM(amount) as contributed
+             FROM savings_contributions
+             WHERE group_id = $1
+             GROUP BY user_id
+             ORDER BY SUM(amount) DESC, user_id ASC`,
+            [groupData.id]
+        );
+
+        const entries = contributors.rows.map(row => ({
+            userId: row.user_id,
+            contributedCents: toCents(row.contributed),
+            amountCents: 0,
+            transactionId: null
+        }));
+
+        const totalCents = toCents(groupData.savings_balance || 0) + toCents(groupData.pool_balance || 0);
+        const contributedCents = entries.reduce((sum, e) => sum + e.contributedCents, 0);
+
+        if (contributedCents > 0) {
+            let distributed = 0;
+
+            for (const entry of entries) {
+                entry.amountCents = Math.floor(totalCents * entry.contributedCents / contributedCents);
+                distributed += entry.amountCents;
+            }
+
+            // Resto dos cêntimos para quem contribuiu mais
+            for (const entry of entries) {
+                if (distributed >= totalCents) break;
+                entry.amountCents++;
+                distributed++;
+            }
+        }
+
+        for (const entry of entries.filter(e => e.amountCents > 0)) {
+            const amount = entry.amountCents / 100;
+
+            const wallet = await client.query(
+                'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+                [entry.userId]
+            );
+
+            const balance = parseFloat(wallet.rows[0].available_balance);
+
+            const transaction = await client.query(
+                `INSERT INTO transactions (
+                    user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                    balance_before, balance_after, status, description, metadata, completed_at
+                ) VALUES (
+                    $1, (SELECT id FROM wallets WHERE user_id = $1),
+                    'SAVINGS_PAYOUT', $2, 0, $2, $3, $3 + $2, 'COMPLETED', $4, $5, NOW()
+                ) RETURNING id`,
+                [
+                    entry.userId,
+                    amount,
+                    balance,
+                    `Distribuição da poupança - ${groupData.name}`,
+                    JSON.stringify({ groupId: groupData.id, contributed: entry.contributedCents / 100, reason })
+                ]
+            );
+
+            await client.query(
+                'UPDATE wallets SET available_balance = available_balance + $1 WHERE user_id = $2',
+                [amount, entry.userId]
+            );
+
+            entry.transactionId = transaction.rows[0].id;
+
+            await client.query(
+                `INSERT INTO savings_distributions (
+                    group_id, user_id, contributed, amount, reason, transaction_id, distributed_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [
+                    groupData.id,
+                    entry.userId,
+                    entry.contributedCents / 100,
+                    amount,
+                    reason,
+                    entry.transactionId,
+                    initiatedBy
+                ]
+            );
+        }
+
+        await client.query(
+            'UPDATE groups SET savings_balance = 0, pool_balance = 0, updated_at = NOW() WHERE id = $1',
+            [groupData.id]
+        );
+
+        const total = entries.reduce((sum, e) => sum + e.amountCents, 0) / 100;
+
+        logger.info(`Poupança do grupo ${groupData.id} distribuída (${reason}): ${total} KZ por ${entries.length} membros`);
+
+        return {
+            total,
+            entries: entries.map(entry => ({
+                userId: entry.userId,
+                contributed: entry.contributedCents / 100,
+                amount: entry.amountCents / 100,
+                transactionId: entry.transactionId
+            }))
+        };
+    }
+
+    /**
+     * Distribuir a poupança e concluir o grupo.
+     * initiatedBy é NULL quando a distribuição é automática (fim do prazo).
+     */
+    async close(client, groupData, initiatedBy, reason) {
+        const distribution = await this.distribute(client, groupData, initiatedBy, reason);
+
+        await lifecycleService.transition(client, groupData.id, GROUP_STATUS.COMPLETED);
+
+        await client.query(
+            `INSERT INTO audit_logs (user_id, action, entity_type, entity_id, new_data)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [
+                initiatedBy,
+                'SAVINGS_DISTRIBUTED',
+                'groups',
+                groupData.id,
+                JSON.stringify({ reason, total: distribution.total, members: distribution.entries.length })
+            ]
+        );
+
+        return distribution;
+    }
+
+    /**
+     * Poupanças em curso cujo prazo terminou (distribuídas pelo cron)
+     */
+    async findDuePools() {
+        const result = await database.query(
+            `SELECT id, name FROM groups
+             WHERE group_type = 'SAVINGS' AND status = 'RUNNING' AND end_date < $1
+             ORDER BY end_date ASC`,
+            [calendarService.today()]
+        );
+
+        return result.rows;
+    }
+}
+
+// Exportar instância única
+module.exports = new SavingsService();
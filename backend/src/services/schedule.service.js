@@ -0,0 +1,342 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE CALENDÁRIO DOS CICLOS
+// Datas de vencimento e reprogramação quando os membros mudam
+// =====================================================
+
+const cycleService = require('./cycle.service');
+const calendarService = require('./calendar.service');
+const logger = require('../utils/logger');
+
+class ScheduleService {
+
+    // =====================================================
+    // DATAS DE VENCIMENTO
+    // =====================================================
+
+    /**
+     * Data de vencimento ('YYYY-MM-DD') do ciclo de índice `index` (0 = primeiro)
+     * a partir de `start`, ajustada a dia útil segundo a política do grupo
+     */
+    computeDueDate(start, frequency, index, paymentDay, policy) {
+        return calendarService.computeDueDate(start, frequency, index, paymentDay, policy);
+    }
+
+    /**
+     * Janela de licitação (grupos AUCTION): abre no vencimento anterior e fecha
+     * no início do dia de vencimento (meia-noite em Luanda)
+     */
+    computeBiddingWindow(dueDate, previousClose) {
+        return {
+            opensAt: previousClose || new Date(),
+            closesAt: calendarService.startOfDay(calendarService.toDateString(dueDate))
+        };
+    }
+
+    /**
+     * Contribuição de cada pagador para manter o valor a receber por ciclo
+     * (arredondada ao cêntimo para cima)
+     */
+    computeContribution(potAmount, payersCount) {
+        return Math.ceil(parseFloat(potAmount) * 100 / payersCount) / 100;
+    }
+
+    // =====================================================
+    // CALENDÁRIO INICIAL
+    // =====================================================
+
+    /**
+     * Calendário de ciclos de um grupo com `participants` membros a partir de `startDate`.
+     * Usado tanto na geração dos ciclos como na simulação, para que coincidam.
+     * Nos leilões o primeiro vencimento é adiado um período, para que a licitação
+     * do primeiro ciclo tenha a mesma duração das seguintes.
+     */
+    buildSchedule({ cycleValue, frequency, participants, paymentDay, startDate, policy, isAuction = false }) {
+        const amount = parseFloat(cycleValue);
+        const payersCount = Math.max(participants - 1, 1);
+        const cycles = [];
+        const offset = isAuction ? 1 : 0;
+        const anchor = calendarService.firstPaymentDate(startDate, frequency, paymentDay);
+        let previousClose = null;
+
+        for (let i = 0; i < participants; i++) {
+            const dueDate = this.computeDueDate(anchor, frequency, i + offset, paymentDay, policy);
+            const window = isAuction ? this.computeBiddingWindow(dueDate, previousClose) : null;
+
+            if (window) previousClose = window.closesAt;
+
+            cycles.push({
+                cycleNumber: i + 1,
+                dueDate,
+                biddingOpensAt: window ? window.opensAt : null,
+                biddingClosesAt: window ? window.closesAt : null
+            });
+        }
+
+        return {
+            amount,
+            payersCount,
+            potAmount: amount * payersCount,
+            cycles
+        };
+    }
+
+    /**
+     * Simular o calendário de pagamentos, as taxas da plataforma e o valor líquido
+     * de cada beneficiário, sem criar o grupo. Nos grupos de leilão o valor líquido
+     * não inclui o desconto oferecido nos lances.
+     */
+    simulate(params) {
+        const { amount, payersCount, potAmount, cycles } = this.buildSchedule(params);
+
+        const round = (value) => Math.round(value * 100) / 100;
+        // A taxa é calculada contribuição a contribuição, como no pagamento real
+        const platformFee = cycleService.calculateFee(amount) * payersCount;
+        const netPayout = potAmount - platformFee;
+        const totalContributed = amount * payersCount;
+
+        const calendar = cycles.map(cycle => ({
+            cycleNumber: cycle.cycleNumber,
+            position: cycle.cycleNumber,
+            dueDate: cycle.dueDate,
+            biddingOpensAt: cycle.biddingOpensAt,
+            biddingClosesAt: cycle.biddingClosesAt,
+            contributionAmount: amount,
+            payersCount,
+            grossPayout: round(potAmount),
+            platformFee: round(platformFee),
+            netPayout: round(netPayout)
+        }));
+
+        const members = calendar.map(cycle => ({
+            position: cycle.position,
+            payoutCycle: cycle.cycleNumber,
+            payoutDate: cycle.dueDate,
+            contributionsCount: payersCount,
+            totalContributed: round(totalContributed),
+            netReceived: cycle.netPayout,
+            netPosition: round(netPayout - totalContributed)
+        }));
+
+        return {
+            calendar,
+            members,
+            totals: {
+                cycles: calendar.length,
+                firstDueDate: calendar.length > 0 ? calendar[0].dueDate : null,
+                lastDueDate: calendar.length > 0 ? calendar[calendar.length - 1].dueDate : null,
+                contributions: round(totalContributed * calendar.length),
+                platformFees: round(platformFee * calendar.length),
+                netPayouts: round(netPayout * calendar.length)
+            }
+        };
+    }
+
+    // =====================================================
+    // REPROGRAMAR CICLOS
+    // =====================================================
+
+    /**
+     * Um ciclo pode ser reprogramado enquanto estiver pendente, sem contribuições
+     * pagas e sem licitação fechada
+     */
+    isReschedulable(cycle) {
+        return cycle.status === 'PENDING' && !cycle.has_contributions && !cycle.auction_closed_at;
+    }
+
+    /**
+     * Reprogramar os ciclos futuros após saída, substituição ou remoção de membros.
+     * Deve ser chamado dentro de uma transação.
+     *
+     * - Os ciclos reprogramáveis são atribuídos, pela ordem, aos membros ativos que ainda
+     *   não receberam; os que sobram são cancelados e, se faltarem, são criados novos
+     * - As datas ficam seguidas a partir do primeiro ciclo reprogramável
+     * - A contribuição é recalculada para que cada beneficiário receba o mesmo valor
+     *   (cycle_pot) com o número atual de pagadores
+     * - Ciclos em curso que já não têm contribuições em falta são pagos
+     *
+     * Devolve null se o grupo ainda não tem ciclos.
+     */
+    async rescheduleGroup(client, groupId) {
+        const group = await client.query(
+            `SELECT id, name, cycle_value, cycle_pot, frequency, group_type, payment_day,
+                    business_day_policy, current_round
+             FROM groups WHERE id = $1 FOR UPDATE`,
+            [groupId]
+        );
+
+        if (group.rows.length === 0) return null;
+
+        const groupData = group.rows[0];
+
+        const cycles = await client.query(
+            `SELECT pc.*, g.name as group_name, g.cycle_value,
+                    EXISTS (
+                        SELECT 1 FROM cycle_contributions cc
+                        WHERE cc.cycle_id = pc.id AND cc.status = 'PAID'
+                    ) as has_contributions
+             FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.group_id = $1 AND pc.round_number = g.current_round
+             ORDER BY pc.cycle_number ASC
+             FOR UPDATE OF pc`,
+            [groupId]
+        );
+
+        if (cycles.rows.length === 0) return null;
+
+        // Valor a receber por ciclo, fixado na geração dos ciclos
+        let potAmount = groupData.cycle_pot;
+
+        if (potAmount === null) {
+            potAmount = parseFloat(groupData.cycle_value) * Math.max(cycles.rows.length - 1, 1);
+
+            await client.query(
+                'UPDATE groups SET cycle_pot = $1 WHERE id = $2',
+                [potAmount, groupId]
+            );
+        }
+
+        const editable = cycles.rows.filter(c => this.isReschedulable(c));
+        const locked = cycles.rows.filter(c => c.status !== 'CANCELLED' && !this.isReschedulable(c));
+
+        if (editable.length === 0 && locked.length === 0) return null;
+
+        // Membros ativos pela ordem; quem já recebeu (ou está a receber) não volta a entrar
+        const members = await client.query(
+            `SELECT co.user_id, co.position, u.full_name
+             FROM cycle_order co
+             JOIN group_members gm ON gm.group_id = co.group_id AND gm.user_id = co.user_id
+             JOIN users u ON co.user_id = u.id
+             WHERE co.group_id = $1 AND co.is_active = true AND gm.is_active = true
+             ORDER BY co.position ASC`,
+            [groupId]
+        );
+
+        const served = new Set(locked.map(c => c.beneficiary_id));
+        const pending = members.rows.filter(m => !served.has(m.user_id));
+        const payersCount = members.rows.length - 1;
+        const amount = payersCount > 0
+            ? this.computeContribution(potAmount, payersCount)
+            : parseFloat(groupData.cycle_value);
+
+        const isAuction = groupData.group_type === 'AUCTION';
+        const policy = groupData.business_day_policy;
+        const anchor = editable.length > 0
+            ? calendarService.toDateString(editable[0].due_date)
+            : this.computeDueDate(locked[locked.length - 1].due_date, groupData.frequency, 1, groupData.payment_day, policy);
+        let previousClose = editable.length > 0 ? editable[0].bidding_opens_at : locked[locked.length - 1].bidding_closes_at;
+        let nextNumber = cycles.rows[cycles.rows.length - 1].cycle_number + 1;
+
+        const schedule = [];
+        const added = [];
+        const dropped = [];
+
+        for (let i = 0; i < pending.length; i++) {
+            const member = pending[i];
+            const dueDate = this.computeDueDate(anchor, groupData.frequency, i, groupData.payment_day, policy);
+            const window = isAuction ? this.computeBiddingWindow(dueDate, previousClose) : null;
+
+            if (window) previousClose = window.closesAt;
+
+            let cycleNumber;
+
+            if (i < editable.length) {
+                cycleNumber = editable[i].cycle_number;
+
+                await client.query(
+                    `UPDATE payment_cycles
+                     SET beneficiary_id = $1, amount = $2, due_date = $3,
+                         bidding_opens_at = $4, bidding_closes_at = $5
+                     WHERE id = $6`,
+                    [
+                        member.user_id,
+                        amount,
+                        dueDate,
+                        window ? window.opensAt : null,
+                        window ? window.closesAt : null,
+                        editable[i].id
+                    ]
+                );
+            } else {
+                cycleNumber = nextNumber++;
+
+                await client.query(
+                    `INSERT INTO payment_cycles (
+                        group_id, cycle_number, round_number, beneficiary_id, amount, due_date, status,
+                        bidding_opens_at, bidding_closes_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, 'PENDING', $7, $8)`,
+                    [
+                        groupId,
+                        cycleNumber,
+                        groupData.current_round,
+                        member.user_id,
+                        amount,
+                        dueDate,
+                        window ? window.opensAt : null,
+                        window ? window.closesAt : null
+                    ]
+                );
+
+                added.push(cycleNumber);
+            }
+
+            schedule.push({
+                cycleNumber,
+                beneficiaryId: member.user_id,
+                beneficiaryName: member.full_name,
+                dueDate,
+                amount
+            });
+        }
+
+        // Ciclos que ficaram sem beneficiário
+        for (const cycle of editable.slice(pending.length)) {
+            await client.query(
+                `UPDATE payment_cycles SET status = 'CANCELLED' WHERE id = $1`,
+                [cycle.id]
+            );
+
+            await client.query(
+                `UPDATE cycle_bids SET status = 'WITHDRAWN'
+                 WHERE cycle_id = $1 AND status = 'ACTIVE'`,
+                [cycle.id]
+            );
+
+            dropped.push(cycle.cycle_number);
+        }
+
+        // Ciclos em curso cujos pagadores em falta saíram do grupo
+        const completed = [];
+
+        for (const cycle of locked.filter(c => c.status === 'PENDING')) {
+            if (cycle.bidding_closes_at && !cycle.auction_closed_at) continue;
+
+            const status = await cycleService.getContributionStatus(client, cycle);
+
+            if (status.paid.length > 0 && status.outstanding.length === 0) {
+                await cycleService.completeCycle(client, cycle);
+                completed.push(cycle.cycle_number);
+            }
+        }
+
+        // Sem ciclos por pagar, a ronda termina
+        if (dropped.length > 0) {
+            await cycleService.completeGroupIfFinished(client, groupId);
+        }
+
+        logger.info(`Ciclos do grupo ${groupId} reprogramados: ${schedule.length} futuros, ${dropped.length} cancelados, ${added.length} novos`);
+
+        return {
+            amount,
+            potAmount: parseFloat(potAmount),
+            payersCount,
+            schedule,
+            addedCycles: added,
+            droppedCycles: dropped,
+            completedCycles: completed
+        };
+    }
+}
+
+// Exportar instância única
+module.exports = new ScheduleService();
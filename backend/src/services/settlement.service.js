@@ -0,0 +1,608 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE ACERTO DE CONTAS
+// Liquidação das posições dos membros no cancelamento do grupo
+// =====================================================
+
+const cycleService = require('./cycle.service');
+const logger = require('../utils/logger');
+const { toRow } = require('../utils/csv');
+
+/**
+ * Arredondar ao cêntimo
+ */
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+class SettlementService {
+
+    // =====================================================
+    // POSIÇÕES LÍQUIDAS
+    // =====================================================
+
+    /**
+     * Posição líquida de cada membro (atual ou antigo) nos ciclos pagos da ronda atual:
+     * contribuído menos recebido (como beneficiário, incluindo dinheiro e contribuições pagas
+     * em atraso por substitutos, e dividendos de leilão).
+     * A contribuição conta para quem a pagou: as cobertas pelo fiador são do fiador, que
+     * entra nas posições mesmo sem ser membro (isMember = false).
+     */
+    async computeNetPositions(client, groupId) {
+        const result = await client.query(
+            `SELECT
+                p.user_id, u.full_name, p.is_member,
+                COALESCE((
+                    SELECT SUM(cc.amount)
+                    FROM cycle_contributions cc
+                    JOIN payment_cycles pc ON cc.cycle_id = pc.id
+                    WHERE pc.group_id = g.id AND pc.round_number = g.current_round
+                      AND pc.status = 'PAID'
+                      AND COALESCE(cc.paid_by, cc.user_id) = p.user_id AND cc.status = 'PAID'
+                ), 0) as contributed,
+                COALESCE((
+                    SELECT SUM(t.net_amount + COALESCE((t.metadata->>'cashTotal')::numeric, 0))
+                    FROM payment_cycles pc
+                    JOIN transactions t ON pc.transaction_id = t.id
+                    WHERE pc.group_id = g.id AND pc.round_number = g.current_round
+                      AND pc.status = 'PAID'
+                      AND pc.beneficiary_id = p.user_id
+                ), 0) as payouts,
+                COALESCE((
+                    SELECT SUM(t.amount)
+                    FROM transactions t
+                    JOIN payment_cycles pc ON pc.id = (t.metadata->>'cycleId')::uuid
+                    WHERE t.user_id = p.user_id
+                      AND t.transaction_type IN ('AUCTION_DIVIDEND', 'CATCH_UP_CREDIT')
+                      AND pc.group_id = g.id AND pc.round_number = g.current_round
+                ), 0) as dividends
+             FROM (
+                 SELECT gm.user_id, gm.joined_at, true as is_member
+                 FROM group_members gm
+                 WHERE gm.group_id = $1
+                 UNION ALL
+                 -- Fiadores que pagaram contribuições nesta ronda sem serem membros
+                 SELECT cc.paid_by, MIN(cc.paid_at), false
+                 FROM cycle_contributions cc
+                 JOIN payment_cycles pc ON cc.cycle_id = pc.id
+                 JOIN groups gr ON pc.group_id = gr.id
+                 WHERE pc.group_id = $1 AND pc.round_number = gr.current_round
+                   AND cc.paid_by IS NOT NULL
+                   AND NOT EXISTS (
+                       SELECT 1 FROM group_members gm
+                       WHERE gm.group_id = $1 AND gm.user_id = cc.paid_by
+                   )
+                 GROUP BY cc.paid_by
+             ) p
+             JOIN groups g ON g.id = $1
+             JOIN users u ON p.user_id = u.id
+             ORDER BY p.is_member DESC, p.joined_at ASC`,
+            [groupId]
+        );
+
+        return result.rows.map(row => {
+            const contributedCents = toCents(row.contributed);
+            const receivedCents = toCents(row.payouts) + toCents(row.dividends);
+
+            return {
+                userId: row.user_id,
+                fullName: row.full_name,
+                isMember: row.is_member,
+                contributedCents,
+                receivedCents,
+                netCents: contributedCents - receivedCents
+            };
+        });
+    }
+
+    // =====================================================
+    // CICLOS EM ABERTO
+    // =====================================================
+
+    /**
+     * Cancelar os ciclos em aberto: devolver a custódia aos pagadores e
+     * registar o dinheiro entregue ao tesoureiro, que terá de ser devolvido em mão
+     */
+    async cancelOpenCycles(client, groupId, reason) {
+        const cycles = await client.query(
+            `SELECT pc.*, g.name as group_name
+             FROM payment_cycles pc
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.group_id = $1 AND pc.status IN ('PENDING', 'MISSED')
+             ORDER BY pc.cycle_number ASC
+             FOR UPDATE OF pc`,
+            [groupId]
+        );
+
+        const escrowCents = new Map();
+        const cashCents = new Map();
+        const add = (map, userId, amount) => map.set(userId, (map.get(userId) || 0) + toCents(amount));
+
+        for (const cycleData of cycles.rows) {
+            const contributions = await client.query(
+                `SELECT COALESCE(paid_by, user_id) as payer_id, amount, payment_method, escrow_status
+                 FROM cycle_contributions
+                 WHERE cycle_id = $1 AND status = 'PAID'`,
+                [cycleData.id]
+            );
+
+            for (const contribution of contributions.rows) {
+                if (contribution.payment_method === 'CASH') {
+                    add(cashCents, contribution.payer_id, contribution.amount);
+                } else if (contribution.escrow_status === 'HELD') {
+                    add(escrowCents, contribution.payer_id, contribution.amount);
+                }
+            }
+
+            await cycleService.refundEscrow(client, cycleData, reason);
+
+            await client.query(
+                `UPDATE cycle_contributions
+                 SET status = 'REFUNDED', refunded_at = NOW()
+                 WHERE cycle_id = $1 AND status = 'PAID' AND payment_method = 'CASH'`,
+                [cycleData.id]
+            );
+
+            await client.query(
+                `UPDATE cycle_bids SET status = 'WITHDRAWN'
+                 WHERE cycle_id = $1 AND status = 'ACTIVE'`,
+                [cycleData.id]
+            );
+
+            await client.query(
+                `UPDATE payment_cycles SET status = 'CANCELLED' WHERE id = $1`,
+                [cycleData.id]
+            );
+        }
+
+        return { cyclesCancelled: cycles.rows.length, escrowCents, cashCents };
+    }
+
+    // =====================================================
+    // MOVIMENTOS NA CARTEIRA
+    // =====================================================
+
+    /**
+     * Registar débito ou crédito do acerto de contas na carteira do membro
+     */
+    async postTransaction(client, userId, type, amountCents, description, metadata) {
+        const amount = amountCents / 100;
+
+        const wallet = await client.query(
+            'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+            [userId]
+        );
+
+        const balance = parseFloat(wallet.rows[0].available_balance);
+        const signed = type === 'SETTLEMENT_DEBIT' ? -amount : amount;
+
+        const transaction = await client.query(
+            `INSERT INTO transactions (
+                user_id, wallet_id, transaction_type, amount, fee, net_amount,
+                balance_before, balance_after, status, description, metadata, completed_at
+            ) VALUES (
+                $1, (SELECT id FROM wallets WHERE user_id = $1),
+                $2, $3, 0, $4, $5, $5 + $4, 'COMPLETED', $6, $7, NOW()
+            ) RETURNING id`,
+            [userId, type, amount, signed, balance, description, JSON.stringify(metadata)]
+        );
+
+        await client.query(
+            'UPDATE wallets SET available_balance = available_balance + $1 WHERE user_id = $2',
+            [signed, userId]
+        );
+
+        return transaction.rows[0].id;
+    }
+
+    // =====================================================
+    // REMOÇÃO DE UM MEMBRO
+    // =====================================================
+
+    /**
+     * Acerto de contas de um membro removido pelo admin (ou por votação). Deve ser chamado
+     * dentro de uma transação com o grupo bloqueado (FOR UPDATE), antes de o desativar.
+     *
+     * 1. Contribuições já pagas em ciclos em curso seguem para o beneficiário e contam como contribuídas
+     * 2. A multa de remoção é descontada primeiro ao que o grupo deve ao membro
+     * 3. Dívida restante é cobrada da carteira (até ao saldo disponível) para o fundo do grupo
+     * 4. Crédito restante é pago a partir do fundo do grupo; o que o fundo não cobrir fica registado
+     */
+    async settleMemberRemoval(client, groupData, userId, { removedBy, reason, penaltyAmount = 0, pollId = null }) {
+        const groupId = groupData.id;
+        const metadata = { groupId, reason, removal: true };
+
+        const positions = await this.computeNetPositions(client, groupId);
+        const position = positions.find(p => p.userId === userId);
+
+        const inProgress = await client.query(
+            `SELECT COALESCE(SUM(cc.amount), 0) as amount
+             FROM cycle_contributions cc
+             JOIN payment_cycles pc ON cc.cycle_id = pc.id
+             JOIN groups g ON pc.group_id = g.id
+             WHERE pc.group_id = $1 AND pc.round_number = g.current_round
+               AND pc.status = 'PENDING'
+               AND COALESCE(cc.paid_by, cc.user_id) = $2 AND cc.status = 'PAID'`,
+            [groupId, userId]
+        );
+
+        const contributedCents = position.contributedCents + toCents(inProgress.rows[0].amount);
+        const receivedCents = position.receivedCents;
+        const netCents = contributedCents - receivedCents;
+        const penaltyCents = toCents(penaltyAmount);
+
+        let debtCents = Math.max(-netCents, 0) + penaltyCents;
+        let creditCents = Math.max(netCents, 0);
+        const offsetCents = Math.min(debtCents, creditCents);
+
+        debtCents -= offsetCents;
+        creditCents -= offsetCents;
+
+        let clawedBackCents = 0;
+        let creditedCents = 0;
+        let debitTransactionId = null;
+        let creditTransactionId = null;
+
+        if (debtCents > 0) {
+            const wallet = await client.query(
+                'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+                [userId]
+            );
+
+            clawedBackCents = Math.min(debtCents, Math.max(toCents(wallet.rows[0].available_balance), 0));
+
+            if (clawedBackCents > 0) {
+                debitTransactionId = await this.postTransaction(
+                    client,
+                    userId,
+                    'SETTLEMENT_DEBIT',
+                    clawedBackCents,
+                    `Acerto de contas da remoção - ${groupData.name}`,
+                    metadata
+                );
+
+                await client.query(
+                    'UPDATE groups SET pool_balance = pool_balance + $1 WHERE id = $2',
+                    [clawedBackCents / 100, groupId]
+                );
+            }
+        }
+
+        if (creditCents > 0) {
+            const pool = await client.query(
+                'SELECT pool_balance FROM groups WHERE id = $1',
+                [groupId]
+            );
+
+            creditedCents = Math.min(creditCents, Math.max(toCents(pool.rows[0].pool_balance), 0));
+
+            if (creditedCents > 0) {
+                creditTransactionId = await this.postTransaction(
+                    client,
+                    userId,
+                    'SETTLEMENT_CREDIT',
+                    creditedCents,
+                    `Acerto de contas da remoção - ${groupData.name}`,
+                    metadata
+                );
+
+                await client.query(
+                    'UPDATE groups SET pool_balance = pool_balance - $1 WHERE id = $2',
+                    [creditedCents / 100, groupId]
+                );
+            }
+        }
+
+        const removal = await client.query(
+            `INSERT INTO member_removals (
+                group_id, user_id, removed_by, poll_id, reason,
+                contributed, received, net_position, penalty_amount,
+                clawed_back, credited, shortfall, unpaid_credit,
+                debit_transaction_id, credit_transaction_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            RETURNING id, created_at`,
+            [
+                groupId,
+                userId,
+                removedBy,
+                pollId,
+                reason,
+                contributedCents / 100,
+                receivedCents / 100,
+                netCents / 100,
+                penaltyCents / 100,
+                clawedBackCents / 100,
+                creditedCents / 100,
+                (debtCents - clawedBackCents) / 100,
+                (creditCents - creditedCents) / 100,
+                debitTransactionId,
+                creditTransactionId
+            ]
+        );
+
+        logger.info(`Remoção do membro ${userId} do grupo ${groupId}: posição ${netCents / 100} KZ, cobrado ${clawedBackCents / 100} KZ, pago ${creditedCents / 100} KZ`);
+
+        return {
+            removalId: removal.rows[0].id,
+            contributed: contributedCents / 100,
+            received: receivedCents / 100,
+            netPosition: netCents / 100,
+            penaltyAmount: penaltyCents / 100,
+            clawedBack: clawedBackCents / 100,
+            credited: creditedCents / 100,
+            shortfall: (debtCents - clawedBackCents) / 100,
+            unpaidCredit: (creditCents - creditedCents) / 100,
+            createdAt: removal.rows[0].created_at
+        };
+    }
+
+    // =====================================================
+    // LIQUIDAR GRUPO
+    // =====================================================
+
+    /**
+     * Acerto de contas do cancelamento. Deve ser chamado dentro de uma transação
+     * com o grupo bloqueado (FOR UPDATE).
+     *
+     * 1. Ciclos em aberto são cancelados e a custódia devolvida
+     * 2. Quem recebeu mais do que contribuiu devolve a diferença (até ao saldo disponível)
+     * 3. O valor cobrado, mais o fundo do grupo, é pago a quem contribuiu mais do que recebeu,
+     *    proporcionalmente ao crédito; o fundo que sobrar é repartido pelos membros
+     */
+    async settleGroup(client, groupData, initiatedBy, reason) {
+        const groupId = groupData.id;
+        const metadata = { groupId, reason: reason || null };
+
+        const open = await this.cancelOpenCycles(client, groupId, reason);
+        const positions = await this.computeNetPositions(client, groupId);
+
+        const entries = positions.map(position => ({
+            ...position,
+            escrowCents: open.escrowCents.get(position.userId) || 0,
+            cashCents: open.cashCents.get(position.userId) || 0,
+            clawedBackCents: 0,
+            creditedCents: 0,
+            shortfallCents: 0,
+            debitTransactionId: null,
+            creditTransactionId: null
+        }));
+
+        // Cobrar aos devedores
+        let collectedCents = 0;
+
+        for (const entry of entries.filter(e => e.netCents < 0)) {
+            const wallet = await client.query(
+                'SELECT available_balance FROM wallets WHERE user_id = $1 FOR UPDATE',
+                [entry.userId]
+            );
+
+            const owedCents = -entry.netCents;
+            const clawback = Math.min(owedCents, Math.max(toCents(wallet.rows[0].available_balance), 0));
+
+            entry.shortfallCents = owedCents - clawback;
+
+            if (clawback > 0) {
+                entry.clawedBackCents = clawback;
+                entry.debitTransactionId = await this.postTransaction(
+                    client,
+                    entry.userId,
+                    'SETTLEMENT_DEBIT',
+                    clawback,
+                    `Acerto de contas do cancelamento - ${groupData.name}`,
+                    metadata
+                );
+                collectedCents += clawback;
+            }
+        }
+
+        // Repartir pelos credores, proporcionalmente ao crédito
+        const poolCents = toCents(groupData.pool_balance || 0);
+        const creditors = entries.filter(e => e.netCents > 0);
+        const totalCreditCents = creditors.reduce((sum, e) => sum + e.netCents, 0);
+        const fundCents = collectedCents + poolCents;
+        const toCreditorsCents = Math.min(fundCents, totalCreditCents);
+
+        let distributed = 0;
+
+        for (const entry of creditors) {
+            entry.creditedCents = Math.floor(toCreditorsCents * entry.netCents / totalCreditCents);
+            distributed += entry.creditedCents;
+        }
+
+        // Resto dos cêntimos para os primeiros credores
+        for (const entry of creditors) {
+            if (distributed >= toCreditorsCents) break;
+            entry.creditedCents++;
+            distributed++;
+        }
+
+        // Fundo do grupo que sobra após cobrir os créditos: partes iguais para todos os membros
+        const leftoverCents = fundCents - toCreditorsCents;
+        const members = entries.filter(e => e.isMember);
+
+        if (leftoverCents > 0 && members.length > 0) {
+            const baseCents = Math.floor(leftoverCents / members.length);
+            let remainder = leftoverCents - baseCents * members.length;
+
+            for (const entry of members) {
+                entry.creditedCents += baseCents + (remainder > 0 ? 1 : 0);
+                if (remainder > 0) remainder--;
+            }
+        }
+
+        for (const entry of entries.filter(e => e.creditedCents > 0)) {
+            entry.creditTransactionId = await this.postTransaction(
+                client,
+                entry.userId,
+                'SETTLEMENT_CREDIT',
+                entry.creditedCents,
+                `Acerto de contas do cancelamento - ${groupData.name}`,
+                metadata
+            );
+        }
+
+        if (poolCents > 0) {
+            await client.query(
+                'UPDATE groups SET pool_balance = 0 WHERE id = $1',
+                [groupId]
+            );
+        }
+
+        const sum = (key) => entries.reduce((total, e) => total + e[key], 0) / 100;
+
+        const settlement = await client.query(
+            `INSERT INTO group_settlements (
+                group_id, initiated_by, reason, cycles_cancelled, escrow_refunded,
+                total_collected, total_credited, pool_distributed, total_shortfall
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id, created_at`,
+            [
+                groupId,
+                initiatedBy,
+                reason,
+                open.cyclesCancelled,
+                sum('escrowCents'),
+                collectedCents / 100,
+                sum('creditedCents'),
+                poolCents / 100,
+                sum('shortfallCents')
+            ]
+        );
+
+        const settlementId = settlement.rows[0].id;
+
+        for (const entry of entries) {
+            await client.query(
+                `INSERT INTO group_settlement_entries (
+                    settlement_id, user_id, contributed, received, net_position,
+                    escrow_refunded, cash_to_return, clawed_back, credited, shortfall,
+                    debit_transaction_id, credit_transaction_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+                [
+                    settlementId,
+                    entry.userId,
+                    entry.contributedCents / 100,
+                    entry.receivedCents / 100,
+                    entry.netCents / 100,
+                    entry.escrowCents / 100,
+                    entry.cashCents / 100,
+                    entry.clawedBackCents / 100,
+                    entry.creditedCents / 100,
+                    entry.shortfallCents / 100,
+                    entry.debitTransactionId,
+                    entry.creditTransactionId
+                ]
+            );
+        }
+
+        logger.info(`Acerto de contas do grupo ${groupId}: cobrado ${collectedCents / 100} KZ, pago ${sum('creditedCents')} KZ, em falta ${sum('shortfallCents')} KZ`);
+
+        return {
+            settlementId,
+            createdAt: settlement.rows[0].created_at,
+            cyclesCancelled: open.cyclesCancelled,
+            escrowRefunded: sum('escrowCents'),
+            totalCollected: collectedCents / 100,
+            totalCredited: sum('creditedCents'),
+            poolDistributed: poolCents / 100,
+            totalShortfall: sum('shortfallCents'),
+            entries: entries.map(entry => ({
+                userId: entry.userId,
+                credited: entry.creditedCents / 100,
+                clawedBack: entry.clawedBackCents / 100,
+                shortfall: entry.shortfallCents / 100
+            }))
+        };
+    }
+
+    // =====================================================
+    // RELATÓRIO
+    // =====================================================
+
+    /**
+     * Último acerto de contas do grupo com as linhas de cada membro
+     */
+    async getReport(db, groupId) {
+        const settlement = await db.query(
+            `SELECT gs.*, g.name as group_name, u.full_name as initiated_by_name
+             FROM group_settlements gs
+             JOIN groups g ON gs.group_id = g.id
+             JOIN users u ON gs.initiated_by = u.id
+             WHERE gs.group_id = $1
+             ORDER BY gs.created_at DESC
+             LIMIT 1`,
+            [groupId]
+        );
+
+        if (settlement.rows.length === 0) {
+            return null;
+        }
+
+        const entries = await db.query(
+            `SELECT se.*, u.full_name
+             FROM group_settlement_entries se
+             JOIN users u ON se.user_id = u.id
+             WHERE se.settlement_id = $1
+             ORDER BY se.net_position DESC, u.full_name ASC`,
+            [settlement.rows[0].id]
+        );
+
+        const s = settlement.rows[0];
+
+        return {
+            id: s.id,
+            groupId: s.group_id,
+            groupName: s.group_name,
+            initiatedBy: { id: s.initiated_by, name: s.initiated_by_name },
+            reason: s.reason,
+            cyclesCancelled: s.cycles_cancelled,
+            escrowRefunded: parseFloat(s.escrow_refunded),
+            totalCollected: parseFloat(s.total_collected),
+            totalCredited: parseFloat(s.total_credited),
+            poolDistributed: parseFloat(s.pool_distributed),
+            totalShortfall: parseFloat(s.total_shortfall),
+            createdAt: s.created_at,
+            entries: entries.rows.map(e => ({
+                userId: e.user_id,
+                name: e.full_name,
+                contributed: parseFloat(e.contributed),
+                received: parseFloat(e.received),
+                netPosition: parseFloat(e.net_position),
+                escrowRefunded: parseFloat(e.escrow_refunded),
+                cashToReturn: parseFloat(e.cash_to_return),
+                clawedBack: parseFloat(e.clawed_back),
+                credited: parseFloat(e.credited),
+                shortfall: parseFloat(e.shortfall)
+            }))
+        };
+    }
+
+    /**
+     * Relatório em CSV (uma linha por membro)
+     */
+    buildReportCSV(report) {
+        const headers = [
+            'Membro', 'Contribuído', 'Recebido', 'Posição líquida', 'Custódia devolvida',
+            'Dinheiro a devolver', 'Cobrado', 'Creditado', 'Em falta'
+        ];
+        const csvRows = [headers.join(',')];
+
+        for (const entry of report.entries) {
+            const row = toRow([
+                entry.name,
+                entry.contributed,
+                entry.received,
+                entry.netPosition,
+                entry.escrowRefunded,
+                entry.cashToReturn,
+                entry.clawedBack,
+                entry.credited,
+                entry.shortfall
+            ]);
+
+            csvRows.push(row);
+        }
+
+        return csvRows.join('\n');
+    }
+}
+
+// Exportar instância única
+module.exports = new SettlementService();
@@ -0,0 +1,134 @@
+// =====================================================
+// KIXIKILAHUB - SERVIÇO DE LISTA DE ESPERA
+// Fila de espera de grupos cheios e oferta de vagas
+// =====================================================
+
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const cycleService = require('./cycle.service');
+const { SYSTEM_LIMITS, GROUP_STATUS } = require('../utils/constants');
+
+class WaitlistService {
+
+    // =====================================================
+    // VAGAS RESERVADAS
+    // =====================================================
+
+    /**
+     * Número de vagas reservadas por ofertas em aberto (excluindo as do próprio usuário)
+     */
+    async countReservedSeats(client, groupId, exceptUserId = null) {
+        const result = await client.query(
+            `SELECT COUNT(*) as count FROM group_waitlist
+             WHERE group_id = $1 AND status = 'OFFERED'
+               AND offer_expires_at > NOW()
+               AND ($2::uuid IS NULL OR user_id != $2)`,
+            [groupId, exceptUserId]
+        );
+
+        return parseInt(result.rows[0].count);
+    }
+
+    // =====================================================
+    // OFERTA DE VAGAS
+    // =====================================================
+
+    /**
+     * Oferecer as vagas livres aos primeiros da fila.
+     * Só há ofertas enquanto os ciclos do grupo não foram gerados.
+     */
+    async offerSeats(client, groupId) {
+        const group = await client.query(
+            `SELECT id, status, max_participants, current_participants
+             FROM groups
+             WHERE id = $1 FOR UPDATE`,
+            [groupId]
+        );
+
+        if (group.rows.length === 0) {
+            return [];
+        }
+
+        const groupData = group.rows[0];
+
+        if (![GROUP_STATUS.RECRUITING, GROUP_STATUS.FULL].includes(groupData.status)) {
+            return [];
+        }
+
+        if (await cycleService.hasCycles(client, groupId)) {
+            return [];
+        }
+
+        const reserved = await this.countReservedSeats(client, groupId);
+        const freeSeats = groupData.max_participants - groupData.current_participants - reserved;
+
+        if (freeSeats <= 0) {
+            return [];
+        }
+
+        const offered = await client.query(
+            `UPDATE group_waitlist
+             SET status = 'OFFERED',
+                 offered_at = NOW(),
+                 offer_expires_at = NOW() + make_interval(hours => $3)
+             WHERE id IN (
+                 SELECT id FROM group_waitlist
+                 WHERE group_id = $1 AND status = 'WAITING'
+                 ORDER BY created_at ASC
+                 LIMIT $2
+                 FOR UPDATE
+             )
+             RETURNING id, group_id, user_id, offer_expires_at`,
+            [groupId, freeSeats, SYSTEM_LIMITS.WAITLIST_OFFER_EXPIRY_HOURS]
+        );
+
+        return offered.rows.map(entry => ({
+            waitlistId: entry.id,
+            groupId: entry.group_id,
+            userId: entry.user_id,
+            expiresAt: entry.offer_expires_at
+        }));
+    }
+
+    // =====================================================
+    // EXPIRAÇÃO DE OFERTAS
+    // =====================================================
+
+    /**
+     * Expirar ofertas não aceites e passar a vaga ao seguinte da fila
+     */
+    async expireOffers() {
+        const expired = await database.query(
+            `UPDATE group_waitlist
+             SET status = 'EXPIRED', responded_at = NOW()
+             WHERE status = 'OFFERED' AND offer_expires_at <= NOW()
+             RETURNING id, group_id, user_id`
+        );
+
+        const groupIds = [...new Set(expired.rows.map(entry => entry.group_id))];
+        const offers = [];
+
+        for (const groupId of groupIds) {
+            try {
+                const groupOffers = await database.transaction(
+                    (client) => this.offerSeats(client, groupId)
+                );
+                offers.push(...groupOffers);
+            } catch (error) {
+                logger.error(`Erro ao oferecer vagas da lista de espera do grupo ${groupId}:`, error);
+            }
+        }
+
+        return {
+            expired: expired.rows.map(entry => ({
+                waitlistId: entry.id,
+                groupId: entry.group_id,
+                userId: entry.user_id
+            })),
+            offers
+        };
+    }
+}
+
+// Exportar instância única
+module.exports = new WaitlistService();
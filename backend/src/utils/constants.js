@@ -34,6 +34,17 @@ const TRANSACTION_TYPES = {
     WITHDRAWAL: 'WITHDRAWAL',
     GROUP_PAYMENT: 'GROUP_PAYMENT',
     GROUP_RECEIVE: 'GROUP_RECEIVE',
+    GROUP_REFUND: 'GROUP_REFUND',
+    AUCTION_DIVIDEND: 'AUCTION_DIVIDEND',
+    LATE_FEE: 'LATE_FEE',
+    LATE_FEE_CREDIT: 'LATE_FEE_CREDIT',
+    SETTLEMENT_DEBIT: 'SETTLEMENT_DEBIT',
+    SETTLEMENT_CREDIT: 'SETTLEMENT_CREDIT',
+    SAVINGS_CONTRIBUTION: 'SAVINGS_CONTRIBUTION',
+    SAVINGS_PAYOUT: 'SAVINGS_PAYOUT',
+    CATCH_UP_PAYMENT: 'CATCH_UP_PAYMENT', // Contribuições em atraso pagas pelo membro substituto
+    CATCH_UP_CREDIT: 'CATCH_UP_CREDIT', // Contribuição em atraso recebida pelo beneficiário do ciclo
+    POOL_DISTRIBUTION: 'POOL_DISTRIBUTION', // Parte do fundo do grupo repartida no fim da ronda
     FEE: 'FEE',
     BONUS: 'BONUS',
     TRANSFER: 'TRANSFER'
@@ -68,15 +79,215 @@ const GROUP_FREQUENCIES = {
 };
 
 /**
- * Status de grupo
+ * Tipos de grupo
  */
-const GROUP_STATUS = {
+const GROUP_TYPES = {
+    ROTATING: 'ROTATING',
+    AUCTION: 'AUCTION',
+    SAVINGS: 'SAVINGS' // Poupança coletiva: sem rotação, distribuição proporcional no fim
+};
+
+/**
+ * Motivo da distribuição final de uma poupança
+ */
+const SAVINGS_DISTRIBUTION_REASONS = {
+    END_DATE: 'END_DATE', // Prazo terminou
+    TARGET_REACHED: 'TARGET_REACHED', // Meta atingida antes do prazo
+    CANCELLED: 'CANCELLED' // Grupo cancelado
+};
+
+/**
+ * Visibilidade do grupo
+ */
+const GROUP_VISIBILITY = {
+    PUBLIC: 'PUBLIC', // Aparece na busca, adesão imediata
+    UNLISTED: 'UNLISTED', // Fora da busca, adesão por convite ou pedido aprovado
+    PRIVATE: 'PRIVATE' // Fora da busca, adesão apenas por convite
+};
+
+/**
+ * Status de pedido de adesão ao grupo
+ */
+const JOIN_REQUEST_STATUS = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Tipo de multa por atraso
+ */
+const LATE_FEE_TYPES = {
+    NONE: 'NONE',
+    FIXED: 'FIXED', // Valor fixo em KZ
+    PERCENTAGE: 'PERCENTAGE' // Percentagem da contribuição do ciclo
+};
+
+/**
+ * Destino da multa por atraso
+ */
+const LATE_FEE_DESTINATIONS = {
+    BENEFICIARY: 'BENEFICIARY',
+    GROUP_POOL: 'GROUP_POOL'
+};
+
+/**
+ * Status da multa de uma penalidade
+ */
+const PENALTY_FEE_STATUS = {
+    NONE: 'NONE', // Atraso registado sem multa
+    OUTSTANDING: 'OUTSTANDING', // Saldo insuficiente, cobrança pendente
+    PAID: 'PAID',
+    WAIVED: 'WAIVED'
+};
+
+/**
+ * Níveis do índice de fiabilidade (por ordem decrescente de pontuação mínima)
+ */
+const RELIABILITY_LEVELS = [
+    { name: 'EXCELLENT', minScore: 90 },
+    { name: 'GOOD', minScore: 75 },
+    { name: 'FAIR', minScore: 50 },
+    { name: 'POOR', minScore: 0 }
+];
+
+/**
+ * Status de fiança de membro
+ */
+const GUARANTEE_STATUS = {
+    PENDING: 'PENDING', // Aguarda aceitação do fiador
     ACTIVE: 'ACTIVE',
+    DECLINED: 'DECLINED',
+    CANCELLED: 'CANCELLED',
+    RELEASED: 'RELEASED' // Membro saiu ou grupo terminou
+};
+
+/**
+ * Status de uma votação do grupo
+ */
+const POLL_STATUS = {
+    OPEN: 'OPEN',
+    PASSED: 'PASSED',
+    REJECTED: 'REJECTED',
+    NO_QUORUM: 'NO_QUORUM', // Votaram menos membros do que o quórum exigido
+    CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Ações vinculativas executadas quando a votação é aprovada
+ */
+const POLL_ACTIONS = {
+    NONE: 'NONE', // Votação apenas consultiva
+    UPDATE_TERMS: 'UPDATE_TERMS', // Alterar valor, frequência, dia de pagamento ou participantes
+    REMOVE_MEMBER: 'REMOVE_MEMBER',
+    SWAP_ORDER: 'SWAP_ORDER' // Trocar a posição de dois membros na ordem
+};
+
+/**
+ * Regras de maioria: fração mínima dos votos na opção vencedora
+ * (SIMPLE exige mais de metade; as restantes, pelo menos a fração indicada)
+ */
+const POLL_MAJORITY_RULES = {
+    SIMPLE: { numerator: 1, denominator: 2, strict: true },
+    TWO_THIRDS: { numerator: 2, denominator: 3, strict: false },
+    UNANIMOUS: { numerator: 1, denominator: 1, strict: false }
+};
+
+/**
+ * Regras das votações vinculativas, fixadas pela plataforma
+ * (o quórum e a maioria enviados por quem abre a votação são ignorados)
+ */
+const BINDING_POLL_RULES = {
+    UPDATE_TERMS: { quorumPercent: 50, majorityRule: 'TWO_THIRDS' },
+    REMOVE_MEMBER: { quorumPercent: 50, majorityRule: 'TWO_THIRDS' },
+    SWAP_ORDER: { quorumPercent: 50, majorityRule: 'SIMPLE' }
+};
+
+/**
+ * Status de uma oferta de substituição (novo membro herda a posição de quem saiu)
+ */
+const REPLACEMENT_STATUS = {
+    PENDING: 'PENDING',
+    ACCEPTED: 'ACCEPTED',
+    DECLINED: 'DECLINED', // Recusada pelo convidado
+    CANCELLED: 'CANCELLED', // Retirada pelo admin
+    EXPIRED: 'EXPIRED'
+};
+
+/**
+ * Status de um envio automático do recebimento para um destino de saque
+ */
+const PAYOUT_STATUS = {
+    PENDING: 'PENDING',
+    PROCESSING: 'PROCESSING', // Enviado ao provedor; nunca é reenviado automaticamente
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED' // O valor fica na carteira
+};
+
+/**
+ * Status de entrada na lista de espera
+ */
+const WAITLIST_STATUS = {
+    WAITING: 'WAITING',
+    OFFERED: 'OFFERED', // Vaga oferecida, aguarda aceitação dentro do prazo
+    ACCEPTED: 'ACCEPTED',
+    DECLINED: 'DECLINED',
+    EXPIRED: 'EXPIRED',
+    CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Papéis dos membros dentro do grupo
+ */
+const GROUP_ROLES = {
+    ADMIN: 'ADMIN',
+    TREASURER: 'TREASURER',
+    MODERATOR: 'MODERATOR',
+    MEMBER: 'MEMBER'
+};
+
+/**
+ * Matriz de permissões por papel no grupo
+ */
+const GROUP_PERMISSIONS = {
+    MANAGE_GROUP: [GROUP_ROLES.ADMIN],
+    MANAGE_ROLES: [GROUP_ROLES.ADMIN],
+    RECORD_CASH_CONTRIBUTION: [GROUP_ROLES.ADMIN, GROUP_ROLES.TREASURER],
+    MODERATE_CHAT: [GROUP_ROLES.ADMIN, GROUP_ROLES.MODERATOR]
+};
+
+/**
+ * Status de grupo (ciclo de vida)
+ * DRAFT -> RECRUITING -> FULL -> RUNNING -> COMPLETED / CANCELLED
+ */
+const GROUP_STATUS = {
+    DRAFT: 'DRAFT',
+    RECRUITING: 'RECRUITING',
     FULL: 'FULL',
+    RUNNING: 'RUNNING',
     COMPLETED: 'COMPLETED',
     CANCELLED: 'CANCELLED'
 };
 
+/**
+ * Transições permitidas entre status de grupo
+ * (COMPLETED volta a RECRUITING/FULL/RUNNING ao renovar o grupo)
+ */
+const GROUP_STATUS_TRANSITIONS = {
+    DRAFT: ['RECRUITING', 'CANCELLED'],
+    RECRUITING: ['FULL', 'RUNNING', 'CANCELLED'],
+    FULL: ['RECRUITING', 'RUNNING', 'CANCELLED'],
+    RUNNING: ['COMPLETED', 'CANCELLED'],
+    COMPLETED: ['RECRUITING', 'FULL', 'RUNNING', 'CANCELLED'],
+    CANCELLED: []
+};
+
+/**
+ * Condições do grupo que não podem mudar depois de os ciclos começarem
+ */
+const GROUP_TERMS_FIELDS = ['cycleValue', 'frequency', 'paymentDay', 'maxParticipants'];
+
 /**
  * Status de ciclo de pagamento
  */
@@ -87,6 +298,74 @@ const CYCLE_STATUS = {
     CANCELLED: 'CANCELLED'
 };
 
+/**
+ * Status de contribuição de um membro no ciclo
+ */
+const CONTRIBUTION_STATUS = {
+    PENDING: 'PENDING',
+    PAID: 'PAID',
+    REFUNDED: 'REFUNDED',
+    CANCELLED: 'CANCELLED',
+    FAILED: 'FAILED'
+};
+
+/**
+ * Status do valor em custódia (escrow) de uma contribuição
+ */
+const ESCROW_STATUS = {
+    HELD: 'HELD',
+    RELEASED: 'RELEASED',
+    REFUNDED: 'REFUNDED'
+};
+
+/**
+ * Status de lance (grupos em modo leilão)
+ */
+const BID_STATUS = {
+    ACTIVE: 'ACTIVE',
+    WON: 'WON',
+    LOST: 'LOST',
+    WITHDRAWN: 'WITHDRAWN'
+};
+
+/**
+ * Status de pedido de troca de posição
+ */
+const SWAP_REQUEST_STATUS = {
+    PENDING: 'PENDING',
+    AWAITING_ADMIN: 'AWAITING_ADMIN',
+    COMPLETED: 'COMPLETED',
+    REJECTED: 'REJECTED',
+    CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Status de transferência de administração do grupo
+ */
+const ADMIN_TRANSFER_STATUS = {
+    PENDING: 'PENDING',
+    ACCEPTED: 'ACCEPTED',
+    DECLINED: 'DECLINED',
+    CANCELLED: 'CANCELLED',
+    EXPIRED: 'EXPIRED'
+};
+
+/**
+ * Status do sorteio da ordem de recebimento
+ */
+const DRAW_STATUS = {
+    COMMITTED: 'COMMITTED',
+    REVEALED: 'REVEALED',
+    CANCELLED: 'CANCELLED'
+};
+
+/**
+ * Algoritmos de sorteio suportados
+ */
+const DRAW_ALGORITHMS = {
+    SHA256_FISHER_YATES_V1: 'SHA256-FISHER-YATES-V1'
+};
+
 /**
  * Tipos de mensagem no chat
  */
@@ -151,6 +430,27 @@ const SYSTEM_LIMITS = {
     MAX_GROUP_PARTICIPANTS: 50,
     MAX_GROUPS_PER_USER: 10,
     MAX_GROUPS_CREATE_PER_HOUR: 5,
+    ADMIN_TRANSFER_EXPIRY_DAYS: 7,
+    GROUP_INVITE_DEFAULT_EXPIRY_HOURS: 72,
+    GROUP_INVITE_MAX_EXPIRY_HOURS: 720,
+    WAITLIST_OFFER_EXPIRY_HOURS: 24,
+    POLL_MIN_DURATION_HOURS: 1,
+    POLL_MAX_DURATION_DAYS: 30,
+    POLL_MAX_OPEN_PER_GROUP: 5,
+    REMOVAL_VOTE_DEFAULT_HOURS: 72,
+    REPLACEMENT_OFFER_EXPIRY_HOURS: 72,
+    MAX_PAYOUT_DESTINATIONS: 5,
+
+    // Fiadores
+    GUARANTOR_MAX_ACTIVE: 3,
+    GUARANTOR_MAX_EXPOSURE: 1000000, // KZ em responsabilidade ativa por fiador
+
+    // Débito automático
+    AUTO_PAY_MAX_ATTEMPTS: 3,
+    AUTO_PAY_RETRY_INTERVAL_HOURS: 4,
+
+    // Leilão
+    AUCTION_MAX_DISCOUNT_PERCENT: 30,
 
     // Chat
     MAX_MESSAGE_LENGTH: 1000,
@@ -216,6 +516,40 @@ const MONTHS = {
     12: 'Dezembro'
 };
 
+/**
+ * Calendário de vencimentos
+ */
+const CALENDAR = {
+    TIMEZONE: 'Africa/Luanda',
+    WEEKEND_DAYS: [0, 6] // Domingo e Sábado
+};
+
+/**
+ * Feriados nacionais de data fixa em Angola (Lei n.º 11/18)
+ * Carnaval e Sexta-feira Santa são calculados a partir da Páscoa
+ */
+const ANGOLA_HOLIDAYS = [
+    { month: 1, day: 1, name: 'Dia do Ano Novo' },
+    { month: 2, day: 4, name: 'Dia do Início da Luta Armada de Libertação Nacional' },
+    { month: 3, day: 8, name: 'Dia Internacional da Mulher' },
+    { month: 3, day: 23, name: 'Dia da Libertação da África Austral' },
+    { month: 4, day: 4, name: 'Dia da Paz e da Reconciliação Nacional' },
+    { month: 5, day: 1, name: 'Dia Internacional do Trabalhador' },
+    { month: 9, day: 17, name: 'Dia do Fundador da Nação e do Herói Nacional' },
+    { month: 11, day: 2, name: 'Dia dos Finados' },
+    { month: 11, day: 11, name: 'Dia da Independência Nacional' },
+    { month: 12, day: 25, name: 'Dia de Natal e da Família' }
+];
+
+/**
+ * Ajuste de vencimentos que caem em fim de semana ou feriado
+ */
+const BUSINESS_DAY_POLICIES = {
+    NONE: 'NONE', // Mantém a data
+    FORWARD: 'FORWARD', // Próximo dia útil
+    BACKWARD: 'BACKWARD' // Dia útil anterior
+};
+
 // =====================================================
 // MENSAGENS DO SISTEMA
 // =====================================================
@@ -428,8 +762,35 @@ module.exports = {
     TRANSACTION_STATUS,
     PAYMENT_METHODS,
     GROUP_FREQUENCIES,
+    GROUP_TYPES,
+    SAVINGS_DISTRIBUTION_REASONS,
+    GROUP_VISIBILITY,
+    JOIN_REQUEST_STATUS,
+    WAITLIST_STATUS,
+    POLL_STATUS,
+    POLL_ACTIONS,
+    POLL_MAJORITY_RULES,
+    BINDING_POLL_RULES,
+    REPLACEMENT_STATUS,
+    PAYOUT_STATUS,
+    LATE_FEE_TYPES,
+    LATE_FEE_DESTINATIONS,
+    PENALTY_FEE_STATUS,
+    RELIABILITY_LEVELS,
+    GUARANTEE_STATUS,
+    GROUP_ROLES,
+    GROUP_PERMISSIONS,
     GROUP_STATUS,
+    GROUP_STATUS_TRANSITIONS,
+    GROUP_TERMS_FIELDS,
     CYCLE_STATUS,
+    CONTRIBUTION_STATUS,
+    ESCROW_STATUS,
+    BID_STATUS,
+    SWAP_REQUEST_STATUS,
+    ADMIN_TRANSFER_STATUS,
+    DRAW_STATUS,
+    DRAW_ALGORITHMS,
     MESSAGE_TYPES,
     BONUS_TYPES,
     BONUS_STATUS,
@@ -442,6 +803,9 @@ module.exports = {
     // Datas
     WEEKDAYS,
     MONTHS,
+    CALENDAR,
+    ANGOLA_HOLIDAYS,
+    BUSINESS_DAY_POLICIES,
 
     // Mensagens
     ERROR_MESSAGES,
@@ -0,0 +1,29 @@
+// =====================================================
+// KIXIKILAHUB - EXPORTAÇÃO CSV
+// Células entre aspas e protegidas contra fórmulas de folha de cálculo
+// =====================================================
+
+/**
+ * Neutralizar fórmulas: nomes e descrições vêm dos membros e uma célula
+ * começada por =, +, -, @, tab ou CR seria executada pela folha de cálculo.
+ * Valores numéricos (incluindo os negativos) ficam como estão.
+ */
+const escapeCell = (cell) => {
+    const text = String(cell ?? '');
+
+    if (/^-?\d+(\.\d+)?$/.test(text)) {
+        return text;
+    }
+
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+};
+
+/**
+ * Linha CSV com todas as células entre aspas
+ */
+const toRow = (cells) => cells.map(cell => `"${escapeCell(cell).replace(/"/g, '""')}"`).join(',');
+
+module.exports = {
+    escapeCell,
+    toRow
+};
@@ -0,0 +1,107 @@
+// =====================================================
+// KIXIKILAHUB - GERADOR DE PDF
+// Documentos de texto em fonte monoespaçada, sem dependências externas
+// =====================================================
+
+// Página A4 em pontos
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 11;
+
+// Courier: cada carácter ocupa 0,6 do tamanho da fonte
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT) - 2;
+
+/**
+ * Escapar texto para uma string PDF (WinAnsi: o que não couber em latin-1 é substituído)
+ */
+const escapeText = (text) => String(text)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+/**
+ * Partir linhas mais largas do que a página
+ */
+const wrapLines = (lines) => {
+    const wrapped = [];
+
+    for (const line of lines) {
+        const { text, bold = false } = typeof line === 'string' ? { text: line } : line;
+        let rest = String(text);
+
+        do {
+            wrapped.push({ text: rest.substring(0, CHARS_PER_LINE), bold });
+            rest = rest.substring(CHARS_PER_LINE);
+        } while (rest.length > 0);
+    }
+
+    return wrapped;
+};
+
+/**
+ * Gerar um PDF com as linhas dadas, paginado automaticamente.
+ * Cada linha é uma string ou { text, bold }; o rodapé repete-se em todas as páginas.
+ */
+const buildTextPDF = (lines, { title = '', footer = '' } = {}) => {
+    const wrapped = wrapLines(lines);
+    const pages = [];
+
+    for (let i = 0; i < wrapped.length || pages.length === 0; i += LINES_PER_PAGE) {
+        pages.push(wrapped.slice(i, i + LINES_PER_PAGE));
+    }
+
+    // 1: catálogo, 2: árvore de páginas, 3-4: fontes, 5: informação; depois página + conteúdo
+    const objects = [];
+    const pageIds = pages.map((_, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${escapeText(title)}) /Producer (KixikilaHub) >>`;
+
+    pages.forEach((pageLines, index) => {
+        const pageId = pageIds[index];
+        const commands = pageLines.map((line, row) => {
+            const y = PAGE_HEIGHT - MARGIN - (row + 1) * LINE_HEIGHT;
+            return `BT /${line.bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf ${MARGIN} ${y} Td (${escapeText(line.text)}) Tj ET`;
+        });
+
+        const pageLabel = `Página ${index + 1} de ${pages.length}`;
+        commands.push(`BT /F1 ${FONT_SIZE} Tf ${MARGIN} ${MARGIN - LINE_HEIGHT} Td (${escapeText(footer)}) Tj ET`);
+        commands.push(
+            `BT /F1 ${FONT_SIZE} Tf ${PAGE_WIDTH - MARGIN - pageLabel.length * FONT_SIZE * 0.6} ${MARGIN - LINE_HEIGHT} Td (${escapeText(pageLabel)}) Tj ET`
+        );
+
+        const stream = commands.join('\n');
+
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // Corpo e tabela de referências (offsets em bytes, texto em latin-1)
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(body, 'latin1');
+        body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    body += offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+};
+
+module.exports = {
+    CHARS_PER_LINE,
+    buildTextPDF
+};
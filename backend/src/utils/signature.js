@@ -0,0 +1,27 @@
+// =====================================================
+// KIXIKILAHUB - ASSINATURA DIGITAL DE DOCUMENTOS
+// Recibos de pagamento e extratos de grupos
+// =====================================================
+
+const crypto = require('crypto');
+
+/**
+ * Gerar assinatura digital para recibo
+ */
+const generateReceiptSignature = (data) => {
+    const hash = crypto.createHash('sha256');
+    hash.update(data + process.env.JWT_SECRET);
+    return hash.digest('hex').substring(0, 16).toUpperCase();
+};
+
+/**
+ * Impressão digital (SHA-256) do conteúdo de um documento
+ */
+const hashDocument = (content) => {
+    return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+module.exports = {
+    generateReceiptSignature,
+    hashDocument
+};
@@ -0,0 +1,11 @@
+// =====================================================
+// KIXIKILAHUB - AMBIENTE DOS TESTES
+// Variáveis obrigatórias de src/config/env.js (os testes não usam o banco)
+// =====================================================
+
+process.env.NODE_ENV = 'test';
+process.env.PORT = process.env.PORT || '3000';
+process.env.DB_URL = process.env.DB_URL || 'postgres://localhost:5432/kixikilahub_test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+process.env.FEE_GROUP_PAYMENT_PERCENT = '2';
@@ -0,0 +1,99 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DO SERVIÇO DE CALENDÁRIO
+// =====================================================
+
+const calendarService = require('../../src/services/calendar.service');
+
+describe('calendarService', () => {
+
+    // =====================================================
+    // FERIADOS
+    // =====================================================
+
+    describe('feriados', () => {
+        it('calcula o Domingo de Páscoa', () => {
+            expect(calendarService.easterSunday(2024)).toBe('2024-03-31');
+            expect(calendarService.easterSunday(2025)).toBe('2025-04-20');
+            expect(calendarService.easterSunday(2026)).toBe('2026-04-05');
+        });
+
+        it('inclui os feriados móveis e a ponte do Carnaval à terça-feira', () => {
+            expect(calendarService.getHoliday('2026-02-17')).toBe('Carnaval');
+            expect(calendarService.getHoliday('2026-02-16')).toBe('Ponte - Carnaval');
+            expect(calendarService.getHoliday('2026-04-03')).toBe('Sexta-feira Santa');
+        });
+
+        it('goza na segunda-feira o feriado que cai ao domingo', () => {
+            expect(calendarService.getHoliday('2026-03-09')).toBe('Dia Internacional da Mulher (gozado)');
+        });
+
+        it('dá ponte na sexta-feira ao feriado de quinta-feira', () => {
+            expect(calendarService.getHoliday('2025-05-02')).toBe('Ponte - Dia Internacional do Trabalhador');
+        });
+
+        it('arquiva no próprio ano a ponte derivada do feriado do ano seguinte', () => {
+            // 1 de janeiro de 2030 é uma terça-feira
+            expect(calendarService.getHolidays(2029).get('2029-12-31')).toBe('Ponte - Dia do Ano Novo');
+            expect(calendarService.getHolidays(2030).has('2029-12-31')).toBe(false);
+            expect(calendarService.isBusinessDay('2029-12-31')).toBe(false);
+        });
+    });
+
+    // =====================================================
+    // DIAS ÚTEIS
+    // =====================================================
+
+    describe('dias úteis', () => {
+        it('ajusta fins de semana segundo a política', () => {
+            expect(calendarService.adjustToBusinessDay('2026-02-28', 'FORWARD')).toBe('2026-03-02');
+            expect(calendarService.adjustToBusinessDay('2026-02-28', 'BACKWARD')).toBe('2026-02-27');
+            expect(calendarService.adjustToBusinessDay('2026-02-28', 'NONE')).toBe('2026-02-28');
+        });
+
+        it('salta feriados e pontes', () => {
+            // Carnaval na terça-feira e ponte na segunda-feira
+            expect(calendarService.adjustToBusinessDay('2026-02-16')).toBe('2026-02-18');
+        });
+
+        it('soma dias úteis', () => {
+            expect(calendarService.addBusinessDays('2026-10-16', 1)).toBe('2026-10-19');
+            expect(calendarService.addBusinessDays('2026-10-17', 0)).toBe('2026-10-19');
+        });
+    });
+
+    // =====================================================
+    // VENCIMENTOS
+    // =====================================================
+
+    describe('firstPaymentDate', () => {
+        it('começa os grupos mensais no próximo dia de pagamento', () => {
+            expect(calendarService.firstPaymentDate('2026-10-19', 'MONTHLY', 5)).toBe('2026-11-05');
+            expect(calendarService.firstPaymentDate('2026-10-19', 'MONTHLY', 25)).toBe('2026-10-25');
+            expect(calendarService.firstPaymentDate('2026-10-19', 'MONTHLY', 19)).toBe('2026-10-19');
+        });
+
+        it('mantém o início nas outras frequências ou sem dia de pagamento', () => {
+            expect(calendarService.firstPaymentDate('2026-10-19', 'WEEKLY', 5)).toBe('2026-10-19');
+            expect(calendarService.firstPaymentDate('2026-10-19', 'MONTHLY', null)).toBe('2026-10-19');
+        });
+    });
+
+    describe('computeDueDate', () => {
+        it('limita o dia de pagamento ao último dia do mês', () => {
+            expect(calendarService.computeDueDate('2026-01-31', 'MONTHLY', 1, 31, 'NONE')).toBe('2026-02-28');
+            expect(calendarService.computeDueDate('2026-01-31', 'MONTHLY', 1, 31, 'FORWARD')).toBe('2026-03-02');
+            expect(calendarService.computeDueDate('2026-01-31', 'MONTHLY', 1, 31, 'BACKWARD')).toBe('2026-02-27');
+        });
+
+        it('avança os grupos semanais de sete em sete dias', () => {
+            // 2 de novembro é o Dia dos Finados
+            expect(calendarService.computeDueDate('2026-10-19', 'WEEKLY', 2, null, 'FORWARD')).toBe('2026-11-03');
+            expect(calendarService.computeDueDate('2026-10-19', 'WEEKLY', 3, null, 'FORWARD')).toBe('2026-11-09');
+        });
+
+        it('avança os grupos diários de dia útil em dia útil', () => {
+            expect(calendarService.computeDueDate('2026-10-16', 'DAILY', 1, null, 'FORWARD')).toBe('2026-10-19');
+            expect(calendarService.computeDueDate('2026-10-16', 'DAILY', 1, null, 'NONE')).toBe('2026-10-17');
+        });
+    });
+});
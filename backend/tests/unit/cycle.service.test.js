@@ -0,0 +1,235 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DO FUNDO DO GRUPO
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/payout.service', () => ({ routePayout: jest.fn() }));
+
+const database = require('../../src/config/database');
+const cycleService = require('../../src/services/cycle.service');
+const payoutService = require('../../src/services/payout.service');
+
+const fakeClient = (poolBalance, members) => ({
+    query: jest.fn(async (text) => {
+        if (text.includes('FROM groups')) {
+            return { rows: [{ pool_balance: poolBalance, current_round: 2 }] };
+        }
+        if (text.includes('FROM group_members')) {
+            return { rows: members.map(userId => ({ user_id: userId, available_balance: '0' })) };
+        }
+        return { rows: [] };
+    })
+});
+
+describe('cycleService.distributePool', () => {
+
+    it('reparte o fundo em partes iguais, com o resto para os membros mais antigos', async () => {
+        const client = fakeClient('1.00', ['u1', 'u2', 'u3']);
+
+        const shares = await cycleService.distributePool(client, 'g1');
+
+        expect(shares).toEqual([
+            { userId: 'u1', amount: 0.34 },
+            { userId: 'u2', amount: 0.33 },
+            { userId: 'u3', amount: 0.33 }
+        ]);
+        expect(client.query).toHaveBeenCalledWith(
+            'UPDATE groups SET pool_balance = pool_balance - $1 WHERE id = $2',
+            [1, 'g1']
+        );
+    });
+
+    it('não credita partes nulas quando o fundo tem menos cêntimos do que membros', async () => {
+        const client = fakeClient('0.02', ['u1', 'u2', 'u3']);
+
+        const shares = await cycleService.distributePool(client, 'g1');
+
+        expect(shares).toEqual([
+            { userId: 'u1', amount: 0.01 },
+            { userId: 'u2', amount: 0.01 }
+        ]);
+    });
+
+    it('não faz nada com o fundo vazio', async () => {
+        const client = fakeClient('0', ['u1']);
+
+        expect(await cycleService.distributePool(client, 'g1')).toEqual([]);
+        expect(client.query).toHaveBeenCalledTimes(1);
+    });
+});
+
+// =====================================================
+// CUSTÓDIA DAS CONTRIBUIÇÕES
+// =====================================================
+
+const cycleData = {
+    id: 'cy1',
+    group_id: 'g1',
+    group_name: 'Kixikila da Rua',
+    cycle_number: 3,
+    beneficiary_id: 'b1',
+    amount: '10000.00'
+};
+
+const escrowClient = ({ balance = '50000.00', outstanding = [], pool = {}, discount = '0' } = {}) => ({
+    query: jest.fn(async (text) => {
+        if (text.includes('INSERT INTO transactions')) return { rows: [{ id: 't1' }] };
+        if (text.includes('INSERT INTO cycle_contributions')) return { rows: [{ id: 'cc1' }] };
+        if (text.includes('SELECT available_balance FROM wallets')) return { rows: [{ available_balance: balance }] };
+        if (text.includes('FROM group_members')) return { rows: outstanding };
+        if (text.includes('SUM(amount)')) {
+            return { rows: [{ total: pool.total || '0', fees: pool.fees || '0', cash_total: pool.cash || '0' }] };
+        }
+        if (text.includes('SELECT discount_amount')) return { rows: [{ discount_amount: discount }] };
+        if (text.includes('FROM cycle_contributions cc')) {
+            return {
+                rows: [
+                    { id: 'r1', user_id: 'u1', amount: '10000.00', transaction_id: 't1', available_balance: '500.00' },
+                    { id: 'r2', user_id: 'f1', amount: '10000.00', transaction_id: 't2', available_balance: '0.00' }
+                ]
+            };
+        }
+        return { rows: [] };
+    })
+});
+
+const callsMatching = (client, fragment) => client.query.mock.calls.filter(([text]) => text.includes(fragment));
+
+describe('cycleService.recordContribution', () => {
+
+    it('bloqueia a contribuição em custódia sem completar o ciclo com membros em falta', async () => {
+        const client = escrowClient({ outstanding: [{ user_id: 'u2', user_name: 'Ana' }] });
+        const complete = jest.spyOn(cycleService, 'completeCycle');
+
+        const result = await cycleService.recordContribution(client, cycleData, 'u1');
+
+        expect(result).toMatchObject({ transactionId: 't1', contributionId: 'cc1', fee: 200, outstandingCount: 1, payoutTriggered: false });
+        const [lock] = callsMatching(client, 'locked_balance = locked_balance + $1');
+        expect(lock[1]).toEqual(['10000.00', 'u1']);
+        expect(complete).not.toHaveBeenCalled();
+        complete.mockRestore();
+    });
+
+    it('debita o fiador e regista a contribuição em nome do membro', async () => {
+        const client = escrowClient({ outstanding: [{ user_id: 'u2', user_name: 'Ana' }] });
+
+        await cycleService.recordContribution(client, cycleData, 'u1', { guarantorId: 'f1' });
+
+        const [wallet] = callsMatching(client, 'SELECT available_balance FROM wallets');
+        expect(wallet[1]).toEqual(['f1']);
+        const [lock] = callsMatching(client, 'locked_balance = locked_balance + $1');
+        expect(lock[1]).toEqual(['10000.00', 'f1']);
+        const [contribution] = callsMatching(client, 'INSERT INTO cycle_contributions');
+        expect(contribution[1]).toEqual(['cy1', 'g1', 'u1', '10000.00', 200, 't1', false, 'GUARANTOR', 'f1']);
+    });
+
+    it('recusa o pagamento com saldo insuficiente sem mexer na carteira', async () => {
+        const client = escrowClient({ balance: '9999.99' });
+
+        await expect(cycleService.recordContribution(client, cycleData, 'u1')).rejects.toThrow('Saldo insuficiente');
+        expect(callsMatching(client, 'UPDATE wallets')).toHaveLength(0);
+    });
+
+    it('completa o ciclo quando o último membro paga', async () => {
+        const client = escrowClient();
+        const complete = jest.spyOn(cycleService, 'completeCycle').mockResolvedValue();
+
+        const result = await cycleService.recordContribution(client, cycleData, 'u1');
+
+        expect(result.payoutTriggered).toBe(true);
+        expect(complete).toHaveBeenCalledWith(client, cycleData);
+        complete.mockRestore();
+    });
+});
+
+describe('cycleService.completeCycle', () => {
+
+    it('liberta a custódia e credita ao beneficiário o total sem taxas nem dinheiro', async () => {
+        const client = escrowClient({ pool: { total: '20000.00', fees: '400.00', cash: '10000.00' } });
+        const finish = jest.spyOn(cycleService, 'completeGroupIfFinished').mockResolvedValue();
+
+        await cycleService.completeCycle(client, cycleData);
+
+        expect(callsMatching(client, 'locked_balance = w.locked_balance - cc.amount')).toHaveLength(1);
+        expect(callsMatching(client, "SET escrow_status = 'RELEASED'")).toHaveLength(1);
+        const [credit] = callsMatching(client, 'SET available_balance = available_balance + $1');
+        expect(credit[1]).toEqual([19600, 'b1']);
+        expect(payoutService.routePayout).toHaveBeenCalledWith(client, cycleData, 19600);
+        expect(finish).toHaveBeenCalledWith(client, 'g1');
+        finish.mockRestore();
+    });
+});
+
+describe('cycleService.refundEscrow', () => {
+
+    it('devolve a cada pagador, membro ou fiador, o valor em custódia', async () => {
+        const client = escrowClient();
+
+        const result = await cycleService.refundEscrow(client, cycleData, 'Grupo cancelado');
+
+        expect(result).toEqual({ refundedCount: 2, totalRefunded: 20000, refundedUserIds: ['u1', 'f1'] });
+        const unlocks = callsMatching(client, 'locked_balance = locked_balance - $1');
+        expect(unlocks.map(([, params]) => params)).toEqual([[10000, 'u1'], [10000, 'f1']]);
+        expect(callsMatching(client, "SET status = 'REFUNDED'")).toHaveLength(2);
+    });
+});
+
+// =====================================================
+// DÉBITO AUTOMÁTICO
+// =====================================================
+
+describe('cycleService.registerAutoPayFailure', () => {
+
+    afterEach(() => database.query.mockReset());
+
+    it('agenda nova tentativa enquanto houver tentativas disponíveis', async () => {
+        database.query.mockResolvedValueOnce({ rows: [{ id: 'cc1', auto_pay_attempts: 1 }] });
+
+        const result = await cycleService.registerAutoPayFailure(cycleData, 'u1', 'Saldo insuficiente');
+
+        expect(result).toEqual({ attempts: 1, exhausted: false, maxAttempts: 3 });
+        expect(database.query).toHaveBeenCalledTimes(1);
+        expect(database.query.mock.calls[0][1]).toEqual(['cy1', 'g1', 'u1', '10000.00', 4, 'Saldo insuficiente']);
+    });
+
+    it('marca a contribuição como FAILED ao esgotar as tentativas', async () => {
+        database.query
+            .mockResolvedValueOnce({ rows: [{ id: 'cc1', auto_pay_attempts: 3 }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const result = await cycleService.registerAutoPayFailure(cycleData, 'u1', 'Saldo insuficiente');
+
+        expect(result.exhausted).toBe(true);
+        const [text, params] = database.query.mock.calls[1];
+        expect(text).toContain("SET status = 'FAILED', next_retry_at = NULL");
+        expect(params).toEqual(['cc1']);
+    });
+});
+
+describe('cycleService.attemptAutoPayment', () => {
+
+    afterEach(() => database.transaction.mockReset());
+
+    it('regista a contribuição como débito automático', async () => {
+        const client = { query: jest.fn(async () => ({ rows: [{ ...cycleData }] })) };
+        database.transaction.mockImplementation(async (callback) => callback(client));
+        const record = jest.spyOn(cycleService, 'recordContribution').mockResolvedValue({ contributionId: 'cc1' });
+
+        const result = await cycleService.attemptAutoPayment('cy1', 'u1');
+
+        expect(record).toHaveBeenCalledWith(client, expect.objectContaining({ id: 'cy1' }), 'u1', { autoPay: true });
+        expect(result).toEqual({ contributionId: 'cc1', groupId: 'g1', groupName: 'Kixikila da Rua' });
+        record.mockRestore();
+    });
+
+    it('não debita quando o ciclo já não está pendente', async () => {
+        const client = { query: jest.fn(async () => ({ rows: [] })) };
+        database.transaction.mockImplementation(async (callback) => callback(client));
+        const record = jest.spyOn(cycleService, 'recordContribution');
+
+        expect(await cycleService.attemptAutoPayment('cy1', 'u1')).toBeNull();
+        expect(record).not.toHaveBeenCalled();
+        record.mockRestore();
+    });
+});
@@ -0,0 +1,68 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DO SORTEIO
+// =====================================================
+
+const drawService = require('../../src/services/draw.service');
+
+const participants = ['c3', 'a1', 'e5', 'b2', 'd4'];
+
+describe('drawService', () => {
+
+    it('reproduz a mesma ordem a partir da mesma semente, qualquer que seja a ordem de entrada', () => {
+        const order = drawService.shuffle(participants, 'semente');
+
+        expect(drawService.shuffle([...participants].reverse(), 'semente')).toEqual(order);
+        expect([...order].sort()).toEqual([...participants].sort());
+    });
+
+    it('não altera a lista recebida', () => {
+        const input = [...participants];
+
+        drawService.shuffle(input, 'semente');
+
+        expect(input).toEqual(participants);
+    });
+
+    it('muda a ordem com outra semente', () => {
+        const orders = new Set(['s1', 's2', 's3', 's4', 's5'].map(seed => drawService.shuffle(participants, seed).join()));
+
+        expect(orders.size).toBeGreaterThan(1);
+    });
+
+    it('devolve índices dentro do intervalo', () => {
+        const state = { counter: 0 };
+
+        for (let i = 0; i < 50; i++) {
+            const index = drawService.randomIndex('semente', state, 7);
+            expect(index).toBeGreaterThanOrEqual(0);
+            expect(index).toBeLessThan(7);
+        }
+
+        expect(state.counter).toBeGreaterThanOrEqual(50);
+    });
+
+    describe('verify', () => {
+        const seed = drawService.generateSeed();
+        const seedHash = drawService.hashSeed(seed);
+        const resultOrder = drawService.shuffle(participants, seed);
+
+        it('confirma um sorteio correto', () => {
+            expect(drawService.verify({ seed, seedHash, participants, resultOrder }))
+                .toEqual({ seedMatchesCommitment: true, orderMatchesSeed: true });
+        });
+
+        it('deteta semente ou ordem adulteradas', () => {
+            const tampered = [...resultOrder].reverse();
+
+            expect(drawService.verify({ seed, seedHash: drawService.hashSeed('outra'), participants, resultOrder }))
+                .toEqual({ seedMatchesCommitment: false, orderMatchesSeed: true });
+            expect(drawService.verify({ seed, seedHash, participants, resultOrder: tampered }))
+                .toEqual({ seedMatchesCommitment: true, orderMatchesSeed: false });
+        });
+
+        it('não verifica antes da revelação', () => {
+            expect(drawService.verify({ seed: null, seedHash, participants, resultOrder }))
+                .toEqual({ seedMatchesCommitment: null, orderMatchesSeed: null });
+        });
+    });
+});
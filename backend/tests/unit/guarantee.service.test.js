@@ -0,0 +1,86 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DAS FIANÇAS
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/cycle.service', () => ({ recordContribution: jest.fn() }));
+
+const database = require('../../src/config/database');
+const cycleService = require('../../src/services/cycle.service');
+const guaranteeService = require('../../src/services/guarantee.service');
+
+const row = { group_id: 'g1', cycle_id: 'cy1', user_id: 'u1' };
+
+const fakeClient = ({ guarantee = { amount_covered: '0.00' }, cycle = true } = {}) => ({
+    query: jest.fn(async (text) => {
+        if (text.includes('FROM group_guarantees')) {
+            return guarantee
+                ? { rows: [{ id: 'gu1', guarantor_id: 'f1', liability_limit: '40000.00', ...guarantee }] }
+                : { rows: [] };
+        }
+        if (text.includes('FROM payment_cycles')) {
+            return cycle ? { rows: [{ id: 'cy1', group_id: 'g1', amount: '10000.00' }] } : { rows: [] };
+        }
+        return { rows: [] };
+    })
+});
+
+describe('guaranteeService.calculateLiabilityLimit', () => {
+
+    it('cobre todas as contribuições do membro no grupo', () => {
+        expect(guaranteeService.calculateLiabilityLimit({ cycle_value: '10000.00', max_participants: 5 })).toBe(40000);
+        expect(guaranteeService.calculateLiabilityLimit({ cycle_value: '10000.00', max_participants: 1 })).toBe(10000);
+    });
+});
+
+describe('guaranteeService.assertCanGuarantee', () => {
+
+    const exposureClient = (activeCount, exposure) => ({
+        query: jest.fn(async () => ({ rows: [{ active_count: String(activeCount), exposure: String(exposure) }] }))
+    });
+
+    it('aceita a fiança dentro dos limites', async () => {
+        await expect(guaranteeService.assertCanGuarantee(exposureClient(2, 900000), 'f1', 100000)).resolves.toBeUndefined();
+    });
+
+    it('recusa acima do número de fianças ativas ou da exposição máxima', async () => {
+        await expect(guaranteeService.assertCanGuarantee(exposureClient(3, 0), 'f1', 1000)).rejects.toThrow('máximo de 3 fianças');
+        await expect(guaranteeService.assertCanGuarantee(exposureClient(1, 900000), 'f1', 100001)).rejects.toThrow('exposição máxima');
+    });
+});
+
+describe('guaranteeService.callGuarantee', () => {
+
+    beforeEach(() => cycleService.recordContribution.mockReset());
+    afterEach(() => database.transaction.mockReset());
+
+    const run = async (client) => {
+        database.transaction.mockImplementation(async (callback) => callback(client));
+        return guaranteeService.callGuarantee(row);
+    };
+
+    it('debita ao fiador a contribuição em falta e acumula o valor coberto', async () => {
+        const client = fakeClient({ guarantee: { amount_covered: '10000.00' } });
+        cycleService.recordContribution.mockResolvedValue({ transactionId: 't1', contributionId: 'cc1' });
+
+        const result = await run(client);
+
+        expect(cycleService.recordContribution).toHaveBeenCalledWith(client, expect.objectContaining({ id: 'cy1' }), 'u1', { guarantorId: 'f1' });
+        expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET amount_covered = amount_covered + $1'), [10000, 'gu1']);
+        expect(result).toMatchObject({ guaranteeId: 'gu1', guarantorId: 'f1', amountCovered: 20000, liabilityLimit: 40000 });
+    });
+
+    it('recusa cobrir além do limite de responsabilidade', async () => {
+        const client = fakeClient({ guarantee: { amount_covered: '30000.01' } });
+
+        await expect(run(client)).rejects.toThrow('Limite de responsabilidade');
+        expect(cycleService.recordContribution).not.toHaveBeenCalled();
+    });
+
+    it('não faz nada sem fiança ativa ou com o ciclo já fechado', async () => {
+        expect(await run(fakeClient({ guarantee: null }))).toBeNull();
+        expect(await run(fakeClient({ cycle: false }))).toBeNull();
+        expect(cycleService.recordContribution).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,129 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DOS RECEBIMENTOS
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/modules/payments/payment.service', () => ({ processWithdrawal: jest.fn() }));
+
+const database = require('../../src/config/database');
+const paymentService = require('../../src/modules/payments/payment.service');
+const payoutService = require('../../src/services/payout.service');
+
+const cycleData = { id: 'cy1', group_id: 'g1', beneficiary_id: 'b1' };
+
+const pendingPayout = {
+    id: 'po1',
+    cycle_id: 'cy1',
+    group_id: 'g1',
+    user_id: 'b1',
+    method: 'MULTICAIXA',
+    destination_details: { phone: '923000000' },
+    amount: '6000.00',
+    fee: '60.00',
+    cycle_number: 2,
+    group_name: 'Kixikila da Rua'
+};
+
+const fakeClient = ({ allocations = [], payout = pendingPayout } = {}) => ({
+    query: jest.fn(async (text) => {
+        if (text.includes('FROM group_payout_allocations')) return { rows: allocations };
+        if (text.includes('INSERT INTO cycle_payouts')) return { rows: [{ id: 'po1' }] };
+        if (text.includes('INSERT INTO transactions')) return { rows: [{ id: 't1' }] };
+        if (text.includes('FROM wallets')) return { rows: [{ available_balance: '100.00' }] };
+        if (text.includes('FROM cycle_payouts cp')) return { rows: payout ? [payout] : [] };
+        return { rows: [] };
+    })
+});
+
+const callsMatching = (client, fragment) => client.query.mock.calls.filter(([text]) => text.includes(fragment));
+
+describe('payoutService.routePayout', () => {
+
+    it('bloqueia a parte de cada destino e deixa o resto e os cêntimos na carteira', async () => {
+        const client = fakeClient({
+            allocations: [
+                { destination_id: 'd1', percent: 60, method: 'MULTICAIXA', destination_details: {} },
+                { destination_id: 'd2', percent: 33, method: 'IBAN', destination_details: {} }
+            ]
+        });
+
+        const payouts = await payoutService.routePayout(client, cycleData, 9800.05);
+
+        expect(payouts.map(p => p.amount)).toEqual([5880.03, 3234.01]);
+        const locks = callsMatching(client, 'locked_balance = locked_balance + $1').map(([, params]) => params);
+        expect(locks).toEqual([[5880.03, 'b1'], [3234.01, 'b1']]);
+        const [insert] = callsMatching(client, 'INSERT INTO cycle_payouts');
+        expect(insert[1].slice(6)).toEqual([5880.03, 58.8]);
+    });
+
+    it('não encaminha nada sem repartição', async () => {
+        const client = fakeClient();
+
+        expect(await payoutService.routePayout(client, cycleData, 9800)).toEqual([]);
+        expect(client.query).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('payoutService.setAllocations', () => {
+
+    it('recusa percentagens acima de 100%', async () => {
+        const client = fakeClient();
+
+        await expect(payoutService.setAllocations(client, 'g1', 'b1', [
+            { destinationId: 'd1', percent: 60 },
+            { destinationId: 'd2', percent: 41 }
+        ])).rejects.toThrow('100%');
+        expect(client.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('payoutService.sendPayout', () => {
+
+    let clients;
+
+    beforeEach(() => {
+        clients = [];
+        database.transaction.mockImplementation(async (callback) => {
+            const client = fakeClient();
+            clients.push(client);
+            return callback(client);
+        });
+        paymentService.processWithdrawal.mockReset();
+    });
+
+    afterEach(() => database.transaction.mockReset());
+
+    it('marca o envio como PROCESSING antes de chamar o provedor e regista o saque', async () => {
+        paymentService.processWithdrawal.mockImplementation(async () => {
+            expect(callsMatching(clients[0], "SET status = 'PROCESSING'")).toHaveLength(1);
+            return { success: true, reference: 'ref1' };
+        });
+
+        const result = await payoutService.sendPayout('po1');
+
+        expect(paymentService.processWithdrawal).toHaveBeenCalledWith(expect.objectContaining({ amount: 5940, userId: 'b1' }));
+        expect(result).toMatchObject({ status: 'COMPLETED', netAmount: 5940, transactionId: 't1' });
+        const [unlock] = callsMatching(clients[1], 'locked_balance = locked_balance - $1');
+        expect(unlock[1]).toEqual([6000, 5940, 60, 'b1']);
+        expect(callsMatching(clients[1], "SET status = 'COMPLETED'")).toHaveLength(1);
+    });
+
+    it('devolve o valor à carteira quando o provedor falha ou lança erro', async () => {
+        paymentService.processWithdrawal.mockRejectedValue(new Error('Timeout do provedor'));
+
+        const result = await payoutService.sendPayout('po1');
+
+        expect(result).toMatchObject({ status: 'FAILED', reason: 'Timeout do provedor' });
+        const [refund] = callsMatching(clients[1], 'available_balance = available_balance + $1');
+        expect(refund[1]).toEqual([6000, 'b1']);
+        expect(callsMatching(clients[1], 'INSERT INTO withdrawals')).toHaveLength(0);
+    });
+
+    it('não envia duas vezes um envio que já não está pendente', async () => {
+        database.transaction.mockImplementation(async (callback) => callback(fakeClient({ payout: null })));
+
+        expect(await payoutService.sendPayout('po1')).toBeNull();
+        expect(paymentService.processWithdrawal).not.toHaveBeenCalled();
+    });
+});
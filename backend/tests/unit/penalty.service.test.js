@@ -0,0 +1,130 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DAS PENALIDADES
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const database = require('../../src/config/database');
+const penaltyService = require('../../src/services/penalty.service');
+
+const penalty = {
+    id: 'p1',
+    group_id: 'g1',
+    cycle_id: 'cy1',
+    user_id: 'u1',
+    beneficiary_id: 'b1',
+    fee_amount: '500.00',
+    fee_destination: 'BENEFICIARY'
+};
+
+const fakeClient = ({ balances = { u1: '1000.00', b1: '0.00' }, rules = {}, member = {}, inserted = true } = {}) => ({
+    query: jest.fn(async (text, params) => {
+        if (text.includes('INSERT INTO transactions')) return { rows: [{ id: 't1' }] };
+        if (text.includes('FROM wallets')) return { rows: [{ available_balance: balances[params[0]] }] };
+        if (text.includes('FROM groups')) {
+            return {
+                rows: [{
+                    late_fee_type: 'FIXED',
+                    late_fee_value: '500',
+                    late_fee_destination: 'BENEFICIARY',
+                    suspension_threshold: 3,
+                    ...rules
+                }]
+            };
+        }
+        if (text.includes('INSERT INTO member_penalties')) {
+            return { rows: inserted ? [{ ...penalty, fee_amount: params[5], fee_destination: params[6] }] : [] };
+        }
+        if (text.includes('RETURNING missed_count')) {
+            return { rows: [{ missed_count: 1, is_suspended: false, ...member }] };
+        }
+        return { rows: [] };
+    })
+});
+
+const callsMatching = (client, fragment) => client.query.mock.calls.filter(([text]) => text.includes(fragment));
+
+const lateRow = { group_id: 'g1', cycle_id: 'cy1', cycle_number: 2, amount: '10000.00', user_id: 'u1', beneficiary_id: 'b1', days_late: 4 };
+
+describe('penaltyService.calculateLateFee', () => {
+
+    it('calcula multas fixas e percentuais ao cêntimo', () => {
+        expect(penaltyService.calculateLateFee({ late_fee_type: 'FIXED', late_fee_value: '250.555' }, '10000')).toBe(250.56);
+        expect(penaltyService.calculateLateFee({ late_fee_type: 'PERCENTAGE', late_fee_value: '2.5' }, '3333.33')).toBe(83.33);
+        expect(penaltyService.calculateLateFee({ late_fee_type: 'NONE', late_fee_value: '10' }, '10000')).toBe(0);
+    });
+});
+
+describe('penaltyService.chargeFee', () => {
+
+    it('transfere a multa do membro para o beneficiário', async () => {
+        const client = fakeClient();
+
+        expect(await penaltyService.chargeFee(client, penalty, 2)).toBe(true);
+
+        const moves = callsMatching(client, 'UPDATE wallets').map(([, params]) => params);
+        expect(moves).toEqual([[500, 'u1'], [500, 'b1']]);
+        expect(callsMatching(client, 'pool_balance')).toHaveLength(0);
+    });
+
+    it('entrega a multa ao fundo do grupo', async () => {
+        const client = fakeClient();
+
+        await penaltyService.chargeFee(client, { ...penalty, fee_destination: 'GROUP_POOL' }, 2);
+
+        const [pool] = callsMatching(client, 'pool_balance = pool_balance + $1');
+        expect(pool[1]).toEqual([500, 'g1']);
+        expect(callsMatching(client, 'UPDATE wallets')).toHaveLength(1);
+    });
+
+    it('deixa a multa pendente sem alterar nada quando o saldo não chega', async () => {
+        const client = fakeClient({ balances: { u1: '499.99' } });
+
+        expect(await penaltyService.chargeFee(client, penalty, 2)).toBe(false);
+        expect(client.query).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('penaltyService.applyLatePenalty', () => {
+
+    afterEach(() => database.transaction.mockReset());
+
+    const run = async (client) => {
+        database.transaction.mockImplementation(async (callback) => callback(client));
+        return penaltyService.applyLatePenalty(lateRow);
+    };
+
+    it('regista o atraso e cobra a multa de imediato', async () => {
+        const client = fakeClient();
+
+        const result = await run(client);
+
+        expect(result).toEqual({ penaltyId: 'p1', feeAmount: 500, feeStatus: 'PAID', missedCount: 1, suspended: false });
+    });
+
+    it('suspende o membro ao atingir o limite de faltas, com a multa pendente sem saldo', async () => {
+        const client = fakeClient({ balances: { u1: '0.00' }, member: { missed_count: 3 } });
+
+        const result = await run(client);
+
+        expect(result).toMatchObject({ feeStatus: 'OUTSTANDING', missedCount: 3, suspended: true });
+        expect(callsMatching(client, 'SET is_suspended = true')).toHaveLength(1);
+    });
+
+    it('regista o atraso sem multa quando o grupo não a define', async () => {
+        const client = fakeClient({ rules: { late_fee_type: 'NONE' } });
+
+        const result = await run(client);
+
+        expect(result).toMatchObject({ feeAmount: 0, feeStatus: 'NONE' });
+        expect(callsMatching(client, 'FROM wallets')).toHaveLength(0);
+    });
+
+    it('é idempotente por membro e ciclo', async () => {
+        const client = fakeClient({ inserted: false });
+
+        expect(await run(client)).toBeNull();
+        expect(callsMatching(client, 'UPDATE group_members')).toHaveLength(0);
+    });
+});
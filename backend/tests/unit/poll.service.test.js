@@ -0,0 +1,96 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DO APURAMENTO DAS VOTAÇÕES
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/lifecycle.service', () => ({}));
+jest.mock('../../src/services/membership.service', () => ({}));
+jest.mock('../../src/services/order.service', () => ({}));
+jest.mock('../../src/services/waitlist.service', () => ({}));
+
+const pollService = require('../../src/services/poll.service');
+
+/**
+ * Resultados no formato de getResults: votos por opção, pela posição
+ */
+const results = (...votes) => ({
+    votesCount: votes.reduce((sum, v) => sum + v, 0),
+    options: votes.map((count, index) => ({ optionId: `opt-${index + 1}`, position: index + 1, votes: count }))
+});
+
+const advisory = (quorumPercent, majorityRule) => ({
+    action_type: 'NONE',
+    quorum_percent: quorumPercent,
+    majority_rule: majorityRule
+});
+
+describe('pollService.tally', () => {
+
+    describe('votações consultivas', () => {
+        it('exige o quórum sobre os membros com direito de voto', () => {
+            expect(pollService.tally(advisory(50, 'SIMPLE'), results(2, 0), 5).status).toBe('NO_QUORUM');
+            expect(pollService.tally(advisory(50, 'SIMPLE'), results(3, 0), 6)).toEqual({
+                status: 'PASSED',
+                winningOptionId: 'opt-1'
+            });
+        });
+
+        it('não apura sem votos, mesmo com quórum 0', () => {
+            expect(pollService.tally(advisory(0, 'SIMPLE'), results(0, 0), 5).status).toBe('NO_QUORUM');
+        });
+
+        it('rejeita empates', () => {
+            expect(pollService.tally(advisory(0, 'SIMPLE'), results(2, 2, 1), 5)).toEqual({
+                status: 'REJECTED',
+                winningOptionId: null
+            });
+        });
+
+        it('aplica a maioria escolhida', () => {
+            // 3 de 5 votos: maioria simples, mas não de dois terços
+            expect(pollService.tally(advisory(0, 'SIMPLE'), results(3, 2), 5).status).toBe('PASSED');
+            expect(pollService.tally(advisory(0, 'TWO_THIRDS'), results(3, 2), 5).status).toBe('REJECTED');
+            expect(pollService.tally(advisory(0, 'TWO_THIRDS'), results(4, 2), 6).status).toBe('PASSED');
+            expect(pollService.tally(advisory(0, 'UNANIMOUS'), results(4, 1), 5).status).toBe('REJECTED');
+        });
+
+        it('aprova a opção vencedora mesmo que não seja a primeira', () => {
+            expect(pollService.tally(advisory(0, 'SIMPLE'), results(1, 3), 4)).toEqual({
+                status: 'PASSED',
+                winningOptionId: 'opt-2'
+            });
+        });
+    });
+
+    describe('votações vinculativas', () => {
+        // Regras escolhidas por quem abriu: ignoradas nas vinculativas
+        const removal = { action_type: 'REMOVE_MEMBER', quorum_percent: 0, majority_rule: 'SIMPLE' };
+        const swap = { action_type: 'SWAP_ORDER', quorum_percent: 100, majority_rule: 'UNANIMOUS' };
+
+        it('usa o quórum mínimo do servidor', () => {
+            expect(pollService.tally(removal, results(3, 0), 10).status).toBe('NO_QUORUM');
+            expect(pollService.tally(removal, results(5, 0), 10).status).toBe('PASSED');
+        });
+
+        it('usa a maioria do servidor', () => {
+            // 4 de 7: maioria simples, mas a remoção exige dois terços
+            expect(pollService.tally(removal, results(4, 3), 10).status).toBe('REJECTED');
+            expect(pollService.tally(swap, results(4, 3), 10).status).toBe('PASSED');
+        });
+
+        it('só aprova se vencer o "Sim"', () => {
+            expect(pollService.tally(removal, results(1, 5), 6)).toEqual({
+                status: 'REJECTED',
+                winningOptionId: 'opt-2'
+            });
+        });
+    });
+
+    describe('rulesFor', () => {
+        it('fixa as regras das vinculativas e respeita as das consultivas', () => {
+            expect(pollService.rulesFor('UPDATE_TERMS', 0, 'SIMPLE')).toEqual({ quorumPercent: 50, majorityRule: 'TWO_THIRDS' });
+            expect(pollService.rulesFor('NONE', 0, 'SIMPLE')).toEqual({ quorumPercent: 0, majorityRule: 'SIMPLE' });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DA SUBSTITUIÇÃO DE MEMBROS
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/cycle.service', () => ({ recordContribution: jest.fn() }));
+jest.mock('../../src/services/schedule.service', () => ({ rescheduleGroup: jest.fn() }));
+
+const cycleService = require('../../src/services/cycle.service');
+const scheduleService = require('../../src/services/schedule.service');
+const replacementService = require('../../src/services/replacement.service');
+
+const groupData = { id: 'g1', name: 'Kixikila da Rua', requires_guarantor: false };
+const offer = { id: 'r1', user_id: 'n1', departed_user_id: 'd1', position: 4 };
+
+const cycles = [
+    { id: 'cy1', cycle_number: 1, amount: '3333.33', status: 'PAID', beneficiary_id: 'b1' },
+    { id: 'cy2', cycle_number: 2, amount: '3333.34', status: 'PAID', beneficiary_id: 'b2' },
+    { id: 'cy3', cycle_number: 3, amount: '3333.33', status: 'PENDING', beneficiary_id: 'b3' }
+];
+
+const fakeClient = ({ balance = '20000.00', limit = null } = {}) => ({
+    query: jest.fn(async (text, params) => {
+        if (text.includes('INSERT INTO transactions')) return { rows: [{ id: 't1' }] };
+        if (text.includes('FROM wallets')) return { rows: [{ available_balance: params[0] === 'n1' ? balance : '0.00' }] };
+        if (text.includes('FROM daily_limits')) return { rows: limit ? [limit] : [] };
+        if (text.includes('pc.auction_closed_at IS NOT NULL')) return { rows: cycles };
+        if (text.includes('FROM payment_cycles pc')) return { rows: [{ id: params[0], group_name: 'Kixikila da Rua' }] };
+        return { rows: [] };
+    })
+});
+
+const callsMatching = (client, fragment) => client.query.mock.calls.filter(([text]) => text.includes(fragment));
+
+describe('replacementService.computeCatchUp', () => {
+
+    it('separa os ciclos pagos dos ciclos em curso e soma ao cêntimo', async () => {
+        const catchUp = await replacementService.computeCatchUp(fakeClient(), 'g1', 'd1');
+
+        expect(catchUp.missedCycles.map(c => c.cycleNumber)).toEqual([1, 2]);
+        expect(catchUp.inProgressCycles.map(c => c.cycleNumber)).toEqual([3]);
+        expect(catchUp).toMatchObject({ missedTotal: 6666.67, inProgressTotal: 3333.33, total: 10000 });
+    });
+});
+
+describe('replacementService.assertWithinDailyLimit', () => {
+
+    it('usa o limite por omissão quando o membro não tem registo', async () => {
+        await expect(replacementService.assertWithinDailyLimit(fakeClient(), 'n1', 100000)).resolves.toBeUndefined();
+        await expect(replacementService.assertWithinDailyLimit(fakeClient(), 'n1', 100000.01)).rejects.toThrow('Limite diário');
+    });
+
+    it('recusa o atraso acima do disponível hoje', async () => {
+        const client = fakeClient({ limit: { withdrawal_limit: '50000.00', used_today: '45000.00' } });
+
+        await expect(replacementService.assertWithinDailyLimit(client, 'n1', 5000.01)).rejects.toThrow('Disponível: 5000 KZ');
+    });
+});
+
+describe('replacementService.accept', () => {
+
+    beforeEach(() => {
+        jest.spyOn(replacementService, 'findVacantSlot').mockResolvedValue({ position: 4 });
+        jest.spyOn(replacementService, 'assertCandidate').mockResolvedValue();
+        cycleService.recordContribution.mockReset();
+        scheduleService.rescheduleGroup.mockResolvedValue([]);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('debita o atraso uma vez, credita cada beneficiário e paga os ciclos em curso em custódia', async () => {
+        const client = fakeClient();
+
+        const { catchUp } = await replacementService.accept(client, groupData, offer);
+
+        expect(catchUp.total).toBe(10000);
+        const [debit] = callsMatching(client, 'available_balance = available_balance - $1');
+        expect(debit[1]).toEqual([6666.67, 'n1']);
+        const credits = callsMatching(client, 'available_balance = available_balance + $1').map(([, params]) => params);
+        expect(credits).toEqual([[3333.33, 'b1'], [3333.34, 'b2']]);
+        expect(callsMatching(client, 'INSERT INTO cycle_contributions')).toHaveLength(2);
+        expect(cycleService.recordContribution).toHaveBeenCalledWith(client, expect.objectContaining({ id: 'cy3' }), 'n1');
+        const [accepted] = callsMatching(client, "SET status = 'ACCEPTED'");
+        expect(accepted[1]).toEqual([10000, 't1', 'r1']);
+    });
+
+    it('recusa sem saldo para o atraso completo', async () => {
+        const client = fakeClient({ balance: '9999.99' });
+
+        await expect(replacementService.accept(client, groupData, offer)).rejects.toThrow('Saldo insuficiente');
+        expect(callsMatching(client, 'INSERT INTO group_members')).toHaveLength(0);
+    });
+
+    it('recusa o atraso acima do limite diário antes de entrar no grupo', async () => {
+        const client = fakeClient({ limit: { withdrawal_limit: '10000.00', used_today: '0.01' } });
+
+        await expect(replacementService.accept(client, groupData, offer)).rejects.toThrow('Limite diário');
+        expect(callsMatching(client, 'INSERT INTO group_members')).toHaveLength(0);
+        expect(cycleService.recordContribution).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,84 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DO EXTRATO DE TESOURARIA
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/settlement.service', () => ({}));
+
+const reportService = require('../../src/services/report.service');
+const { escapeCell, toRow } = require('../../src/utils/csv');
+const { generateReceiptSignature, hashDocument } = require('../../src/utils/signature');
+
+const report = {
+    group: {
+        id: '1a2b3c4d-0000-4000-8000-000000000000',
+        name: '=HYPERLINK("http://x")',
+        type: 'STANDARD',
+        status: 'RUNNING',
+        frequency: 'MONTHLY',
+        cycleValue: 10000,
+        currentRound: 1,
+        poolBalance: 0,
+        admin: 'Ana',
+        createdAt: '2026-09-01T10:00:00.000Z'
+    },
+    totals: { contributed: 20000, contributionFees: 400, paidOut: 19600, payoutFees: 400, penaltiesPaid: 0, penaltiesOutstanding: 500 },
+    cycles: [],
+    contributions: [{
+        cycleNumber: 1,
+        payer: 'Bruno "Bê"',
+        paidBy: 'Carla',
+        amount: 10000,
+        fee: 200,
+        status: 'PAID',
+        method: 'GUARANTOR',
+        isCatchUp: false,
+        paidAt: '2026-09-05T08:30:00.000Z'
+    }],
+    payouts: [],
+    penalties: [],
+    movements: [],
+    standing: [{ userId: 'u1', name: '-Bruno', status: 'ATIVO', contributed: 0, received: 19600, netPosition: -19600, missedCount: 1, outstandingFees: 500 }],
+    generatedAt: '2026-10-19T09:15:42.000Z'
+};
+
+describe('csv.escapeCell', () => {
+
+    it('neutraliza fórmulas mas mantém os números, incluindo os negativos', () => {
+        expect(escapeCell('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+        expect(escapeCell('@cmd')).toBe("'@cmd");
+        expect(escapeCell('-Bruno')).toBe("'-Bruno");
+        expect(escapeCell('-19600.00')).toBe('-19600.00');
+        expect(escapeCell(3)).toBe('3');
+        expect(escapeCell(null)).toBe('');
+    });
+
+    it('coloca cada célula entre aspas e duplica as aspas internas', () => {
+        expect(toRow(['Bruno "Bê"', '+1'])).toBe('"Bruno ""Bê""","\'+1"');
+    });
+});
+
+describe('reportService.sign', () => {
+
+    it('numera o extrato e assina a impressão digital do conteúdo', () => {
+        const signed = reportService.sign(report);
+
+        expect(signed.documentNumber).toBe('REL-1a2b3c4d-20261019091542');
+        expect(signed.contentHash).toBe(hashDocument(JSON.stringify(report)));
+        expect(signed.digitalSignature).toBe(generateReceiptSignature(`${signed.documentNumber}:${signed.contentHash}`));
+    });
+});
+
+describe('reportService.buildCSV', () => {
+
+    it('exporta cabeçalho e secções com as células protegidas', () => {
+        const lines = reportService.buildCSV(reportService.sign(report)).split('\n');
+
+        expect(lines[0]).toBe('"Documento","REL-1a2b3c4d-20261019091542"');
+        expect(lines[1]).toBe(`"Grupo","'=HYPERLINK(""http://x"") (${report.group.id})"`);
+        expect(lines).toContain('"1","Bruno ""Bê""","10000.00","200.00","PAID","GUARANTOR","2026-09-05 08:30","Fiador: Carla"');
+        expect(lines).toContain('"\'-Bruno","ATIVO","0.00","19600.00","-19600.00","1","500.00"');
+        expect(lines).toContain('"POSIÇÃO DOS MEMBROS (RONDA 1)"');
+    });
+});
@@ -0,0 +1,84 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DA POUPANÇA DE GRUPO
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/lifecycle.service', () => ({}));
+
+const savingsService = require('../../src/services/savings.service');
+
+describe('savingsService', () => {
+
+    describe('periodNumber', () => {
+        it('devolve 0 antes do início', () => {
+            expect(savingsService.periodNumber('2026-10-19', 'WEEKLY', '2026-10-18')).toBe(0);
+        });
+
+        it('conta períodos diários e semanais', () => {
+            expect(savingsService.periodNumber('2026-10-19', 'DAILY', '2026-10-19')).toBe(1);
+            expect(savingsService.periodNumber('2026-10-19', 'DAILY', '2026-10-21')).toBe(3);
+            expect(savingsService.periodNumber('2026-10-19', 'WEEKLY', '2026-10-25')).toBe(1);
+            expect(savingsService.periodNumber('2026-10-19', 'WEEKLY', '2026-10-26')).toBe(2);
+        });
+
+        it('muda de período mensal no dia do início', () => {
+            expect(savingsService.periodNumber('2026-10-19', 'MONTHLY', '2026-11-18')).toBe(1);
+            expect(savingsService.periodNumber('2026-10-19', 'MONTHLY', '2026-11-19')).toBe(2);
+            expect(savingsService.periodNumber('2026-10-19', 'MONTHLY', '2027-01-05')).toBe(3);
+        });
+    });
+
+    describe('distribute', () => {
+        const fakeClient = (contributors) => ({
+            query: jest.fn(async (text, params) => {
+                if (text.includes('FROM savings_contributions')) {
+                    return { rows: contributors };
+                }
+                if (text.includes('INSERT INTO transactions')) {
+                    return { rows: [{ id: `tx-${params[0]}` }] };
+                }
+                if (text.includes('FROM wallets')) {
+                    return { rows: [{ available_balance: '0' }] };
+                }
+                return { rows: [] };
+            })
+        });
+
+        it('reparte proporcionalmente, com o resto dos cêntimos para quem contribuiu mais', async () => {
+            const client = fakeClient([
+                { user_id: 'u1', contributed: '300.00' },
+                { user_id: 'u2', contributed: '200.00' },
+                { user_id: 'u3', contributed: '100.00' }
+            ]);
+
+            const result = await savingsService.distribute(
+                client,
+                { id: 'g1', name: 'Poupança', savings_balance: '600.00', pool_balance: '0.01' },
+                'admin',
+                'COMPLETED'
+            );
+
+            expect(result.total).toBe(600.01);
+            expect(result.entries).toEqual([
+                { userId: 'u1', contributed: 300, amount: 300.01, transactionId: 'tx-u1' },
+                { userId: 'u2', contributed: 200, amount: 200, transactionId: 'tx-u2' },
+                { userId: 'u3', contributed: 100, amount: 100, transactionId: 'tx-u3' }
+            ]);
+        });
+
+        it('não paga nada sem contribuições', async () => {
+            const client = fakeClient([]);
+
+            const result = await savingsService.distribute(
+                client,
+                { id: 'g1', name: 'Poupança', savings_balance: '0', pool_balance: '10.00' },
+                'admin',
+                'COMPLETED'
+            );
+
+            expect(result).toEqual({ total: 0, entries: [] });
+            expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO transactions'), expect.anything());
+        });
+    });
+});
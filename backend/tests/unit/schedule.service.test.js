@@ -0,0 +1,86 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DO CALENDÁRIO DOS CICLOS
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/payout.service', () => ({}));
+
+const scheduleService = require('../../src/services/schedule.service');
+
+const params = {
+    cycleValue: 10000,
+    frequency: 'MONTHLY',
+    participants: 3,
+    paymentDay: 5,
+    startDate: '2026-10-19',
+    policy: 'FORWARD'
+};
+
+describe('scheduleService', () => {
+
+    describe('buildSchedule', () => {
+        it('começa no próximo dia de pagamento e ajusta a dias úteis', () => {
+            const schedule = scheduleService.buildSchedule(params);
+
+            expect(schedule.payersCount).toBe(2);
+            expect(schedule.potAmount).toBe(20000);
+            // 5 de dezembro é sábado
+            expect(schedule.cycles.map(c => c.dueDate)).toEqual(['2026-11-05', '2026-12-07', '2027-01-05']);
+            expect(schedule.cycles.every(c => c.biddingOpensAt === null && c.biddingClosesAt === null)).toBe(true);
+        });
+
+        it('adia um período o primeiro vencimento dos leilões', () => {
+            const schedule = scheduleService.buildSchedule({ ...params, isAuction: true });
+
+            // 5 de fevereiro de 2027 é ponte do feriado de quinta-feira; 8 e 9 são ponte e Carnaval
+            expect(schedule.cycles.map(c => c.dueDate)).toEqual(['2026-12-07', '2027-01-05', '2027-02-10']);
+        });
+
+        it('encadeia as janelas de licitação até à meia-noite de Luanda do vencimento', () => {
+            const { cycles } = scheduleService.buildSchedule({ ...params, isAuction: true });
+
+            expect(cycles[0].biddingOpensAt).toBeInstanceOf(Date);
+            expect(cycles[0].biddingClosesAt.toISOString()).toBe('2026-12-06T23:00:00.000Z');
+            expect(cycles[1].biddingOpensAt).toBe(cycles[0].biddingClosesAt);
+            expect(cycles[2].biddingOpensAt).toBe(cycles[1].biddingClosesAt);
+        });
+    });
+
+    describe('simulate', () => {
+        it('calcula taxas e posições líquidas por contribuição', () => {
+            const { calendar, members, totals } = scheduleService.simulate(params);
+
+            expect(calendar[0]).toMatchObject({
+                cycleNumber: 1,
+                contributionAmount: 10000,
+                payersCount: 2,
+                grossPayout: 20000,
+                platformFee: 400,
+                netPayout: 19600
+            });
+            expect(members[2]).toMatchObject({
+                position: 3,
+                payoutDate: '2027-01-05',
+                totalContributed: 20000,
+                netReceived: 19600,
+                netPosition: -400
+            });
+            expect(totals).toEqual({
+                cycles: 3,
+                firstDueDate: '2026-11-05',
+                lastDueDate: '2027-01-05',
+                contributions: 60000,
+                platformFees: 1200,
+                netPayouts: 58800
+            });
+        });
+    });
+
+    describe('computeContribution', () => {
+        it('arredonda ao cêntimo para cima', () => {
+            expect(scheduleService.computeContribution(10000, 3)).toBe(3333.34);
+            expect(scheduleService.computeContribution(9000, 3)).toBe(3000);
+        });
+    });
+});
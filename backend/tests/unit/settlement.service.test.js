@@ -0,0 +1,173 @@
+// =====================================================
+// KIXIKILAHUB - TESTES DO ACERTO DE CONTAS
+// =====================================================
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/services/cycle.service', () => ({ refundEscrow: jest.fn() }));
+
+const cycleService = require('../../src/services/cycle.service');
+const settlementService = require('../../src/services/settlement.service');
+
+/**
+ * Cliente de banco falso: saldos das carteiras por membro e o registo do acerto
+ */
+const fakeClient = (balances) => ({
+    query: jest.fn(async (text, params) => {
+        if (text.includes('FROM wallets')) {
+            return { rows: [{ available_balance: balances[params[0]] }] };
+        }
+        if (text.includes('INSERT INTO group_settlements')) {
+            return { rows: [{ id: 'settlement-1', created_at: new Date() }] };
+        }
+        return { rows: [] };
+    })
+});
+
+const position = (userId, netCents, isMember = true) => ({
+    userId,
+    fullName: userId,
+    isMember,
+    contributedCents: Math.max(netCents, 0),
+    receivedCents: Math.max(-netCents, 0),
+    netCents
+});
+
+describe('settlementService.settleGroup', () => {
+    let postTransaction;
+
+    beforeEach(() => {
+        jest.spyOn(settlementService, 'cancelOpenCycles').mockResolvedValue({
+            cyclesCancelled: 0,
+            escrowCents: new Map(),
+            cashCents: new Map()
+        });
+        postTransaction = jest.spyOn(settlementService, 'postTransaction')
+            .mockImplementation(async (client, userId, type) => `${type}-${userId}`);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('cobra até ao saldo disponível e reparte os cêntimos pelos credores', async () => {
+        jest.spyOn(settlementService, 'computeNetPositions').mockResolvedValue([
+            position('a', 1000),
+            position('b', 1000),
+            position('c', -3000),
+            position('d', 1000)
+        ]);
+
+        const client = fakeClient({ c: '20.00' });
+        const result = await settlementService.settleGroup(client, { id: 'g1', name: 'Grupo', pool_balance: '0' }, 'admin', 'CANCELLED');
+
+        expect(result.totalCollected).toBe(20);
+        expect(result.totalShortfall).toBe(10);
+        expect(result.totalCredited).toBe(20);
+        expect(result.entries).toEqual([
+            { userId: 'a', credited: 6.67, clawedBack: 0, shortfall: 0 },
+            { userId: 'b', credited: 6.67, clawedBack: 0, shortfall: 0 },
+            { userId: 'c', credited: 0, clawedBack: 20, shortfall: 10 },
+            { userId: 'd', credited: 6.66, clawedBack: 0, shortfall: 0 }
+        ]);
+        expect(postTransaction).toHaveBeenCalledWith(client, 'c', 'SETTLEMENT_DEBIT', 2000, expect.any(String), expect.any(Object));
+        expect(postTransaction).toHaveBeenCalledWith(client, 'd', 'SETTLEMENT_CREDIT', 666, expect.any(String), expect.any(Object));
+    });
+
+    it('reparte pelos membros o fundo do grupo que sobra após cobrir os créditos', async () => {
+        jest.spyOn(settlementService, 'computeNetPositions').mockResolvedValue([
+            position('a', 100),
+            position('b', 0),
+            position('c', -100)
+        ]);
+
+        const client = fakeClient({ c: '5.00' });
+        const result = await settlementService.settleGroup(client, { id: 'g1', name: 'Grupo', pool_balance: '2.00' }, 'admin', 'CANCELLED');
+
+        expect(result.poolDistributed).toBe(2);
+        expect(result.totalCredited).toBe(3);
+        expect(result.entries.map(e => e.credited)).toEqual([1.67, 0.67, 0.66]);
+        expect(client.query).toHaveBeenCalledWith('UPDATE groups SET pool_balance = 0 WHERE id = $1', ['g1']);
+    });
+
+    it('não cobra a quem não tem saldo', async () => {
+        jest.spyOn(settlementService, 'computeNetPositions').mockResolvedValue([
+            position('a', 500),
+            position('c', -500)
+        ]);
+
+        const result = await settlementService.settleGroup(fakeClient({ c: '-3.00' }), { id: 'g1', name: 'Grupo', pool_balance: '0' }, 'admin', 'CANCELLED');
+
+        expect(result.totalCollected).toBe(0);
+        expect(result.totalShortfall).toBe(5);
+        expect(result.totalCredited).toBe(0);
+        expect(postTransaction).not.toHaveBeenCalled();
+    });
+
+    it('devolve ao fiador o que pagou e reparte o fundo que sobra só pelos membros', async () => {
+        // O fiador g pagou a contribuição em falta do membro a
+        jest.spyOn(settlementService, 'computeNetPositions').mockResolvedValue([
+            position('a', -1000),
+            position('b', 0),
+            position('g', 1000, false)
+        ]);
+
+        const result = await settlementService.settleGroup(fakeClient({ a: '50.00' }), { id: 'g1', name: 'Grupo', pool_balance: '3.00' }, 'admin', 'CANCELLED');
+
+        expect(result.entries).toEqual([
+            { userId: 'a', credited: 1.5, clawedBack: 10, shortfall: 0 },
+            { userId: 'b', credited: 1.5, clawedBack: 0, shortfall: 0 },
+            { userId: 'g', credited: 10, clawedBack: 0, shortfall: 0 }
+        ]);
+    });
+});
+
+describe('settlementService.cancelOpenCycles', () => {
+
+    it('atribui a custódia e o dinheiro entregue a quem pagou a contribuição', async () => {
+        const client = {
+            query: jest.fn(async (text) => {
+                if (text.includes('FROM payment_cycles')) {
+                    return { rows: [{ id: 'c1', group_id: 'g1', cycle_number: 3 }] };
+                }
+                if (text.includes('FROM cycle_contributions')) {
+                    return {
+                        rows: [
+                            { payer_id: 'g', amount: '100.00', payment_method: 'GUARANTOR', escrow_status: 'HELD' },
+                            { payer_id: 'b', amount: '50.00', payment_method: 'CASH', escrow_status: null }
+                        ]
+                    };
+                }
+                return { rows: [] };
+            })
+        };
+
+        const result = await settlementService.cancelOpenCycles(client, 'g1', 'CANCELLED');
+
+        expect(client.query).toHaveBeenCalledWith(expect.stringContaining('COALESCE(paid_by, user_id) as payer_id'), ['c1']);
+        expect(result.cyclesCancelled).toBe(1);
+        expect([...result.escrowCents]).toEqual([['g', 10000]]);
+        expect([...result.cashCents]).toEqual([['b', 5000]]);
+        expect(cycleService.refundEscrow).toHaveBeenCalledWith(client, expect.objectContaining({ id: 'c1' }), 'CANCELLED');
+    });
+});
+
+describe('settlementService.buildReportCSV', () => {
+
+    it('neutraliza fórmulas nos nomes e mantém os valores negativos numéricos', () => {
+        const csv = settlementService.buildReportCSV({
+            entries: [{
+                name: '=HYPERLINK("http://x")',
+                contributed: 100,
+                received: 150.5,
+                netPosition: -50.5,
+                escrowRefunded: 0,
+                cashToReturn: 0,
+                clawedBack: 0,
+                credited: 0,
+                shortfall: 50.5
+            }]
+        });
+
+        expect(csv.split('\n')[1]).toBe('"\'=HYPERLINK(""http://x"")","100","150.5","-50.5","0","0","0","0","50.5"');
+    });
+});